@@ -0,0 +1,105 @@
+/**
+ * CacheInspector.gs - Cache Inspector Sidebar
+ * ===========================================
+ *
+ * Shows what CacheManager holds and how it is used:
+ * - Every cached key with its namespaces, size, age and expiry
+ * - Today's hits, misses, missing chunks and write failures, and the latest cache events
+ *   (so it's visible whether a scheduled run used the cache without reading execution logs)
+ * - Per key: evict it, or refresh it from JIRA when it is a PI dataset
+ *
+ * The sidebar markup lives in CacheInspector.html and loads its data with google.script.run.
+ *
+ * @fileoverview Sidebar to inspect, refresh and evict CacheManager keys
+ * @version 1.0.0
+ */
+
+// ===== SERVER =====
+
+/**
+ * Menu handler: open the Cache Inspector sidebar
+ */
+function showCacheInspector() {
+  const html = HtmlService.createHtmlOutputFromFile('CacheInspector')
+    .setTitle('Cache Inspector');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Everything the sidebar shows
+ * @return {Object} {entries: [{key, namespaces, size, age, expiresIn, persisted, refreshable}],
+ *                  today: {hit, persistentHit, miss, chunkMissing, write, writeFailure, bytes, hitRate},
+ *                  recent: [{at, event, key, size}]}
+ */
+function getCacheInspectorData() {
+  const now = Date.now();
+  const stats = CacheManager.getStats();
+  const day = Utilities.formatDate(new Date(now), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  const today = stats.days.find(d => d.day === day) || Object.assign({ day: day }, CacheManager.emptyStats_());
+  const reads = today.hit + today.persistentHit + today.miss;
+
+  return {
+    entries: CacheManager.list().map(entry => ({
+      key: entry.key,
+      namespaces: Object.keys(entry.namespaces).map(ns => `${ns}: ${entry.namespaces[ns]}`).join(', '),
+      size: formatCacheSize_(entry.size),
+      age: formatCacheAge_(now - entry.createdAt),
+      expiresIn: formatCacheAge_(entry.expiresAt - now),
+      persisted: entry.persisted,
+      refreshable: !!getRefreshableDataset_(entry)
+    })),
+    today: Object.assign({}, today, {
+      bytes: formatCacheSize_(today.bytes),
+      hitRate: reads > 0 ? Math.round((today.hit + today.persistentHit) / reads * 100) + '%' : '-'
+    }),
+    recent: stats.recent.map(event => ({
+      at: Utilities.formatDate(new Date(event.at), Session.getScriptTimeZone(), 'MMM dd HH:mm'),
+      event: event.event,
+      key: event.key,
+      size: event.bytes ? formatCacheSize_(event.bytes) : ''
+    }))
+  };
+}
+
+/**
+ * Remove one key from the cache
+ * @param {string} key - Cache key
+ * @return {Object} Updated sidebar data (see getCacheInspectorData)
+ */
+function evictCacheKey(key) {
+  CacheManager.clear(key);
+  console.log(`Evicted cache key from inspector: ${key}`);
+  return getCacheInspectorData();
+}
+
+/**
+ * Re-fetch one PI dataset from JIRA into the cache
+ * @param {string} key - Cache key
+ * @return {Object} Updated sidebar data (see getCacheInspectorData)
+ */
+function refreshCacheKey(key) {
+  const entry = CacheManager.list().find(e => e.key === key);
+  const dataset = entry && getRefreshableDataset_(entry);
+  if (!dataset) {
+    throw new Error(`${key} can't be refreshed from here; evict it and re-run the report that cached it`);
+  }
+
+  const issues = fetchPIDataset(dataset.piNumber, dataset.valueStream);
+  console.log(`Refreshed cache key ${key}: ${issues.length} issues`);
+  // The sidebar call is a run of its own
+  flushExecutionStats();
+  return getCacheInspectorData();
+}
+
+/**
+ * The PI dataset a cache entry holds, if it is one
+ * @param {Object} entry - Entry from CacheManager.list
+ * @return {Object|null} {piNumber, valueStream}
+ */
+function getRefreshableDataset_(entry) {
+  const ns = entry.namespaces;
+  if (ns.pi && ns.valueStream && entry.key === getPIDatasetCacheKey(ns.pi, ns.valueStream)) {
+    return { piNumber: ns.pi, valueStream: ns.valueStream };
+  }
+  return null;
+}
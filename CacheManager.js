@@ -1,11 +1,56 @@
 /**
  * Unified Cache Manager for PI Planning Tool
  * All caching operations go through this module
- * Cache expires after 5 minutes
+ *
+ * Two tiers:
+ * - Hot: CacheService script cache, for data read again within minutes.
+ *   Limited to 6 hours and evicted under memory pressure.
+ * - Persistent: one file per key in a Drive folder, for PI datasets that
+ *   summaries re-read hours later. Only written when set() is asked to persist.
+ *
+ * Both tiers store the JSON gzipped and base64-encoded, with the expiry of
+ * the key's TTL. get() falls back from the hot tier to the persistent one and
+ * re-warms the hot tier on a persistent hit.
+ *
+ * Entries written by another CACHE_VERSION are misses: bump it whenever the
+ * shape of cached data changes.
+ *
+ * Every key is indexed in Script Properties with its namespaces (PI, value
+ * stream, team, capacity), size and expiry, so caches can be listed and
+ * cleared by namespace without guessing key names.
+ *
+ * get() and set() count hits, misses, missing chunks, sizes and write
+ * failures per day (see getStats and the Cache Inspector sidebar). Counts are
+ * kept in memory and added to the shared stats once per run by flushStats().
  */
 const CacheManager = {
-  CACHE_EXPIRATION_MINUTES: 5, // Changed from 60 to 5 minutes
+  CACHE_VERSION: 2,
+  CACHE_EXPIRATION_MINUTES: 5, // Default TTL when set() isn't given one
   CHUNK_SIZE: 90000, // Leave room for overhead in cache
+  HOT_MAX_TTL_SECONDS: 21600, // CacheService limit (6 hours)
+  LARGE_ENTRY_BYTES: 1000000, // Warn above this compressed size
+
+  // TTL for fetched PI datasets, so summaries can be regenerated later in the day
+  PI_DATASET_TTL_SECONDS: 12 * 60 * 60,
+
+  FOLDER_NAME: 'PI Planning Tool Cache',
+  FOLDER_PROPERTY: 'CACHE_FOLDER_ID',
+
+  // One Script Property per cached key: CACHE_INDEX_<key>
+  INDEX_PREFIX: 'CACHE_INDEX_',
+  NAMESPACES: ['pi', 'valueStream', 'team', 'capacity'],
+
+  STATS_PROPERTY: 'CACHE_STATS',
+  STATS_DAYS_KEPT: 7,
+  RECENT_EVENTS_KEPT: 20,
+  STATS_LOCK_MS: 2000, // Wait this long for another execution's stats update, then keep ours for the next flush
+  STAT_EVENTS: ['hit', 'persistentHit', 'miss', 'chunkMissing', 'write', 'writeFailure'],
+
+  // Counts for this execution, by event
+  executionStats_: null,
+
+  // Not yet flushed to the shared stats: {days: {day: counts}, recent: [events, newest first]}
+  pendingStats_: null,
 
   /**
    * Get cached data by key
@@ -14,34 +59,35 @@ const CacheManager = {
    */
   get: function(key) {
     try {
-      const cache = CacheService.getScriptCache();
-      const countKey = `${key}_count`;
-      const chunkCount = cache.get(countKey);
+      const hot = this.readHot_(key);
+      if (hot) {
+        console.log(`Cache hit for key: ${key} (${hot.payload.length} bytes compressed)`);
+        this.recordStat_('hit', key, hot.payload.length);
+        return this.decompress_(hot.payload);
+      }
 
-      if (!chunkCount) {
+      const stored = this.readPersistent_(key);
+      if (!stored) {
         console.log(`Cache miss for key: ${key}`);
+        this.recordStat_('miss', key, 0);
         return null;
       }
 
-      const chunks = [];
-      const count = parseInt(chunkCount);
-
-      for (let i = 0; i < count; i++) {
-        const chunkKey = `${key}_${i}`;
-        const chunk = cache.get(chunkKey);
-        if (!chunk) {
-          console.log(`Cache chunk missing: ${chunkKey}`);
-          return null;
-        }
-        chunks.push(chunk);
+      // Re-warm the hot tier for what's left of the entry's TTL
+      try {
+        const remainingSeconds = Math.floor((stored.meta.expiresAt - Date.now()) / 1000);
+        this.writeHot_(key, stored.payload, stored.meta.createdAt, remainingSeconds);
+      } catch (error) {
+        console.warn(`Could not re-warm script cache for key ${key}: ${error.message}`);
       }
 
-      const fullData = chunks.join('');
-      console.log(`Cache hit for key: ${key} (${fullData.length} bytes)`);
-      return JSON.parse(fullData);
+      console.log(`Persistent cache hit for key: ${key} (${stored.payload.length} bytes compressed)`);
+      this.recordStat_('persistentHit', key, stored.payload.length);
+      return this.decompress_(stored.payload);
 
     } catch (error) {
       console.error('Cache read error:', error);
+      this.recordStat_('miss', key, 0);
       return null;
     }
   },
@@ -50,117 +96,193 @@ const CacheManager = {
    * Set cached data
    * @param {string} key - Cache key
    * @param {any} data - Data to cache
-   * @return {boolean} Success status
+   * @param {Object} [options] - {ttlSeconds: defaults to CACHE_EXPIRATION_MINUTES,
+   *                              persist: also keep it in the persistent tier (default false),
+   *                              namespaces: {pi, valueStream, team, capacity} the key belongs to}
+   * @return {boolean} Success status (false if any requested tier failed)
    */
-  set: function(key, data) {
+  set: function(key, data, options) {
+    options = options || {};
+    const ttlSeconds = options.ttlSeconds || this.CACHE_EXPIRATION_MINUTES * 60;
+
     try {
-      const cache = CacheService.getScriptCache();
-      const serialized = JSON.stringify(data);
+      const payload = this.compress_(data);
+      const createdAt = Date.now();
 
-      // Check size
-      if (serialized.length > 1000000) { // 1MB limit warning
-        console.warn(`Large cache data for key ${key}: ${serialized.length} bytes`);
+      if (payload.length > this.LARGE_ENTRY_BYTES) {
+        console.warn(`Large cache data for key ${key}: ${payload.length} bytes compressed`);
       }
 
-      // Clear any existing data for this key
-      this.clear(key);
+      // Clear any existing data for this key; only look in Drive when the index says it was persisted
+      const previous = this.readIndex_(key);
+      this.clearHot_(key);
+      if (previous && previous.persisted) {
+        this.clearPersistent_(key);
+      }
+      PropertiesService.getScriptProperties().deleteProperty(this.INDEX_PREFIX + key);
+
+      let success = true;
+      let stored = false;
+      let persisted = false;
 
-      // Split into chunks
-      const chunks = [];
-      for (let i = 0; i < serialized.length; i += this.CHUNK_SIZE) {
-        chunks.push(serialized.substring(i, i + this.CHUNK_SIZE));
+      try {
+        const chunks = this.writeHot_(key, payload, createdAt, ttlSeconds);
+        console.log(`Cached data for key: ${key} (${chunks} chunks, expires in ${Math.min(ttlSeconds, this.HOT_MAX_TTL_SECONDS)}s)`);
+        stored = true;
+      } catch (error) {
+        console.error(`Cache write error (script cache) for key ${key}:`, error);
+        success = false;
       }
 
-      // Store chunks
-      const cacheData = {};
-      chunks.forEach((chunk, index) => {
-        cacheData[`${key}_${index}`] = chunk;
-      });
-      cacheData[`${key}_count`] = chunks.length.toString();
+      if (options.persist) {
+        try {
+          this.writePersistent_(key, payload, createdAt, ttlSeconds);
+          console.log(`Persisted cache data for key: ${key} (expires in ${ttlSeconds}s)`);
+          persisted = true;
+        } catch (error) {
+          console.error(`Cache write error (persistent store) for key ${key}:`, error);
+          success = false;
+        }
+      }
 
-      // Batch put for efficiency
-      cache.putAll(cacheData, this.CACHE_EXPIRATION_MINUTES * 60);
+      if (stored || persisted) {
+        this.writeIndex_(key, {
+          namespaces: this.namespacesFor_(key, options.namespaces),
+          size: payload.length,
+          createdAt: createdAt,
+          expiresAt: createdAt + (persisted ? ttlSeconds : Math.min(ttlSeconds, this.HOT_MAX_TTL_SECONDS)) * 1000,
+          persisted: persisted
+        });
+      }
 
-      console.log(`Cached data for key: ${key} (${chunks.length} chunks, expires in ${this.CACHE_EXPIRATION_MINUTES} minutes)`);
-      return true;
+      this.recordStat_(success ? 'write' : 'writeFailure', key, payload.length);
+      return success;
 
     } catch (error) {
       console.error('Cache write error:', error);
+      this.recordStat_('writeFailure', key, 0);
       return false;
     }
   },
 
   /**
-   * Clear cached data for a specific key
+   * Clear cached data for a specific key, in both tiers
    * @param {string} key - Cache key
    */
   clear: function(key) {
     try {
-      const cache = CacheService.getScriptCache();
-      const countKey = `${key}_count`;
-      const count = cache.get(countKey);
+      this.clearHot_(key);
+      this.clearPersistent_(key);
+      PropertiesService.getScriptProperties().deleteProperty(this.INDEX_PREFIX + key);
+    } catch (error) {
+      console.error('Cache clear error:', error);
+    }
+  },
 
-      if (count) {
-        const keysToRemove = [];
-        const chunkCount = parseInt(count);
+  /**
+   * Cached keys from the index, newest first; expired entries are cleared on the way
+   * @param {Object} [filter] - Namespace values to match, e.g. {pi: '13'}
+   * @return {Array<Object>} [{key, namespaces, size, createdAt, expiresAt, persisted}]
+   */
+  list: function(filter) {
+    const props = PropertiesService.getScriptProperties();
+    const all = props.getProperties();
+    const now = Date.now();
+    const entries = [];
 
-        for (let i = 0; i < chunkCount; i++) {
-          keysToRemove.push(`${key}_${i}`);
-        }
-        keysToRemove.push(countKey);
+    Object.keys(all).filter(name => name.indexOf(this.INDEX_PREFIX) === 0).forEach(name => {
+      const key = name.substring(this.INDEX_PREFIX.length);
+      let entry;
+      try {
+        entry = JSON.parse(all[name]);
+      } catch (error) {
+        entry = null;
+      }
 
-        cache.removeAll(keysToRemove);
-        console.log(`Cleared cache for key: ${key}`);
+      if (!entry || entry.v !== this.CACHE_VERSION || entry.expiresAt <= now) {
+        this.clear(key);
+        return;
       }
-    } catch (error) {
-      console.error('Cache clear error:', error);
+
+      const matches = Object.keys(filter || {}).every(namespace =>
+        String(entry.namespaces[namespace] || '').toLowerCase() === String(filter[namespace]).toLowerCase());
+      if (matches) {
+        entries.push(Object.assign({ key: key }, entry));
+      }
+    });
+
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+  },
+
+  /**
+   * Clear every key in a namespace
+   * @param {string} namespace - One of NAMESPACES
+   * @param {string} value - e.g. '13' for namespace 'pi'
+   * @return {number} Keys cleared
+   */
+  clearNamespace: function(namespace, value) {
+    if (this.NAMESPACES.indexOf(namespace) === -1) {
+      throw new Error(`Unknown cache namespace: ${namespace}`);
     }
+
+    const filter = {};
+    filter[namespace] = value;
+    const entries = this.list(filter);
+    entries.forEach(entry => this.clear(entry.key));
+
+    console.log(`Cleared ${entries.length} cache keys for ${namespace} ${value}`);
+    return entries.length;
   },
 
   /**
    * Clear all PI-related caches
    * @param {string} piNumber - PI number
+   * @return {number} Keys cleared
    */
   clearPI: function(piNumber) {
     try {
-      const cache = CacheService.getScriptCache();
-      const allValueStreams = getAvailableValueStreams();
-      const keysToRemove = [];
-
-      // Generate all possible cache key patterns for this PI
-      keysToRemove.push(`pi_analysis_${piNumber}`);
-
-      // Individual value streams
-      allValueStreams.forEach(vs => {
-        keysToRemove.push(`pi_analysis_${piNumber}_${vs}`);
-      });
-
-      // All possible combinations
-      for (let i = 0; i < 20; i++) {
-        keysToRemove.push(`pi_analysis_${piNumber}_${i}`);
-        keysToRemove.push(`pi_analysis_${piNumber}_count`);
-      }
-
-      // Remove all at once
-      cache.removeAll(keysToRemove);
-      console.log(`Cleared all caches for PI ${piNumber}`);
-
+      return this.clearNamespace('pi', String(piNumber).replace(/PI\s*/i, '').trim());
     } catch (error) {
       console.error('Error clearing PI cache:', error);
+      return 0;
+    }
+  },
+
+  /**
+   * Clear all caches of a value stream, across PIs
+   * @param {string} valueStream - Value stream name
+   * @return {number} Keys cleared
+   */
+  clearValueStream: function(valueStream) {
+    try {
+      return this.clearNamespace('valueStream', valueStream);
+    } catch (error) {
+      console.error('Error clearing value stream cache:', error);
+      return 0;
     }
   },
 
   /**
-   * Clear all caches (nuclear option)
+   * Clear all caches (nuclear option): every indexed key, plus anything left in the persistent tier
+   * @return {number} Keys cleared
    */
   clearAll: function() {
     try {
-      const cache = CacheService.getScriptCache();
-      // This is limited by quota, but it's the best we can do
-      cache.removeAll([]);
-      console.log('Cleared all caches');
+      const entries = this.list();
+      entries.forEach(entry => this.clear(entry.key));
+
+      const folder = this.getStoreFolder_(false);
+      if (folder) {
+        const files = folder.getFiles();
+        while (files.hasNext()) {
+          files.next().setTrashed(true);
+        }
+      }
+      console.log(`Cleared all caches (${entries.length} keys)`);
+      return entries.length;
     } catch (error) {
       console.error('Error clearing all caches:', error);
+      return 0;
     }
   },
 
@@ -172,5 +294,374 @@ const CacheManager = {
     const props = PropertiesService.getScriptProperties();
     const cacheEnabled = props.getProperty('CACHE_ENABLED');
     return cacheEnabled !== 'false'; // Default to true if not set
+  },
+
+  // ===== ENCODING =====
+
+  /**
+   * Gzip and base64-encode data as JSON
+   * @param {any} data - Data to encode
+   * @return {string} Encoded payload
+   */
+  compress_: function(data) {
+    const blob = Utilities.newBlob(JSON.stringify(data), 'application/json');
+    return Utilities.base64Encode(Utilities.gzip(blob).getBytes());
+  },
+
+  /**
+   * Decode a payload written by compress_
+   * @param {string} payload - Encoded payload
+   * @return {any} Data
+   */
+  decompress_: function(payload) {
+    const blob = Utilities.newBlob(Utilities.base64Decode(payload), 'application/x-gzip');
+    return JSON.parse(Utilities.ungzip(blob).getDataAsString());
+  },
+
+  /**
+   * Parse an entry's metadata, dropping other versions and expired entries
+   * @param {string|null} text - JSON metadata {v, createdAt, expiresAt, ...}
+   * @return {Object|null} Metadata of a live entry
+   */
+  parseMeta_: function(text) {
+    if (!text) return null;
+    try {
+      const meta = JSON.parse(text);
+      if (meta.v !== this.CACHE_VERSION || meta.expiresAt <= Date.now()) return null;
+      return meta;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  // ===== STATISTICS =====
+
+  /**
+   * Count a cache event for this execution, today and in the recent events list
+   * Kept in memory until flushStats() adds it to the shared stats.
+   * @param {string} event - One of STAT_EVENTS
+   * @param {string} key - Cache key
+   * @param {number} bytes - Compressed size read or written
+   */
+  recordStat_: function(event, key, bytes) {
+    if (!this.executionStats_) {
+      this.executionStats_ = this.emptyStats_();
+    }
+    this.executionStats_[event]++;
+    this.executionStats_.bytes += bytes;
+
+    if (!this.pendingStats_) {
+      this.pendingStats_ = { days: {}, recent: [] };
+    }
+    const now = new Date();
+    const day = Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    const today = this.pendingStats_.days[day] = this.pendingStats_.days[day] || this.emptyStats_();
+    today[event]++;
+    today.bytes += bytes;
+
+    this.pendingStats_.recent = [{ at: now.toISOString(), event: event, key: key, bytes: bytes }]
+      .concat(this.pendingStats_.recent).slice(0, this.RECENT_EVENTS_KEPT);
+  },
+
+  /**
+   * Add this execution's counts to the shared stats
+   * Called at the end of a run, by flushExecutionStats; the update runs under the document lock.
+   */
+  flushStats: function() {
+    if (!this.pendingStats_) return;
+
+    const lock = LockService.getDocumentLock();
+    if (!lock.tryLock(this.STATS_LOCK_MS)) {
+      console.warn('Cache stats busy - keeping this run\'s counts for the next flush');
+      return;
+    }
+
+    try {
+      const props = PropertiesService.getScriptProperties();
+      const stats = this.mergeStats_(JSON.parse(props.getProperty(this.STATS_PROPERTY) || '{}'), this.pendingStats_);
+      Object.keys(stats.days).sort().slice(0, -this.STATS_DAYS_KEPT).forEach(old => delete stats.days[old]);
+
+      props.setProperty(this.STATS_PROPERTY, JSON.stringify(stats));
+      this.pendingStats_ = null;
+    } catch (error) {
+      console.error('Error recording cache stats:', error);
+    } finally {
+      lock.releaseLock();
+    }
+  },
+
+  /**
+   * Add counts and recent events into stored stats
+   * @param {Object} stats - {days, recent}, updated in place
+   * @param {Object|null} added - {days, recent}
+   * @return {Object} stats
+   */
+  mergeStats_: function(stats, added) {
+    const days = stats.days = stats.days || {};
+    stats.recent = stats.recent || [];
+    if (!added) return stats;
+
+    Object.keys(added.days).forEach(day => {
+      const total = days[day] = days[day] || this.emptyStats_();
+      Object.keys(added.days[day]).forEach(count => { total[count] += added.days[day][count]; });
+    });
+    stats.recent = added.recent.concat(stats.recent).slice(0, this.RECENT_EVENTS_KEPT);
+    return stats;
+  },
+
+  /**
+   * @return {Object} Zero count for every event, plus bytes
+   */
+  emptyStats_: function() {
+    const stats = { bytes: 0 };
+    this.STAT_EVENTS.forEach(event => { stats[event] = 0; });
+    return stats;
+  },
+
+  /**
+   * Cache statistics, including this execution's not yet flushed
+   * @return {Object} {execution, days: [{day, hit, persistentHit, miss, chunkMissing, write, writeFailure, bytes}],
+   *                  recent: [{at, event, key, bytes}]} - days oldest first, recent events newest first
+   */
+  getStats: function() {
+    const stats = this.mergeStats_(
+      JSON.parse(PropertiesService.getScriptProperties().getProperty(this.STATS_PROPERTY) || '{}'), this.pendingStats_);
+    const days = stats.days;
+    return {
+      execution: this.executionStats_ || this.emptyStats_(),
+      days: Object.keys(days).sort().map(day => Object.assign({ day: day }, days[day])),
+      recent: stats.recent
+    };
+  },
+
+  // ===== KEY INDEX =====
+
+  /**
+   * Namespaces of a key: the ones given, else what the pi_analysis_<PI>_<value stream> naming tells
+   * @param {string} key - Cache key
+   * @param {Object} [namespaces] - {pi, valueStream, team, capacity}
+   * @return {Object} Namespaces with the unknown ones left out
+   */
+  namespacesFor_: function(key, namespaces) {
+    const result = {};
+    const match = /^pi_analysis_(\d+)(?:_(.+))?$/.exec(key);
+    if (match) {
+      result.pi = match[1];
+      if (match[2]) result.valueStream = match[2];
+    }
+
+    Object.keys(namespaces || {}).forEach(namespace => {
+      if (this.NAMESPACES.indexOf(namespace) === -1) {
+        throw new Error(`Unknown cache namespace: ${namespace}`);
+      }
+      if (namespaces[namespace] !== undefined && namespaces[namespace] !== null) {
+        result[namespace] = String(namespaces[namespace]);
+      }
+    });
+    return result;
+  },
+
+  /**
+   * Index entry of a key
+   * @param {string} key - Cache key
+   * @return {Object|null} {v, namespaces, size, createdAt, expiresAt, persisted}, null when not indexed
+   */
+  readIndex_: function(key) {
+    const stored = PropertiesService.getScriptProperties().getProperty(this.INDEX_PREFIX + key);
+    if (!stored) return null;
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Record a key in the index
+   * @param {string} key - Cache key
+   * @param {Object} entry - {namespaces, size, createdAt, expiresAt, persisted}
+   */
+  writeIndex_: function(key, entry) {
+    try {
+      PropertiesService.getScriptProperties()
+        .setProperty(this.INDEX_PREFIX + key, JSON.stringify(Object.assign({ v: this.CACHE_VERSION }, entry)));
+    } catch (error) {
+      console.error(`Cache index write error for key ${key}:`, error);
+    }
+  },
+
+  // ===== HOT TIER (SCRIPT CACHE) =====
+
+  /**
+   * Script cache key prefix; includes the version so old entries are never read
+   * @param {string} key - Cache key
+   * @return {string} Prefixed key
+   */
+  hotKey_: function(key) {
+    return `v${this.CACHE_VERSION}_${key}`;
+  },
+
+  /**
+   * Read an entry from the script cache
+   * @param {string} key - Cache key
+   * @return {Object|null} {meta, payload}, null on a miss or a missing chunk
+   */
+  readHot_: function(key) {
+    const cache = CacheService.getScriptCache();
+    const hotKey = this.hotKey_(key);
+    const meta = this.parseMeta_(cache.get(`${hotKey}_meta`));
+    if (!meta) return null;
+
+    const chunkKeys = [];
+    for (let i = 0; i < meta.count; i++) {
+      chunkKeys.push(`${hotKey}_${i}`);
+    }
+
+    const chunks = cache.getAll(chunkKeys);
+    const missing = chunkKeys.filter(chunkKey => !chunks[chunkKey]);
+    if (missing.length > 0) {
+      console.log(`Cache chunk missing: ${missing[0]}`);
+      this.recordStat_('chunkMissing', key, 0);
+      return null;
+    }
+
+    return { meta: meta, payload: chunkKeys.map(chunkKey => chunks[chunkKey]).join('') };
+  },
+
+  /**
+   * Remove an entry from the script cache
+   * @param {string} key - Cache key
+   */
+  clearHot_: function(key) {
+    const cache = CacheService.getScriptCache();
+    const hotKey = this.hotKey_(key);
+    const meta = this.parseMeta_(cache.get(`${hotKey}_meta`));
+    if (!meta) return;
+
+    const keysToRemove = [`${hotKey}_meta`];
+    for (let i = 0; i < meta.count; i++) {
+      keysToRemove.push(`${hotKey}_${i}`);
+    }
+    cache.removeAll(keysToRemove);
+    console.log(`Cleared cache for key: ${key}`);
+  },
+
+  /**
+   * Write an entry to the script cache in chunks
+   * @param {string} key - Cache key
+   * @param {string} payload - Encoded payload
+   * @param {number} createdAt - When the data was cached (ms)
+   * @param {number} ttlSeconds - Entry TTL; the script cache keeps it 6 hours at most
+   * @return {number} Number of chunks written
+   */
+  writeHot_: function(key, payload, createdAt, ttlSeconds) {
+    const hotSeconds = Math.min(ttlSeconds, this.HOT_MAX_TTL_SECONDS);
+    if (hotSeconds <= 0) return 0;
+
+    const hotKey = this.hotKey_(key);
+    const cacheData = {};
+    let count = 0;
+    for (let i = 0; i < payload.length; i += this.CHUNK_SIZE) {
+      cacheData[`${hotKey}_${count++}`] = payload.substring(i, i + this.CHUNK_SIZE);
+    }
+    cacheData[`${hotKey}_meta`] = JSON.stringify({
+      v: this.CACHE_VERSION,
+      createdAt: createdAt,
+      expiresAt: Date.now() + hotSeconds * 1000,
+      count: count
+    });
+
+    // Batch put for efficiency
+    CacheService.getScriptCache().putAll(cacheData, hotSeconds);
+    return count;
+  },
+
+  // ===== PERSISTENT TIER (DRIVE) =====
+
+  /**
+   * Drive file name of a key
+   * @param {string} key - Cache key
+   * @return {string} File name
+   */
+  fileName_: function(key) {
+    return `${key}.json.gz.b64`;
+  },
+
+  /**
+   * Folder holding the persistent tier, remembered in Script Properties
+   * @param {boolean} create - Create the folder when there is none yet
+   * @return {Folder|null} Folder, null when there is none and create is false
+   */
+  getStoreFolder_: function(create) {
+    const props = PropertiesService.getScriptProperties();
+    const folderId = props.getProperty(this.FOLDER_PROPERTY);
+
+    if (folderId) {
+      try {
+        const folder = DriveApp.getFolderById(folderId);
+        if (!folder.isTrashed()) return folder;
+      } catch (error) {
+        console.warn(`Cache folder ${folderId} is gone: ${error.message}`);
+      }
+    }
+
+    if (!create) return null;
+
+    const folder = DriveApp.createFolder(this.FOLDER_NAME);
+    props.setProperty(this.FOLDER_PROPERTY, folder.getId());
+    console.log(`Created cache folder: ${this.FOLDER_NAME}`);
+    return folder;
+  },
+
+  /**
+   * Read an entry from the persistent tier; stale and other-version files are removed
+   * @param {string} key - Cache key
+   * @return {Object|null} {meta, payload}
+   */
+  readPersistent_: function(key) {
+    const folder = this.getStoreFolder_(false);
+    if (!folder) return null;
+
+    const files = folder.getFilesByName(this.fileName_(key));
+    if (!files.hasNext()) return null;
+
+    const file = files.next();
+    const meta = this.parseMeta_(file.getDescription());
+    if (!meta) {
+      file.setTrashed(true);
+      return null;
+    }
+
+    return { meta: meta, payload: file.getBlob().getDataAsString() };
+  },
+
+  /**
+   * Remove an entry from the persistent tier
+   * @param {string} key - Cache key
+   */
+  clearPersistent_: function(key) {
+    const folder = this.getStoreFolder_(false);
+    if (!folder) return;
+
+    const files = folder.getFilesByName(this.fileName_(key));
+    while (files.hasNext()) {
+      files.next().setTrashed(true);
+    }
+  },
+
+  /**
+   * Write an entry to the persistent tier
+   * @param {string} key - Cache key
+   * @param {string} payload - Encoded payload
+   * @param {number} createdAt - When the data was cached (ms)
+   * @param {number} ttlSeconds - Entry TTL
+   */
+  writePersistent_: function(key, payload, createdAt, ttlSeconds) {
+    const file = this.getStoreFolder_(true).createFile(this.fileName_(key), payload, 'text/plain');
+    file.setDescription(JSON.stringify({
+      v: this.CACHE_VERSION,
+      createdAt: createdAt,
+      expiresAt: createdAt + ttlSeconds * 1000
+    }));
   }
 };
@@ -5,13 +5,13 @@
  *
  * NEW FORMAT STRUCTURE:
  * - Single tab contains all value streams and teams
- * - Row 1: Value Stream names at columns 1, 12, 23, 34, 45, etc. (every 11 columns)
- * - Row 3: First scrum team row (teams repeat every 25 rows: 3, 28, 53, 78, etc.)
- * - Each team block is 11 columns wide and 25 rows tall
+ * - Row 1: Value Stream names, one above each band of team blocks
+ * - Team blocks stack down each band (in the standard template every 11 columns
+ *   and 25 rows: 3, 28, 53, 78, etc.)
  *
- * TEAM BLOCK STRUCTURE (relative to team start row N and column C):
+ * TEAM BLOCK STRUCTURE (standard template, relative to team start row N and column C):
  * - Row N (C): Team name
- * - Row N+1 (C): "Allocation Type" header
+ * - Row N+1 (C): "Allocation Type" header (iteration headers 14.1 ... 14.6 and T may follow)
  * - Row N+2 (C+2): KLO, values in C+3 to C+8, Total in C+9
  * - Row N+3 (C+2): Quality
  * - Row N+4 (C+2): Tech / Platform
@@ -19,10 +19,19 @@
  * - Row N+6 (C+2): Product - Compliance
  * - Row N+7 (C+2): Unplanned work
  * - Row N+8 (C+3 to C+9): Totals per iteration and grand total
- * - Row N+10 (C): "Base Capacity before FF" header
+ * - Row N+10 (C): "Base Capacity before FF" header, one row per role below it
  * - Row N+16 (C+3 to C+9): Capacity totals before Feature Freeze
- * - Row N+18 (C): "Base Capacity after FF" header
+ * - Row N+18 (C): "Base Capacity after FF" header, one row per role below it
  * - Row N+24 (C+3 to C+9): Capacity totals after Feature Freeze
+ *
+ * The reader does not depend on these offsets. Blocks are located by their
+ * anchor labels (see CAPACITY_FORMAT_CONFIG.anchorLabels), so rows can be added
+ * to a block, blocks can differ in size and a PI can have more or fewer
+ * iterations. When the Allocation Type row carries iteration headers they
+ * define the iteration columns; otherwise the PI's iteration count from the
+ * "PI Iterations" sheet (see PIIterations.js) + Total to the right of the
+ * allocation labels is assumed.
+ * validateCapacitySheetStructure() reports any anchor a block is missing.
  */
 
 // Configuration for the new capacity format
@@ -35,40 +44,27 @@ const CAPACITY_FORMAT_CONFIG = {
   // Alternative sheet names to try if primary not found
   alternativeSheetNames: ['Capacity Planning', 'Consolidated Capacity'],
 
-  teamBlockWidth: 11,              // Each team block is 11 columns wide
-  teamBlockHeight: 25,             // Each team block is 25 rows tall
   valueStreamRow: 1,               // Row containing value stream names
-  firstTeamRow: 3,                 // First row containing team names
-
-  // Relative row offsets within a team block (from team name row)
-  relativeRows: {
-    teamName: 0,
-    allocationHeader: 1,
-    klo: 2,
-    quality: 3,
-    techPlatform: 4,
-    productFeature: 5,
-    productCompliance: 6,
-    unplannedWork: 7,
-    allocationTotal: 8,
-    baseCapacityBeforeFFHeader: 10,
-    baseCapacityBeforeFFTotal: 16,
-    baseCapacityAfterFFHeader: 18,
-    baseCapacityAfterFFTotal: 24
+  teamNameSearchRows: 3,           // How far above "Allocation Type" to look for the team name
+
+  // Labels that identify the parts of a team block (matched case-insensitively)
+  anchorLabels: {
+    allocationHeader: 'Allocation Type',
+    baseCapacityBeforeFF: 'Base Capacity before FF',
+    baseCapacityAfterFF: 'Base Capacity after FF',
+    allocations: {
+      klo: 'KLO',
+      quality: 'Quality',
+      techPlatform: 'Tech / Platform',
+      productFeature: 'Product - Feature',
+      productCompliance: 'Product - Compliance',
+      unplannedWork: 'Unplanned work'
+    },
+    totalHeaders: ['T', 'Total']
   },
 
-  // Relative column offsets within a team block (from team start column, 0-indexed)
-  relativeColumns: {
-    teamName: 0,        // Column 1 of block
-    allocationLabel: 2, // Column 3 of block (KLO, Quality, etc.)
-    iteration1: 3,      // Column 4 (14.1)
-    iteration2: 4,      // Column 5 (14.2)
-    iteration3: 5,      // Column 6 (14.3)
-    iteration4: 6,      // Column 7 (14.4)
-    iteration5: 7,      // Column 8 (14.5)
-    iteration6: 8,      // Column 9 (14.6)
-    total: 9            // Column 10 (T)
-  }
+  // Iteration header cells on the Allocation Type row, e.g. "14.1", "Iteration 1", "Sprint 1"
+  iterationHeaderPattern: /^(\d+\.\d+|(iteration|iter|sprint)\s*\d+)$/i
 };
 
 /**
@@ -117,82 +113,348 @@ function findCapacityPlanningSheet(spreadsheet, piNumber = null) {
 }
 
 /**
- * Find all teams in the consolidated capacity sheet
+ * Normalize a label for anchor comparison ("Product-Feature" == "product - feature")
+ * @param {*} value - Cell value
+ * @returns {string} Normalized label
+ */
+function normalizeCapacityLabel_(value) {
+  if (value === null || value === undefined) return '';
+  return value.toString()
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([\/\-])\s*/g, '$1')
+    .trim();
+}
+
+/**
+ * A1 notation for a 1-indexed cell, used in validation messages
+ * @param {number} row - Row (1-indexed)
+ * @param {number} col - Column (1-indexed)
+ * @returns {string} e.g. "L28"
+ */
+function capacityCellA1_(row, col) {
+  let letters = '';
+  let n = col;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return `${letters}${row}`;
+}
+
+/**
+ * Detect the layout of the consolidated capacity sheet from its anchor labels.
+ *
+ * Every "Allocation Type" cell starts a team block. The team name is the first
+ * non-empty cell above it, the value stream is the row 1 header over the team
+ * column (or the nearest one to its left within the band), and the block runs
+ * down to the next team in the same column and across to the next team column.
+ *
+ * All row and column numbers in the result are 1-indexed.
+ *
  * @param {Sheet} capacitySheet - The capacity planning sheet
- * @returns {Array} Array of {teamName, valueStream, startRow, startCol}
+ * @returns {Object} {sheetName, values, blocks: [{teamName, valueStream, startRow, startCol,
+ *                   endRow, endCol, labelCol, allocationRows, iterationCols, iterationLabels,
+ *                   totalCol, beforeFF, afterFF}], issues: [{severity, cell, valueStream,
+ *                   teamName, message}]}
  */
-function findAllTeamsInCapacitySheet(capacitySheet) {
+function detectCapacityLayout(capacitySheet) {
   const config = CAPACITY_FORMAT_CONFIG;
-  const teams = [];
-
-  const dataRange = capacitySheet.getDataRange();
-  const values = dataRange.getValues();
+  const anchors = config.anchorLabels;
+  const values = capacitySheet.getDataRange().getValues();
   const maxRows = values.length;
   const maxCols = values[0] ? values[0].length : 0;
 
-  console.log(`Scanning capacity sheet: ${maxRows} rows x ${maxCols} columns`);
+  // Blocks without iteration headers use the PI's configured iteration count
+  const sheetPI = capacitySheet.getName().match(/^PI\s*(\d+)/i);
+  const defaultIterationCount = getPIIterationConfig(sheetPI ? sheetPI[1] : null).iterationCount;
 
-  // Scan for value streams in row 1
-  const valueStreams = [];
-  for (let col = 0; col < maxCols; col += config.teamBlockWidth) {
-    const vsName = values[config.valueStreamRow - 1][col];
-    if (vsName && vsName.toString().trim()) {
-      valueStreams.push({
-        name: vsName.toString().trim(),
-        startCol: col
-      });
-      console.log(`Found Value Stream: "${vsName}" at column ${col + 1}`);
+  const layout = {
+    sheetName: capacitySheet.getName(),
+    values: values,
+    blocks: [],
+    issues: []
+  };
+
+  // 0-indexed helpers over the values grid
+  const cellText = (row, col) => {
+    if (row < 0 || row >= maxRows || col < 0 || col >= maxCols) return '';
+    const value = values[row][col];
+    return value === null || value === undefined ? '' : value.toString().trim();
+  };
+  const isLabel = (row, col, label) => normalizeCapacityLabel_(cellText(row, col)) === normalizeCapacityLabel_(label);
+
+  const anchorTexts = [
+    anchors.allocationHeader,
+    anchors.baseCapacityBeforeFF,
+    anchors.baseCapacityAfterFF,
+    ...Object.values(anchors.allocations)
+  ].map(normalizeCapacityLabel_);
+  const isAnchorText = (text) => anchorTexts.includes(normalizeCapacityLabel_(text));
+
+  const addIssue = (severity, row, col, block, message) => {
+    layout.issues.push({
+      severity: severity,
+      cell: capacityCellA1_(row + 1, col + 1),
+      valueStream: block ? block.valueStream : '',
+      teamName: block ? block.teamName : '',
+      message: message
+    });
+  };
+
+  // Every "Allocation Type" cell marks a team block
+  const anchorCells = [];
+  for (let row = config.valueStreamRow; row < maxRows; row++) {
+    for (let col = 0; col < maxCols; col++) {
+      if (isLabel(row, col, anchors.allocationHeader)) {
+        anchorCells.push({ row: row, col: col });
+      }
     }
   }
+  anchorCells.sort((a, b) => a.col - b.col || a.row - b.row);
+
+  const teamCols = [...new Set(anchorCells.map(cell => cell.col))].sort((a, b) => a - b);
+
+  // Resolve team names first, so each block knows where the next one starts
+  anchorCells.forEach(cell => {
+    cell.teamRow = -1;
+    const lowestRow = Math.max(config.valueStreamRow, cell.row - config.teamNameSearchRows);
+    for (let row = cell.row - 1; row >= lowestRow; row--) {
+      const text = cellText(row, cell.col);
+      if (text && !isAnchorText(text)) {
+        cell.teamRow = row;
+        break;
+      }
+    }
+    cell.blockStartRow = cell.teamRow >= 0 ? cell.teamRow : cell.row;
+  });
+
+  // Value stream header over a team column: same column, else nearest to the left within the band
+  const valueStreamHeaderRow = config.valueStreamRow - 1;
+  const findValueStream = (teamCol) => {
+    for (let col = teamCol; col >= 0; col--) {
+      if (col < teamCol && teamCols.includes(col)) break;
+      const text = cellText(valueStreamHeaderRow, col);
+      if (text) return text;
+    }
+    return '';
+  };
 
-  // For each value stream column, scan down for team names
-  valueStreams.forEach(vs => {
-    let row = config.firstTeamRow - 1; // Convert to 0-indexed
-
-    while (row < maxRows) {
-      const teamName = values[row][vs.startCol];
-
-      if (teamName && teamName.toString().trim()) {
-        const teamStr = teamName.toString().trim();
-
-        // Skip header rows
-        if (!teamStr.toLowerCase().includes('allocation') &&
-            !teamStr.toLowerCase().includes('base capacity') &&
-            !teamStr.toLowerCase().includes('mobile') &&
-            !teamStr.toLowerCase().includes('qa') &&
-            !teamStr.toLowerCase().includes('w-dev') &&
-            !teamStr.toLowerCase().includes('m-dev') &&
-            !teamStr.toLowerCase().includes('be') &&
-            !teamStr.toLowerCase().includes('fe') &&
-            !teamStr.toLowerCase().includes('aqa')) {
-
-          teams.push({
-            teamName: teamStr,
-            valueStream: vs.name,
-            startRow: row + 1, // Convert back to 1-indexed for sheet operations
-            startCol: vs.startCol + 1 // Convert back to 1-indexed
-          });
-          console.log(`  Found Team: "${teamStr}" at row ${row + 1}, col ${vs.startCol + 1}`);
+  anchorCells.forEach((cell, index) => {
+    const next = anchorCells[index + 1];
+    const nextTeamCol = teamCols.find(col => col > cell.col);
+
+    const block = {
+      teamName: cell.teamRow >= 0 ? cellText(cell.teamRow, cell.col) : '',
+      valueStream: findValueStream(cell.col)
+    };
+
+    if (!block.teamName) {
+      addIssue('warning', cell.row, cell.col, block,
+        `"${anchors.allocationHeader}" has no team name above it - block skipped`);
+      return;
+    }
+    if (!block.valueStream) {
+      addIssue('warning', cell.teamRow, cell.col, block,
+        `No value stream name in row ${config.valueStreamRow} above team "${block.teamName}" - block skipped`);
+      return;
+    }
+
+    const top = cell.row + 1;
+    const bottom = next && next.col === cell.col ? next.blockStartRow - 1 : maxRows - 1;
+    const right = nextTeamCol !== undefined ? nextTeamCol - 1 : maxCols - 1;
+
+    // Locate a label inside the block (first match, row-major)
+    const findLabel = (label, fromRow, toRow) => {
+      for (let row = fromRow; row <= toRow; row++) {
+        for (let col = cell.col; col <= right; col++) {
+          if (isLabel(row, col, label)) return { row: row, col: col };
         }
       }
+      return null;
+    };
 
-      row += config.teamBlockHeight;
+    const beforeFFHeader = findLabel(anchors.baseCapacityBeforeFF, top, bottom);
+    const afterFFHeader = findLabel(anchors.baseCapacityAfterFF, top, bottom);
+    const firstSectionRow = Math.min(
+      beforeFFHeader ? beforeFFHeader.row : bottom + 1,
+      afterFFHeader ? afterFFHeader.row : bottom + 1
+    );
+
+    // Allocation rows sit between the Allocation Type header and the first base capacity section
+    const allocationRows = {};
+    let labelCol = -1;
+    Object.keys(anchors.allocations).forEach(key => {
+      const found = findLabel(anchors.allocations[key], top, firstSectionRow - 1);
+      allocationRows[key] = found ? found.row + 1 : null;
+      if (found && labelCol === -1) labelCol = found.col;
+      if (!found) {
+        addIssue('error', cell.row, cell.col, block, `Missing "${anchors.allocations[key]}" row`);
+      }
+    });
+    if (labelCol === -1) labelCol = cell.col + 2;
+
+    // Iteration columns from headers on the Allocation Type row, else the standard layout
+    const iterationCols = [];
+    const iterationLabels = [];
+    let totalCol = -1;
+    for (let col = labelCol + 1; col <= right; col++) {
+      const text = cellText(cell.row, col);
+      if (!text) continue;
+      if (anchors.totalHeaders.some(label => normalizeCapacityLabel_(label) === normalizeCapacityLabel_(text))) {
+        totalCol = col;
+        break;
+      }
+      if (config.iterationHeaderPattern.test(text)) {
+        iterationCols.push(col);
+        iterationLabels.push(text);
+      }
+    }
+    if (iterationCols.length === 0) {
+      for (let i = 1; i <= defaultIterationCount; i++) {
+        iterationCols.push(labelCol + i);
+        iterationLabels.push(String(i));
+      }
+      totalCol = labelCol + defaultIterationCount + 1;
+    } else if (totalCol === -1) {
+      totalCol = iterationCols[iterationCols.length - 1] + 1;
     }
+
+    // Role rows follow each base capacity header; the unlabelled row with a total closes the section
+    const readSection = (header, otherHeader, label) => {
+      if (!header) {
+        addIssue('error', cell.row, cell.col, block, `Missing "${label}" section`);
+        return null;
+      }
+      const sectionEnd = otherHeader && otherHeader.row > header.row ? otherHeader.row - 1 : bottom;
+      const section = { headerRow: header.row + 1, roles: [], totalRow: null };
+
+      for (let row = header.row + 1; row <= sectionEnd; row++) {
+        const name = cellText(row, cell.col);
+        if (name && name !== '-') {
+          if (isAnchorText(name)) break;
+          section.roles.push({ name: name, row: row + 1 });
+        } else if (!name && cellText(row, totalCol) !== '') {
+          section.totalRow = row + 1;
+          break;
+        }
+      }
+
+      if (section.totalRow === null) {
+        addIssue('warning', header.row, header.col, block,
+          `"${label}" has no totals row - role totals are summed instead`);
+      }
+      return section;
+    };
+
+    layout.blocks.push(Object.assign(block, {
+      startRow: cell.blockStartRow + 1,
+      startCol: cell.col + 1,
+      endRow: bottom + 1,
+      endCol: right + 1,
+      labelCol: labelCol + 1,
+      allocationRows: allocationRows,
+      iterationCols: iterationCols.map(col => col + 1),
+      iterationLabels: iterationLabels,
+      totalCol: totalCol + 1,
+      beforeFF: readSection(beforeFFHeader, afterFFHeader, anchors.baseCapacityBeforeFF),
+      afterFF: readSection(afterFFHeader, beforeFFHeader, anchors.baseCapacityAfterFF)
+    }));
+  });
+
+  return layout;
+}
+
+/**
+ * Read a numeric capacity cell from a detected layout ('-' and blanks count as 0)
+ * @param {Object} layout - From detectCapacityLayout()
+ * @param {number|null} row - Row (1-indexed)
+ * @param {number|null} col - Column (1-indexed)
+ * @returns {number} Cell value
+ */
+function getCapacityLayoutValue(layout, row, col) {
+  if (!row || !col) return 0;
+  const rowValues = layout.values[row - 1];
+  const value = rowValues ? rowValues[col - 1] : '';
+  if (value === '-' || value === '' || value === null || value === undefined) return 0;
+  return parseFloat(value) || 0;
+}
+
+/**
+ * Total of a base capacity section (its totals row, or the sum of its roles)
+ * @param {Object} layout - From detectCapacityLayout()
+ * @param {Object} block - Team block
+ * @param {Object|null} section - block.beforeFF or block.afterFF
+ * @returns {number} Section total
+ */
+function getCapacitySectionTotal(layout, block, section) {
+  if (!section) return 0;
+  if (section.totalRow) return getCapacityLayoutValue(layout, section.totalRow, block.totalCol);
+  return section.roles.reduce((sum, role) => sum + getCapacityLayoutValue(layout, role.row, block.totalCol), 0);
+}
+
+/**
+ * Find all teams in the consolidated capacity sheet
+ * @param {Sheet} capacitySheet - The capacity planning sheet
+ * @param {Object} layout - Optional layout from detectCapacityLayout(), to avoid re-reading the sheet
+ * @returns {Array} Array of {teamName, valueStream, startRow, startCol}
+ */
+function findAllTeamsInCapacitySheet(capacitySheet, layout = null) {
+  layout = layout || detectCapacityLayout(capacitySheet);
+
+  console.log(`Scanning capacity sheet "${layout.sheetName}": ${layout.values.length} rows`);
+
+  const teams = layout.blocks.map(block => {
+    console.log(`  Found Team: "${block.teamName}" in ${block.valueStream} at row ${block.startRow}, col ${block.startCol}`);
+    return {
+      teamName: block.teamName,
+      valueStream: block.valueStream,
+      startRow: block.startRow,
+      startCol: block.startCol
+    };
   });
 
   console.log(`Total teams found: ${teams.length}`);
   return teams;
 }
 
+/**
+ * Get every name a value stream may have in the capacity sheet header row
+ * Uses the alternateNames in VALUE_STREAM_CONFIG, in both directions
+ * @param {string} valueStream - Value stream name (JIRA or capacity sheet spelling)
+ * @returns {Array} Uppercase names to match against the sheet
+ */
+function getCapacityValueStreamNames(valueStream) {
+  if (!valueStream) return [];
+
+  const names = [valueStream.toUpperCase()];
+  const search = valueStream.toUpperCase();
+
+  Object.keys(VALUE_STREAM_CONFIG).forEach(configName => {
+    const alternates = (VALUE_STREAM_CONFIG[configName].alternateNames || []).map(n => n.toUpperCase());
+    const allNames = [configName.toUpperCase(), ...alternates];
+
+    if (allNames.includes(search)) {
+      allNames.forEach(name => {
+        if (!names.includes(name)) names.push(name);
+      });
+    }
+  });
+
+  return names;
+}
+
 /**
  * Find a specific team in the capacity sheet
  * @param {Sheet} capacitySheet - The capacity planning sheet
  * @param {string} teamName - Team name to find
  * @param {string} valueStream - Optional value stream to filter by
- * @returns {Object|null} {teamName, valueStream, startRow, startCol} or null if not found
+ * @param {Object} layout - Optional layout from detectCapacityLayout(), to avoid re-reading the sheet
+ * @returns {Object|null} Team block from detectCapacityLayout() ({teamName, valueStream, startRow, startCol, ...}) or null if not found
  */
-function findTeamInCapacitySheet(capacitySheet, teamName, valueStream = null) {
-  const teams = findAllTeamsInCapacitySheet(capacitySheet);
+function findTeamInCapacitySheet(capacitySheet, teamName, valueStream = null, layout = null) {
+  const teams = (layout || detectCapacityLayout(capacitySheet)).blocks;
 
   // Normalize team name for comparison
   const normalizeTeamName = (name) => {
@@ -201,11 +463,15 @@ function findTeamInCapacitySheet(capacitySheet, teamName, valueStream = null) {
 
   const normalizedSearch = normalizeTeamName(teamName);
 
+  // The capacity sheet may use an alternate value stream name (e.g. "RCM" for "RCM Genie")
+  const valueStreamNames = getCapacityValueStreamNames(valueStream);
+  const inValueStream = (t) => valueStreamNames.some(name => t.valueStream.toUpperCase().includes(name));
+
   // First try exact match (case-insensitive)
   let match = teams.find(t => {
     const matches = normalizeTeamName(t.teamName) === normalizedSearch;
     if (valueStream && matches) {
-      return t.valueStream.toUpperCase().includes(valueStream.toUpperCase());
+      return inValueStream(t);
     }
     return matches;
   });
@@ -217,7 +483,7 @@ function findTeamInCapacitySheet(capacitySheet, teamName, valueStream = null) {
       const partialMatch = normalizedTeam.includes(normalizedSearch) ||
                           normalizedSearch.includes(normalizedTeam);
       if (valueStream && partialMatch) {
-        return t.valueStream.toUpperCase().includes(valueStream.toUpperCase());
+        return inValueStream(t);
       }
       return partialMatch;
     });
@@ -241,7 +507,6 @@ function findTeamInCapacitySheet(capacitySheet, teamName, valueStream = null) {
  */
 function getCapacityDataForTeamConsolidated(spreadsheet, teamName, valueStream = null) {
   try {
-    const config = CAPACITY_FORMAT_CONFIG;
     const capacitySheet = findCapacityPlanningSheet(spreadsheet);
 
     if (!capacitySheet) {
@@ -249,52 +514,41 @@ function getCapacityDataForTeamConsolidated(spreadsheet, teamName, valueStream =
       return null;
     }
 
-    const teamLocation = findTeamInCapacitySheet(capacitySheet, teamName, valueStream);
-    if (!teamLocation) {
+    const layout = detectCapacityLayout(capacitySheet);
+    const block = findTeamInCapacitySheet(capacitySheet, teamName, valueStream, layout);
+    if (!block) {
       return null;
     }
 
-    const startRow = teamLocation.startRow;
-    const startCol = teamLocation.startCol;
-    const relRows = config.relativeRows;
-    const relCols = config.relativeColumns;
-
-    // Helper function to get cell value
-    const getCellValue = (rowOffset, colOffset) => {
-      const cell = capacitySheet.getRange(startRow + rowOffset, startCol + colOffset);
-      const value = cell.getValue();
-      // Handle '-' or empty as 0
-      if (value === '-' || value === '' || value === null) return 0;
-      return parseFloat(value) || 0;
-    };
+    const rows = block.allocationRows;
+    const getCellValue = (row, col) => getCapacityLayoutValue(layout, row, col);
 
     // Read allocation data (totals column)
     const allocations = {
-      klo: getCellValue(relRows.klo, relCols.total),
-      quality: getCellValue(relRows.quality, relCols.total),
-      techPlatform: getCellValue(relRows.techPlatform, relCols.total),
-      productFeature: getCellValue(relRows.productFeature, relCols.total),
-      productCompliance: getCellValue(relRows.productCompliance, relCols.total),
-      unplannedWork: getCellValue(relRows.unplannedWork, relCols.total)
+      klo: getCellValue(rows.klo, block.totalCol),
+      quality: getCellValue(rows.quality, block.totalCol),
+      techPlatform: getCellValue(rows.techPlatform, block.totalCol),
+      productFeature: getCellValue(rows.productFeature, block.totalCol),
+      productCompliance: getCellValue(rows.productCompliance, block.totalCol),
+      unplannedWork: getCellValue(rows.unplannedWork, block.totalCol)
     };
 
     // Read iteration-level data
     const iterationData = {};
-    for (let iter = 1; iter <= 6; iter++) {
-      const colOffset = relCols.iteration1 + (iter - 1);
-      iterationData[iter] = {
-        klo: getCellValue(relRows.klo, colOffset),
-        quality: getCellValue(relRows.quality, colOffset),
-        techPlatform: getCellValue(relRows.techPlatform, colOffset),
-        productFeature: getCellValue(relRows.productFeature, colOffset),
-        productCompliance: getCellValue(relRows.productCompliance, colOffset),
-        unplannedWork: getCellValue(relRows.unplannedWork, colOffset)
+    block.iterationCols.forEach((col, index) => {
+      iterationData[index + 1] = {
+        klo: getCellValue(rows.klo, col),
+        quality: getCellValue(rows.quality, col),
+        techPlatform: getCellValue(rows.techPlatform, col),
+        productFeature: getCellValue(rows.productFeature, col),
+        productCompliance: getCellValue(rows.productCompliance, col),
+        unplannedWork: getCellValue(rows.unplannedWork, col)
       };
-    }
+    });
 
     // Read base capacity totals
-    const baseCapacityBeforeFF = getCellValue(relRows.baseCapacityBeforeFFTotal, relCols.total);
-    const baseCapacityAfterFF = getCellValue(relRows.baseCapacityAfterFFTotal, relCols.total);
+    const baseCapacityBeforeFF = getCapacitySectionTotal(layout, block, block.beforeFF);
+    const baseCapacityAfterFF = getCapacitySectionTotal(layout, block, block.afterFF);
 
     // Calculate totals
     const totalAllocation = allocations.klo + allocations.quality + allocations.techPlatform +
@@ -304,14 +558,15 @@ function getCapacityDataForTeamConsolidated(spreadsheet, teamName, valueStream =
     const productCapacity = allocations.productFeature + allocations.productCompliance;
 
     const capacityData = {
-      teamName: teamLocation.teamName,
-      valueStream: teamLocation.valueStream,
+      teamName: block.teamName,
+      valueStream: block.valueStream,
 
       // Allocation breakdown
       allocations: allocations,
 
       // Iteration-level data
       byIteration: iterationData,
+      iterationCount: block.iterationCols.length,
 
       // Summary totals
       total: totalAllocation,
@@ -345,7 +600,6 @@ function getCapacityDataForTeamConsolidated(spreadsheet, teamName, valueStream =
  */
 function getCapacityDataDynamicConsolidated(spreadsheet, issues, valueStream) {
   try {
-    const config = CAPACITY_FORMAT_CONFIG;
     const capacitySheet = findCapacityPlanningSheet(spreadsheet);
 
     if (!capacitySheet) {
@@ -453,7 +707,7 @@ function getCapacityDataDynamicConsolidated(spreadsheet, issues, valueStream) {
  * Get iteration-level capacity data for a team
  * @param {Spreadsheet} spreadsheet - The spreadsheet object
  * @param {string} teamName - Team name
- * @param {number} iteration - Iteration number (1-6)
+ * @param {number} iteration - Iteration number (1 to the PI's iteration count)
  * @param {string} valueStream - Optional value stream filter
  * @returns {Object|null} Iteration capacity data
  */
@@ -545,12 +799,77 @@ function getCapacityForTeamAuto(spreadsheet, teamName) {
 
 // ===== DIAGNOSTIC FUNCTIONS =====
 
+/**
+ * Check the consolidated capacity sheet against the anchor labels the reader relies on
+ * @param {Sheet} capacitySheet - The capacity planning sheet
+ * @returns {Object} {sheetName, valid, teamCount, valueStreams: {VS: [teams]},
+ *                   issues: [{severity, cell, valueStream, teamName, message}]}
+ *                   valid is false when any issue has severity 'error'
+ */
+function validateCapacitySheetStructure(capacitySheet) {
+  const layout = detectCapacityLayout(capacitySheet);
+  const issues = layout.issues.slice();
+
+  const valueStreams = {};
+  layout.blocks.forEach(block => {
+    if (!valueStreams[block.valueStream]) valueStreams[block.valueStream] = [];
+
+    if (valueStreams[block.valueStream].includes(block.teamName)) {
+      issues.push({
+        severity: 'warning',
+        cell: capacityCellA1_(block.startRow, block.startCol),
+        valueStream: block.valueStream,
+        teamName: block.teamName,
+        message: `Team "${block.teamName}" appears more than once in ${block.valueStream} - only the first block is read`
+      });
+    } else {
+      valueStreams[block.valueStream].push(block.teamName);
+    }
+  });
+
+  // Every block in one PI should plan the same number of iterations
+  const iterationCounts = layout.blocks.map(block => block.iterationCols.length);
+  const usualCount = iterationCounts.slice().sort((a, b) =>
+    iterationCounts.filter(n => n === b).length - iterationCounts.filter(n => n === a).length)[0];
+  layout.blocks.forEach(block => {
+    if (block.iterationCols.length !== usualCount) {
+      issues.push({
+        severity: 'warning',
+        cell: capacityCellA1_(block.startRow, block.startCol),
+        valueStream: block.valueStream,
+        teamName: block.teamName,
+        message: `${block.iterationCols.length} iteration columns (most teams have ${usualCount})`
+      });
+    }
+  });
+
+  if (layout.blocks.length === 0) {
+    issues.push({
+      severity: 'error',
+      cell: 'A1',
+      valueStream: '',
+      teamName: '',
+      message: `No team blocks found - expected a team name above each "${CAPACITY_FORMAT_CONFIG.anchorLabels.allocationHeader}" cell`
+    });
+  }
+
+  return {
+    sheetName: layout.sheetName,
+    valid: !issues.some(issue => issue.severity === 'error'),
+    teamCount: layout.blocks.length,
+    valueStreams: valueStreams,
+    issues: issues
+  };
+}
+
 /**
  * Test function to validate the capacity sheet structure
+ * @returns {Object|null} Report from validateCapacitySheetStructure(), or null if there is no capacity sheet
  */
 function testCapacitySheetStructure() {
   const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
   const config = CAPACITY_FORMAT_CONFIG;
+  let report = null;
 
   console.log('\n========================================');
   console.log('CAPACITY SHEET STRUCTURE TEST');
@@ -561,27 +880,32 @@ function testCapacitySheetStructure() {
   if (consolidatedSheet) {
     console.log(`✓ Found consolidated capacity sheet: "${consolidatedSheet.getName()}"`);
 
-    const teams = findAllTeamsInCapacitySheet(consolidatedSheet);
-    console.log(`\nTeams found: ${teams.length}`);
-
-    // Group by value stream
-    const byVS = {};
-    teams.forEach(t => {
-      if (!byVS[t.valueStream]) byVS[t.valueStream] = [];
-      byVS[t.valueStream].push(t.teamName);
-    });
+    report = validateCapacitySheetStructure(consolidatedSheet);
+    console.log(`\nTeams found: ${report.teamCount}`);
 
-    Object.keys(byVS).forEach(vs => {
+    Object.keys(report.valueStreams).forEach(vs => {
       console.log(`\n${vs}:`);
-      byVS[vs].forEach(team => console.log(`  - ${team}`));
+      report.valueStreams[vs].forEach(team => console.log(`  - ${team}`));
     });
 
+    if (report.issues.length > 0) {
+      console.log(`\nStructure issues (${report.issues.length}):`);
+      report.issues.forEach(issue => {
+        console.log(`  ${issue.severity === 'error' ? '✗' : '⚠'} ${issue.cell} ${issue.teamName ? `[${issue.teamName}] ` : ''}${issue.message}`);
+      });
+    } else {
+      console.log('\n✓ All team blocks have the expected labels');
+    }
+
     // Test reading data for first team
-    if (teams.length > 0) {
-      console.log(`\n\nTesting data read for first team: "${teams[0].teamName}"`);
-      const teamData = getCapacityDataForTeamConsolidated(spreadsheet, teams[0].teamName);
+    const firstVS = Object.keys(report.valueStreams)[0];
+    if (firstVS) {
+      const firstTeam = report.valueStreams[firstVS][0];
+      console.log(`\n\nTesting data read for first team: "${firstTeam}"`);
+      const teamData = getCapacityDataForTeamConsolidated(spreadsheet, firstTeam, firstVS);
       if (teamData) {
         console.log('✓ Successfully read team data');
+        console.log(`  Iterations: ${teamData.iterationCount}`);
         console.log(`  Total capacity: ${teamData.total}`);
         console.log(`  Product capacity: ${teamData.productCapacity}`);
         console.log(`  Base capacity before FF: ${teamData.baseCapacityBeforeFF}`);
@@ -591,7 +915,7 @@ function testCapacitySheetStructure() {
     }
   } else {
     console.log(`✗ No consolidated capacity sheet found`);
-    console.log(`  Tried: "${config.sheetName}" and alternatives: ${config.alternativeSheetNames.join(', ')}`);
+    console.log(`  Tried: "${config.sheetNamePattern}" and alternatives: ${config.alternativeSheetNames.join(', ')}`);
   }
 
   // Check for legacy format
@@ -603,12 +927,53 @@ function testCapacitySheetStructure() {
   console.log('\n========================================');
   console.log('END CAPACITY SHEET STRUCTURE TEST');
   console.log('========================================\n');
+
+  return report;
 }
 
 /**
- * Menu function to run the capacity test
+ * Menu function to run the capacity test and show the validation report
  */
 function menuTestCapacityStructure() {
-  testCapacitySheetStructure();
-  SpreadsheetApp.getUi().alert('Capacity structure test complete. Check the logs (View > Logs) for details.');
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const report = testCapacitySheetStructure();
+
+    if (!report) {
+      ui.alert('Capacity Template Check',
+        'No consolidated capacity sheet found.\n\n' +
+        `Expected a tab named like "${CAPACITY_FORMAT_CONFIG.sheetNamePattern.replace('{PI_NUMBER}', '14')}" ` +
+        `or one of: ${CAPACITY_FORMAT_CONFIG.alternativeSheetNames.join(', ')}.`,
+        ui.ButtonSet.OK);
+      return;
+    }
+
+    const errors = report.issues.filter(issue => issue.severity === 'error').length;
+    const warnings = report.issues.length - errors;
+    const maxListed = 15;
+
+    let message = `Sheet: ${report.sheetName}\n`;
+    message += `Teams found: ${report.teamCount} in ${Object.keys(report.valueStreams).length} value stream(s)\n\n`;
+
+    if (report.issues.length === 0) {
+      message += '✓ Every team block has the expected labels.';
+    } else {
+      message += `${errors} error(s), ${warnings} warning(s):\n\n`;
+      report.issues.slice(0, maxListed).forEach(issue => {
+        message += `${issue.severity === 'error' ? '✗' : '⚠'} ${issue.cell} `;
+        message += issue.teamName ? `${issue.teamName}: ` : '';
+        message += `${issue.message}\n`;
+      });
+      if (report.issues.length > maxListed) {
+        message += `\n...and ${report.issues.length - maxListed} more (see the logs).`;
+      }
+    }
+
+    ui.alert(report.valid ? 'Capacity Template Check' : 'Capacity Template Check - Problems Found', message, ui.ButtonSet.OK);
+
+  } catch (error) {
+    console.error('Error checking capacity structure:', error);
+    ui.alert('Error', `Failed to check capacity sheet: ${error.message}`, ui.ButtonSet.OK);
+  }
 }
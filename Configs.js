@@ -250,6 +250,8 @@ const JIRA_CONFIG = {
 };
 
 // ===== FIELD MAPPINGS =====
+// Defaults for the modmedrnd JIRA site. Resolved per site by FieldMapping.gs;
+// read fields through getFieldId()/getJqlField() rather than these IDs directly.
 const FIELD_MAPPINGS = {
   summary: 'summary',
   status: 'status',
@@ -343,20 +345,20 @@ function buildEpicJQL(programIncrement, displayValueStream) {
 
   if (!config) {
     console.warn(`Unknown value stream: ${displayValueStream}, using default query`);
-    return `issuetype = Epic AND cf[10113] = "${programIncrement}" AND cf[10046] = "${displayValueStream}" AND status != "Closed"`;
+    return `issuetype = Epic AND ${getJqlField('programIncrement')} = "${programIncrement}" AND ${getJqlField('valueStream')} = "${displayValueStream}" AND status != "Closed"`;
   }
 
   // Base query - no project restriction, searches across all projects
-  let jql = `issuetype = Epic AND cf[10113] = "${programIncrement}" AND status != "Closed"`;
+  let jql = `issuetype = Epic AND ${getJqlField('programIncrement')} = "${programIncrement}" AND status != "Closed"`;
 
   if (displayValueStream === 'AIMM') {
     // Special handling for AIMM - must match specific value streams AND scrum team
     const validValueStreams = config.filter.valueStreams || ['EMA Clinical', 'EMA RAC', 'MMPM'];
-    jql += ` AND cf[10046] in ("${validValueStreams.join('","')}")`;
-    jql += ` AND cf[10040] = "${config.filter.scrumTeam}"`;
+    jql += ` AND ${getJqlField('valueStream')} in ("${validValueStreams.join('","')}")`;
+    jql += ` AND ${getJqlField('scrumTeam')} = "${config.filter.scrumTeam}"`;
   } else {
     // For other value streams, just filter by the value stream name
-    jql += ` AND cf[10046] = "${displayValueStream}"`;
+    jql += ` AND ${getJqlField('valueStream')} = "${displayValueStream}"`;
   }
 
   console.log(`JQL for ${displayValueStream}: ${jql}`);
@@ -578,7 +580,7 @@ function validateTeamRegistry(programIncrement, valueStream) {
   console.log(`Teams in registry: ${registryTeams.length}`);
 
   // Fetch a sample from JIRA to see what teams actually exist
-  const jql = `cf[10113] = "${programIncrement}" AND cf[10046] = "${valueStream}"`;
+  const jql = `${getJqlField('programIncrement')} = "${programIncrement}" AND ${getJqlField('valueStream')} = "${valueStream}"`;
   console.log(`Testing with JQL: ${jql}`);
 
   try {
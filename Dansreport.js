@@ -10,6 +10,7 @@
  * 2. User chooses whether to refresh PI data first (optional)
  *    - If Yes: Calls analyzeSelectedValueStreams(['EMA Clinical']) to refresh all clinical team data
  *    - If No: Uses existing PI data and generates report immediately
+ *    A trigger passes both answers as run context options instead (see RunContext.gs)
  * 3. Report is generated with combined table showing both perspectives
  * 
  * Data Sources:
@@ -162,25 +163,24 @@ const ROLE_NORMALIZATION_DANS = {
 /**
  * Main entry point to create or update DAN's Report
  * Can be called from menu or directly
+ * @param {Object} [context] - Run context (see RunContext.gs); options piNumber and refreshPIData
+ *                             skip the questions, a headless context must supply piNumber
  */
-function generateDansReport() {
-  const ui = SpreadsheetApp.getUi();
-  
+function generateDansReport(context) {
+  context = resolveRunContext(context);
+
   try {
-    // Prompt for PI number
-    const piResponse = ui.prompt(
+    const piNumber = context.ask('piNumber',
       'DAN\'s Report - PI Selection',
-      'Enter PI number (e.g., 11, 12, 13):',
-      ui.ButtonSet.OK_CANCEL
+      'Enter PI number (e.g., 11, 12, 13):'
     );
-    
-    if (piResponse.getSelectedButton() !== ui.Button.OK) {
+
+    if (piNumber === null) {
       return; // User cancelled
     }
-    
-    const piNumber = piResponse.getResponseText().trim();
+
     if (!piNumber || !/^\d+$/.test(piNumber)) {
-      ui.alert('Invalid PI format. Please use a number like "11", "12", or "13"');
+      context.fail('Invalid PI format. Please use a number like "11", "12", or "13"');
       return;
     }
     
@@ -188,100 +188,108 @@ function generateDansReport() {
     const programIncrement = `PI ${piNumber}`;
     
     // Ask if user wants to refresh PI data first
-    const refreshResponse = ui.alert(
-      'Refresh PI Data?',
+    const refresh = context.choose('refreshPIData',
       `Do you want to refresh the data for ${programIncrement} before generating the report?\n\n` +
       `This will re-analyze ${programIncrement} for the EMA Clinical value stream (includes all clinical scrum teams).\n\n` +
-      `Choose "Yes" to refresh data (takes longer) or "No" to use existing data.`,
-      ui.ButtonSet.YES_NO
+      `Choose "Yes" to refresh data (takes longer) or "No" to use existing data.`
     );
     
-    if (refreshResponse === ui.Button.YES) {
+    if (refresh) {
       try {
         // Call the analysis function directly with EMA Clinical value stream
-        // This will fetch all clinical team data and show its own progress dialogs
+        // This will fetch all clinical team data and report progress through the run context
         console.log(`Calling analyzeSelectedValueStreams for ${programIncrement} with EMA Clinical value stream`);
         
         // Check if the function exists
         if (typeof analyzeSelectedValueStreams === 'function') {
           // Call with EMA Clinical value stream (which includes all clinical teams)
-          // This function will handle its own UI alerts and progress indicators
-          analyzeSelectedValueStreams(piNumber, ['EMA Clinical']);
+          analyzeSelectedValueStreams(piNumber, ['EMA Clinical'], context);
           
-          ui.alert(
+          context.notify(
             'Data Refresh Complete',
             `${programIncrement} data has been refreshed for EMA Clinical value stream.\n\n` +
-            `Now generating DAN's Report...`,
-            ui.ButtonSet.OK
+            `Now generating DAN's Report...`
           );
         } else {
-          ui.alert(
+          context.notify(
             'Function Not Found',
             `The analyzeSelectedValueStreams function is not available.\n\n` +
-            `Proceeding with existing data...`,
-            ui.ButtonSet.OK
+            `Proceeding with existing data...`
           );
         }
       } catch (error) {
         console.error('Error refreshing PI data:', error);
-        ui.alert(
+        context.notify(
           'Refresh Error',
           `Error refreshing data: ${error.toString()}\n\n` +
-          `Proceeding with existing data...`,
-          ui.ButtonSet.OK
+          `Proceeding with existing data...`
         );
       }
     }
     
-    // Check if PI data sheet exists
-    const piSheetName = programIncrement;
-    const piSheet = spreadsheet.getSheetByName(piSheetName);
-    
-    if (!piSheet) {
-      ui.alert('No PI Data Found', 
-               `Sheet "${piSheetName}" not found. Please run the PI analysis first.`,
-               ui.ButtonSet.OK);
+    if (!writeDansReport(spreadsheet, piNumber)) {
+      context.fail('No PI Data Found',
+                   `Sheet "${programIncrement}" not found. Please run the PI analysis first.`);
       return;
     }
     
-    // Create or get the report sheet
-    let reportSheet = spreadsheet.getSheetByName(DANS_REPORT_CONFIG.reportSheetName);
-    if (!reportSheet) {
-      reportSheet = spreadsheet.insertSheet(DANS_REPORT_CONFIG.reportSheetName);
-    }
-    
-    // Clear existing content
-    reportSheet.clear();
-    
-    // Get capacity data for ENTIRE PI (rows 36-47) from Clinical: Capacity Planning
-    console.log('Reading Entire PI capacity data (rows 36-47)...');
-    const capacityDataEntirePI = getClinicalCapacityData(spreadsheet, 36, 47);
-    
-    // Get capacity data for CODE FREEZE (rows 4-15) from Clinical: Capacity Planning
-    console.log('Reading Code Freeze capacity data (rows 4-15)...');
-    const capacityDataCodeFreeze = getClinicalCapacityData(spreadsheet, 4, 15);
-    
-    // Get PI data for capacity used calculations
-    const piData = getPIDataForCapacityUsed(spreadsheet, piSheet);
-    
-    // Generate the report with both tables and blank fix version table
-    createCapacityUtilizationReport(reportSheet, capacityDataEntirePI, capacityDataCodeFreeze, piData, programIncrement, piSheet, piNumber);
-    
-    // Format the sheet
-    formatDansReportSheet(reportSheet);
-    
-    ui.alert('Success!', 
-             `DAN's Report has been generated successfully for ${programIncrement}.`, 
-             ui.ButtonSet.OK);
+    context.notify('Success!',
+                   `DAN's Report has been generated successfully for ${programIncrement}.`);
     
   } catch (error) {
     console.error('Error generating DAN\'s Report:', error);
-    ui.alert('Error', 
-             `Failed to generate DAN's Report:\n${error.toString()}`, 
-             ui.ButtonSet.OK);
+    if (!context.isInteractive()) throw error;
+    context.notify('Error',
+                   `Failed to generate DAN's Report:\n${error.toString()}`);
   }
 }
 
+/**
+ * Create or update DAN's Report from the existing PI data, without prompting
+ * @param {Spreadsheet} spreadsheet - The spreadsheet object
+ * @param {string} piNumber - The PI number
+ * @return {boolean} False when there is no PI sheet to report on
+ */
+function writeDansReport(spreadsheet, piNumber) {
+  const programIncrement = `PI ${piNumber}`;
+  
+  // Check if PI data sheet exists
+  const piSheetName = programIncrement;
+  const piSheet = spreadsheet.getSheetByName(piSheetName);
+  
+  if (!piSheet) {
+    return false;
+  }
+  
+  // Create or get the report sheet
+  let reportSheet = spreadsheet.getSheetByName(DANS_REPORT_CONFIG.reportSheetName);
+  if (!reportSheet) {
+    reportSheet = spreadsheet.insertSheet(DANS_REPORT_CONFIG.reportSheetName);
+  }
+  
+  // Clear existing content
+  reportSheet.clear();
+  
+  // Get capacity data for ENTIRE PI (rows 36-47) from Clinical: Capacity Planning
+  console.log('Reading Entire PI capacity data (rows 36-47)...');
+  const capacityDataEntirePI = getClinicalCapacityData(spreadsheet, 36, 47);
+  
+  // Get capacity data for CODE FREEZE (rows 4-15) from Clinical: Capacity Planning
+  console.log('Reading Code Freeze capacity data (rows 4-15)...');
+  const capacityDataCodeFreeze = getClinicalCapacityData(spreadsheet, 4, 15);
+  
+  // Get PI data for capacity used calculations
+  const piData = getPIDataForCapacityUsed(spreadsheet, piSheet);
+  
+  // Generate the report with both tables and blank fix version table
+  createCapacityUtilizationReport(reportSheet, capacityDataEntirePI, capacityDataCodeFreeze, piData, programIncrement, piSheet, piNumber);
+  
+  // Format the sheet
+  formatDansReportSheet(reportSheet);
+  
+  return true;
+}
+
 // ===== DATA COLLECTION FUNCTIONS =====
 
 /**
@@ -1326,202 +1334,91 @@ function detectRoleFromTicketDans(labels, summary) {
  * 
  * Returns aggregated role capacity across all clinical teams:
  * - entirePI: Before FF + After FF totals per role
- * - codeFreeze: Before FF totals only per role (iterations 1-5)
+ * - codeFreeze: Before FF capacity per role in the iterations before the PI's
+ *   feature freeze (iterations 1-5 unless the PI Iterations sheet says otherwise)
  * 
  * @param {Spreadsheet} spreadsheet - The spreadsheet object
  * @param {string} piNumber - The PI number (e.g., "14")
- * @return {Object} { entirePI: { ROLE: capacity, ... }, codeFreeze: { ROLE: capacity, ... }, teamRoles: { TEAM: { ROLE: { beforeFF, afterFF, entirePI }, ... }, ... } }
+ * @return {Object} { entirePI: { ROLE: capacity, ... }, codeFreeze: { ROLE: capacity, ... }, teamRoles: { TEAM: { ROLE: { beforeFF, afterFF, entirePI, codeFreeze }, ... }, ... }, featureFreezeIteration }
  */
 function getRoleCapacityData(spreadsheet, piNumber) {
   const capacitySheetName = `PI${piNumber} - Capacity`;
   const capacitySheet = spreadsheet.getSheetByName(capacitySheetName);
+  const featureFreezeIteration = getPIIterationConfig(piNumber).featureFreezeIteration;
   
   if (!capacitySheet) {
     console.warn(`Role capacity sheet "${capacitySheetName}" not found`);
-    return { entirePI: {}, codeFreeze: {}, teamRoles: {} };
+    return { entirePI: {}, codeFreeze: {}, teamRoles: {}, featureFreezeIteration: featureFreezeIteration };
   }
   
   console.log(`\n=== Reading Role Capacity Data from "${capacitySheetName}" ===`);
   
-  const dataRange = capacitySheet.getDataRange();
-  const values = dataRange.getValues();
-  const maxRows = values.length;
-  const maxCols = values[0] ? values[0].length : 0;
-  
-  // Find the EMA Clinical column by scanning row 1 for "EMA Clinical"
-  let clinicalCol = -1;
-  for (let col = 0; col < maxCols; col++) {
-    const headerVal = values[0][col];
-    if (headerVal && headerVal.toString().trim().toLowerCase().includes('ema clinical')) {
-      clinicalCol = col;
-      break;
-    }
-  }
+  // Team blocks are located by their anchor labels (see detectCapacityLayout in Capacityreader.js)
+  const layout = detectCapacityLayout(capacitySheet);
+  const clinicalBlocks = layout.blocks.filter(block => block.valueStream.toLowerCase().includes('ema clinical'));
   
-  if (clinicalCol === -1) {
+  if (clinicalBlocks.length === 0) {
     console.warn('EMA Clinical section not found in capacity sheet row 1');
-    return { entirePI: {}, codeFreeze: {}, teamRoles: {} };
+    return { entirePI: {}, codeFreeze: {}, teamRoles: {}, featureFreezeIteration: featureFreezeIteration };
   }
   
-  console.log(`Found EMA Clinical at column ${clinicalCol + 1} (${String.fromCharCode(65 + (clinicalCol % 26))})`);
-  
-  // The Total column is at offset +9 from the team column
-  const totalColOffset = 9;
-  
   // Aggregated role capacity across all teams
   const entirePIRoles = {};
   const codeFreezeRoles = {};
   const teamRoles = {};
   
-  // Scan for team blocks - team name is in the clinical column, followed by structured data
-  let row = 2; // Start after header row
-  while (row < maxRows) {
-    const cellValue = values[row][clinicalCol];
+  clinicalBlocks.forEach(block => {
+    const teamName = block.teamName.toUpperCase();
     
-    // Skip empty rows and known non-team markers
-    if (!cellValue || cellValue.toString().trim() === '' || cellValue.toString().trim() === '-') {
-      row++;
-      continue;
-    }
+    // Check if this is a clinical team we care about
+    const isClinicalTeam = DANS_REPORT_CONFIG.clinicalTeams.some(
+      t => t === teamName || t === teamName.replace(/\s+/g, ' ')
+    );
+    if (!isClinicalTeam) return;
     
-    const cellStr = cellValue.toString().trim();
-    
-    // Skip known structural markers
-    if (cellStr.toLowerCase().includes('allocation type') ||
-        cellStr.toLowerCase().includes('base capacity') ||
-        cellStr.toLowerCase().includes('klo') ||
-        cellStr.toLowerCase().includes('quality') ||
-        cellStr.toLowerCase().includes('tech') ||
-        cellStr.toLowerCase().includes('product') ||
-        cellStr.toLowerCase().includes('unplanned')) {
-      row++;
-      continue;
-    }
+    console.log(`Processing clinical team: ${teamName} at row ${block.startRow}`);
+    teamRoles[teamName] = {};
     
-    // Check if next row is "Allocation Type" - confirms this is a team name
-    if (row + 1 < maxRows) {
-      const nextRowVal = values[row + 1][clinicalCol];
-      if (nextRowVal && nextRowVal.toString().trim() === 'Allocation Type') {
-        const teamName = cellStr.toUpperCase();
-        
-        // Check if this is a clinical team we care about
-        const isClinicalTeam = DANS_REPORT_CONFIG.clinicalTeams.some(
-          t => t === teamName || t === cellStr.toUpperCase().replace(/\s+/g, ' ')
-        );
-        
-        if (!isClinicalTeam) {
-          // Not a clinical team, skip this block
-          row += 25; // Jump past this team block
-          continue;
-        }
-        
-        console.log(`Processing clinical team: ${teamName} at row ${row + 1}`);
-        teamRoles[teamName] = {};
-        
-        // Find "Base Capacity before FF" within the next 12 rows
-        let beforeFFRow = -1;
-        for (let offset = 8; offset <= 12; offset++) {
-          if (row + offset < maxRows) {
-            const checkVal = values[row + offset][clinicalCol];
-            if (checkVal && checkVal.toString().toLowerCase().includes('before ff')) {
-              beforeFFRow = row + offset;
-              break;
-            }
-          }
-        }
-        
-        // Find "Base Capacity after FF" within the next 20 rows
-        let afterFFRow = -1;
-        for (let offset = 16; offset <= 20; offset++) {
-          if (row + offset < maxRows) {
-            const checkVal = values[row + offset][clinicalCol];
-            if (checkVal && checkVal.toString().toLowerCase().includes('after ff')) {
-              afterFFRow = row + offset;
-              break;
-            }
-          }
-        }
+    const readRoles = (section, field) => {
+      if (!section) return;
+      
+      section.roles.forEach(role => {
+        const roleKey = role.name.toUpperCase();
+        const normalizedRole = ROLE_NORMALIZATION_DANS[roleKey] || roleKey;
         
-        // Read Before FF roles (rows after beforeFFRow header)
-        if (beforeFFRow > 0) {
-          for (let rOffset = 1; rOffset <= 6; rOffset++) {
-            const roleRow = beforeFFRow + rOffset;
-            if (roleRow >= maxRows) break;
-            
-            const roleName = values[roleRow][clinicalCol];
-            if (!roleName || roleName.toString().trim() === '' || roleName.toString().trim() === '-') continue;
-            
-            // Stop if we hit a subtotal row (no role name, just numbers)
-            const roleStr = roleName.toString().trim();
-            if (roleStr.toLowerCase().includes('base capacity')) break;
-            
-            const roleKey = roleStr.toUpperCase();
-            const normalizedRole = ROLE_NORMALIZATION_DANS[roleKey] || roleKey;
-            
-            // Get the total value (at totalColOffset from clinicalCol)
-            const totalVal = values[roleRow][clinicalCol + totalColOffset];
-            let beforeFFTotal = 0;
-            if (totalVal && totalVal !== '-' && totalVal !== '') {
-              beforeFFTotal = parseFloat(totalVal) || 0;
-            }
-            
-            if (!teamRoles[teamName][normalizedRole]) {
-              teamRoles[teamName][normalizedRole] = { beforeFF: 0, afterFF: 0, entirePI: 0 };
-            }
-            teamRoles[teamName][normalizedRole].beforeFF = Math.ceil(beforeFFTotal);
-          }
+        if (!teamRoles[teamName][normalizedRole]) {
+          teamRoles[teamName][normalizedRole] = { beforeFF: 0, afterFF: 0, entirePI: 0, codeFreeze: 0 };
         }
+        teamRoles[teamName][normalizedRole][field] = Math.ceil(getCapacityLayoutValue(layout, role.row, block.totalCol));
         
-        // Read After FF roles (rows after afterFFRow header)
-        if (afterFFRow > 0) {
-          for (let rOffset = 1; rOffset <= 6; rOffset++) {
-            const roleRow = afterFFRow + rOffset;
-            if (roleRow >= maxRows) break;
-            
-            const roleName = values[roleRow][clinicalCol];
-            if (!roleName || roleName.toString().trim() === '' || roleName.toString().trim() === '-') continue;
-            
-            const roleStr = roleName.toString().trim();
-            if (roleStr.toLowerCase().includes('base capacity')) break;
-            
-            const roleKey = roleStr.toUpperCase();
-            const normalizedRole = ROLE_NORMALIZATION_DANS[roleKey] || roleKey;
-            
-            const totalVal = values[roleRow][clinicalCol + totalColOffset];
-            let afterFFTotal = 0;
-            if (totalVal && totalVal !== '-' && totalVal !== '') {
-              afterFFTotal = parseFloat(totalVal) || 0;
-            }
-            
-            if (!teamRoles[teamName][normalizedRole]) {
-              teamRoles[teamName][normalizedRole] = { beforeFF: 0, afterFF: 0, entirePI: 0 };
-            }
-            teamRoles[teamName][normalizedRole].afterFF = Math.ceil(afterFFTotal);
-          }
+        // Code Freeze = Before FF capacity in the iterations up to feature freeze
+        if (field === 'beforeFF') {
+          const codeFreezeCols = block.iterationCols.slice(0, featureFreezeIteration);
+          teamRoles[teamName][normalizedRole].codeFreeze = Math.ceil(
+            codeFreezeCols.reduce((sum, col) => sum + getCapacityLayoutValue(layout, role.row, col), 0)
+          );
         }
-        
-        // Calculate Entire PI totals and aggregate across teams
-        Object.keys(teamRoles[teamName]).forEach(role => {
-          const rd = teamRoles[teamName][role];
-          rd.entirePI = rd.beforeFF + rd.afterFF;
-          
-          if (!entirePIRoles[role]) entirePIRoles[role] = 0;
-          if (!codeFreezeRoles[role]) codeFreezeRoles[role] = 0;
-          
-          entirePIRoles[role] += rd.entirePI;
-          codeFreezeRoles[role] += rd.beforeFF; // Code Freeze = Before FF only
-        });
-        
-        console.log(`  Roles found: ${Object.keys(teamRoles[teamName]).filter(r => teamRoles[teamName][r].entirePI > 0).join(', ')}`);
-        
-        // Move past this team block
-        row += 25;
-        continue;
-      }
-    }
+      });
+    };
     
-    row++;
-  }
+    readRoles(block.beforeFF, 'beforeFF');
+    readRoles(block.afterFF, 'afterFF');
+    
+    // Calculate Entire PI totals and aggregate across teams
+    Object.keys(teamRoles[teamName]).forEach(role => {
+      const rd = teamRoles[teamName][role];
+      rd.entirePI = rd.beforeFF + rd.afterFF;
+      
+      if (!entirePIRoles[role]) entirePIRoles[role] = 0;
+      if (!codeFreezeRoles[role]) codeFreezeRoles[role] = 0;
+      
+      entirePIRoles[role] += rd.entirePI;
+      codeFreezeRoles[role] += rd.codeFreeze;
+    });
+    
+    console.log(`  Roles found: ${Object.keys(teamRoles[teamName]).filter(r => teamRoles[teamName][r].entirePI > 0).join(', ')}`);
+  });
+  
   
   // Log summary
   console.log('\n=== Aggregated Role Capacity Summary ===');
@@ -1532,7 +1429,12 @@ function getRoleCapacityData(spreadsheet, piNumber) {
   });
   console.log('=== End Role Capacity ===\n');
   
-  return { entirePI: entirePIRoles, codeFreeze: codeFreezeRoles, teamRoles: teamRoles };
+  return {
+    entirePI: entirePIRoles,
+    codeFreeze: codeFreezeRoles,
+    teamRoles: teamRoles,
+    featureFreezeIteration: featureFreezeIteration
+  };
 }
 
 /**
@@ -1761,7 +1663,8 @@ function createRoleCapacityTable(sheet, currentRow, roleCapacity, roleUsed, role
   sheet.getRange(currentRow, 2).setNote('Sum of Before FF + After FF capacity for this role across all clinical teams');
   sheet.getRange(currentRow, 3).setNote('ENTIRE PI: Before FF + After FF capacity for this role\nAggregated across all clinical teams');
   sheet.getRange(currentRow, 4).setNote('Story points from Stories/Bugs assigned to this role\n(detected from labels or title prefix)');
-  sheet.getRange(currentRow, 10).setNote('CODE FREEZE: Before FF capacity only (iterations 1-5)\nLIGHT BLUE = Different data source');
+  const lastCodeFreezeIteration = roleCapacity.featureFreezeIteration || PI_ITERATION_CONFIG.defaults.featureFreezeIteration;
+  sheet.getRange(currentRow, 10).setNote(`CODE FREEZE: Before FF capacity only (iterations 1-${lastCodeFreezeIteration})\nLIGHT BLUE = Different data source`);
   
   const headerRow = currentRow;
   currentRow++;
@@ -1969,193 +1872,81 @@ function createRoleCapacityTable(sheet, currentRow, roleCapacity, roleUsed, role
 function getRoleCapacityData(spreadsheet, piNumber) {
   const capacitySheetName = `PI${piNumber} - Capacity`;
   const capacitySheet = spreadsheet.getSheetByName(capacitySheetName);
+  const featureFreezeIteration = getPIIterationConfig(piNumber).featureFreezeIteration;
   
   if (!capacitySheet) {
     console.warn(`Role capacity sheet "${capacitySheetName}" not found`);
-    return { entirePI: {}, codeFreeze: {}, teamRoles: {} };
+    return { entirePI: {}, codeFreeze: {}, teamRoles: {}, featureFreezeIteration: featureFreezeIteration };
   }
   
   console.log(`\n=== Reading Role Capacity Data from "${capacitySheetName}" ===`);
   
-  const dataRange = capacitySheet.getDataRange();
-  const values = dataRange.getValues();
-  const maxRows = values.length;
-  const maxCols = values[0] ? values[0].length : 0;
-  
-  // Find the EMA Clinical column by scanning row 1 for "EMA Clinical"
-  let clinicalCol = -1;
-  for (let col = 0; col < maxCols; col++) {
-    const headerVal = values[0][col];
-    if (headerVal && headerVal.toString().trim().toLowerCase().includes('ema clinical')) {
-      clinicalCol = col;
-      break;
-    }
-  }
+  // Team blocks are located by their anchor labels (see detectCapacityLayout in Capacityreader.js)
+  const layout = detectCapacityLayout(capacitySheet);
+  const clinicalBlocks = layout.blocks.filter(block => block.valueStream.toLowerCase().includes('ema clinical'));
   
-  if (clinicalCol === -1) {
+  if (clinicalBlocks.length === 0) {
     console.warn('EMA Clinical section not found in capacity sheet row 1');
-    return { entirePI: {}, codeFreeze: {}, teamRoles: {} };
+    return { entirePI: {}, codeFreeze: {}, teamRoles: {}, featureFreezeIteration: featureFreezeIteration };
   }
   
-  console.log(`Found EMA Clinical at column ${clinicalCol + 1} (${String.fromCharCode(65 + (clinicalCol % 26))})`);
-  
-  // The Total column is at offset +9 from the team column
-  const totalColOffset = 9;
-  
   // Aggregated role capacity across all teams
   const entirePIRoles = {};
   const codeFreezeRoles = {};
   const teamRoles = {};
   
-  // Scan for team blocks - team name is in the clinical column, followed by structured data
-  let row = 2; // Start after header row
-  while (row < maxRows) {
-    const cellValue = values[row][clinicalCol];
+  clinicalBlocks.forEach(block => {
+    const teamName = block.teamName.toUpperCase();
     
-    // Skip empty rows and known non-team markers
-    if (!cellValue || cellValue.toString().trim() === '' || cellValue.toString().trim() === '-') {
-      row++;
-      continue;
-    }
+    // Check if this is a clinical team we care about
+    const isClinicalTeam = DANS_REPORT_CONFIG.clinicalTeams.some(
+      t => t === teamName || t === teamName.replace(/\s+/g, ' ')
+    );
+    if (!isClinicalTeam) return;
     
-    const cellStr = cellValue.toString().trim();
-    
-    // Skip known structural markers
-    if (cellStr.toLowerCase().includes('allocation type') ||
-        cellStr.toLowerCase().includes('base capacity') ||
-        cellStr.toLowerCase().includes('klo') ||
-        cellStr.toLowerCase().includes('quality') ||
-        cellStr.toLowerCase().includes('tech') ||
-        cellStr.toLowerCase().includes('product') ||
-        cellStr.toLowerCase().includes('unplanned')) {
-      row++;
-      continue;
-    }
+    console.log(`Processing clinical team: ${teamName} at row ${block.startRow}`);
+    teamRoles[teamName] = {};
     
-    // Check if next row is "Allocation Type" - confirms this is a team name
-    if (row + 1 < maxRows) {
-      const nextRowVal = values[row + 1][clinicalCol];
-      if (nextRowVal && nextRowVal.toString().trim() === 'Allocation Type') {
-        const teamName = cellStr.toUpperCase();
-        
-        // Check if this is a clinical team we care about
-        const isClinicalTeam = DANS_REPORT_CONFIG.clinicalTeams.some(
-          t => t === teamName || t === cellStr.toUpperCase().replace(/\s+/g, ' ')
-        );
-        
-        if (!isClinicalTeam) {
-          // Not a clinical team, skip this block
-          row += 25; // Jump past this team block
-          continue;
-        }
-        
-        console.log(`Processing clinical team: ${teamName} at row ${row + 1}`);
-        teamRoles[teamName] = {};
-        
-        // Find "Base Capacity before FF" within the next 12 rows
-        let beforeFFRow = -1;
-        for (let offset = 8; offset <= 12; offset++) {
-          if (row + offset < maxRows) {
-            const checkVal = values[row + offset][clinicalCol];
-            if (checkVal && checkVal.toString().toLowerCase().includes('before ff')) {
-              beforeFFRow = row + offset;
-              break;
-            }
-          }
-        }
-        
-        // Find "Base Capacity after FF" within the next 20 rows
-        let afterFFRow = -1;
-        for (let offset = 16; offset <= 20; offset++) {
-          if (row + offset < maxRows) {
-            const checkVal = values[row + offset][clinicalCol];
-            if (checkVal && checkVal.toString().toLowerCase().includes('after ff')) {
-              afterFFRow = row + offset;
-              break;
-            }
-          }
-        }
+    const readRoles = (section, field) => {
+      if (!section) return;
+      
+      section.roles.forEach(role => {
+        const roleKey = role.name.toUpperCase();
+        const normalizedRole = ROLE_NORMALIZATION_DANS[roleKey] || roleKey;
         
-        // Read Before FF roles (rows after beforeFFRow header)
-        if (beforeFFRow > 0) {
-          for (let rOffset = 1; rOffset <= 6; rOffset++) {
-            const roleRow = beforeFFRow + rOffset;
-            if (roleRow >= maxRows) break;
-            
-            const roleName = values[roleRow][clinicalCol];
-            if (!roleName || roleName.toString().trim() === '' || roleName.toString().trim() === '-') continue;
-            
-            // Stop if we hit a subtotal row (no role name, just numbers)
-            const roleStr = roleName.toString().trim();
-            if (roleStr.toLowerCase().includes('base capacity')) break;
-            
-            const roleKey = roleStr.toUpperCase();
-            const normalizedRole = ROLE_NORMALIZATION_DANS[roleKey] || roleKey;
-            
-            // Get the total value (at totalColOffset from clinicalCol)
-            const totalVal = values[roleRow][clinicalCol + totalColOffset];
-            let beforeFFTotal = 0;
-            if (totalVal && totalVal !== '-' && totalVal !== '') {
-              beforeFFTotal = parseFloat(totalVal) || 0;
-            }
-            
-            if (!teamRoles[teamName][normalizedRole]) {
-              teamRoles[teamName][normalizedRole] = { beforeFF: 0, afterFF: 0, entirePI: 0 };
-            }
-            teamRoles[teamName][normalizedRole].beforeFF = Math.ceil(beforeFFTotal);
-          }
+        if (!teamRoles[teamName][normalizedRole]) {
+          teamRoles[teamName][normalizedRole] = { beforeFF: 0, afterFF: 0, entirePI: 0, codeFreeze: 0 };
         }
+        teamRoles[teamName][normalizedRole][field] = Math.ceil(getCapacityLayoutValue(layout, role.row, block.totalCol));
         
-        // Read After FF roles (rows after afterFFRow header)
-        if (afterFFRow > 0) {
-          for (let rOffset = 1; rOffset <= 6; rOffset++) {
-            const roleRow = afterFFRow + rOffset;
-            if (roleRow >= maxRows) break;
-            
-            const roleName = values[roleRow][clinicalCol];
-            if (!roleName || roleName.toString().trim() === '' || roleName.toString().trim() === '-') continue;
-            
-            const roleStr = roleName.toString().trim();
-            if (roleStr.toLowerCase().includes('base capacity')) break;
-            
-            const roleKey = roleStr.toUpperCase();
-            const normalizedRole = ROLE_NORMALIZATION_DANS[roleKey] || roleKey;
-            
-            const totalVal = values[roleRow][clinicalCol + totalColOffset];
-            let afterFFTotal = 0;
-            if (totalVal && totalVal !== '-' && totalVal !== '') {
-              afterFFTotal = parseFloat(totalVal) || 0;
-            }
-            
-            if (!teamRoles[teamName][normalizedRole]) {
-              teamRoles[teamName][normalizedRole] = { beforeFF: 0, afterFF: 0, entirePI: 0 };
-            }
-            teamRoles[teamName][normalizedRole].afterFF = Math.ceil(afterFFTotal);
-          }
+        // Code Freeze = Before FF capacity in the iterations up to feature freeze
+        if (field === 'beforeFF') {
+          const codeFreezeCols = block.iterationCols.slice(0, featureFreezeIteration);
+          teamRoles[teamName][normalizedRole].codeFreeze = Math.ceil(
+            codeFreezeCols.reduce((sum, col) => sum + getCapacityLayoutValue(layout, role.row, col), 0)
+          );
         }
-        
-        // Calculate Entire PI totals and aggregate across teams
-        Object.keys(teamRoles[teamName]).forEach(role => {
-          const rd = teamRoles[teamName][role];
-          rd.entirePI = rd.beforeFF + rd.afterFF;
-          
-          if (!entirePIRoles[role]) entirePIRoles[role] = 0;
-          if (!codeFreezeRoles[role]) codeFreezeRoles[role] = 0;
-          
-          entirePIRoles[role] += rd.entirePI;
-          codeFreezeRoles[role] += rd.beforeFF; // Code Freeze = Before FF only
-        });
-        
-        console.log(`  Roles found: ${Object.keys(teamRoles[teamName]).filter(r => teamRoles[teamName][r].entirePI > 0).join(', ')}`);
-        
-        // Move past this team block
-        row += 25;
-        continue;
-      }
-    }
+      });
+    };
     
-    row++;
-  }
+    readRoles(block.beforeFF, 'beforeFF');
+    readRoles(block.afterFF, 'afterFF');
+    
+    // Calculate Entire PI totals and aggregate across teams
+    Object.keys(teamRoles[teamName]).forEach(role => {
+      const rd = teamRoles[teamName][role];
+      rd.entirePI = rd.beforeFF + rd.afterFF;
+      
+      if (!entirePIRoles[role]) entirePIRoles[role] = 0;
+      if (!codeFreezeRoles[role]) codeFreezeRoles[role] = 0;
+      
+      entirePIRoles[role] += rd.entirePI;
+      codeFreezeRoles[role] += rd.codeFreeze;
+    });
+    
+    console.log(`  Roles found: ${Object.keys(teamRoles[teamName]).filter(r => teamRoles[teamName][r].entirePI > 0).join(', ')}`);
+  });
+  
   
   // Log summary
   console.log('\n=== Aggregated Role Capacity Summary ===');
@@ -2166,7 +1957,12 @@ function getRoleCapacityData(spreadsheet, piNumber) {
   });
   console.log('=== End Role Capacity ===\n');
   
-  return { entirePI: entirePIRoles, codeFreeze: codeFreezeRoles, teamRoles: teamRoles };
+  return {
+    entirePI: entirePIRoles,
+    codeFreeze: codeFreezeRoles,
+    teamRoles: teamRoles,
+    featureFreezeIteration: featureFreezeIteration
+  };
 }
 
 /**
@@ -2395,7 +2191,8 @@ function createRoleCapacityTable(sheet, currentRow, roleCapacity, roleUsed, role
   sheet.getRange(currentRow, 2).setNote('Sum of Before FF + After FF capacity for this role across all clinical teams');
   sheet.getRange(currentRow, 3).setNote('ENTIRE PI: Before FF + After FF capacity for this role\nAggregated across all clinical teams');
   sheet.getRange(currentRow, 4).setNote('Story points from Stories/Bugs assigned to this role\n(detected from labels or title prefix)');
-  sheet.getRange(currentRow, 10).setNote('CODE FREEZE: Before FF capacity only (iterations 1-5)\nLIGHT BLUE = Different data source');
+  const lastCodeFreezeIteration = roleCapacity.featureFreezeIteration || PI_ITERATION_CONFIG.defaults.featureFreezeIteration;
+  sheet.getRange(currentRow, 10).setNote(`CODE FREEZE: Before FF capacity only (iterations 1-${lastCodeFreezeIteration})\nLIGHT BLUE = Different data source`);
   
   const headerRow = currentRow;
   currentRow++;
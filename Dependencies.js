@@ -0,0 +1,504 @@
+/**
+ * Dependencies.gs - Cross-team Dependency Report
+ * ==============================================
+ *
+ * Builds the "PI N - Dependencies" tab used on PI Planning day:
+ * 1. Team Dependency Matrix - consuming team (rows) x owner team (columns)
+ * 2. Late Dependencies - dependency slotted after the consuming epic's iteration
+ * 3. Unregistered Owner Teams - dependencies whose owner team is not in the Team Registry
+ *
+ * Also provides the per-team "Dependency Risks" section for scrum team summaries.
+ *
+ * TERMS:
+ * - Dependency: an issue of type "Dependency" under a consuming epic
+ * - Consuming team: Scrum Team of the parent epic
+ * - Owner team: "Depends on Team" when set, otherwise the dependency's Scrum Team
+ *
+ * @fileoverview Dependency matrix and dependency health report
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const DEPENDENCY_REPORT_CONFIG = {
+  sheetSuffix: ' - Dependencies',
+  unassignedLabel: '(No Team)'
+};
+
+// ===== MAIN REPORT GENERATION =====
+
+/**
+ * Menu handler: prompt for a PI and build its dependency report
+ */
+function menuGenerateDependencyReport() {
+  const ui = SpreadsheetApp.getUi();
+
+  const response = ui.prompt(
+    'Dependency Report',
+    'Enter PI number (e.g., 13):',
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const piNumber = response.getResponseText().trim();
+  if (!/^\d+$/.test(piNumber)) {
+    ui.alert('Invalid PI format. Please use a number like "13"');
+    return;
+  }
+
+  try {
+    showProgress(`Building dependency report for PI ${piNumber}...`);
+    const result = generateDependencyReport(piNumber);
+    closeProgress();
+
+    if (!result.success) {
+      ui.alert('Dependency Report', result.error, ui.ButtonSet.OK);
+      return;
+    }
+
+    ui.alert(
+      'Dependency Report Complete',
+      `Sheet: "${result.sheetName}"\n\n` +
+      `Dependencies: ${result.dependencyCount}\n` +
+      `Late dependencies: ${result.lateCount}\n` +
+      `Unregistered owner teams: ${result.unregisteredCount}`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    console.error('Error generating dependency report:', error);
+    closeProgress();
+    ui.alert('Error', 'Dependency report failed: ' + error.toString(), ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Build the dependency report from the "PI N" sheet
+ * @param {string} piNumber - PI number (e.g. "13")
+ * @return {Object} {success, sheetName, dependencyCount, lateCount, unregisteredCount} or {success:false, error}
+ */
+function generateDependencyReport(piNumber) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const piSheet = spreadsheet.getSheetByName(`PI ${piNumber}`);
+
+  if (!piSheet) {
+    return { success: false, error: `Sheet "PI ${piNumber}" not found. Please run the PI analysis first.` };
+  }
+
+  const values = piSheet.getDataRange().getValues();
+  const issues = parsePISheetData(values, values[3]);
+
+  return writeDependencyReport(spreadsheet, piNumber, issues);
+}
+
+/**
+ * Analyze dependencies and write the "PI N - Dependencies" tab
+ * @param {Spreadsheet} spreadsheet - Target spreadsheet
+ * @param {string} piNumber - PI number
+ * @param {Array} issues - All issues in the PI
+ * @return {Object} Result summary (see generateDependencyReport)
+ */
+function writeDependencyReport(spreadsheet, piNumber, issues) {
+  const programIncrement = `PI ${piNumber}`;
+  const sheetName = programIncrement + DEPENDENCY_REPORT_CONFIG.sheetSuffix;
+  const dependencies = analyzeDependencies(issues, piNumber);
+
+  let sheet = spreadsheet.getSheetByName(sheetName);
+  if (sheet) {
+    sheet.clear();
+  } else {
+    sheet = spreadsheet.insertSheet(sheetName);
+  }
+
+  sheet.getRange(1, 1).setValue(`Dependencies - ${programIncrement}`);
+  sheet.getRange(1, 1).setFontSize(16).setFontWeight('bold');
+
+  sheet.getRange(2, 1).setValue('Last Updated:');
+  sheet.getRange(2, 2).setValue(new Date().toLocaleString());
+  sheet.getRange(2, 1, 1, 2).setFontWeight('bold');
+
+  let currentRow = 4;
+  currentRow = writeDependencyMatrix_(sheet, currentRow, dependencies);
+  currentRow = writeLateDependencies_(sheet, currentRow, dependencies.filter(d => d.isLate));
+  writeUnregisteredDependencies_(sheet, currentRow, dependencies.filter(d => !d.ownerRegistered));
+
+  sheet.setFrozenRows(2);
+  sheet.autoResizeColumns(1, Math.max(sheet.getLastColumn(), 1));
+  sheet.setColumnWidth(2, 300);
+
+  const lateCount = dependencies.filter(d => d.isLate).length;
+  const unregisteredCount = dependencies.filter(d => !d.ownerRegistered).length;
+  console.log(`✅ Dependency report for ${programIncrement}: ${dependencies.length} dependencies, ${lateCount} late, ${unregisteredCount} unregistered`);
+
+  return {
+    success: true,
+    sheetName: sheetName,
+    dependencyCount: dependencies.length,
+    lateCount: lateCount,
+    unregisteredCount: unregisteredCount
+  };
+}
+
+// ===== ANALYSIS =====
+
+/**
+ * Pair each Dependency issue with its consuming epic
+ * @param {Array} issues - All issues in the PI
+ * @param {string} piNumber - PI number used to parse sprint names
+ * @return {Array<Object>} [{dependency, epic, consumerTeam, ownerTeam, dependencyIteration,
+ *                           epicIteration, isLate, ownerRegistered}]
+ */
+function analyzeDependencies(issues, piNumber) {
+  const epicsByKey = {};
+  issues.filter(i => i.issueType === 'Epic').forEach(epic => epicsByKey[epic.key] = epic);
+
+  const registeredTeams = getRegisteredTeamNames_();
+
+  return issues
+    .filter(issue => issue.issueType === 'Dependency')
+    .map(dependency => {
+      const epicKey = dependency.epicLink || dependency.parentKey;
+      const epic = epicsByKey[epicKey] || null;
+      const ownerTeam = (dependency.dependsOnTeam || dependency.scrumTeam || '').toString().trim();
+      const dependencyIteration = getIssueIteration(dependency, piNumber);
+      const epicIteration = epic ? getEpicIteration(epic, issues, piNumber) : null;
+
+      return {
+        dependency: dependency,
+        epic: epic,
+        epicKey: epicKey || '',
+        consumerTeam: (epic && epic.scrumTeam) || DEPENDENCY_REPORT_CONFIG.unassignedLabel,
+        ownerTeam: ownerTeam || DEPENDENCY_REPORT_CONFIG.unassignedLabel,
+        dependencyIteration: dependencyIteration,
+        epicIteration: epicIteration,
+        isLate: dependencyIteration !== null && epicIteration !== null && dependencyIteration > epicIteration,
+        ownerRegistered: !!ownerTeam && registeredTeams.has(ownerTeam.toUpperCase())
+      };
+    });
+}
+
+/**
+ * Get the iteration a consuming epic needs its dependencies by
+ * Uses the epic's own sprint / PI Target Iteration, otherwise the earliest
+ * iteration any of its (non-dependency) children are slotted into.
+ * @param {Object} epic - Epic issue
+ * @param {Array} issues - All issues in the PI
+ * @param {string} piNumber - PI number
+ * @return {number|null} Iteration number, or null if unslotted
+ */
+function getEpicIteration(epic, issues, piNumber) {
+  const ownIteration = getIssueIteration(epic, piNumber);
+  if (ownIteration !== null) {
+    return ownIteration;
+  }
+
+  const childIterations = issues
+    .filter(i => (i.epicLink === epic.key || i.parentKey === epic.key) && i.issueType !== 'Dependency')
+    .map(i => getIssueIteration(i, piNumber))
+    .filter(iteration => iteration !== null);
+
+  return childIterations.length > 0 ? Math.min(...childIterations) : null;
+}
+
+/**
+ * Collect every team listed in the Team Registry (uppercase for matching)
+ * @return {Set<string>} Registered team names
+ */
+function getRegisteredTeamNames_() {
+  const teams = new Set();
+
+  getAllValueStreamsFromRegistry().forEach(valueStream => {
+    getTeamsForValueStream(valueStream).forEach(team => {
+      if (team) teams.add(team.toString().trim().toUpperCase());
+    });
+  });
+
+  return teams;
+}
+
+// ===== SHEET SECTIONS =====
+
+/**
+ * Write a section title in the PI sheet style
+ * @param {Sheet} sheet - Target sheet
+ * @param {number} row - Row to write
+ * @param {string} title - Section title
+ */
+function writeDependencySectionTitle_(sheet, row, title) {
+  sheet.getRange(row, 1).setValue(title);
+  sheet.getRange(row, 1).setFontSize(14).setFontWeight('bold').setBackground('#e8f0fe');
+}
+
+/**
+ * Write a header row in the PI sheet style
+ * @param {Sheet} sheet - Target sheet
+ * @param {number} row - Row to write
+ * @param {Array<string>} headers - Header labels
+ */
+function writeDependencyHeaders_(sheet, row, headers) {
+  sheet.getRange(row, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(row, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('white')
+    .setWrap(true);
+}
+
+/**
+ * Write a "nothing to show" note
+ * @param {Sheet} sheet - Target sheet
+ * @param {number} row - Row to write
+ * @param {string} message - Note text
+ * @return {number} Next available row
+ */
+function writeDependencyEmptyNote_(sheet, row, message) {
+  sheet.getRange(row, 1).setValue(message);
+  sheet.getRange(row, 1).setFontStyle('italic').setFontColor('#999999');
+  return row + 3;
+}
+
+/**
+ * Team x team dependency count matrix
+ * @param {Sheet} sheet - Target sheet
+ * @param {number} startRow - First row of the section
+ * @param {Array<Object>} dependencies - From analyzeDependencies
+ * @return {number} Next available row
+ */
+function writeDependencyMatrix_(sheet, startRow, dependencies) {
+  writeDependencySectionTitle_(sheet, startRow, 'Team Dependency Matrix (rows depend on columns)');
+  let currentRow = startRow + 2;
+
+  if (dependencies.length === 0) {
+    return writeDependencyEmptyNote_(sheet, currentRow, 'No Dependency issues found in this PI');
+  }
+
+  const consumers = [...new Set(dependencies.map(d => d.consumerTeam))].sort();
+  const owners = [...new Set(dependencies.map(d => d.ownerTeam))].sort();
+
+  const counts = {};
+  dependencies.forEach(d => {
+    const key = `${d.consumerTeam}|${d.ownerTeam}`;
+    counts[key] = (counts[key] || 0) + 1;
+  });
+
+  writeDependencyHeaders_(sheet, currentRow, ['Consuming Team ↓ / Owner Team →'].concat(owners, ['Total']));
+  currentRow++;
+
+  const rows = consumers.map(consumer => {
+    const rowCounts = owners.map(owner => counts[`${consumer}|${owner}`] || '');
+    const total = rowCounts.reduce((sum, c) => sum + (c || 0), 0);
+    return [consumer].concat(rowCounts, [total]);
+  });
+
+  const totals = ['Total'].concat(
+    owners.map(owner => dependencies.filter(d => d.ownerTeam === owner).length),
+    [dependencies.length]
+  );
+  rows.push(totals);
+
+  sheet.getRange(currentRow, 1, rows.length, owners.length + 2).setValues(rows);
+  sheet.getRange(currentRow, 1, rows.length, 1).setFontWeight('bold');
+  sheet.getRange(currentRow, 2, rows.length, owners.length + 1).setHorizontalAlignment('center');
+  sheet.getRange(currentRow + rows.length - 1, 1, 1, owners.length + 2)
+    .setFontWeight('bold')
+    .setBackground('#e0e0e0');
+
+  // Highlight teams depending on themselves so they stand out from cross-team work
+  consumers.forEach((consumer, rowIndex) => {
+    const ownerIndex = owners.indexOf(consumer);
+    if (ownerIndex !== -1) {
+      sheet.getRange(currentRow + rowIndex, ownerIndex + 2).setBackground('#f5f5f5');
+    }
+  });
+
+  return currentRow + rows.length + 2;
+}
+
+/**
+ * Dependencies slotted later than the epic that consumes them
+ * @param {Sheet} sheet - Target sheet
+ * @param {number} startRow - First row of the section
+ * @param {Array<Object>} late - Late dependencies
+ * @return {number} Next available row
+ */
+function writeLateDependencies_(sheet, startRow, late) {
+  writeDependencySectionTitle_(sheet, startRow, 'Late Dependencies');
+  let currentRow = startRow + 2;
+
+  if (late.length === 0) {
+    return writeDependencyEmptyNote_(sheet, currentRow, 'Late Dependencies: No issues detected');
+  }
+
+  const headers = [
+    'Dependency', 'Summary', 'Owner Team', 'Dependency Iteration',
+    'Consuming Epic', 'Consuming Team', 'Epic Iteration', 'Iterations Late', 'Status'
+  ];
+  writeDependencyHeaders_(sheet, currentRow, headers);
+  currentRow++;
+
+  const sorted = late.slice().sort((a, b) =>
+    (b.dependencyIteration - b.epicIteration) - (a.dependencyIteration - a.epicIteration)
+  );
+
+  const data = sorted.map(d => [
+    d.dependency.key,
+    d.dependency.summary,
+    d.ownerTeam,
+    d.dependencyIteration,
+    d.epicKey,
+    d.consumerTeam,
+    d.epicIteration,
+    d.dependencyIteration - d.epicIteration,
+    d.dependency.status
+  ]);
+
+  sheet.getRange(currentRow, 1, data.length, headers.length).setValues(data);
+  applyJiraHyperlinks(sheet, currentRow, 1, sorted.map(d => d.dependency.key));
+  applyJiraHyperlinks(sheet, currentRow, 5, sorted.map(d => d.epicKey));
+  sheet.getRange(currentRow, 8, data.length, 1).setBackground('#ffcccc');
+
+  return currentRow + data.length + 2;
+}
+
+/**
+ * Dependencies whose owner team is missing from the Team Registry
+ * @param {Sheet} sheet - Target sheet
+ * @param {number} startRow - First row of the section
+ * @param {Array<Object>} unregistered - Dependencies without a registered owner
+ * @return {number} Next available row
+ */
+function writeUnregisteredDependencies_(sheet, startRow, unregistered) {
+  writeDependencySectionTitle_(sheet, startRow, 'Dependencies Without a Registered Owner Team');
+  let currentRow = startRow + 2;
+
+  if (unregistered.length === 0) {
+    return writeDependencyEmptyNote_(sheet, currentRow, 'Unregistered Owner Teams: No issues detected');
+  }
+
+  const headers = ['Dependency', 'Summary', 'Owner Team', 'Depends on Valuestream', 'Consuming Epic', 'Consuming Team', 'Status'];
+  writeDependencyHeaders_(sheet, currentRow, headers);
+  currentRow++;
+
+  const data = unregistered.map(d => [
+    d.dependency.key,
+    d.dependency.summary,
+    d.ownerTeam,
+    d.dependency.dependsOnValuestream || '',
+    d.epicKey,
+    d.consumerTeam,
+    d.dependency.status
+  ]);
+
+  sheet.getRange(currentRow, 1, data.length, headers.length).setValues(data);
+  applyJiraHyperlinks(sheet, currentRow, 1, unregistered.map(d => d.dependency.key));
+  applyJiraHyperlinks(sheet, currentRow, 5, unregistered.map(d => d.epicKey));
+  sheet.getRange(currentRow, 3, data.length, 1).setBackground('#fff3cd');
+
+  return currentRow + data.length + 2;
+}
+
+// ===== SCRUM TEAM SUMMARY SECTION =====
+
+/**
+ * Create the "Dependency Risks" section on a scrum team summary
+ * Flags Dependency issues slotted in the same or a later iteration than
+ * the epic that depends on them. Covers both the team's own epics waiting
+ * on others and dependencies the team owns for other teams' epics.
+ * @param {Sheet} sheet - Summary sheet
+ * @param {number} startRow - Row to start writing
+ * @param {Array} allIssues - All issues in the PI (dependencies may sit on other teams)
+ * @param {string} scrumTeam - Team the summary is for
+ * @param {string} programIncrement - e.g. "PI 13"
+ * @return {number} Next available row
+ */
+function createDependencyRiskValidation(sheet, startRow, allIssues, scrumTeam, programIncrement) {
+  console.log(`Creating Dependency Risks for ${scrumTeam}`);
+
+  const piNumber = parseInt(programIncrement.replace('PI ', ''));
+  if (isNaN(piNumber)) {
+    console.error('Invalid PI number in programIncrement:', programIncrement);
+    return startRow;
+  }
+
+  const risks = analyzeDependencies(allIssues, piNumber).filter(d =>
+    d.dependencyIteration !== null &&
+    d.epicIteration !== null &&
+    d.dependencyIteration >= d.epicIteration &&
+    (d.consumerTeam === scrumTeam || d.ownerTeam === scrumTeam)
+  );
+
+  if (risks.length === 0) {
+    sheet.getRange(startRow, 1).setValue('Dependency Risks: No issues detected');
+    sheet.getRange(startRow, 1).setFontSize(8).setFontStyle('italic').setFontColor('#999999').setFontFamily('Comfortaa');
+    setRowHeightWithLimit(sheet, startRow, 20, 70);
+    return startRow + 2;
+  }
+
+  // Section title
+  sheet.getRange(startRow, 1).setValue('Dependency Risks');
+  sheet.getRange(startRow, 1, 1, 3).setBackground('#E1D5E7');
+  sheet.getRange(startRow, 1).setFontSize(14).setFontWeight('bold').setFontColor('black');
+  sheet.getRange(startRow, 1).setFontFamily('Comfortaa');
+  sheet.getRange(startRow, 1).setVerticalAlignment('middle');
+  setRowHeightWithLimit(sheet, startRow, 30, 70);
+  startRow++;
+
+  // The epic's iteration may come from its children, so it has no sprint of its own to show
+  const headers = [
+    'Role', 'Dependency', 'Summary', 'Owner Team', 'Dependency Sprint', 'Dependency Iteration',
+    'Epic', 'Epic Team', 'Epic Iteration', 'Risk'
+  ];
+
+  sheet.getRange(startRow, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(startRow, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#9b7bb8')
+    .setFontColor('white')
+    .setFontSize(8)
+    .setWrap(true)
+    .setFontFamily('Comfortaa')
+    .setVerticalAlignment('middle');
+  setRowHeightWithLimit(sheet, startRow, 40, 70);
+  startRow++;
+
+  // Latest dependencies first
+  risks.sort((a, b) =>
+    (b.dependencyIteration - b.epicIteration) - (a.dependencyIteration - a.epicIteration)
+  );
+
+  const data = risks.map(d => {
+    const gap = d.dependencyIteration - d.epicIteration;
+    return [
+      d.consumerTeam === scrumTeam ? 'Waiting on' : 'Owed to',
+      d.dependency.key,
+      d.dependency.summary || '',
+      d.ownerTeam,
+      d.dependency.sprintName || '',
+      `${piNumber}.${d.dependencyIteration}`,
+      d.epicKey,
+      d.consumerTeam,
+      `${piNumber}.${d.epicIteration}`,
+      gap === 0 ? 'Same iteration' : `${gap} iteration${gap > 1 ? 's' : ''} late`
+    ];
+  });
+
+  sheet.getRange(startRow, 1, data.length, headers.length).setValues(data);
+  applyJiraHyperlinks(sheet, startRow, 2, risks.map(d => d.dependency.key));
+  applyJiraHyperlinks(sheet, startRow, 7, risks.map(d => d.epicKey));
+
+  sheet.getRange(startRow, 1, data.length, headers.length)
+    .setFontSize(8)
+    .setWrap(true)
+    .setFontFamily('Comfortaa')
+    .setVerticalAlignment('top');
+
+  risks.forEach((d, index) => {
+    const color = d.dependencyIteration > d.epicIteration ? '#ffcccc' : '#fff3cd';
+    sheet.getRange(startRow + index, 10).setBackground(color);
+    setRowHeightWithLimit(sheet, startRow + index, 30, 70);
+  });
+
+  return startRow + data.length + 2;
+}
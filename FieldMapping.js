@@ -0,0 +1,364 @@
+/**
+ * FieldMapping.gs - Per-instance JIRA Field Mapping
+ * =================================================
+ *
+ * Custom field IDs differ between JIRA sites. This module resolves the
+ * logical fields the tool uses (Value Stream, Scrum Team, Program Increment...)
+ * to the field IDs of the connected site through /rest/api/3/field.
+ *
+ * CONFIGURATION (in priority order):
+ * 1. "Field Mapping" sheet - Logical Field | JIRA Field Name | Field ID | Status
+ *    - Field ID filled in: that ID is used and verified
+ *    - Only JIRA Field Name filled in: resolved by name
+ * 2. FIELD_MAPPING_NAMES + FIELD_MAPPINGS defaults (Configs.gs)
+ *
+ * Resolved IDs are stored in Script Properties so every execution uses
+ * the same mapping without calling JIRA again.
+ *
+ * @fileoverview Field name to ID resolution and validation
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const FIELD_MAPPING_CONFIG = {
+  sheetName: 'Field Mapping',
+  propertyKey: 'FIELD_MAPPING_RESOLVED',
+  fieldListCacheKey: 'jira_field_list',
+  fieldListCacheSeconds: 3600
+};
+
+// JIRA display names for each logical field, used when resolving by name
+const FIELD_MAPPING_NAMES = {
+  summary: 'Summary',
+  status: 'Status',
+  storyPoints: 'Story Points',
+  storyPointEstimate: 'Story point estimate',
+  epicLink: 'Epic Link',
+  programIncrement: 'Program Increment',
+  valueStream: 'Value Stream',
+  orgField: 'Org',
+  piCommitment: 'PI Commitment',
+  scrumTeam: 'Scrum Team',
+  piTargetIteration: 'PI Target Iteration',
+  iterationStart: 'Iteration Start',
+  iterationEnd: 'Iteration End',
+  allocation: 'Allocation',
+  portfolioInitiative: 'Portfolio Initiative',
+  programInitiative: 'Program Initiative',
+  featurePoints: 'Feature Points',
+  rag: 'RAG',
+  ragNote: 'RAG Note',
+  dependsOnValuestream: 'Depends on Valuestream',
+  dependsOnTeam: 'Depends on Team',
+  costOfDelay: 'Cost of Delay',
+  labels: 'Labels',
+  sprint: 'Sprint',
+  fixVersions: 'Fix versions'
+};
+
+// Per-execution memo so getFieldId doesn't hit Script Properties per issue
+let resolvedFieldMappings_ = null;
+
+// ===== LOOKUP =====
+
+/**
+ * Get the resolved field mapping for this JIRA site
+ * Falls back to FIELD_MAPPINGS when nothing has been resolved yet
+ * @return {Object} Map of logical field name to JIRA field ID
+ */
+function getFieldMappings() {
+  if (resolvedFieldMappings_) {
+    return resolvedFieldMappings_;
+  }
+
+  const mappings = Object.assign({}, FIELD_MAPPINGS);
+
+  try {
+    const stored = PropertiesService.getScriptProperties().getProperty(FIELD_MAPPING_CONFIG.propertyKey);
+    if (stored) {
+      Object.assign(mappings, JSON.parse(stored).fields || {});
+    }
+  } catch (error) {
+    console.error('Error reading stored field mapping, using defaults:', error);
+  }
+
+  resolvedFieldMappings_ = mappings;
+  return mappings;
+}
+
+/**
+ * Get the JIRA field ID for a logical field
+ * @param {string} logicalField - Key from FIELD_MAPPINGS (e.g. 'valueStream')
+ * @return {string} Field ID (e.g. 'customfield_10046')
+ */
+function getFieldId(logicalField) {
+  const fieldId = getFieldMappings()[logicalField];
+  if (!fieldId) {
+    throw new Error(`No field mapping defined for "${logicalField}"`);
+  }
+  return fieldId;
+}
+
+/**
+ * Read a logical field from a JIRA issue's fields object
+ * @param {Object} fields - issue.fields from the JIRA response
+ * @param {string} logicalField - Key from FIELD_MAPPINGS
+ * @return {*} Raw field value
+ */
+function getFieldValue(fields, logicalField) {
+  return fields[getFieldId(logicalField)];
+}
+
+/**
+ * Get the JQL reference for a logical field
+ * Custom fields become cf[NNNNN], system fields use their ID
+ * @param {string} logicalField - Key from FIELD_MAPPINGS
+ * @return {string} JQL field reference
+ */
+function getJqlField(logicalField) {
+  const fieldId = getFieldId(logicalField);
+  const match = fieldId.match(/^customfield_(\d+)$/);
+  return match ? `cf[${match[1]}]` : fieldId;
+}
+
+// ===== RESOLUTION & VALIDATION =====
+
+/**
+ * Fetch the field list from JIRA (cached for an hour)
+ * @return {Array<Object>} [{id, name, custom}]
+ */
+function fetchJiraFieldList_() {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get(FIELD_MAPPING_CONFIG.fieldListCacheKey);
+  if (cached) {
+    return JSON.parse(cached);
+  }
+
+  const response = jiraRequest('GET', '/rest/api/3/field');
+  if (response.code !== 200) {
+    throw new Error(`Could not read JIRA fields (${describeJiraError(response)})`);
+  }
+
+  const fields = response.body.map(f => ({ id: f.id, name: f.name, custom: !!f.custom }));
+
+  try {
+    cache.put(FIELD_MAPPING_CONFIG.fieldListCacheKey, JSON.stringify(fields), FIELD_MAPPING_CONFIG.fieldListCacheSeconds);
+  } catch (error) {
+    console.warn('⚠️ Field list too large to cache:', error.message);
+  }
+
+  return fields;
+}
+
+/**
+ * Read the requested mapping from the Field Mapping sheet, or the defaults
+ * @return {Array<Object>} [{logicalField, name, fieldId, row}]
+ */
+function getRequestedFieldMappings_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(FIELD_MAPPING_CONFIG.sheetName);
+
+  if (!sheet || sheet.getLastRow() < 2) {
+    return Object.keys(FIELD_MAPPINGS).map(logicalField => ({
+      logicalField: logicalField,
+      name: FIELD_MAPPING_NAMES[logicalField] || '',
+      fieldId: FIELD_MAPPINGS[logicalField],
+      row: null
+    }));
+  }
+
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues();
+  return values
+    .map((row, index) => ({
+      logicalField: (row[0] || '').toString().trim(),
+      name: (row[1] || '').toString().trim(),
+      fieldId: (row[2] || '').toString().trim(),
+      row: index + 2
+    }))
+    .filter(entry => entry.logicalField);
+}
+
+/**
+ * Resolve and validate every mapped field against the connected JIRA site
+ * Stores the resolved IDs when all fields are valid and writes the status
+ * column of the Field Mapping sheet when it exists.
+ * @return {Object} {valid, fields, errors: [], report}
+ */
+function validateFieldMappings() {
+  const jiraFields = fetchJiraFieldList_();
+  const byId = {};
+  const byName = {};
+
+  jiraFields.forEach(field => {
+    byId[field.id] = field;
+    const nameKey = field.name.toLowerCase();
+    (byName[nameKey] = byName[nameKey] || []).push(field);
+  });
+
+  const requested = getRequestedFieldMappings_();
+  const resolved = {};
+  const errors = [];
+  const statuses = [];
+
+  requested.forEach(entry => {
+    let status;
+
+    if (entry.fieldId && entry.row !== null) {
+      // Explicit ID on the settings sheet - just confirm it exists
+      if (byId[entry.fieldId]) {
+        resolved[entry.logicalField] = entry.fieldId;
+        status = `✓ ${byId[entry.fieldId].name}`;
+      } else {
+        status = `✗ Field ID ${entry.fieldId} not found`;
+      }
+    } else if (entry.name) {
+      const matches = byName[entry.name.toLowerCase()] || [];
+      const preferred = matches.find(f => f.id === FIELD_MAPPINGS[entry.logicalField]);
+
+      if (matches.length === 1 || preferred) {
+        const field = preferred || matches[0];
+        resolved[entry.logicalField] = field.id;
+        status = `✓ ${field.id}`;
+      } else if (matches.length > 1) {
+        status = `✗ "${entry.name}" is ambiguous (${matches.map(f => f.id).join(', ')}) - enter the Field ID`;
+      } else if (entry.fieldId && byId[entry.fieldId]) {
+        resolved[entry.logicalField] = entry.fieldId;
+        status = `✓ ${entry.fieldId} (name "${entry.name}" not found, default ID used)`;
+      } else {
+        status = `✗ No field named "${entry.name}"`;
+      }
+    } else {
+      status = '✗ No JIRA Field Name or Field ID given';
+    }
+
+    if (status.startsWith('✗')) {
+      errors.push(`${entry.logicalField}: ${status.substring(2)}`);
+    }
+    statuses.push({ entry: entry, status: status });
+  });
+
+  // Every logical field the code reads must be mapped
+  Object.keys(FIELD_MAPPINGS).forEach(logicalField => {
+    if (!requested.some(entry => entry.logicalField === logicalField)) {
+      errors.push(`${logicalField}: missing from the ${FIELD_MAPPING_CONFIG.sheetName} sheet`);
+    }
+  });
+
+  writeFieldMappingStatus_(statuses);
+
+  const valid = errors.length === 0;
+  if (valid) {
+    PropertiesService.getScriptProperties().setProperty(FIELD_MAPPING_CONFIG.propertyKey, JSON.stringify({
+      baseUrl: JIRA_CONFIG.baseUrl,
+      resolvedAt: new Date().toISOString(),
+      fields: resolved
+    }));
+    resolvedFieldMappings_ = null;
+  }
+
+  const report = valid
+    ? `All ${requested.length} mapped fields exist on ${JIRA_CONFIG.baseUrl}.`
+    : `${errors.length} field mapping problem(s) on ${JIRA_CONFIG.baseUrl}:\n\n` +
+      errors.map(e => `• ${e}`).join('\n') +
+      `\n\nFix them on the "${FIELD_MAPPING_CONFIG.sheetName}" sheet (Utilities > Field Mapping Setup).`;
+
+  console.log(valid ? `✅ ${report}` : `❌ ${report}`);
+  return { valid: valid, fields: resolved, errors: errors, report: report };
+}
+
+/**
+ * Write resolution results into the Status column of the settings sheet
+ * @param {Array<Object>} statuses - [{entry, status}]
+ */
+function writeFieldMappingStatus_(statuses) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(FIELD_MAPPING_CONFIG.sheetName);
+  if (!sheet) return;
+
+  statuses.filter(s => s.entry.row !== null).forEach(s => {
+    const cell = sheet.getRange(s.entry.row, 4);
+    cell.setValue(s.status);
+    cell.setBackground(s.status.startsWith('✓') ? '#ccffcc' : '#ffcccc');
+  });
+}
+
+/**
+ * Validate the mapping before an analysis run
+ * Re-resolves when the stored mapping belongs to a different JIRA site or
+ * has never been resolved. Throws a readable report when a field is missing.
+ */
+function assertFieldMappingsValid() {
+  const stored = PropertiesService.getScriptProperties().getProperty(FIELD_MAPPING_CONFIG.propertyKey);
+  const mappingSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(FIELD_MAPPING_CONFIG.sheetName);
+
+  if (stored) {
+    const parsed = JSON.parse(stored);
+    const complete = Object.keys(FIELD_MAPPINGS).every(key => parsed.fields && parsed.fields[key]);
+    if (complete && parsed.baseUrl === JIRA_CONFIG.baseUrl && !mappingSheet) {
+      return;
+    }
+  }
+
+  const result = validateFieldMappings();
+  if (!result.valid) {
+    throw new Error(`Field mapping validation failed.\n\n${result.report}`);
+  }
+}
+
+// ===== SETTINGS SHEET =====
+
+/**
+ * Create the Field Mapping sheet seeded with the default field names
+ * @return {Sheet} The settings sheet
+ */
+function createFieldMappingSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(FIELD_MAPPING_CONFIG.sheetName);
+
+  if (sheet) {
+    return sheet;
+  }
+
+  sheet = spreadsheet.insertSheet(FIELD_MAPPING_CONFIG.sheetName);
+  const headers = ['Logical Field', 'JIRA Field Name', 'Field ID', 'Status'];
+
+  // Field ID is left blank so each field resolves by name on any JIRA site
+  const rows = Object.keys(FIELD_MAPPINGS).map(logicalField => [
+    logicalField,
+    FIELD_MAPPING_NAMES[logicalField] || '',
+    '',
+    ''
+  ]);
+
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('white');
+  sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, headers.length);
+
+  return sheet;
+}
+
+/**
+ * Menu handler: create the settings sheet if needed and validate it
+ */
+function menuFieldMappingSetup() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const sheet = createFieldMappingSheet();
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+
+    const result = validateFieldMappings();
+    ui.alert(
+      result.valid ? '✓ Field Mapping Valid' : '✗ Field Mapping Problems',
+      result.report + (result.valid ? '' : '\n\nTip: clear the Field ID to resolve a field by its JIRA name.'),
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    console.error('Error validating field mapping:', error);
+    ui.alert('Error', 'Field mapping validation failed: ' + error.toString(), ui.ButtonSet.OK);
+  }
+}
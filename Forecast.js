@@ -0,0 +1,233 @@
+/**
+ * Forecast.gs - Monte Carlo Forecast of Epic Completion
+ * =====================================================
+ *
+ * Forecasts the iteration each epic of a team will finish in, from the
+ * remaining story points of its children and the team's historical
+ * throughput (story points completed per iteration).
+ *
+ * THROUGHPUT SAMPLES (story points done in one iteration):
+ * - Closed sprints of the current PI, when sprint history is on (SprintHistory.js)
+ * - Every iteration of the previous PIs (VELOCITY_CONFIG.historyPIs), from their
+ *   closed sprints or else the team's per-iteration points in the PI's latest
+ *   snapshot (PISnapshot.js)
+ *
+ * SIMULATION:
+ * Each trial works through the epics in the order given (the All Epics for
+ * Planning order, highest Cost of Delay first). Every simulated iteration
+ * draws a random throughput sample and burns it down against the first
+ * unfinished epic, carrying any leftover to the next one. P50/P85 are the
+ * iterations by which 50% / 85% of the trials had finished the epic.
+ *
+ * @fileoverview Probabilistic epic completion forecast per team
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const FORECAST_CONFIG = {
+  trials: 1000,
+
+  // Trials stop this many iterations after the end of the PI
+  extraIterations: 12,
+
+  colors: {
+    onTrack: '#d9ead3',   // P85 by the target iteration
+    atRisk: '#fff3cd',    // P50 by the target, P85 after
+    late: '#ffcccc'       // P50 after the target
+  }
+};
+
+// ===== THROUGHPUT =====
+
+/**
+ * Collect a team's historical throughput, one sample per iteration
+ * @param {string} scrumTeam - Team name
+ * @param {string|number} piNumber - Current PI number
+ * @return {Object} {samples: [points per iteration], closedIterations: [current PI iterations already closed]}
+ */
+function getTeamThroughputSamples(scrumTeam, piNumber) {
+  const samples = [];
+  const closedIterations = [];
+
+  const history = getTeamSprintHistory(piNumber, scrumTeam);
+  if (history) {
+    const closed = new Set(history.sprints.filter(s => s.state === 'closed').map(s => s.iteration));
+    closed.forEach(iteration => {
+      samples.push(history.iterations[iteration].delivered);
+      closedIterations.push(iteration);
+    });
+  }
+
+  const currentPI = parseInt(piNumber.toString().replace(/PI\s*/i, ''));
+  for (let pi = currentPI - 1; pi >= Math.max(1, currentPI - VELOCITY_CONFIG.historyPIs); pi--) {
+    try {
+      samples.push(...getPastIterationThroughput_(scrumTeam, pi));
+    } catch (error) {
+      console.error(`Error reading throughput of ${scrumTeam} for PI ${pi}:`, error);
+    }
+  }
+
+  return { samples: samples, closedIterations: closedIterations };
+}
+
+/**
+ * Story points a team completed in each iteration of a past PI
+ * @param {string} scrumTeam - Team name
+ * @param {number} piNumber - Past PI number
+ * @return {Array<number>} Points per iteration - empty without closed sprints or a snapshot with the team's done work
+ */
+function getPastIterationThroughput_(scrumTeam, piNumber) {
+  const history = getTeamSprintHistory(piNumber, scrumTeam);
+  if (history) {
+    const closed = new Set(history.sprints.filter(s => s.state === 'closed').map(s => s.iteration));
+    if (closed.size > 0) {
+      return Array.from(closed).map(iteration => history.iterations[iteration].delivered);
+    }
+  }
+
+  // Snapshots taken before per-team totals have no completedByIteration
+  const snapshot = getLatestPISnapshot(`PI ${piNumber}`);
+  const team = snapshot && snapshot.teams ? snapshot.teams[scrumTeam] : null;
+  if (!team || team.completedIssues === 0 || !team.completedByIteration) return [];
+
+  return getPIIterationConfig(piNumber).iterations.map(iteration => team.completedByIteration[iteration] || 0);
+}
+
+/**
+ * The first iteration still to be worked: today's iteration on the PI Calendar,
+ * otherwise the one after the last closed sprint, otherwise iteration 1
+ * @param {string|number} piNumber - PI number
+ * @param {Array<number>} closedIterations - From getTeamThroughputSamples()
+ * @return {number} Iteration number
+ */
+function getForecastStartIteration_(piNumber, closedIterations) {
+  const today = getIterationForDate(piNumber, new Date());
+  if (today) return today;
+  return closedIterations.length > 0 ? Math.max(...closedIterations) + 1 : 1;
+}
+
+// ===== SIMULATION =====
+
+/**
+ * Run the Monte Carlo trials
+ * @param {Array<Object>} queue - [{key, remainingPoints}] in the order they are worked
+ * @param {Array<number>} samples - Throughput per iteration
+ * @param {number} startIteration - First iteration to simulate
+ * @param {number} lastIteration - Iteration after which trials give up
+ * @return {Object} {KEY: [finish iteration per trial, ascending]} - Infinity when not finished by lastIteration
+ */
+function simulateEpicCompletion(queue, samples, startIteration, lastIteration) {
+  const finishes = {};
+  queue.forEach(epic => finishes[epic.key] = []);
+
+  for (let trial = 0; trial < FORECAST_CONFIG.trials; trial++) {
+    const remaining = queue.map(epic => epic.remainingPoints);
+    let index = 0;
+
+    for (let iteration = startIteration; iteration <= lastIteration && index < queue.length; iteration++) {
+      let throughput = samples[Math.floor(Math.random() * samples.length)];
+
+      while (index < queue.length && throughput > 0) {
+        const burned = Math.min(throughput, remaining[index]);
+        remaining[index] -= burned;
+        throughput -= burned;
+
+        if (remaining[index] <= 0) {
+          finishes[queue[index].key].push(iteration);
+          index++;
+        }
+      }
+    }
+
+    for (; index < queue.length; index++) {
+      finishes[queue[index].key].push(Infinity);
+    }
+  }
+
+  Object.values(finishes).forEach(list => list.sort((a, b) => a - b));
+  return finishes;
+}
+
+/**
+ * Value below which a share of the sorted trials fall
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} share - 0-1
+ * @return {number} Percentile value
+ */
+function getPercentile_(sorted, share) {
+  return sorted[Math.max(0, Math.ceil(share * sorted.length) - 1)];
+}
+
+/**
+ * Forecast the completion iteration of a team's epics
+ * @param {Array<string>} epicKeys - Epic keys in the order the team works them
+ * @param {Array} issues - The team's parsed issues (epics and their children)
+ * @param {string} scrumTeam - Team name
+ * @param {string|number} piNumber - PI number
+ * @return {Object|null} {KEY: {remainingPoints, p50, p85}} - p50/p85 are null for epics with nothing
+ *                       left, Infinity when past the simulated range. Null without throughput history.
+ */
+function forecastEpicCompletion(epicKeys, issues, scrumTeam, piNumber) {
+  const throughput = getTeamThroughputSamples(scrumTeam, piNumber);
+  if (!throughput.samples.some(points => points > 0)) {
+    return null;
+  }
+
+  const remainingByEpic = {};
+  issues
+    .filter(i => (i.issueType === 'Story' || i.issueType === 'Bug') && !PI_SNAPSHOT_CONFIG.doneStatuses.includes(i.status))
+    .forEach(child => {
+      const epicKey = child.parentKey || child.epicLink;
+      remainingByEpic[epicKey] = (remainingByEpic[epicKey] || 0) + (child.storyPoints || 0);
+    });
+
+  const queue = epicKeys
+    .map(key => ({ key: key, remainingPoints: remainingByEpic[key] || 0 }))
+    .filter(epic => epic.remainingPoints > 0);
+
+  const startIteration = getForecastStartIteration_(piNumber, throughput.closedIterations);
+  const lastIteration = getPIIterationConfig(piNumber).iterationCount + FORECAST_CONFIG.extraIterations;
+  const finishes = simulateEpicCompletion(queue, throughput.samples, startIteration, lastIteration);
+
+  const forecast = {};
+  epicKeys.forEach(key => {
+    const trials = finishes[key];
+    forecast[key] = {
+      remainingPoints: remainingByEpic[key] || 0,
+      p50: trials ? getPercentile_(trials, 0.5) : null,
+      p85: trials ? getPercentile_(trials, 0.85) : null
+    };
+  });
+
+  console.log(`Forecast for ${scrumTeam}: ${queue.length} epics with remaining work, ` +
+    `${throughput.samples.length} throughput samples, starting at iteration ${startIteration}`);
+  return forecast;
+}
+
+// ===== DISPLAY =====
+
+/**
+ * Display a forecast iteration in PI Target Iteration format
+ * @param {number|null} iteration - Forecast iteration
+ * @param {string|number} piNumber - PI number
+ * @return {string} e.g. "13.4", "After PI 13", or "-" when there's nothing left to do
+ */
+function formatForecastIteration(iteration, piNumber) {
+  if (iteration === null) return '-';
+  const pi = piNumber.toString().replace(/PI\s*/i, '');
+  return iteration > getPIIterationConfig(pi).iterationCount ? `After PI ${pi}` : `${pi}.${iteration}`;
+}
+
+/**
+ * Colour for a forecast compared with the planned PI Target Iteration
+ * @param {Object} epicForecast - Entry of forecastEpicCompletion()
+ * @param {number|null} targetIteration - Planned iteration
+ * @return {string|null} Background colour, or null when there's nothing to compare
+ */
+function getForecastColor(epicForecast, targetIteration) {
+  if (!epicForecast || epicForecast.p50 === null || !targetIteration) return null;
+  if (epicForecast.p85 <= targetIteration) return FORECAST_CONFIG.colors.onTrack;
+  if (epicForecast.p50 <= targetIteration) return FORECAST_CONFIG.colors.atRisk;
+  return FORECAST_CONFIG.colors.late;
+}
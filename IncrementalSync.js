@@ -0,0 +1,320 @@
+/**
+ * IncrementalSync.gs - Incremental JIRA Sync of a PI Sheet
+ * ========================================================
+ *
+ * A full refresh re-pulls every epic and child of the PI. An incremental sync
+ * only fetches what changed since the last sync and merges it into the
+ * existing "PI N" sheet by key:
+ *
+ * 1. Keys-only queries list the epics still in the PI (per analyzed value
+ *    stream) and the children still under them
+ * 2. Issues updated since the last sync, plus keys the sheet doesn't have yet,
+ *    are fetched in full and replace or add their rows
+ * 3. Rows whose key no longer comes back (deleted, closed epics, moved to
+ *    another PI or epic) are deleted from the sheet, so the rows that stay
+ *    keep their formatting
+ * 4. LOE Estimate is recomputed and a PI snapshot is recorded when anything changed
+ *
+ * The last sync time is kept per PI and value stream in Script Properties.
+ * Full refreshes (createPIAnalysisSheet) record it too; a value stream that
+ * has never been fully refreshed into the sheet needs a full refresh first.
+ *
+ * Dates in the updated-since JQL are formatted in the script time zone,
+ * which should match the time zone of the JIRA account.
+ *
+ * @fileoverview Updated-since sync that merges changes into the PI sheet
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const INCREMENTAL_SYNC_CONFIG = {
+  propertyPrefix: 'LAST_SYNC_',
+
+  // Re-fetch a little before the last sync so issues edited while it ran aren't missed
+  overlapMinutes: 10,
+
+  keysPerQuery: 50
+};
+
+// ===== SYNC TIMES =====
+
+/**
+ * Read the last sync time of each value stream of a PI sheet
+ * @param {string} piSheetName - e.g. "PI 13"
+ * @return {Object} {VALUE_STREAM: ISO timestamp}
+ */
+function getPISyncTimes(piSheetName) {
+  const stored = PropertiesService.getScriptProperties().getProperty(INCREMENTAL_SYNC_CONFIG.propertyPrefix + piSheetName);
+  return stored ? JSON.parse(stored) : {};
+}
+
+/**
+ * Record that value streams of a PI sheet are in sync with JIRA as of a time
+ * @param {string} piSheetName - e.g. "PI 13"
+ * @param {Array<string>} valueStreams - Value streams that were synced
+ * @param {Date} syncTime - When the data was read from JIRA
+ */
+function recordPISyncTime(piSheetName, valueStreams, syncTime) {
+  try {
+    const times = getPISyncTimes(piSheetName);
+    valueStreams.forEach(vs => times[vs] = syncTime.toISOString());
+    PropertiesService.getScriptProperties().setProperty(INCREMENTAL_SYNC_CONFIG.propertyPrefix + piSheetName, JSON.stringify(times));
+  } catch (error) {
+    console.error(`Error recording sync time for ${piSheetName}:`, error);
+  }
+}
+
+// ===== JIRA QUERIES =====
+
+/**
+ * Run a "<field> in (keys)" search in batches, fetched in parallel
+ * @param {string} field - JQL field, e.g. "parent" or "key"
+ * @param {Array<string>} keys - Issue keys
+ * @param {string} extraJql - Clause ANDed to every batch ('' for none)
+ * @param {Array<string>} fields - Field IDs to return
+ * @return {Array<Object>} Raw JIRA issues
+ */
+function searchByKeys_(field, keys, extraJql, fields) {
+  const jqls = [];
+  for (let i = 0; i < keys.length; i += INCREMENTAL_SYNC_CONFIG.keysPerQuery) {
+    const batch = keys.slice(i, i + INCREMENTAL_SYNC_CONFIG.keysPerQuery);
+    jqls.push(`${field} in (${batch.join(', ')})${extraJql ? ' AND ' + extraJql : ''}`);
+  }
+  return [].concat(...jiraSearchMany(jqls, fields));
+}
+
+/**
+ * Field IDs needed to build a PI sheet row
+ * @return {Array<string>} Field IDs
+ */
+function getSyncFieldIds_() {
+  const ids = Object.keys(FIELD_MAPPINGS).map(field => getFieldId(field));
+  return [...new Set(ids.concat(['issuetype', 'parent', 'components', 'resolutiondate']))];
+}
+
+/**
+ * Turn select-list custom fields ({value} or [{value}]) into plain text for the sheet
+ * @param {Object} issue - Raw JIRA issue
+ * @return {Object} Issue with flattened custom fields
+ */
+function flattenSelectFields_(issue) {
+  const fields = Object.assign({}, issue.fields);
+
+  Object.keys(fields).forEach(id => {
+    const value = fields[id];
+    if (!id.startsWith('customfield_') || !value || typeof value !== 'object') return;
+
+    if (!Array.isArray(value)) {
+      if ('value' in value) fields[id] = value.value;
+    } else if (value.length > 0 && value.every(option => option && typeof option === 'object' && 'value' in option)) {
+      fields[id] = value.map(option => option.value).join(', ');
+    }
+  });
+
+  return { key: issue.key, fields: fields };
+}
+
+// ===== SYNC =====
+
+/**
+ * Sync a PI sheet with the changes in JIRA since the last sync
+ * @param {string} piNumber - PI number
+ * @param {Array<string>} valueStreams - Value streams the caller expects to be on the sheet
+ * @return {Object} {fullRefreshNeeded, reason} when a full refresh is needed, otherwise
+ *                  {fullRefreshNeeded: false, updated, added, removed, seconds}
+ */
+function syncPIIncrementally(piNumber, valueStreams) {
+  const startTime = new Date();
+  const piSheetName = `PI ${piNumber}`;
+  const programIncrement = piSheetName;
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(piSheetName);
+
+  if (!sheet || sheet.getLastRow() < 4) {
+    return { fullRefreshNeeded: true, reason: `No ${piSheetName} sheet yet` };
+  }
+
+  const analyzed = sheet.getRange(3, 2).getValue().toString().split(',').map(vs => vs.trim()).filter(Boolean);
+  const syncTimes = getPISyncTimes(piSheetName);
+  const unsynced = [...new Set(valueStreams.concat(analyzed))].filter(vs => !analyzed.includes(vs) || !syncTimes[vs]);
+  if (analyzed.length === 0) {
+    return { fullRefreshNeeded: true, reason: `No analyzed value streams on ${piSheetName}` };
+  }
+  if (unsynced.length > 0) {
+    return { fullRefreshNeeded: true, reason: `Never fully synced: ${unsynced.join(', ')}` };
+  }
+
+  const oldest = Math.min(...analyzed.map(vs => new Date(syncTimes[vs]).getTime()));
+  const since = new Date(oldest - INCREMENTAL_SYNC_CONFIG.overlapMinutes * 60 * 1000);
+  const updatedClause = `updated >= "${Utilities.formatDate(since, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm')}"`;
+  const fieldIds = getSyncFieldIds_();
+
+  console.log(`🔄 Incremental sync of ${piSheetName} (${analyzed.join(', ')}) since ${since.toISOString()}`);
+
+  // Which epics and children belong on the sheet now - keys only
+  const epicValueStream = {};
+  analyzed.forEach(vs => {
+    jiraSearchAll(buildEpicJQL(programIncrement, vs), ['key']).forEach(epic => {
+      epicValueStream[epic.key] = epicValueStream[epic.key] || vs;
+    });
+  });
+  const epicKeys = Object.keys(epicValueStream);
+
+  const childEpic = {};
+  searchByKeys_('parent', epicKeys, '', ['parent']).forEach(child => {
+    childEpic[child.key] = child.fields.parent.key;
+  });
+
+  // Current sheet rows by key
+  const values = sheet.getDataRange().getValues();
+  const headers = values[3];
+  const rows = [];
+  const sheetRows = [];
+  const blankRows = [];
+  values.slice(4).forEach((row, index) => {
+    if (row[0] === '') {
+      blankRows.push(index + 5);
+    } else {
+      rows.push(row);
+      sheetRows.push(index + 5);
+    }
+  });
+  const rowIndexByKey = {};
+  rows.forEach((row, index) => rowIndexByKey[row[0]] = index);
+
+  // Changed issues, and issues new to the sheet whatever their updated date
+  const changed = {};
+  analyzed.forEach(vs => {
+    jiraSearchAll(`${buildEpicJQL(programIncrement, vs)} AND ${updatedClause}`, fieldIds).forEach(epic => {
+      if (epicValueStream[epic.key] === vs) changed[epic.key] = processEpicData(flattenSelectFields_(epic), vs);
+    });
+  });
+  searchByKeys_('parent', epicKeys, updatedClause, fieldIds).forEach(child => {
+    const epicKey = child.fields.parent.key;
+    changed[child.key] = processChildData(flattenSelectFields_(child), epicKey, epicValueStream[epicKey]);
+  });
+
+  const missing = epicKeys.concat(Object.keys(childEpic))
+    .filter(key => !(key in rowIndexByKey) && !(key in changed));
+  searchByKeys_('key', missing, '', fieldIds).forEach(issue => {
+    const epicKey = childEpic[issue.key];
+    changed[issue.key] = epicKey
+      ? processChildData(flattenSelectFields_(issue), epicKey, epicValueStream[epicKey])
+      : processEpicData(flattenSelectFields_(issue), epicValueStream[issue.key]);
+  });
+
+  // Merge: replace changed rows, append new ones, drop the ones that left the PI
+  const toSheetRow = (issue, existing) => {
+    const analysisRow = buildPIAnalysisRow(issue);
+    return headers.map((header, col) => {
+      const index = PI_ANALYSIS_HEADERS.indexOf(header);
+      return index !== -1 ? analysisRow[index] : (existing ? existing[col] : '');
+    });
+  };
+
+  let updated = 0;
+  let added = 0;
+  Object.values(changed).forEach(issue => {
+    if (issue.key in rowIndexByKey) {
+      rows[rowIndexByKey[issue.key]] = toSheetRow(issue, rows[rowIndexByKey[issue.key]]);
+      updated++;
+    } else {
+      rows.push(toSheetRow(issue, null));
+      added++;
+    }
+  });
+
+  const keep = row => row[0] in epicValueStream || row[0] in childEpic;
+  const merged = rows.filter(keep);
+  const removed = rows.length - merged.length;
+  const leftRows = sheetRows.filter((sheetRow, index) => !keep(rows[index]));
+
+  // LOE Estimate follows the children's story points
+  const col = name => headers.indexOf(name);
+  const epicLOE = calculateEpicLOE(merged.map(row => ({
+    key: row[0],
+    issueType: row[col('Issue Type')],
+    storyPoints: parseFloat(row[col('Story Points')]) || 0,
+    epicLink: row[col('Epic Link')],
+    parentKey: row[col('Parent')]
+  })));
+  if (col('LOE Estimate') !== -1) {
+    merged.forEach(row => {
+      if (row[0] in epicLOE) row[col('LOE Estimate')] = epicLOE[row[0]];
+    });
+  }
+
+  // Delete the rows that left rather than rewriting the block, so every remaining
+  // row keeps its own formatting; new rows go below them
+  deleteSheetRows_(sheet, leftRows.concat(blankRows));
+  if (merged.length > 0) {
+    sheet.getRange(5, 1, merged.length, headers.length).setValues(merged);
+    applyJiraHyperlinks(sheet, 5, 1, merged.map(row => row[0]));
+    sheet.getRange(5, 3, merged.length, 1).setWrap(true);
+  }
+  sheet.getRange(2, 2).setValue(new Date().toLocaleString());
+
+  if (updated + added + removed > 0) {
+    recordPISnapshot(piSheetName, parsePISheetData([[], [], [], headers].concat(merged), headers));
+  }
+  recordPISyncTime(piSheetName, analyzed, startTime);
+
+  const seconds = ((new Date() - startTime) / 1000).toFixed(1);
+  console.log(`✅ Incremental sync of ${piSheetName}: ${updated} updated, ${added} added, ${removed} removed in ${seconds}s`);
+
+  return { fullRefreshNeeded: false, updated: updated, added: added, removed: removed, seconds: seconds };
+}
+
+/**
+ * Delete sheet rows, bottom-up in contiguous runs
+ * @param {Sheet} sheet - Sheet to delete from
+ * @param {Array<number>} rowNumbers - 1-based row numbers
+ */
+function deleteSheetRows_(sheet, rowNumbers) {
+  const sorted = rowNumbers.slice().sort((a, b) => b - a);
+  let i = 0;
+  while (i < sorted.length) {
+    let count = 1;
+    while (i + count < sorted.length && sorted[i + count] === sorted[i] - count) count++;
+    sheet.deleteRows(sorted[i] - count + 1, count);
+    i += count;
+  }
+}
+
+// ===== MENU =====
+
+/**
+ * Menu handler: sync the latest PI sheet with the changes in JIRA
+ */
+function menuSyncPIIncrementally() {
+  const ui = SpreadsheetApp.getUi();
+
+  const piNumber = getCurrentPIFromSheets();
+  if (!piNumber) {
+    ui.alert('No PI data found. Please run an analysis first.');
+    return;
+  }
+
+  try {
+    showProgress(`Syncing changes into PI ${piNumber}...`);
+    const result = syncPIIncrementally(piNumber, []);
+    closeProgress();
+
+    if (result.fullRefreshNeeded) {
+      ui.alert('Incremental Sync',
+        `PI ${piNumber} needs a full refresh first (${result.reason}).`,
+        ui.ButtonSet.OK);
+      return;
+    }
+
+    ui.alert('Incremental Sync',
+      `PI ${piNumber} is up to date (${result.seconds}s).\n\n` +
+      `Updated: ${result.updated}\nAdded: ${result.added}\nRemoved: ${result.removed}`,
+      ui.ButtonSet.OK);
+
+  } catch (error) {
+    console.error('Error in incremental sync:', error);
+    closeProgress();
+    ui.alert('Error', 'Incremental sync failed: ' + error.toString(), ui.ButtonSet.OK);
+  }
+}
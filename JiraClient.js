@@ -0,0 +1,373 @@
+/**
+ * JiraClient.gs - JIRA REST Client
+ * ================================
+ *
+ * Every JIRA request goes through here:
+ * - Basic auth from the stored credentials (Setup.gs)
+ * - Retries on 429 and 5xx with exponential backoff, honouring Retry-After
+ * - Token-based paging of /rest/api/3/search/jql (nextPageToken)
+ * - Batched parallel requests with UrlFetchApp.fetchAll
+ * - A request counter per day, kept in Script Properties (see estimateAPIUsage)
+ *
+ * Responses are {code, body}; callers decide what a non-2xx code means.
+ * The search helpers throw on errors.
+ *
+ * @fileoverview Shared JIRA request layer with retry, paging and parallel fetch
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const JIRA_CLIENT_CONFIG = {
+  retryStatuses: [429, 500, 502, 503, 504],
+  maxRetries: 4,
+
+  // Backoff doubles from baseDelayMs; Retry-After wins when JIRA sends one
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+
+  searchPageSize: 100,
+
+  // Requests per UrlFetchApp.fetchAll call
+  parallelBatchSize: 10,
+
+  statsPropertyKey: 'JIRA_REQUEST_STATS',
+  statsDaysKept: 7,
+  // How long to wait for another execution's counter update before keeping ours for the next flush
+  statsLockMs: 2000
+};
+
+// Requests made by this execution
+let jiraRequestCount_ = 0;
+
+// Counts not yet added to the Script Property: {day: {requests, retries, rateLimited, byHour}}
+let pendingJiraRequestStats_ = {};
+
+// ===== REQUESTS =====
+
+/**
+ * Build UrlFetchApp params for a JIRA request
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the base URL (e.g. '/rest/api/3/issue/ABC-1')
+ * @param {Object} [payload] - JSON body
+ * @return {Object} Params including url
+ */
+function buildJiraRequest_(method, path, payload) {
+  const creds = getJiraCredentials();
+  if (!creds) {
+    throw new Error('JIRA credentials not configured. Run Setup > Configure JIRA Credentials first.');
+  }
+
+  const request = {
+    url: creds.baseUrl + path,
+    method: method,
+    headers: {
+      'Authorization': 'Basic ' + Utilities.base64Encode(`${creds.email}:${creds.apiToken}`),
+      'Accept': 'application/json'
+    },
+    muteHttpExceptions: true
+  };
+
+  if (payload) {
+    request.contentType = 'application/json';
+    request.payload = JSON.stringify(payload);
+  }
+
+  return request;
+}
+
+/**
+ * Turn an HTTP response into {code, body}
+ * @param {HTTPResponse} response - UrlFetchApp response
+ * @return {Object} {code, body}
+ */
+function parseJiraResponse_(response) {
+  const text = response.getContentText();
+  let body = null;
+  if (text) {
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      // Gateways answer 5xx with HTML
+      body = { errorMessages: [text.substring(0, 200)] };
+    }
+  }
+  return { code: response.getResponseCode(), body: body };
+}
+
+/**
+ * How long to wait before retrying a response, or -1 when it shouldn't be retried
+ * @param {HTTPResponse} response - UrlFetchApp response
+ * @param {number} attempt - Retries made so far
+ * @return {number} Delay in ms
+ */
+function getJiraRetryDelay_(response, attempt) {
+  if (!JIRA_CLIENT_CONFIG.retryStatuses.includes(response.getResponseCode()) ||
+      attempt >= JIRA_CLIENT_CONFIG.maxRetries) {
+    return -1;
+  }
+
+  const headers = response.getHeaders() || {};
+  const retryAfter = parseFloat(headers['Retry-After'] || headers['retry-after']);
+  const delay = retryAfter >= 0
+    ? retryAfter * 1000
+    : JIRA_CLIENT_CONFIG.baseDelayMs * Math.pow(2, attempt) * (1 + Math.random() * 0.25);
+
+  return Math.min(delay, JIRA_CLIENT_CONFIG.maxDelayMs);
+}
+
+/**
+ * Send a request to the JIRA REST API, retrying throttled and failed ones
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the base URL (e.g. '/rest/api/3/issue/ABC-1')
+ * @param {Object} [payload] - JSON body
+ * @return {Object} {code, body}
+ */
+function jiraRequest(method, path, payload) {
+  return jiraRequestAll([{ method: method, path: path, payload: payload }])[0];
+}
+
+/**
+ * Send several requests in parallel (UrlFetchApp.fetchAll), retrying throttled and failed ones
+ * @param {Array<Object>} requests - [{method, path, payload}]
+ * @return {Array<Object>} [{code, body}] in request order
+ */
+function jiraRequestAll(requests) {
+  const results = [];
+
+  for (let start = 0; start < requests.length; start += JIRA_CLIENT_CONFIG.parallelBatchSize) {
+    const batch = requests.slice(start, start + JIRA_CLIENT_CONFIG.parallelBatchSize)
+      .map(request => buildJiraRequest_(request.method, request.path, request.payload));
+    const responses = new Array(batch.length);
+    let pending = batch.map((request, index) => index);
+    let attempt = 0;
+    let rateLimited = 0;
+
+    while (pending.length > 0) {
+      const fetched = pending.length === 1
+        ? [UrlFetchApp.fetch(batch[pending[0]].url, batch[pending[0]])]
+        : UrlFetchApp.fetchAll(pending.map(index => batch[index]));
+
+      let wait = 0;
+      const retry = [];
+      fetched.forEach((response, i) => {
+        const index = pending[i];
+        responses[index] = response;
+
+        const delay = getJiraRetryDelay_(response, attempt);
+        if (delay >= 0) {
+          retry.push(index);
+          wait = Math.max(wait, delay);
+          if (response.getResponseCode() === 429) rateLimited++;
+        }
+      });
+
+      recordJiraRequests_(pending.length, retry.length, rateLimited);
+      rateLimited = 0;
+
+      if (retry.length > 0) {
+        console.warn(`⏳ JIRA returned ${retry.map(index => responses[index].getResponseCode()).join(', ')}; ` +
+          `retrying ${retry.length} request(s) in ${Math.round(wait / 1000)}s`);
+        Utilities.sleep(wait);
+      }
+
+      pending = retry;
+      attempt++;
+    }
+
+    results.push(...responses.map(parseJiraResponse_));
+  }
+
+  return results;
+}
+
+/**
+ * GET a JIRA path and fail loudly on errors
+ * @param {string} path - Path below the base URL
+ * @return {Object} Parsed JSON body
+ */
+function jiraGet(path) {
+  const response = jiraRequest('GET', path);
+  if (response.code !== 200) {
+    throw new Error(`JIRA GET ${path}: ${describeJiraError(response)}`);
+  }
+  return response.body;
+}
+
+/**
+ * Describe a failed JIRA response
+ * @param {Object} response - {code, body} from jiraRequest
+ * @return {string} Readable error
+ */
+function describeJiraError(response) {
+  const body = response.body || {};
+  const messages = (body.errorMessages || []).concat(Object.values(body.errors || {}));
+  return `HTTP ${response.code}${messages.length ? ': ' + messages.join('; ') : ''}`;
+}
+
+/**
+ * Request by full URL and return the parsed body - for the older callers that build URLs themselves
+ * @param {string} url - Full JIRA URL
+ * @param {string} method - HTTP method
+ * @param {Object} [payload] - JSON body
+ * @return {Object} Parsed JSON body
+ */
+function makeJiraRequest(url, method, payload) {
+  const path = url.replace(/^https?:\/\/[^/]+/, '');
+  const response = jiraRequest(method || 'GET', path, payload);
+  if (response.code < 200 || response.code >= 300) {
+    throw new Error(`JIRA ${method || 'GET'} ${path}: ${describeJiraError(response)}`);
+  }
+  return response.body;
+}
+
+// ===== SEARCH =====
+
+/**
+ * Search request for one page of /search/jql
+ * @param {string} jql - Query
+ * @param {Array<string>} fields - Field IDs to return
+ * @param {string|null} nextPageToken - Token of the page to fetch, null for the first
+ * @return {Object} {method, path, payload}
+ */
+function buildJiraSearchRequest_(jql, fields, nextPageToken) {
+  const payload = { jql: jql, maxResults: JIRA_CLIENT_CONFIG.searchPageSize, fields: fields };
+  if (nextPageToken) payload.nextPageToken = nextPageToken;
+  return { method: 'POST', path: '/rest/api/3/search/jql', payload: payload };
+}
+
+/**
+ * Run a JQL search and collect every page
+ * @param {string} jql - Query
+ * @param {Array<string>} fields - Field IDs to return
+ * @param {number} [maxIssues] - Stop paging once this many issues were read
+ * @return {Array<Object>} Raw JIRA issues
+ */
+function jiraSearchAll(jql, fields, maxIssues) {
+  return jiraSearchMany([jql], fields, maxIssues)[0];
+}
+
+/**
+ * Run several JQL searches in parallel, paging each one to the end
+ * @param {Array<string>} jqls - Queries
+ * @param {Array<string>} fields - Field IDs to return
+ * @param {number} [maxIssues] - Per query, stop paging once this many issues were read
+ * @return {Array<Array<Object>>} Raw JIRA issues per query, in query order
+ */
+function jiraSearchMany(jqls, fields, maxIssues) {
+  const results = jqls.map(() => []);
+  let pending = jqls.map((jql, index) => ({ index: index, token: null }));
+
+  while (pending.length > 0) {
+    const responses = jiraRequestAll(pending.map(page => buildJiraSearchRequest_(jqls[page.index], fields, page.token)));
+
+    const next = [];
+    responses.forEach((response, i) => {
+      const index = pending[i].index;
+      if (response.code !== 200) {
+        throw new Error(`JIRA search failed (${describeJiraError(response)}) for: ${jqls[index]}`);
+      }
+
+      results[index].push(...(response.body.issues || []));
+      const token = response.body.nextPageToken;
+      if (token && !(maxIssues && results[index].length >= maxIssues)) {
+        next.push({ index: index, token: token });
+      }
+    });
+    pending = next;
+  }
+
+  return maxIssues ? results.map(issues => issues.slice(0, maxIssues)) : results;
+}
+
+// ===== REQUEST COUNTER =====
+
+/**
+ * Add requests to this execution's count
+ * Kept in memory; flushJiraRequestStats adds it to the shared count once per run.
+ * @param {number} requests - Requests sent
+ * @param {number} retries - Of which will be retried
+ * @param {number} rateLimited - Of which JIRA answered 429
+ */
+function recordJiraRequests_(requests, retries, rateLimited) {
+  jiraRequestCount_ += requests;
+
+  const now = new Date();
+  const day = Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  const hour = parseInt(Utilities.formatDate(now, Session.getScriptTimeZone(), 'H'), 10);
+
+  const pending = pendingJiraRequestStats_[day] = pendingJiraRequestStats_[day] || createJiraDayStats_();
+  pending.requests += requests;
+  pending.retries += retries;
+  pending.rateLimited += rateLimited;
+  pending.byHour[hour] += requests;
+}
+
+/**
+ * Add this execution's requests to the shared per-day count
+ * Called at the end of a run, by flushExecutionStats.
+ * Executions share the Script Property, so the update runs under the document
+ * lock - not the script lock, which the analysis job holds for a whole slice.
+ */
+function flushJiraRequestStats() {
+  if (Object.keys(pendingJiraRequestStats_).length === 0) return;
+
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(JIRA_CLIENT_CONFIG.statsLockMs)) {
+    console.warn('JIRA request counter busy - keeping this run\'s count for the next flush');
+    return;
+  }
+
+  try {
+    const props = PropertiesService.getScriptProperties();
+    const stats = mergeJiraRequestStats_(
+      JSON.parse(props.getProperty(JIRA_CLIENT_CONFIG.statsPropertyKey) || '{}'), pendingJiraRequestStats_);
+
+    Object.keys(stats).sort().slice(0, -JIRA_CLIENT_CONFIG.statsDaysKept).forEach(old => delete stats[old]);
+    props.setProperty(JIRA_CLIENT_CONFIG.statsPropertyKey, JSON.stringify(stats));
+    pendingJiraRequestStats_ = {};
+  } catch (error) {
+    console.error('Error recording JIRA request count:', error);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Empty per-day counters
+ * @return {Object} {requests, retries, rateLimited, byHour}
+ */
+function createJiraDayStats_() {
+  return { requests: 0, retries: 0, rateLimited: 0, byHour: new Array(24).fill(0) };
+}
+
+/**
+ * Add per-day counts into stored stats
+ * @param {Object} stats - {day: counters}, updated in place
+ * @param {Object} added - {day: counters}
+ * @return {Object} stats
+ */
+function mergeJiraRequestStats_(stats, added) {
+  Object.keys(added).forEach(day => {
+    const total = stats[day] = stats[day] || createJiraDayStats_();
+    total.requests += added[day].requests;
+    total.retries += added[day].retries;
+    total.rateLimited += added[day].rateLimited;
+    added[day].byHour.forEach((n, hour) => { total.byHour[hour] += n; });
+  });
+  return stats;
+}
+
+/**
+ * Counted JIRA requests, including this execution's not yet flushed
+ * @return {Object} {execution, days: [{day, requests, retries, rateLimited, byHour}]} - days oldest first
+ */
+function getJiraRequestStats() {
+  const stats = mergeJiraRequestStats_(
+    JSON.parse(PropertiesService.getScriptProperties().getProperty(JIRA_CLIENT_CONFIG.statsPropertyKey) || '{}'),
+    pendingJiraRequestStats_);
+  return {
+    execution: jiraRequestCount_,
+    days: Object.keys(stats).sort().map(day => Object.assign({ day: day }, stats[day]))
+  };
+}
@@ -0,0 +1,775 @@
+/**
+ * JiraWriteback.gs - Bulk Corrections Written Back to JIRA
+ * ========================================================
+ *
+ * Turns validation findings into JIRA edits so nobody has to fix tickets
+ * one by one:
+ *
+ * FIX FIX-VERSIONS:
+ * 1. Collect children flagged by Release Version Validation
+ * 2. Write a dry-run table of proposed edits ("PI N - Fix Version Proposals")
+ * 3. After confirmation, add the recommended fixVersion to each child that
+ *    doesn't have it yet, replacing other releases of the same PI and
+ *    keeping versions outside the PI
+ * 4. Log every change (with the previous value) to the "JIRA Change Audit" tab
+ * 5. "Undo JIRA Change Batch..." restores the previous values of a batch,
+ *    skipping fields someone has changed in JIRA since
+ *
+ * ALLOCATION MISMATCH REMEDIATION:
+ * 1. Scrum team summaries list mismatched children in an "Allocation Fix Queue"
+ * 2. Scrum masters tick "Approved" on the rows they agree with
+ * 3. "Apply Approved Allocation Fixes" sets each child's Allocation to the
+ *    epic's value and writes the result and timestamp back onto the row
+ * 4. Regenerating a summary (menus, jobs, scheduled runs) keeps the ticks,
+ *    results and timestamps of children still in the queue
+ *
+ * @fileoverview JIRA write-back with dry-run, audit and undo
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const JIRA_WRITEBACK_CONFIG = {
+  auditSheetName: 'JIRA Change Audit',
+  auditHeaders: ['Timestamp', 'Batch ID', 'Action', 'Key', 'Field', 'Previous Value', 'New Value', 'Result', 'User'],
+  proposalSheetSuffix: ' - Fix Version Proposals',
+  allocationQueueTitle: 'Allocation Fix Queue',
+  allocationQueueHeaders: ['Approved', 'Child Key', 'Child Summary', 'Child Allocation', 'Epic Key', 'Epic Allocation', 'Result', 'Updated At'],
+  // Script Property (+ sheet name) holding queue state while a summary is regenerated
+  allocationQueueStatePrefix: 'ALLOCATION_QUEUE_',
+  pauseBetweenWritesMs: 100
+};
+
+// ===== AUDIT LOG =====
+
+/**
+ * Get or create the audit tab
+ * @return {Sheet} Audit sheet
+ */
+function getOrCreateJiraAuditSheet_() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(JIRA_WRITEBACK_CONFIG.auditSheetName);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(JIRA_WRITEBACK_CONFIG.auditSheetName);
+    const headers = JIRA_WRITEBACK_CONFIG.auditHeaders;
+
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(1, 1, 1, headers.length)
+      .setFontWeight('bold')
+      .setBackground('#9b7bb8')
+      .setFontColor('#ffffff')
+      .setHorizontalAlignment('center');
+
+    const widths = [150, 170, 120, 100, 110, 200, 200, 220, 200];
+    widths.forEach((w, i) => sheet.setColumnWidth(i + 1, w));
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Append rows to the audit tab
+ * @param {Array<Array>} rows - Rows matching JIRA_WRITEBACK_CONFIG.auditHeaders
+ */
+function appendJiraAuditRows_(rows) {
+  if (rows.length === 0) return;
+  const sheet = getOrCreateJiraAuditSheet_();
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+/**
+ * Create a batch ID for a set of JIRA edits
+ * @param {string} prefix - Batch type (e.g. 'FV')
+ * @return {string} Batch ID like "FV-20251020-143005"
+ */
+function createWritebackBatchId_(prefix) {
+  return `${prefix}-${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMdd-HHmmss')}`;
+}
+
+// ===== FIX FIX-VERSIONS =====
+
+/**
+ * Build the list of fix-version edits from the Release Version Validation rules
+ * @param {Array} issues - All issues in the PI
+ * @param {number} piNumber - PI number
+ * @param {string} [scrumTeam] - Limit to one team's epics
+ * @return {Array<Object>} [{key, summary, scrumTeam, epicKey, currentFixVersion, proposedFixVersion}]
+ */
+function collectFixVersionProposals(issues, piNumber, scrumTeam) {
+  const epics = issues.filter(i =>
+    i.issueType === 'Epic' && (!scrumTeam || i.scrumTeam === scrumTeam)
+  );
+  const childTickets = issues.filter(i =>
+    (i.issueType === 'Story' || i.issueType === 'Bug') && (i.epicLink || i.parentKey)
+  );
+
+  const proposals = [];
+
+  epics.forEach(epic => {
+    // Same eligibility as createReleaseVersionValidation
+    if (!epic.iterationStart || !epic.iterationEnd) return;
+
+    const epicChildren = childTickets.filter(child =>
+      child.epicLink === epic.key || child.parentKey === epic.key
+    );
+    if (!epicChildren.some(child => child.sprintName && child.sprintName.trim() !== '')) return;
+
+    const targetFixVersion = epic.fixVersion || determineRecommendedFixVersion(epicChildren, piNumber);
+    if (!targetFixVersion) return;
+
+    const wrongKeys = findChildrenWithWrongFixVersion(epicChildren, targetFixVersion);
+    epicChildren.filter(child => wrongKeys.includes(child.key)).forEach(child => {
+      proposals.push({
+        key: child.key,
+        summary: child.summary || '',
+        scrumTeam: child.scrumTeam || '',
+        epicKey: epic.key,
+        currentFixVersion: child.fixVersion || '',
+        proposedFixVersion: targetFixVersion
+      });
+    });
+  });
+
+  return proposals;
+}
+
+/**
+ * Write the dry-run table of proposed fix-version edits
+ * @param {string} programIncrement - e.g. "PI 13"
+ * @param {Array<Object>} proposals - From collectFixVersionProposals
+ * @return {Sheet} Proposal sheet
+ */
+function writeFixVersionProposalSheet_(programIncrement, proposals) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = programIncrement + JIRA_WRITEBACK_CONFIG.proposalSheetSuffix;
+  let sheet = spreadsheet.getSheetByName(sheetName);
+
+  if (sheet) {
+    sheet.clear();
+  } else {
+    sheet = spreadsheet.insertSheet(sheetName);
+  }
+
+  sheet.getRange(1, 1).setValue(`Fix Version Proposals (Dry Run) - ${programIncrement}`);
+  sheet.getRange(1, 1).setFontSize(16).setFontWeight('bold');
+  sheet.getRange(2, 1).setValue(`Generated ${new Date().toLocaleString()} - nothing has been changed in JIRA yet`);
+  sheet.getRange(2, 1).setFontStyle('italic').setFontColor('#666666');
+
+  const headers = ['Key', 'Summary', 'Scrum Team', 'Epic', 'Current Fix Version', 'Proposed Fix Version'];
+  sheet.getRange(4, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(4, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#9b7bb8')
+    .setFontColor('white');
+
+  if (proposals.length > 0) {
+    const data = proposals.map(p => [
+      p.key, p.summary, p.scrumTeam, p.epicKey, p.currentFixVersion || '(none)', p.proposedFixVersion
+    ]);
+    sheet.getRange(5, 1, data.length, headers.length).setValues(data);
+    applyJiraHyperlinks(sheet, 5, 1, proposals.map(p => p.key));
+    applyJiraHyperlinks(sheet, 5, 4, proposals.map(p => p.epicKey));
+    sheet.getRange(5, 5, data.length, 1).setBackground('#ffcccc');
+    sheet.getRange(5, 6, data.length, 1).setBackground('#ccffcc');
+  }
+
+  sheet.setFrozenRows(4);
+  sheet.autoResizeColumns(1, headers.length);
+  sheet.setColumnWidth(2, 350);
+
+  return sheet;
+}
+
+/**
+ * Menu handler: "Fix Fix-Versions..."
+ * Shows a dry run first and only writes to JIRA after confirmation.
+ */
+function menuFixFixVersions() {
+  const ui = SpreadsheetApp.getUi();
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+
+  const piResponse = ui.prompt('Fix Fix-Versions', 'Enter PI number (e.g., 13):', ui.ButtonSet.OK_CANCEL);
+  if (piResponse.getSelectedButton() !== ui.Button.OK) return;
+
+  const piNumber = piResponse.getResponseText().trim();
+  if (!/^\d+$/.test(piNumber)) {
+    ui.alert('Invalid PI format. Please use a number like "13"');
+    return;
+  }
+
+  const teamResponse = ui.prompt('Fix Fix-Versions',
+    'Limit to one scrum team? Enter the team name, or leave blank for all teams:',
+    ui.ButtonSet.OK_CANCEL);
+  if (teamResponse.getSelectedButton() !== ui.Button.OK) return;
+  const scrumTeam = teamResponse.getResponseText().trim();
+
+  const programIncrement = `PI ${piNumber}`;
+  const piSheet = spreadsheet.getSheetByName(programIncrement);
+  if (!piSheet) {
+    ui.alert('No PI Data Found', `Sheet "${programIncrement}" not found. Please run the PI analysis first.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    const values = piSheet.getDataRange().getValues();
+    const issues = parsePISheetData(values, values[3]);
+    const proposals = collectFixVersionProposals(issues, parseInt(piNumber), scrumTeam || null);
+
+    const proposalSheet = writeFixVersionProposalSheet_(programIncrement, proposals);
+    spreadsheet.setActiveSheet(proposalSheet);
+
+    if (proposals.length === 0) {
+      ui.alert('Fix Fix-Versions', 'No children with wrong or missing fix versions were found.', ui.ButtonSet.OK);
+      return;
+    }
+
+    const confirm = ui.alert(
+      'Apply Fix Versions?',
+      `${proposals.length} ticket(s) will be updated in JIRA.\n\n` +
+      `Review the dry run on "${proposalSheet.getName()}".\n\n` +
+      'Every change is logged with its previous value so the batch can be undone.\n\nApply now?',
+      ui.ButtonSet.YES_NO
+    );
+    if (confirm !== ui.Button.YES) return;
+
+    showProgress(`Updating fix versions on ${proposals.length} tickets...`);
+    const result = applyFixVersionProposals(proposals, parseInt(piNumber));
+    closeProgress();
+
+    ui.alert(
+      'Fix Fix-Versions Complete',
+      `Batch: ${result.batchId}\n\n` +
+      `✓ Updated: ${result.updated}\n` +
+      `• Already set in JIRA: ${result.skipped}\n` +
+      `✗ Failed: ${result.failed}\n\n` +
+      `Details are in the "${JIRA_WRITEBACK_CONFIG.auditSheetName}" tab.\n` +
+      'Use "Undo JIRA Change Batch..." with the batch ID to revert.',
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    console.error('Error fixing fix versions:', error);
+    closeProgress();
+    ui.alert('Error', 'Fix-version update failed: ' + error.toString(), ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Add the proposed fix version to each ticket that doesn't have it and audit every change
+ * Other releases of the same PI are removed; versions outside the PI are kept.
+ * Tickets JIRA already has right are skipped.
+ * @param {Array<Object>} proposals - From collectFixVersionProposals
+ * @param {number} piNumber - PI the proposals were collected for
+ * @return {Object} {batchId, updated, skipped, failed}
+ */
+function applyFixVersionProposals(proposals, piNumber) {
+  const batchId = createWritebackBatchId_('FV');
+  const piReleases = getReleasesForPI(piNumber).map(release => release.releaseName.trim().toLowerCase());
+  const user = Session.getEffectiveUser().getEmail();
+  const auditRows = [];
+  let updated = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  proposals.forEach(proposal => {
+    let previous = '';
+    let written = '';
+    let result;
+
+    try {
+      // Read the live value so the undo restores exactly what JIRA had
+      const liveNames = JSON.parse(readLiveFieldValue_(proposal.key, 'fixVersions'));
+      previous = JSON.stringify(liveNames);
+
+      // Compare with JIRA rather than the PI sheet, which can be stale
+      const proposedNorm = proposal.proposedFixVersion.trim().toLowerCase();
+      const hasProposed = liveNames.some(name => name.trim().toLowerCase() === proposedNorm);
+      const otherPIReleases = liveNames.filter(name =>
+        name.trim().toLowerCase() !== proposedNorm && piReleases.includes(name.trim().toLowerCase())
+      );
+      if (hasProposed && otherPIReleases.length === 0) {
+        skipped++;
+        return;
+      }
+
+      const operations = otherPIReleases.map(name => ({ remove: { name: name } }));
+      if (!hasProposed) operations.push({ add: { name: proposal.proposedFixVersion } });
+      written = JSON.stringify(liveNames
+        .filter(name => !otherPIReleases.includes(name))
+        .concat(hasProposed ? [] : [proposal.proposedFixVersion]));
+
+      const response = jiraRequest('PUT', `/rest/api/3/issue/${proposal.key}`, {
+        update: { fixVersions: operations }
+      });
+
+      if (response.code === 204 || response.code === 200) {
+        result = 'Updated';
+        updated++;
+      } else {
+        result = 'Failed: ' + describeJiraError(response);
+        failed++;
+      }
+    } catch (error) {
+      console.error(`Error updating fix version on ${proposal.key}:`, error);
+      result = 'Failed: ' + error.message;
+      failed++;
+    }
+
+    auditRows.push([
+      new Date(), batchId, 'Set Fix Version', proposal.key, 'fixVersions',
+      previous, written, result, user
+    ]);
+
+    Utilities.sleep(JIRA_WRITEBACK_CONFIG.pauseBetweenWritesMs);
+  });
+
+  appendJiraAuditRows_(auditRows);
+  console.log(`✅ Fix-version batch ${batchId}: ${updated} updated, ${skipped} already set, ${failed} failed`);
+
+  return { batchId: batchId, updated: updated, skipped: skipped, failed: failed };
+}
+
+// ===== UNDO =====
+
+/**
+ * Menu handler: revert a write-back batch from the audit tab
+ */
+function menuUndoJiraChangeBatch() {
+  const ui = SpreadsheetApp.getUi();
+
+  const response = ui.prompt('Undo JIRA Change Batch',
+    'Enter the batch ID to revert (e.g., FV-20251020-143005):',
+    ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const batchId = response.getResponseText().trim();
+  if (!batchId) return;
+
+  try {
+    showProgress(`Reverting batch ${batchId}...`);
+    const result = undoJiraWritebackBatch(batchId);
+    closeProgress();
+
+    if (result.total === 0) {
+      ui.alert('Undo', `No successful changes found for batch "${batchId}".`, ui.ButtonSet.OK);
+      return;
+    }
+
+    ui.alert('Undo Complete',
+      `Batch: ${batchId}\nUndo batch: ${result.batchId}\n\n` +
+      `✓ Reverted: ${result.reverted}\n` +
+      `• Changed in JIRA since (left alone): ${result.skipped}\n` +
+      `✗ Failed: ${result.failed}`,
+      ui.ButtonSet.OK);
+  } catch (error) {
+    console.error('Error undoing batch:', error);
+    closeProgress();
+    ui.alert('Error', 'Undo failed: ' + error.toString(), ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Restore the previous field values of every successful change in a batch
+ * A field whose live value no longer equals what the batch wrote was changed
+ * in JIRA since, so it is left alone and logged as skipped.
+ * @param {string} batchId - Batch to revert
+ * @return {Object} {batchId, total, reverted, skipped, failed}
+ */
+function undoJiraWritebackBatch(batchId) {
+  const sheet = getOrCreateJiraAuditSheet_();
+  const lastRow = sheet.getLastRow();
+  const headers = JIRA_WRITEBACK_CONFIG.auditHeaders;
+
+  const rows = lastRow < 2 ? [] : sheet.getRange(2, 1, lastRow - 1, headers.length).getValues()
+    .filter(row => row[1] === batchId && row[7] === 'Updated');
+
+  const undoBatchId = `UNDO-${batchId}`;
+  const user = Session.getEffectiveUser().getEmail();
+  const auditRows = [];
+  let reverted = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  rows.forEach(row => {
+    const key = row[3];
+    const field = row[4];
+    let result;
+
+    try {
+      const live = readLiveFieldValue_(key, field);
+      if (!auditValuesMatch_(field, live, row[6])) {
+        result = 'Skipped: changed in JIRA since to ' + live;
+        skipped++;
+        auditRows.push([new Date(), undoBatchId, 'Undo', key, field, live, row[5], result, user]);
+        return;
+      }
+
+      const response = jiraRequest('PUT', `/rest/api/3/issue/${key}`, {
+        fields: buildUndoFieldValue_(field, row[5])
+      });
+
+      if (response.code === 204 || response.code === 200) {
+        result = 'Updated';
+        reverted++;
+      } else {
+        result = 'Failed: ' + describeJiraError(response);
+        failed++;
+      }
+    } catch (error) {
+      console.error(`Error reverting ${key}:`, error);
+      result = 'Failed: ' + error.message;
+      failed++;
+    }
+
+    auditRows.push([new Date(), undoBatchId, 'Undo', key, field, row[6], row[5], result, user]);
+    Utilities.sleep(JIRA_WRITEBACK_CONFIG.pauseBetweenWritesMs);
+  });
+
+  appendJiraAuditRows_(auditRows);
+  console.log(`✅ Undo of ${batchId}: ${reverted} reverted, ${skipped} changed since, ${failed} failed`);
+
+  return { batchId: undoBatchId, total: rows.length, reverted: reverted, skipped: skipped, failed: failed };
+}
+
+/**
+ * Read a field's live value in the form the audit tab records it
+ * fixVersions as a JSON list of names, select fields as JSON {value} (or null).
+ * @param {string} key - Issue key
+ * @param {string} field - Field ID
+ * @return {string} Audit-formatted value
+ */
+function readLiveFieldValue_(key, field) {
+  const response = jiraRequest('GET', `/rest/api/3/issue/${key}?fields=${field}`);
+  if (response.code !== 200) {
+    throw new Error(describeJiraError(response));
+  }
+
+  const value = response.body.fields[field];
+  if (field === 'fixVersions') {
+    return JSON.stringify((value || []).map(v => v.name));
+  }
+  return JSON.stringify(value ? { value: value.value } : null);
+}
+
+/**
+ * Compare two audit-formatted values of a field (fix version order doesn't matter)
+ * @param {string} field - Field ID
+ * @param {string} a - Audit-formatted value
+ * @param {string} b - Audit-formatted value
+ * @return {boolean} True when they hold the same value
+ */
+function auditValuesMatch_(field, a, b) {
+  if (field === 'fixVersions') {
+    const sorted = value => JSON.stringify((value ? JSON.parse(value) : []).slice().sort());
+    return sorted(a) === sorted(b);
+  }
+  return (a || 'null') === (b || 'null');
+}
+
+/**
+ * Convert a stored previous value back into a JIRA fields payload
+ * @param {string} field - Field ID recorded in the audit row
+ * @param {string} previousValue - Previous value recorded in the audit row
+ * @return {Object} Fields payload for PUT /issue
+ */
+function buildUndoFieldValue_(field, previousValue) {
+  const fields = {};
+
+  if (field === 'fixVersions') {
+    const names = previousValue ? JSON.parse(previousValue) : [];
+    fields.fixVersions = names.map(name => ({ name: name }));
+  } else {
+    fields[field] = previousValue ? JSON.parse(previousValue) : null;
+  }
+
+  return fields;
+}
+
+// ===== ALLOCATION MISMATCH REMEDIATION =====
+
+/**
+ * Find children whose allocation differs from their epic's
+ * Same rule as createEpicAllocationMismatchTable: both allocations must be set.
+ * @param {Array} issues - Issues for the team
+ * @return {Array<Object>} [{epic, child}]
+ */
+function findAllocationMismatches(issues) {
+  const epics = issues.filter(i => i.issueType === 'Epic');
+  const childTickets = issues.filter(i =>
+    (i.issueType === 'Story' || i.issueType === 'Bug') && (i.epicLink || i.parentKey)
+  );
+
+  const mismatches = [];
+
+  epics.forEach(epic => {
+    if (!epic.allocation) return;
+    const epicNorm = epic.allocation.trim().toLowerCase();
+
+    childTickets
+      .filter(child => child.epicLink === epic.key || child.parentKey === epic.key)
+      .filter(child => child.allocation && child.allocation.trim().toLowerCase() !== epicNorm)
+      .forEach(child => mismatches.push({ epic: epic, child: child }));
+  });
+
+  return mismatches;
+}
+
+/**
+ * Write the Allocation Fix Queue below the mismatch table
+ * One row per mismatched child with an "Approved" checkbox, restored from
+ * saveAllocationQueueState when the summary is regenerated.
+ * @param {Sheet} sheet - Summary sheet
+ * @param {number} startRow - Row to start writing
+ * @param {Array} issues - Issues for the team
+ * @param {string} scrumTeam - Scrum team name
+ * @return {number} Next available row
+ */
+function createAllocationRemediationQueue(sheet, startRow, issues, scrumTeam) {
+  // Ticks and results from before the summary was regenerated
+  const state = takeAllocationQueueState_(sheet.getName());
+  const mismatches = findAllocationMismatches(issues);
+  if (mismatches.length === 0) {
+    return startRow;
+  }
+
+  console.log(`Creating allocation fix queue for ${scrumTeam}: ${mismatches.length} children`);
+
+  // Section title
+  sheet.getRange(startRow, 1).setValue(JIRA_WRITEBACK_CONFIG.allocationQueueTitle);
+  sheet.getRange(startRow, 1, 1, 3).setBackground('#E1D5E7');
+  sheet.getRange(startRow, 1).setFontSize(14).setFontWeight('bold').setFontColor('black');
+  sheet.getRange(startRow, 1).setFontFamily('Comfortaa');
+  sheet.getRange(startRow, 1).setVerticalAlignment('middle');
+  setRowHeightWithLimit(sheet, startRow, 30, 70);
+  startRow++;
+
+  sheet.getRange(startRow, 1).setValue('Tick "Approved", then run PLANNING Tool > Advanced Operations > Apply Approved Allocation Fixes');
+  sheet.getRange(startRow, 1).setFontSize(8).setFontStyle('italic').setFontColor('#666666').setFontFamily('Comfortaa');
+  startRow++;
+
+  const headers = JIRA_WRITEBACK_CONFIG.allocationQueueHeaders;
+  sheet.getRange(startRow, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(startRow, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#9b7bb8')
+    .setFontColor('white')
+    .setFontSize(8)
+    .setWrap(true)
+    .setFontFamily('Comfortaa')
+    .setVerticalAlignment('middle');
+  setRowHeightWithLimit(sheet, startRow, 30, 70);
+  startRow++;
+
+  const data = mismatches.map(m => {
+    const kept = state[m.child.key] || {};
+    return [
+      kept.approved === true,
+      m.child.key,
+      m.child.summary || '',
+      m.child.allocation,
+      m.epic.key,
+      m.epic.allocation,
+      kept.result || '',
+      kept.updatedAt ? new Date(kept.updatedAt) : ''
+    ];
+  });
+
+  sheet.getRange(startRow, 1, data.length, headers.length).setValues(data);
+  sheet.getRange(startRow, 1, data.length, 1).insertCheckboxes();
+  applyJiraHyperlinks(sheet, startRow, 2, mismatches.map(m => m.child.key));
+  applyJiraHyperlinks(sheet, startRow, 5, mismatches.map(m => m.epic.key));
+  sheet.getRange(startRow, 1, data.length, headers.length)
+    .setFontSize(8)
+    .setFontFamily('Comfortaa')
+    .setVerticalAlignment('top');
+  sheet.getRange(startRow, 4, data.length, 1).setBackground('#ffe6e6');
+  data.forEach((row, i) => {
+    if (row[6]) sheet.getRange(startRow + i, 7).setBackground(row[6] === 'Updated' ? '#ccffcc' : '#ffcccc');
+  });
+
+  return startRow + data.length + 2;
+}
+
+/**
+ * Keep the queue's ticks, results and timestamps before a summary sheet is cleared
+ * createAllocationRemediationQueue puts them back on the rows with the same child key.
+ * @param {Sheet} sheet - Summary sheet about to be regenerated
+ */
+function saveAllocationQueueState(sheet) {
+  try {
+    const queue = findAllocationQueueRows_(sheet);
+    if (!queue) return;
+
+    const state = {};
+    queue.rows.forEach(row => {
+      if (row[0] !== true && !row[6]) return;
+      state[row[1]] = {
+        approved: row[0] === true,
+        result: row[6] || '',
+        updatedAt: row[7] instanceof Date ? row[7].toISOString() : (row[7] || '')
+      };
+    });
+
+    if (Object.keys(state).length > 0) {
+      PropertiesService.getScriptProperties()
+        .setProperty(JIRA_WRITEBACK_CONFIG.allocationQueueStatePrefix + sheet.getName(), JSON.stringify(state));
+    }
+  } catch (error) {
+    console.error(`Error saving allocation queue state of ${sheet.getName()}:`, error);
+  }
+}
+
+/**
+ * Read and remove the state saved by saveAllocationQueueState
+ * @param {string} sheetName - Summary sheet name
+ * @return {Object} {childKey: {approved, result, updatedAt}}
+ */
+function takeAllocationQueueState_(sheetName) {
+  const props = PropertiesService.getScriptProperties();
+  const property = JIRA_WRITEBACK_CONFIG.allocationQueueStatePrefix + sheetName;
+  const stored = props.getProperty(property);
+  if (!stored) return {};
+
+  props.deleteProperty(property);
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    console.error(`Ignoring unreadable allocation queue state of ${sheetName}:`, error);
+    return {};
+  }
+}
+
+/**
+ * Locate the Allocation Fix Queue rows on a summary sheet
+ * @param {Sheet} sheet - Summary sheet
+ * @return {Object|null} {firstRow, rows} where rows are the raw values, or null
+ */
+function findAllocationQueueRows_(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 1) return null;
+
+  const columnA = sheet.getRange(1, 1, lastRow, 1).getValues();
+  const titleIndex = columnA.findIndex(row => row[0] === JIRA_WRITEBACK_CONFIG.allocationQueueTitle);
+  if (titleIndex === -1) return null;
+
+  // Title, instruction line, then headers
+  const firstRow = titleIndex + 4;
+  if (firstRow > lastRow) return null;
+
+  const width = JIRA_WRITEBACK_CONFIG.allocationQueueHeaders.length;
+  const values = sheet.getRange(firstRow, 1, lastRow - firstRow + 1, width).getValues();
+  const endIndex = values.findIndex(row => !row[1]);
+  const rows = endIndex === -1 ? values : values.slice(0, endIndex);
+
+  return { firstRow: firstRow, rows: rows };
+}
+
+/**
+ * Menu handler: apply the approved rows of the active summary sheet's queue
+ */
+function menuApplyApprovedAllocationFixes() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+
+  const queue = findAllocationQueueRows_(sheet);
+  if (!queue) {
+    ui.alert('Allocation Fixes',
+      `No "${JIRA_WRITEBACK_CONFIG.allocationQueueTitle}" found on this sheet.\n\n` +
+      'Open a scrum team summary with allocation mismatches and try again.',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  const pending = queue.rows
+    .map((row, index) => ({ row: row, rowNumber: queue.firstRow + index }))
+    .filter(item => item.row[0] === true && item.row[6] !== 'Updated');
+
+  if (pending.length === 0) {
+    ui.alert('Allocation Fixes', 'No approved rows waiting to be applied.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const confirm = ui.alert(
+    'Apply Allocation Fixes?',
+    `${pending.length} child ticket(s) will have their Allocation set to the epic's value in JIRA.\n\nApply now?`,
+    ui.ButtonSet.YES_NO
+  );
+  if (confirm !== ui.Button.YES) return;
+
+  try {
+    showProgress(`Updating allocation on ${pending.length} tickets...`);
+    const result = applyAllocationFixes(sheet, pending);
+    closeProgress();
+
+    ui.alert(
+      'Allocation Fixes Complete',
+      `Batch: ${result.batchId}\n\n✓ Updated: ${result.updated}\n✗ Failed: ${result.failed}\n\n` +
+      'Results are on each row. Use "Undo JIRA Change Batch..." with the batch ID to revert.',
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    console.error('Error applying allocation fixes:', error);
+    closeProgress();
+    ui.alert('Error', 'Allocation fix failed: ' + error.toString(), ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Set each approved child's Allocation to its epic's value
+ * Writes the result and timestamp onto the queue row and logs to the audit tab.
+ * @param {Sheet} sheet - Summary sheet holding the queue
+ * @param {Array<Object>} pending - [{row, rowNumber}] approved queue rows
+ * @return {Object} {batchId, updated, failed}
+ */
+function applyAllocationFixes(sheet, pending) {
+  const batchId = createWritebackBatchId_('AL');
+  const user = Session.getEffectiveUser().getEmail();
+  const allocationField = getFieldId('allocation');
+  const auditRows = [];
+  let updated = 0;
+  let failed = 0;
+
+  pending.forEach(item => {
+    const childKey = item.row[1];
+    const epicAllocation = item.row[5];
+    let previous = '';
+    let result;
+
+    try {
+      previous = readLiveFieldValue_(childKey, allocationField);
+
+      const fields = {};
+      fields[allocationField] = { value: epicAllocation };
+      const response = jiraRequest('PUT', `/rest/api/3/issue/${childKey}`, { fields: fields });
+
+      if (response.code === 204 || response.code === 200) {
+        result = 'Updated';
+        updated++;
+      } else {
+        result = 'Failed: ' + describeJiraError(response);
+        failed++;
+      }
+    } catch (error) {
+      console.error(`Error updating allocation on ${childKey}:`, error);
+      result = 'Failed: ' + error.message;
+      failed++;
+    }
+
+    const timestamp = new Date();
+    sheet.getRange(item.rowNumber, 7, 1, 2).setValues([[result, timestamp]]);
+    sheet.getRange(item.rowNumber, 7).setBackground(result === 'Updated' ? '#ccffcc' : '#ffcccc');
+
+    auditRows.push([
+      timestamp, batchId, 'Set Allocation', childKey, allocationField,
+      previous, JSON.stringify({ value: epicAllocation }), result, user
+    ]);
+
+    Utilities.sleep(JIRA_WRITEBACK_CONFIG.pauseBetweenWritesMs);
+  });
+
+  appendJiraAuditRows_(auditRows);
+  console.log(`✅ Allocation batch ${batchId}: ${updated} updated, ${failed} failed`);
+
+  return { batchId: batchId, updated: updated, failed: failed };
+}
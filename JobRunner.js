@@ -0,0 +1,574 @@
+/**
+ * JobRunner.gs - Resumable Long-Running PI Analysis
+ * =================================================
+ *
+ * A full analysis of several value streams plus their summaries can run past
+ * the Apps Script 6-minute execution limit. The job runner splits it into
+ * checkpointed steps and keeps its progress in Script Properties:
+ *
+ * 1. Fetch each value stream's epics and children from JIRA into a hidden
+ *    staging sheet. Each fetch is also kept in CacheManager's persistent
+ *    tier, so a later run with useCache skips JIRA for it
+ * 2. Write the PI sheet from the staged issues in one go
+ * 3. One step per scrum team summary
+ * 4. One step per value stream's Initiative Analysis tab
+ * 5. DAN's Report (when EMA Clinical is analyzed)
+ *
+ * Each execution runs steps until its time budget is spent, saves the job and
+ * schedules a one-off time-based trigger to resume it. The trigger is removed
+ * once the job finishes, fails or is cancelled. The PI sheet is only rewritten
+ * after every value stream has been fetched, so a run cut short never leaves
+ * it half-written.
+ *
+ * A failing step is retried on the next execution. Fetch and PI sheet steps
+ * fail the job after CONFIG.maxAttempts; summary steps are marked failed and
+ * the job carries on. An execution that fails outside a step (e.g. saving the
+ * checkpoint) is retried too, until CONFIG.maxFailedSlices in a row fail the job.
+ *
+ * @fileoverview Checkpointed analysis job resumed by time-based triggers
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const JOB_RUNNER_CONFIG = {
+  propertyKey: 'ANALYSIS_JOB',
+  stagingSheetName: 'Analysis Job Staging',
+  resumeHandler: 'resumeAnalysisJob',
+
+  // Stop starting new steps after this long; the 6-minute limit covers the step in flight
+  timeBudgetSeconds: 270,
+
+  resumeDelayMinutes: 1,
+
+  // Fallback resume, in case the execution is killed mid-step: fires after the 6-minute limit
+  watchdogMinutes: 7,
+
+  maxAttempts: 3,
+
+  // Consecutive executions that may throw outside a step before the job is failed
+  maxFailedSlices: 3,
+
+  // A running job not saved for this long is assumed abandoned and can be replaced
+  staleMinutes: 30,
+
+  // Longest error message kept per step (Script Properties values are limited to 9KB)
+  maxErrorLength: 200
+};
+
+// Per-execution cache of the parsed PI sheet, shared by the summary steps
+let analysisJobIssuesCache_ = null;
+
+// ===== JOB STATE =====
+
+/**
+ * Read the current analysis job
+ * @return {Object|null} Job, or null when none was ever started
+ */
+function loadAnalysisJob_() {
+  const stored = PropertiesService.getScriptProperties().getProperty(JOB_RUNNER_CONFIG.propertyKey);
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Checkpoint the analysis job
+ * @param {Object} job - Job to save
+ */
+function saveAnalysisJob_(job) {
+  job.updatedAt = new Date().toISOString();
+  PropertiesService.getScriptProperties().setProperty(JOB_RUNNER_CONFIG.propertyKey, JSON.stringify(job));
+}
+
+/**
+ * Build a pending step
+ * @param {string} type - fetchValueStream, writePISheet, teamSummary, initiativeTab or dansReport
+ * @param {string} target - Value stream or team the step works on ('' for none)
+ * @param {string} label - Shown in the job status
+ * @return {Object} Step
+ */
+function createJobStep_(type, target, label) {
+  return { type: type, target: target, label: label, status: 'pending', attempts: 0, error: '' };
+}
+
+/**
+ * Steps known when the job starts; team summary steps are added once the PI sheet is written
+ * @param {string} piNumber - PI number
+ * @param {Array<string>} valueStreams - Value streams to analyze
+ * @param {boolean} withSummaries - Also regenerate summaries and reports
+ * @return {Array<Object>} Steps
+ */
+function buildAnalysisJobSteps_(piNumber, valueStreams, withSummaries) {
+  const steps = valueStreams.map(vs => createJobStep_('fetchValueStream', vs, `Fetch ${vs} from JIRA`));
+  steps.push(createJobStep_('writePISheet', '', `Write PI ${piNumber} sheet`));
+
+  if (withSummaries) {
+    valueStreams.forEach(vs => steps.push(createJobStep_('initiativeTab', vs, `Initiative Analysis: ${vs}`)));
+    if (valueStreams.includes('EMA Clinical')) {
+      steps.push(createJobStep_('dansReport', '', "DAN's Report"));
+    }
+  }
+
+  return steps;
+}
+
+// ===== STAGING =====
+
+/**
+ * Start an empty hidden staging sheet for fetched issues
+ * @return {Sheet} Staging sheet
+ */
+function resetJobStagingSheet_() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const existing = spreadsheet.getSheetByName(JOB_RUNNER_CONFIG.stagingSheetName);
+  if (existing) {
+    spreadsheet.deleteSheet(existing);
+  }
+
+  const sheet = spreadsheet.insertSheet(JOB_RUNNER_CONFIG.stagingSheetName);
+  sheet.getRange(1, 1, 1, 2).setValues([['Value Stream', 'Issue']]);
+  sheet.hideSheet();
+  return sheet;
+}
+
+/**
+ * Stage a value stream's fetched issues (one JSON issue per row)
+ * @param {string} valueStream - Value stream the issues were fetched for
+ * @param {Array<Object>} issues - Processed issues
+ */
+function stageJobIssues_(valueStream, issues) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(JOB_RUNNER_CONFIG.stagingSheetName);
+  if (!sheet) {
+    throw new Error('The analysis job staging sheet was deleted; start the analysis again');
+  }
+
+  // A retried fetch replaces what an interrupted attempt may have staged
+  const rows = sheet.getDataRange().getValues().slice(1).filter(row => row[0] !== valueStream);
+  issues.forEach(issue => rows.push([valueStream, JSON.stringify(issue)]));
+
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).clearContent();
+  }
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, 2).setValues(rows);
+  }
+}
+
+/**
+ * Read the staged issues, first value stream wins for issues fetched twice
+ * @return {Array<Object>} Processed issues
+ */
+function readJobStagedIssues_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(JOB_RUNNER_CONFIG.stagingSheetName);
+  if (!sheet) {
+    throw new Error('The analysis job staging sheet was deleted; start the analysis again');
+  }
+
+  const seen = new Set();
+  return sheet.getDataRange().getValues().slice(1)
+    .filter(row => row[1] !== '')
+    .map(row => JSON.parse(row[1]))
+    .filter(issue => {
+      if (seen.has(issue.key)) return false;
+      seen.add(issue.key);
+      return true;
+    });
+}
+
+// ===== STEPS =====
+
+/**
+ * Fetch a value stream's epics and their children, each epic followed by its children
+ * @param {string} programIncrement - e.g. "PI 13"
+ * @param {string} valueStream - Value stream name
+ * @return {Array<Object>} Processed issues
+ */
+function fetchValueStreamIssues_(programIncrement, valueStream) {
+  const fieldIds = getSyncFieldIds_();
+
+  const epics = jiraSearchAll(buildEpicJQL(programIncrement, valueStream), fieldIds)
+    .map(epic => processEpicData(flattenSelectFields_(epic), valueStream));
+
+  const childrenByEpic = {};
+  searchByKeys_('parent', epics.map(epic => epic.key), '', fieldIds).forEach(child => {
+    const epicKey = child.fields.parent.key;
+    (childrenByEpic[epicKey] = childrenByEpic[epicKey] || [])
+      .push(processChildData(flattenSelectFields_(child), epicKey, valueStream));
+  });
+
+  const issues = [];
+  epics.forEach(epic => issues.push(epic, ...(childrenByEpic[epic.key] || [])));
+  return issues;
+}
+
+/**
+ * Cache key of a value stream's fetched issues for a PI
+ * @param {string} piNumber - PI number
+ * @param {string} valueStream - Value stream name
+ * @return {string} Cache key
+ */
+function getPIDatasetCacheKey(piNumber, valueStream) {
+  return `pi_analysis_${piNumber}_${valueStream}`;
+}
+
+/**
+ * Fetch a value stream's issues for a PI and keep them in the persistent cache
+ * @param {string} piNumber - PI number
+ * @param {string} valueStream - Value stream name
+ * @return {Array<Object>} Processed issues
+ */
+function fetchPIDataset(piNumber, valueStream) {
+  const issues = fetchValueStreamIssues_(`PI ${piNumber}`, valueStream);
+  if (CacheManager.isEnabled()) {
+    CacheManager.set(getPIDatasetCacheKey(piNumber, valueStream), issues, {
+      ttlSeconds: CacheManager.PI_DATASET_TTL_SECONDS,
+      persist: true,
+      namespaces: { pi: piNumber, valueStream: valueStream }
+    });
+  }
+  return issues;
+}
+
+/**
+ * Parsed issues of the job's PI sheet
+ * @param {string} piNumber - PI number
+ * @return {Array<Object>} Issues
+ */
+function getAnalysisJobIssues_(piNumber) {
+  if (!analysisJobIssuesCache_) {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(`PI ${piNumber}`);
+    if (!sheet) {
+      throw new Error(`PI ${piNumber} sheet not found`);
+    }
+    const values = sheet.getDataRange().getValues();
+    analysisJobIssuesCache_ = parsePISheetData(values, values[3]);
+  }
+  return analysisJobIssuesCache_;
+}
+
+/**
+ * Run one step of the job
+ * @param {Object} job - Job (team summary steps are added to it by writePISheet)
+ * @param {Object} step - Step to run
+ * @return {string} 'done', or 'skipped' when there was nothing to do
+ */
+function runAnalysisJobStep_(job, step) {
+  const programIncrement = `PI ${job.piNumber}`;
+
+  switch (step.type) {
+    case 'fetchValueStream': {
+      let issues = job.useCache && CacheManager.isEnabled()
+        ? CacheManager.get(getPIDatasetCacheKey(job.piNumber, step.target)) : null;
+
+      if (issues) {
+        console.log(`Using cached JIRA data for ${step.target}`);
+      } else {
+        issues = fetchPIDataset(job.piNumber, step.target);
+      }
+
+      stageJobIssues_(step.target, issues);
+      console.log(`Staged ${issues.length} issues for ${step.target}`);
+      return 'done';
+    }
+
+    case 'writePISheet': {
+      const issues = readJobStagedIssues_();
+      if (issues.length === 0) {
+        throw new Error(`No epics found in JIRA for ${programIncrement} (${job.valueStreams.join(', ')})`);
+      }
+
+      createPIAnalysisSheet(programIncrement, issues, job.valueStreams);
+      analysisJobIssuesCache_ = null;
+
+      if (job.withSummaries) {
+        // Issues without a team get no summary, as in generateScrumTeamSummaries
+        const teams = [...new Set(issues.map(issue => issue.scrumTeam).filter(Boolean))]
+          .sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+        const teamSteps = teams.map(team => createJobStep_('teamSummary', team, `Summary: ${team}`));
+        job.steps.splice(job.steps.indexOf(step) + 1, 0, ...teamSteps);
+      }
+
+      const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+      spreadsheet.deleteSheet(spreadsheet.getSheetByName(JOB_RUNNER_CONFIG.stagingSheetName));
+      return 'done';
+    }
+
+    case 'teamSummary': {
+      const teamIssues = getAnalysisJobIssues_(job.piNumber)
+        .filter(issue => issue.scrumTeam === step.target);
+      if (teamIssues.length === 0) return 'skipped';
+
+      createScrumTeamSummary(teamIssues, programIncrement, step.target);
+      return 'done';
+    }
+
+    case 'initiativeTab':
+      // False when the value stream has no epics in the PI sheet; real errors are logged there
+      return generateInitiativeAnalysisForValueStream(job.piNumber, step.target, SpreadsheetApp.getActiveSpreadsheet())
+        ? 'done' : 'skipped';
+
+    case 'dansReport':
+      return writeDansReport(SpreadsheetApp.getActiveSpreadsheet(), job.piNumber) ? 'done' : 'skipped';
+
+    default:
+      throw new Error(`Unknown analysis job step: ${step.type}`);
+  }
+}
+
+// ===== RUNNER =====
+
+/**
+ * Remove the job's resume triggers
+ */
+function deleteAnalysisJobTriggers_() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === JOB_RUNNER_CONFIG.resumeHandler)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
+
+/**
+ * Replace any resume trigger with one that fires after a delay
+ * @param {number} minutes - Delay before the job resumes
+ */
+function scheduleAnalysisJobResume_(minutes) {
+  deleteAnalysisJobTriggers_();
+  ScriptApp.newTrigger(JOB_RUNNER_CONFIG.resumeHandler)
+    .timeBased()
+    .after(minutes * 60 * 1000)
+    .create();
+}
+
+/**
+ * Run pending steps until the time budget is spent, then checkpoint and schedule the resume
+ * @return {Object|null} Job status (see getAnalysisJobStatus)
+ */
+function runAnalysisJobSlice_() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(5000)) {
+    console.log('Analysis job is already running in another execution');
+    return getAnalysisJobStatus();
+  }
+
+  try {
+    const job = loadAnalysisJob_();
+    if (!job || job.status !== 'running') {
+      deleteAnalysisJobTriggers_();
+      return getAnalysisJobStatus();
+    }
+
+    const startTime = Date.now();
+    analysisJobIssuesCache_ = null;
+    scheduleAnalysisJobResume_(JOB_RUNNER_CONFIG.watchdogMinutes);
+    job.executions++;
+    console.log(`▶️ Analysis job ${job.id} (PI ${job.piNumber}), execution ${job.executions}`);
+
+    let ranStep = false;
+    let retryLater = false;
+    let step;
+
+    while ((step = job.steps.find(s => s.status === 'pending'))) {
+      // Always make progress, then stop starting steps once the budget is spent
+      if (ranStep && Date.now() - startTime > JOB_RUNNER_CONFIG.timeBudgetSeconds * 1000) break;
+      ranStep = true;
+
+      // Count the attempt first, so a step that keeps getting killed mid-run eventually fails
+      step.attempts++;
+      saveAnalysisJob_(job);
+
+      try {
+        step.status = runAnalysisJobStep_(job, step);
+        step.error = '';
+        console.log(`✅ ${step.label}: ${step.status}`);
+      } catch (error) {
+        console.error(`Error in analysis job step "${step.label}":`, error);
+        step.error = String(error.message || error).substring(0, JOB_RUNNER_CONFIG.maxErrorLength);
+
+        if (step.attempts < JOB_RUNNER_CONFIG.maxAttempts) {
+          retryLater = true;
+        } else if (step.type === 'fetchValueStream' || step.type === 'writePISheet') {
+          step.status = 'failed';
+          job.status = 'failed';
+          job.error = `${step.label} failed: ${step.error}`;
+        } else {
+          step.status = 'failed';
+        }
+      }
+
+      saveAnalysisJob_(job);
+      if (retryLater || job.status !== 'running') break;
+    }
+
+    if (job.status === 'running' && !job.steps.some(s => s.status === 'pending')) {
+      job.status = 'complete';
+    }
+
+    if (job.status === 'running') {
+      scheduleAnalysisJobResume_(JOB_RUNNER_CONFIG.resumeDelayMinutes);
+    } else {
+      job.finishedAt = new Date().toISOString();
+      deleteAnalysisJobTriggers_();
+      console.log(`🏁 Analysis job ${job.id} ${job.status}`);
+    }
+    job.failedSlices = 0;
+    saveAnalysisJob_(job);
+
+    return getAnalysisJobStatus();
+
+  } finally {
+    flushExecutionStats();
+    lock.releaseLock();
+  }
+}
+
+// ===== PUBLIC API =====
+
+/**
+ * Start a resumable analysis, replacing a finished (or abandoned) one, and run its first slice
+ * @param {Object} params - {piNumber, valueStreams, summaryOption: 'with'|'without',
+ *                          useCache: reuse JIRA data cached by an earlier run (default false)}
+ * @return {Object} Job status (see getAnalysisJobStatus)
+ */
+function startAnalysisJob(params) {
+  const piNumber = String(params.piNumber).replace(/PI\s*/i, '').trim();
+  const valueStreams = params.valueStreams || [];
+  if (!/^\d+$/.test(piNumber)) {
+    throw new Error(`Invalid PI number: ${params.piNumber}`);
+  }
+  if (valueStreams.length === 0) {
+    throw new Error('Select at least one value stream');
+  }
+
+  const current = loadAnalysisJob_();
+  if (current && current.status === 'running' &&
+      Date.now() - new Date(current.updatedAt).getTime() < JOB_RUNNER_CONFIG.staleMinutes * 60 * 1000) {
+    throw new Error(`A PI ${current.piNumber} analysis is already running. Wait for it to finish or cancel it first.`);
+  }
+
+  assertFieldMappingsValid();
+
+  const withSummaries = params.summaryOption !== 'without';
+  const job = {
+    id: Utilities.getUuid(),
+    piNumber: piNumber,
+    valueStreams: valueStreams,
+    withSummaries: withSummaries,
+    useCache: !!params.useCache,
+    status: 'running',
+    steps: buildAnalysisJobSteps_(piNumber, valueStreams, withSummaries),
+    executions: 0,
+    failedSlices: 0,
+    error: '',
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  };
+
+  resetJobStagingSheet_();
+  saveAnalysisJob_(job);
+  console.log(`Started analysis job ${job.id}: PI ${piNumber}, ${valueStreams.join(', ')}, ${job.steps.length} steps`);
+
+  return runAnalysisJobSlice_();
+}
+
+/**
+ * Time-based trigger handler: continue the running analysis job
+ */
+function resumeAnalysisJob() {
+  try {
+    runAnalysisJobSlice_();
+  } catch (error) {
+    console.error('Error resuming analysis job:', error);
+    recordFailedAnalysisJobSlice_(error);
+  }
+}
+
+/**
+ * Count an execution that threw outside a step
+ * The job is retried so it isn't stranded, and failed once CONFIG.maxFailedSlices
+ * executions in a row have thrown, so a persistent error can't re-queue it forever.
+ * @param {Error} error - What the execution threw
+ */
+function recordFailedAnalysisJobSlice_(error) {
+  try {
+    const job = loadAnalysisJob_();
+    if (!job || job.status !== 'running') {
+      deleteAnalysisJobTriggers_();
+      return;
+    }
+
+    job.failedSlices = (job.failedSlices || 0) + 1;
+    if (job.failedSlices >= JOB_RUNNER_CONFIG.maxFailedSlices) {
+      job.status = 'failed';
+      job.error = `Stopped after ${job.failedSlices} failed executions: ` +
+        String(error.message || error).substring(0, JOB_RUNNER_CONFIG.maxErrorLength);
+      job.finishedAt = new Date().toISOString();
+      saveAnalysisJob_(job);
+      deleteAnalysisJobTriggers_();
+      console.log(`🏁 Analysis job ${job.id} failed`);
+      return;
+    }
+
+    saveAnalysisJob_(job);
+    scheduleAnalysisJobResume_(JOB_RUNNER_CONFIG.resumeDelayMinutes);
+  } catch (recordError) {
+    // The checkpoint can't be read or written, so the job can't make progress either
+    console.error('Error recording failed analysis job execution:', recordError);
+    deleteAnalysisJobTriggers_();
+  }
+}
+
+/**
+ * Cancel the running analysis job; steps already done keep their sheets
+ * @return {Object|null} Job status (see getAnalysisJobStatus)
+ */
+function cancelAnalysisJob() {
+  const job = loadAnalysisJob_();
+  deleteAnalysisJobTriggers_();
+
+  if (job && job.status === 'running') {
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    saveAnalysisJob_(job);
+
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const staging = spreadsheet.getSheetByName(JOB_RUNNER_CONFIG.stagingSheetName);
+    if (staging) {
+      spreadsheet.deleteSheet(staging);
+    }
+    console.log(`Cancelled analysis job ${job.id}`);
+  }
+
+  return getAnalysisJobStatus();
+}
+
+/**
+ * Status of the latest analysis job, for the Analysis Dialog
+ * @return {Object|null} {id, piNumber, valueStreams, status, completedSteps, totalSteps, currentStep,
+ *                       failedSteps: [{label, error}], error, startedAt, updatedAt, finishedAt,
+ *                       summaryResults: {teamSummaries, initiativeAnalysis, dansReport}} - null when no job was ever started
+ */
+function getAnalysisJobStatus() {
+  const job = loadAnalysisJob_();
+  if (!job) return null;
+
+  const doneOfType = type => job.steps.filter(s => s.type === type && s.status === 'done').length;
+  const next = job.steps.find(s => s.status === 'pending');
+
+  return {
+    id: job.id,
+    piNumber: job.piNumber,
+    valueStreams: job.valueStreams,
+    status: job.status,
+    completedSteps: job.steps.filter(s => s.status !== 'pending').length,
+    totalSteps: job.steps.length,
+    currentStep: next ? next.label : '',
+    failedSteps: job.steps.filter(s => s.status === 'failed').map(s => ({ label: s.label, error: s.error })),
+    error: job.error,
+    startedAt: job.startedAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+    summaryResults: {
+      teamSummaries: doneOfType('teamSummary'),
+      initiativeAnalysis: doneOfType('initiativeTab'),
+      dansReport: doneOfType('dansReport') > 0
+    }
+  };
+}
@@ -9,13 +9,14 @@
  * Generate summary for a specific value stream
  * @param {string} piNumber - The PI number
  * @param {string} valueStream - The value stream name
+ * @param {Object} [context] - Run context (see RunContext.gs), interactive by default
  */
-function generateSummaryForValueStream(piNumber, valueStream) {
-  const ui = SpreadsheetApp.getUi();
+function generateSummaryForValueStream(piNumber, valueStream, context) {
+  context = resolveRunContext(context);
   const programIncrement = `PI ${piNumber}`;
 
   try {
-    showProgress(`Generating summary for ${valueStream} in ${programIncrement}...`);
+    context.progress(`Generating summary for ${valueStream} in ${programIncrement}...`);
 
     // Check if PI data sheet exists
     const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
@@ -23,13 +24,13 @@ function generateSummaryForValueStream(piNumber, valueStream) {
     const piSheet = spreadsheet.getSheetByName(piSheetName);
 
     if (!piSheet) {
-      closeProgress();
-      ui.alert(`No data found for ${programIncrement}. Please run the analysis first.`);
+      context.closeProgress();
+      context.fail(`No data found for ${programIncrement}. Please run the analysis first.`);
       return;
     }
 
     // Read data from PI sheet
-    showProgress('Reading PI data...');
+    context.progress('Reading PI data...');
     const dataRange = piSheet.getDataRange();
     const values = dataRange.getValues();
     const headers = values[3]; // Headers on row 4
@@ -42,29 +43,29 @@ function generateSummaryForValueStream(piNumber, valueStream) {
     );
 
     if (vsIssues.length === 0) {
-      closeProgress();
-      ui.alert(`No data found for ${valueStream} in ${programIncrement}.`);
+      context.closeProgress();
+      context.fail(`No data found for ${valueStream} in ${programIncrement}.`);
       return;
     }
 
     // Create summary sheet
-    showProgress('Creating summary sheet...');
+    context.progress('Creating summary sheet...');
     const summarySheetName = `${programIncrement} - ${valueStream} Summary`;
     createValueStreamSummary(summarySheetName, vsIssues, programIncrement, valueStream);
 
-    closeProgress();
+    context.closeProgress();
 
-    ui.alert(
+    context.notify(
       'Summary Complete',
       `Successfully generated summary for ${valueStream} in ${programIncrement}.\n\n` +
-      `Sheet: "${summarySheetName}"`,
-      ui.ButtonSet.OK
+      `Sheet: "${summarySheetName}"`
     );
 
   } catch (error) {
     console.error('Error generating summary:', error);
-    closeProgress();
-    ui.alert('Error', 'Summary generation failed: ' + error.toString(), ui.ButtonSet.OK);
+    context.closeProgress();
+    if (!context.isInteractive()) throw error;
+    context.notify('Error', 'Summary generation failed: ' + error.toString());
   }
 }
 
@@ -99,22 +100,57 @@ function processEpicData(epic, analyzedValueStream) {
     issueType: 'Epic',
     summary: fields.summary,
     status: fields.status?.name || '',
-    valueStream: fields.customfield_10046 || '',
-    scrumTeam: fields.customfield_10040 || '',
-    allocation: fields.customfield_10043 || '',
+    valueStream: getFieldValue(fields, 'valueStream') || '',
+    scrumTeam: getFieldValue(fields, 'scrumTeam') || '',
+    allocation: getFieldValue(fields, 'allocation') || '',
     storyPoints: 0, // Epics don't have story points
-    storyPointEstimate: parseFloat(fields.customfield_10016) || 0,
+    storyPointEstimate: parseFloat(getFieldValue(fields, 'storyPointEstimate')) || 0,
     epicLink: '',
     parentKey: '',
-    featurePoints: parseFloat(fields.customfield_10252) || 0,
+    featurePoints: parseFloat(getFieldValue(fields, 'featurePoints')) || 0,
     loeEstimate: loeEstimate,
-    programIncrement: fields.customfield_10113 || '',
-    piCommitment: fields.customfield_10063 || '',
+    programIncrement: getFieldValue(fields, 'programIncrement') || '',
+    piCommitment: getFieldValue(fields, 'piCommitment') || '',
+    piTargetIteration: getFieldValue(fields, 'piTargetIteration') || '',
     components: (fields.components || []).map(c => c.name).join(', '),
-    costOfDelay: fields.customfield_10065 || '',
-    costOfDelay: parseFloat(fields.customfield_10065) || 0,
-    dependsOnTeam: fields.customfield_10120 || '',
-    momentum: momentum
+    costOfDelay: getFieldValue(fields, 'costOfDelay') || '',
+    costOfDelay: parseFloat(getFieldValue(fields, 'costOfDelay')) || 0,
+    dependsOnValuestream: getFieldValue(fields, 'dependsOnValuestream') || '',
+    dependsOnTeam: getFieldValue(fields, 'dependsOnTeam') || '',
+    momentum: momentum,
+    closedTransitionDate: fields.resolutiondate ? fields.resolutiondate.substring(0, 10) : '',
+    fixVersion: (fields.fixVersions || []).map(v => v.name).join(', '),
+    iterationStart: getFieldValue(fields, 'iterationStart') || '',
+    iterationEnd: getFieldValue(fields, 'iterationEnd') || '',
+    portfolioInitiative: getFieldValue(fields, 'portfolioInitiative') || '',
+    programInitiative: getFieldValue(fields, 'programInitiative') || '',
+    rag: getFieldValue(fields, 'rag') || '',
+    ragNote: getFieldValue(fields, 'ragNote') || '',
+    org: getFieldValue(fields, 'orgField') || '',
+    ...extractSprintData(fields)
+  };
+}
+
+/**
+ * Pick the sprint an issue is currently in from the JIRA sprint field
+ * An issue carried over keeps every sprint it was in; the active one wins,
+ * otherwise the one that started last.
+ * @param {Object} fields - JIRA issue fields
+ * @return {Object} {sprintName, sprintStart, sprintEnd} (blank when the issue has no sprint)
+ */
+function extractSprintData(fields) {
+  const sprints = getFieldValue(fields, 'sprint');
+  if (!Array.isArray(sprints) || sprints.length === 0) {
+    return { sprintName: '', sprintStart: '', sprintEnd: '' };
+  }
+
+  const sprint = sprints.find(s => s.state === 'active') ||
+    sprints.slice().sort((a, b) => (a.startDate || '').localeCompare(b.startDate || '')).pop();
+
+  return {
+    sprintName: sprint.name || '',
+    sprintStart: sprint.startDate ? sprint.startDate.substring(0, 10) : '',
+    sprintEnd: sprint.endDate ? sprint.endDate.substring(0, 10) : ''
   };
 }
 
@@ -144,26 +180,75 @@ function processChildData(child, epicKey, analyzedValueStream) {
     issueType: fields.issuetype?.name || '',
     summary: fields.summary,
     status: fields.status?.name || '',
-    valueStream: fields.customfield_10046 || '',
-    scrumTeam: fields.customfield_10040 || '',
-    allocation: fields.customfield_10043 || '',
-    storyPoints: parseFloat(fields.customfield_10037) || 0,
+    valueStream: getFieldValue(fields, 'valueStream') || '',
+    scrumTeam: getFieldValue(fields, 'scrumTeam') || '',
+    allocation: getFieldValue(fields, 'allocation') || '',
+    storyPoints: parseFloat(getFieldValue(fields, 'storyPoints')) || 0,
     storyPointEstimate: 0, // Children don't have estimates
-    epicLink: fields.customfield_10014 || epicKey,
+    epicLink: getFieldValue(fields, 'epicLink') || epicKey,
     parentKey: fields.parent?.key || '',
     featurePoints: 0, // Children don't have feature points
     loeEstimate: 0, // Children don't have LOE
-    programIncrement: fields.customfield_10113 || '',
-    piCommitment: fields.customfield_10063 || '',
+    programIncrement: getFieldValue(fields, 'programIncrement') || '',
+    piCommitment: getFieldValue(fields, 'piCommitment') || '',
+    piTargetIteration: getFieldValue(fields, 'piTargetIteration') || '',
         components: (fields.components || []).map(c => c.name).join(', '),
     costOfDelay: 0,  // Children don't have CoD,
-    dependsOnTeam: fields.customfield_10120 || '',
-    momentum: momentum
+    dependsOnValuestream: getFieldValue(fields, 'dependsOnValuestream') || '',
+    dependsOnTeam: getFieldValue(fields, 'dependsOnTeam') || '',
+    momentum: momentum,
+    closedTransitionDate: fields.resolutiondate ? fields.resolutiondate.substring(0, 10) : '',
+    fixVersion: (fields.fixVersions || []).map(v => v.name).join(', '),
+    iterationStart: getFieldValue(fields, 'iterationStart') || '',
+    iterationEnd: getFieldValue(fields, 'iterationEnd') || '',
+    portfolioInitiative: getFieldValue(fields, 'portfolioInitiative') || '',
+    programInitiative: getFieldValue(fields, 'programInitiative') || '',
+    rag: getFieldValue(fields, 'rag') || '',
+    ragNote: getFieldValue(fields, 'ragNote') || '',
+    org: getFieldValue(fields, 'orgField') || '',
+    ...extractSprintData(fields)
   };
 }
 
 // ===== SHEET CREATION FUNCTIONS =====
 
+// Columns of the "PI N" sheet (header on row 4, data from row 5)
+const PI_ANALYSIS_HEADERS = [
+  'Key',
+  'Issue Type',
+  'Summary',
+  'Status',
+  'Value Stream',
+  'Scrum Team',
+  'Allocation',
+  'Story Points',
+  'Story Point Estimate',
+  'Epic Link',
+  'Parent',
+  'Feature Points',
+  'LOE Estimate',
+  'Program Increment',
+  'PI Commitment',
+  'PI Target Iteration',
+  'Components',
+  'Cost of Delay',
+  'Momentum',
+  'Depends on Valuestream',
+  'Depends on Team',
+  'Sprint Name',
+  'Sprint Start',
+  'Sprint End',
+  'Closed Transition Date',
+  'Fix Version',
+  'Iteration Start',
+  'Iteration End',
+  'Portfolio Initiative',
+  'Program Initiative',
+  'RAG',
+  'RAG Note',
+  'Org'
+];
+
 /**
  * Create or update PI analysis sheet
  * @param {string} sheetName - Name of the sheet
@@ -180,28 +265,7 @@ function createPIAnalysisSheet(sheetName, issues, analyzedValueStreams) {
     sheet = spreadsheet.insertSheet(sheetName);
   }
 
-  const headers = [
-    'Key',
-    'Issue Type',
-    'Summary',
-    'Status',
-    'Value Stream',
-    'Scrum Team',
-    'Allocation',
-    'Story Points',
-    'Story Point Estimate',
-    'Epic Link',
-    'Parent',
-    'Feature Points',
-    'LOE Estimate',
-    'Program Increment',
-    'PI Commitment',
-    'Components',
-    'Cost of Delay',
-    'Momentum',
-    'Depends on Valuestream',
-    'Depends on Team'
-  ];
+  const headers = PI_ANALYSIS_HEADERS;
 
   sheet.getRange(1, 1).setValue(`PI Analysis - ${sheetName}`);
   sheet.getRange(1, 1).setFontSize(16).setFontWeight('bold');
@@ -227,28 +291,7 @@ function createPIAnalysisSheet(sheetName, issues, analyzedValueStreams) {
       issue.loeEstimate = epicLOE[issue.key];
     }
 
-    return [
-      issue.key,
-      issue.issueType,
-      issue.summary,
-      issue.status,
-      issue.valueStream,
-      issue.scrumTeam,
-      issue.allocation,
-      issue.storyPoints,
-      issue.storyPointEstimate,
-      issue.epicLink,
-      issue.parentKey,
-      issue.featurePoints,
-      issue.loeEstimate,
-      issue.programIncrement,
-      issue.piCommitment,
-      issue.components,
-      issue.costOfDelay || 0,
-      issue.momentum || '',
-      issue.dependsOnValuestream || '',
-      issue.dependsOnTeam || ''
-    ];
+    return buildPIAnalysisRow(issue);
   });
 
   if (data.length > 0) {
@@ -264,6 +307,55 @@ function createPIAnalysisSheet(sheetName, issues, analyzedValueStreams) {
 
   sheet.setColumnWidth(3, 400);
   sheet.getRange(5, 3, data.length, 1).setWrap(true);
+
+  // Keep a snapshot of this refresh and log what moved since the last one
+  recordPISnapshot(sheetName, issues, analyzedValueStreams);
+
+  // Incremental syncs pick up from here
+  recordPISyncTime(sheetName, analyzedValueStreams, new Date());
+}
+
+/**
+ * Build a PI sheet data row (in PI_ANALYSIS_HEADERS order) from an issue object
+ * @param {Object} issue - Processed issue object
+ * @return {Array} Row values
+ */
+function buildPIAnalysisRow(issue) {
+  return [
+    issue.key,
+    issue.issueType,
+    issue.summary,
+    issue.status,
+    issue.valueStream,
+    issue.scrumTeam,
+    issue.allocation,
+    issue.storyPoints,
+    issue.storyPointEstimate,
+    issue.epicLink,
+    issue.parentKey,
+    issue.featurePoints,
+    issue.loeEstimate,
+    issue.programIncrement,
+    issue.piCommitment,
+    issue.piTargetIteration || '',
+    issue.components,
+    issue.costOfDelay || 0,
+    issue.momentum || '',
+    issue.dependsOnValuestream || '',
+    issue.dependsOnTeam || '',
+    issue.sprintName || '',
+    issue.sprintStart || '',
+    issue.sprintEnd || '',
+    issue.closedTransitionDate || '',
+    issue.fixVersion || '',
+    issue.iterationStart || '',
+    issue.iterationEnd || '',
+    issue.portfolioInitiative || '',
+    issue.programInitiative || '',
+    issue.rag || '',
+    issue.ragNote || '',
+    issue.org || ''
+  ];
 }
 
 /**
@@ -278,6 +370,8 @@ function createValueStreamSummary(sheetName, issues, programIncrement, valueStre
   let sheet = spreadsheet.getSheetByName(sheetName);
 
   if (sheet) {
+    // sheet.clear() doesn't remove charts
+    sheet.getCharts().forEach(chart => sheet.removeChart(chart));
     sheet.clear();
   } else {
     sheet = spreadsheet.insertSheet(sheetName);
@@ -356,6 +450,11 @@ function createValueStreamSummary(sheetName, issues, programIncrement, valueStre
     currentRow += epicData.length;
   }
 
+  currentRow += 2;
+
+  // Scope burn-up from the stored refresh history
+  currentRow = createScopeBurnupSection(sheet, currentRow, programIncrement, valueStream);
+
   // Format the sheet
   sheet.setFrozenRows(4);
   sheet.autoResizeColumns(1, 8);
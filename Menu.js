@@ -21,6 +21,7 @@ function onOpen() {
       .addItem('⚡ Fast Update (Skip Summaries)', 'menuAnalyzeWithoutSummaries')
       .addItem('❓ Update (Ask About Summaries)', 'menuAnalyzeWithSummaryChoice')
     .addItem('Generate Dans Report', 'generateDansReport')
+    .addItem('🔗 Dependency Report...', 'menuGenerateDependencyReport')
     .addSeparator()
     .addItem('📈 View PI Planning Dashboard', 'menuShowPIPlanningDashboard'));
 
@@ -32,7 +33,12 @@ function onOpen() {
     .addItem('Update All Teams in Value Stream...', 'menuUpdateAllTeamsInValueStream')
     .addItem('Analyze All Value Streams...', 'menuAnalyzePIAllValueStreams')
     .addSeparator()
-    .addItem('Refresh All Value Streams from JIRA...', 'menuRefreshAllValueStreams'));
+    .addItem('Refresh All Value Streams from JIRA...', 'menuRefreshAllValueStreams')
+    .addItem('Sync Changes from JIRA', 'menuSyncPIIncrementally')
+    .addSeparator()
+    .addItem('Fix Fix-Versions...', 'menuFixFixVersions')
+    .addItem('Apply Approved Allocation Fixes', 'menuApplyApprovedAllocationFixes')
+    .addItem('Undo JIRA Change Batch...', 'menuUndoJiraChangeBatch'));
 
   planningMenu.addSeparator();
 
@@ -40,9 +46,18 @@ function onOpen() {
   planningMenu.addSubMenu(ui.createMenu('🔧 Utilities')
     .addItem('Test JIRA Connection', 'menuTestJiraConnection')
     .addItem('Configure JIRA Credentials', 'showCredentialSetupDialog')
+    .addItem('Field Mapping Setup', 'menuFieldMappingSetup')
+    .addItem('Release Calendar Setup', 'menuSetupReleaseCalendar')
+    .addItem('PI Iterations Setup', 'menuSetupPIIterations')
+    .addItem('PI Calendar Setup', 'menuSetupPICalendar')
+    .addItem('Schedule Setup', 'menuSetupSchedule')
+    .addItem('Check Capacity Template', 'menuTestCapacityStructure')
+    .addItem('Toggle Sprint History', 'menuToggleSprintHistory')
+    .addItem('Set Velocity Threshold', 'menuSetVelocityThreshold')
     .addSeparator()
     .addItem('Refresh All Formulas', 'menuRefreshFormulas')
     .addItem('Clear Cache', 'menuClearCache')
+    .addItem('Cache Inspector', 'showCacheInspector')
     .addItem('Clean Current Sheet Data', 'cleanCurrentSheetData')
     .addSeparator()
     .addItem('Show All Scrum Teams', 'menuShowAllScrumTeams')
@@ -541,6 +556,7 @@ function menuShowPIPlanningDashboard() {
   // Create or update dashboard sheet
   showProgress('Creating PI Planning Dashboard...');
   createPIPlanningDashboard(piNumber);
+  addPredictabilityToDashboard(piNumber);
   closeProgress();
 
   // Navigate to dashboard
@@ -678,7 +694,7 @@ function menuAnalyzePIAllValueStreams() {
         );
 
         if (confirmResponse === ui.Button.YES) {
-          analyzeSelectedValueStreams(piNumber, allValueStreams);
+          analyzeSelectedValueStreams(piNumber, allValueStreams, createInteractiveRunContext());
         }
 
       } catch (error) {
@@ -804,12 +820,26 @@ function menuGenerateSummaryFromCurrentData() {
 
 function menuClearCache() {
   const ui = SpreadsheetApp.getUi();
+  const entries = CacheManager.list();
+
+  if (entries.length === 0) {
+    ui.alert('Clear Cache', 'Nothing is cached right now.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const shown = entries.slice(0, 15).map(formatCacheEntryLine_);
+  if (entries.length > shown.length) {
+    shown.push(`… and ${entries.length - shown.length} more`);
+  }
 
   const response = ui.alert(
     'Clear Cache',
+    `${entries.length} cached keys, ${formatCacheSize_(totalSize)} in total:\n\n` +
+    shown.join('\n') + '\n\n' +
     'What would you like to clear?\n\n' +
-    '• All Caches - Remove all cached data\n' +
-    '• Specific PI - Clear cache for a specific PI\n' +
+    '• Yes - All caches\n' +
+    '• No - One PI or value stream\n' +
     '• Cancel - Keep existing cache',
     ui.ButtonSet.YES_NO_CANCEL
   );
@@ -817,33 +847,75 @@ function menuClearCache() {
   if (response === ui.Button.YES) {
     // Clear all
     try {
-      CacheManager.clearAll();
-      ui.alert('✅ All caches cleared successfully!');
+      const cleared = CacheManager.clearAll();
+      ui.alert(`✅ All caches cleared successfully! (${cleared} keys)`);
     } catch (error) {
       ui.alert('❌ Error clearing cache: ' + error.message);
     }
   } else if (response === ui.Button.NO) {
-    // Clear specific PI
-    const piResponse = ui.prompt(
-      'Clear PI Cache',
-      'Enter PI number to clear (e.g., 11, 12):',
+    // Clear specific PI or value stream
+    const scopeResponse = ui.prompt(
+      'Clear PI or Value Stream Cache',
+      'Enter a PI number (e.g., 11, 12) or a value stream name (e.g., EMA Clinical):',
       ui.ButtonSet.OK_CANCEL
     );
 
-    if (piResponse.getSelectedButton() === ui.Button.OK) {
-      const piNumber = piResponse.getResponseText().trim();
-      if (piNumber && /^\d+$/.test(piNumber)) {
-        try {
-          CacheManager.clearPI(piNumber);
-          ui.alert(`✅ Cache cleared for PI ${piNumber}!`);
-        } catch (error) {
-          ui.alert('❌ Error clearing cache: ' + error.message);
+    if (scopeResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const scope = scopeResponse.getResponseText().trim();
+    if (!scope) return;
+
+    try {
+      if (/^(PI\s*)?\d+$/i.test(scope)) {
+        const cleared = CacheManager.clearPI(scope);
+        ui.alert(`✅ Cache cleared for ${scope.replace(/^(PI\s*)?/i, 'PI ')}! (${cleared} keys)`);
+      } else {
+        const valueStream = getAvailableValueStreams()
+          .find(vs => vs.toLowerCase() === scope.toLowerCase());
+        if (!valueStream) {
+          ui.alert(`❌ "${scope}" is not a PI number or a known value stream.`);
+          return;
         }
+        const cleared = CacheManager.clearValueStream(valueStream);
+        ui.alert(`✅ Cache cleared for ${valueStream}! (${cleared} keys)`);
       }
+    } catch (error) {
+      ui.alert('❌ Error clearing cache: ' + error.message);
     }
   }
 }
 
+/**
+ * One line of the Clear Cache listing
+ * @param {Object} entry - Entry from CacheManager.list
+ * @return {string} e.g. "• pi_analysis_13_MMPM - 42 KB, 2h old (kept in Drive)"
+ */
+function formatCacheEntryLine_(entry) {
+  return `• ${entry.key} - ${formatCacheSize_(entry.size)}, ${formatCacheAge_(Date.now() - entry.createdAt)} old` +
+    (entry.persisted ? ' (kept in Drive)' : '');
+}
+
+/**
+ * @param {number} bytes - Size
+ * @return {string} e.g. "42 KB"
+ */
+function formatCacheSize_(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * @param {number} ms - Duration
+ * @return {string} e.g. "5m", "2h", "1d"
+ */
+function formatCacheAge_(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h`;
+  return `${Math.floor(minutes / (24 * 60))}d`;
+}
+
 function menuSetup() {
   setup();
 }
@@ -1642,7 +1714,8 @@ function getJiraValueStream(displayValueStream) {
 
 function startAnalysisWrapper(piNumber, selectedValueStreams) {
   try {
-    analyzeSelectedValueStreams(piNumber, selectedValueStreams);
+    assertFieldMappingsValid();
+    analyzeSelectedValueStreams(piNumber, selectedValueStreams, createInteractiveRunContext());
     return true;
   } catch (error) {
     console.error('Error in startAnalysisWrapper:', error);
@@ -2310,46 +2383,20 @@ function discoverScrumTeamsFromJira() {
     console.log('Discovering all scrum teams in JIRA across ALL projects...');
 
     // Search for epics with scrum teams
-    const jql = `issuetype = Epic AND cf[10040] is not EMPTY ORDER BY created DESC`;
-    const url = `${JIRA_CONFIG.baseUrl}/rest/api/3/search/jql`;
+    const jql = `issuetype = Epic AND ${getJqlField('scrumTeam')} is not EMPTY ORDER BY created DESC`;
 
+    // Teams are read from the 1000 most recent epics
     const scrumTeams = new Set();
-    let startAt = 0;
-    const maxResults = 100;
-    let totalProcessed = 0;
-
-    while (totalProcessed < 1000) {
-      const payload = {
-        jql: jql,
-        startAt: startAt,
-        maxResults: maxResults,
-        fields: ['customfield_10040'] // Scrum Team field
-      };
-
-      const response = makeJiraRequest(url, 'POST', payload);
-
-      if (response && response.issues) {
-        response.issues.forEach(issue => {
-          const scrumTeam = issue.fields.customfield_10040;
-
-          if (scrumTeam) {
-            const teamValue = scrumTeam.value || scrumTeam;
-            if (teamValue && teamValue.toString().trim()) {
-              scrumTeams.add(teamValue.toString().trim());
-            }
-          }
-        });
-
-        totalProcessed += response.issues.length;
+    jiraSearchAll(jql, [getFieldId('scrumTeam')], 1000).forEach(issue => {
+      const scrumTeam = getFieldValue(issue.fields, 'scrumTeam');
 
-        if (response.issues.length < maxResults || totalProcessed >= response.total) {
-          break;
+      if (scrumTeam) {
+        const teamValue = scrumTeam.value || scrumTeam;
+        if (teamValue && teamValue.toString().trim()) {
+          scrumTeams.add(teamValue.toString().trim());
         }
-        startAt += maxResults;
-      } else {
-        break;
       }
-    }
+    });
 
     const scrumTeamArray = Array.from(scrumTeams).sort();
     console.log(`Found ${scrumTeamArray.length} scrum teams across all projects:`, scrumTeamArray);
@@ -0,0 +1,252 @@
+/**
+ * PICalendar.gs - Iteration Dates per Program Increment
+ * =====================================================
+ *
+ * Reads the "PI Calendar" config sheet that lists the start and end date of
+ * every iteration, plus each PI's feature-freeze and release dates. Slotting
+ * uses it to place a ticket whose sprint name doesn't carry "<PI>.<iteration>"
+ * (e.g. "Ducks Sprint 42") by the sprint's own dates.
+ *
+ * SHEET LAYOUT (header on row 1, one row per iteration):
+ * | PI | Iteration | Start Date | End Date   | Feature Freeze Date | Release Date |
+ * | 13 | 1         | 2025-10-06 | 2025-10-17 | 2025-12-12          | 2026-01-09   |
+ * | 13 | 2         | 2025-10-20 | 2025-10-31 |                     |              |
+ *
+ * Feature Freeze Date and Release Date only need filling on one row per PI.
+ * When a PI has no row on the PI Iterations sheet, its iteration count and
+ * feature-freeze boundary come from here (see getPIIterationConfig).
+ *
+ * @fileoverview PI calendar lookups for date-based sprint slotting
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const PI_CALENDAR_CONFIG = {
+  sheetName: 'PI Calendar',
+  headers: ['PI', 'Iteration', 'Start Date', 'End Date', 'Feature Freeze Date', 'Release Date'],
+
+  // Used by the setup seeding only
+  iterationLengthDays: 14
+};
+
+// Per-execution memo - slotting looks dates up once per story
+let piCalendarCache_ = null;
+
+// ===== LOOKUP =====
+
+/**
+ * Turn a sheet cell or JIRA date string into a Date
+ * @param {Date|string|number} value - Cell value or ISO date
+ * @return {Date|null} Date, or null when blank or unparseable
+ */
+function toCalendarDate_(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read every row of the PI Calendar sheet
+ * @return {Object|null} {PI_NUMBER: {iterations: [{iteration, startDate, endDate}], featureFreezeDate, releaseDate}},
+ *                       or null when the sheet doesn't exist
+ */
+function getPICalendar() {
+  if (piCalendarCache_ !== null) {
+    return piCalendarCache_ || null;
+  }
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PI_CALENDAR_CONFIG.sheetName);
+  if (!sheet) {
+    piCalendarCache_ = false;
+    return null;
+  }
+
+  const entries = {};
+  if (sheet.getLastRow() >= 2) {
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, PI_CALENDAR_CONFIG.headers.length).getValues();
+
+    values.forEach((row, index) => {
+      const piNumber = parseInt(row[0].toString().replace(/PI\s*/i, ''));
+      const iteration = parseInt(row[1]);
+      const startDate = toCalendarDate_(row[2]);
+      const endDate = toCalendarDate_(row[3]);
+
+      if (isNaN(piNumber) || isNaN(iteration) || iteration < 1 || !startDate || !endDate || endDate < startDate) {
+        if (row.some(cell => cell !== '')) {
+          console.warn(`⚠️ Skipping invalid PI Calendar row ${index + 2}`);
+        }
+        return;
+      }
+
+      if (!entries[piNumber]) {
+        entries[piNumber] = { iterations: [], featureFreezeDate: null, releaseDate: null };
+      }
+      const entry = entries[piNumber];
+      entry.iterations.push({ iteration: iteration, startDate: startDate, endDate: endDate });
+      entry.featureFreezeDate = entry.featureFreezeDate || toCalendarDate_(row[4]);
+      entry.releaseDate = entry.releaseDate || toCalendarDate_(row[5]);
+    });
+  }
+
+  Object.keys(entries).forEach(pi => entries[pi].iterations.sort((a, b) => a.iteration - b.iteration));
+
+  piCalendarCache_ = entries;
+  return entries;
+}
+
+/**
+ * Get the calendar of one PI
+ * @param {string|number} piNumber - PI number ("13", 13 or "PI 13")
+ * @return {Object|null} {iterations, featureFreezeDate, releaseDate, iterationCount, featureFreezeIteration},
+ *                       or null when the PI isn't on the calendar.
+ *                       featureFreezeIteration is the last iteration starting before the
+ *                       feature-freeze date (null when no date is set).
+ */
+function getPICalendarForPI(piNumber) {
+  if (piNumber === null || piNumber === undefined) return null;
+  const pi = parseInt(piNumber.toString().replace(/PI\s*/i, ''));
+  const calendar = getPICalendar();
+  if (isNaN(pi) || !calendar || !calendar[pi]) return null;
+
+  const entry = calendar[pi];
+  let featureFreezeIteration = null;
+  if (entry.featureFreezeDate) {
+    const beforeFF = entry.iterations.filter(i => i.startDate < entry.featureFreezeDate);
+    featureFreezeIteration = beforeFF.length > 0 ? beforeFF[beforeFF.length - 1].iteration : null;
+  }
+
+  return {
+    iterations: entry.iterations,
+    featureFreezeDate: entry.featureFreezeDate,
+    releaseDate: entry.releaseDate,
+    iterationCount: entry.iterations[entry.iterations.length - 1].iteration,
+    featureFreezeIteration: featureFreezeIteration
+  };
+}
+
+/**
+ * Find the PI iteration a date falls in (start and end dates are inclusive days)
+ * @param {string|number} piNumber - PI number
+ * @param {Date|string} date - Date to place
+ * @return {number|null} Iteration number, or null if the date is outside the PI's iterations
+ */
+function getIterationForDate(piNumber, date) {
+  const calendar = getPICalendarForPI(piNumber);
+  const when = toCalendarDate_(date);
+  if (!calendar || !when) return null;
+
+  const match = calendar.iterations.find(i => {
+    const endOfDay = new Date(i.endDate.getTime());
+    endOfDay.setHours(23, 59, 59, 999);
+    return when >= i.startDate && when <= endOfDay;
+  });
+  return match ? match.iteration : null;
+}
+
+/**
+ * Place a sprint in a PI iteration by its dates.
+ * Uses the middle of the sprint, so a sprint that starts a day early or ends a
+ * day late still lands in the iteration it mostly overlaps.
+ * @param {Date|string} sprintStart - Sprint start date
+ * @param {Date|string} sprintEnd - Sprint end date (optional)
+ * @param {string|number} piNumber - PI number
+ * @return {number|null} Iteration number, or null if the dates aren't in the PI
+ */
+function getSprintIterationFromDates(sprintStart, sprintEnd, piNumber) {
+  const start = toCalendarDate_(sprintStart);
+  if (!start) return null;
+
+  const end = toCalendarDate_(sprintEnd);
+  const middle = end && end > start ? new Date((start.getTime() + end.getTime()) / 2) : start;
+  const iteration = getIterationForDate(piNumber, middle);
+
+  // The PI Iterations sheet may cap the PI below what the calendar lists
+  return iteration !== null && iteration <= getPIIterationConfig(piNumber).iterationCount ? iteration : null;
+}
+
+/**
+ * Get the iteration a story or bug is slotted into: by sprint name, then by sprint dates
+ * @param {Object} issue - Parsed issue ({sprintName, sprintStart, sprintEnd})
+ * @param {string|number} piNumber - PI number
+ * @return {number|null} Iteration number, or null if unslotted
+ */
+function getIssueSprintIteration(issue, piNumber) {
+  if (!issue || !issue.sprintName) return null;
+  return parseSprintIteration(issue.sprintName, piNumber) ||
+         getSprintIterationFromDates(issue.sprintStart, issue.sprintEnd, piNumber);
+}
+
+// ===== SETUP =====
+
+/**
+ * Menu handler: create the PI Calendar sheet seeded with a PI's iterations
+ */
+function menuSetupPICalendar() {
+  const ui = SpreadsheetApp.getUi();
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(PI_CALENDAR_CONFIG.sheetName);
+
+  if (sheet) {
+    spreadsheet.setActiveSheet(sheet);
+    ui.alert('PI Calendar',
+      'The PI Calendar sheet already exists. Add one row per iteration.',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  const response = ui.prompt(
+    'PI Calendar Setup',
+    'Enter the PI number and the first day of iteration 1 (e.g., 13, 2025-10-06):',
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const match = response.getResponseText().trim().match(/^(\d+)\s*,\s*(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    ui.alert('Invalid format. Please use a PI number and a date like "13, 2025-10-06"');
+    return;
+  }
+
+  const piNumber = parseInt(match[1]);
+  const firstDay = new Date(parseInt(match[2]), parseInt(match[3]) - 1, parseInt(match[4]));
+  const iterationConfig = getPIIterationConfig(piNumber);
+  const lengthDays = PI_CALENDAR_CONFIG.iterationLengthDays;
+
+  sheet = spreadsheet.insertSheet(PI_CALENDAR_CONFIG.sheetName);
+  const headers = PI_CALENDAR_CONFIG.headers;
+
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#9b7bb8')
+    .setFontColor('#ffffff')
+    .setHorizontalAlignment('center');
+
+  // Back-to-back iterations; feature freeze on the last day of the last pre-FF iteration
+  const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  const rows = iterationConfig.iterations.map(iteration => {
+    const startDate = addDays(firstDay, (iteration - 1) * lengthDays);
+    const endDate = addDays(startDate, lengthDays - 1);
+    return [piNumber, iteration, startDate, endDate, '', ''];
+  });
+  rows[0][4] = rows[iterationConfig.featureFreezeIteration - 1][3];
+
+  sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  sheet.getRange(2, 3, rows.length, 4).setNumberFormat('yyyy-mm-dd');
+
+  const widths = [60, 80, 100, 100, 150, 110];
+  widths.forEach((w, i) => sheet.setColumnWidth(i + 1, w));
+  sheet.setFrozenRows(1);
+
+  piCalendarCache_ = null;
+  spreadsheet.setActiveSheet(sheet);
+
+  ui.alert('PI Calendar Created',
+    `Seeded PI ${piNumber} with ${rows.length} iterations of ${lengthDays} days.\n\n` +
+    'Adjust the dates to the real calendar, fill in the release date, and add rows for future PIs.',
+    ui.ButtonSet.OK);
+}
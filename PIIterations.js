@@ -0,0 +1,217 @@
+/**
+ * PIIterations.gs - Iterations per Program Increment
+ * ==================================================
+ *
+ * Reads the "PI Iterations" config sheet that says how many iterations each
+ * PI has, which of them fall before feature freeze and which one is the
+ * IP (Innovation & Planning) iteration. Capacity reading, iteration slotting,
+ * role breakdown and DAN's report all take their iteration layout from here.
+ *
+ * SHEET LAYOUT (header on row 1):
+ * | PI | Iterations | Last Iteration Before FF | IP Iteration |
+ * | 13 | 6          | 5                        | 6            |
+ * | 14 | 5          | 4                        | 5            |
+ *
+ * PIs without a row take their iterations from the PI Calendar sheet (the
+ * last iteration is treated as IP there), then fall back to the defaults:
+ * 6 iterations, feature freeze after iteration 5, iteration 6 is IP.
+ * Leave "IP Iteration" blank for a PI without one.
+ *
+ * @fileoverview Per-PI iteration count and feature-freeze lookups
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const PI_ITERATION_CONFIG = {
+  sheetName: 'PI Iterations',
+  headers: ['PI', 'Iterations', 'Last Iteration Before FF', 'IP Iteration'],
+
+  defaults: {
+    iterationCount: 6,
+    featureFreezeIteration: 5,
+    ipIteration: 6
+  },
+
+  // PIs planned before the sheet existed
+  knownPIs: {
+    12: { iterationCount: 6, featureFreezeIteration: 4, ipIteration: 6 }
+  },
+
+  // Sprint names carry "<PI>.<iteration>", e.g. "ORD 13.2" or "PI 13.2"
+  maxIterations: 9
+};
+
+// Per-execution memo - summaries look the PI up once per team
+let piIterationSheetCache_ = null;
+
+// ===== LOOKUP =====
+
+/**
+ * Read every row of the PI Iterations sheet
+ * @return {Object|null} {PI_NUMBER: {iterationCount, featureFreezeIteration, ipIteration}},
+ *                       or null when the sheet doesn't exist
+ */
+function getPIIterationSheet() {
+  if (piIterationSheetCache_ !== null) {
+    return piIterationSheetCache_ || null;
+  }
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PI_ITERATION_CONFIG.sheetName);
+  if (!sheet) {
+    piIterationSheetCache_ = false;
+    return null;
+  }
+
+  const entries = {};
+  if (sheet.getLastRow() >= 2) {
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, PI_ITERATION_CONFIG.headers.length).getValues();
+
+    values.forEach((row, index) => {
+      const piNumber = parseInt(row[0].toString().replace(/PI\s*/i, ''));
+      const iterationCount = parseInt(row[1]);
+      const featureFreezeIteration = row[2] === '' ? iterationCount : parseInt(row[2]);
+      const ipIteration = row[3] === '' ? null : parseInt(row[3]);
+
+      const invalid = isNaN(piNumber) || isNaN(iterationCount) || isNaN(featureFreezeIteration) ||
+        iterationCount < 1 || iterationCount > PI_ITERATION_CONFIG.maxIterations ||
+        featureFreezeIteration < 1 || featureFreezeIteration > iterationCount ||
+        (ipIteration !== null && (isNaN(ipIteration) || ipIteration < 1 || ipIteration > iterationCount));
+
+      if (invalid) {
+        if (row.some(cell => cell !== '')) {
+          console.warn(`⚠️ Skipping invalid PI Iterations row ${index + 2}`);
+        }
+        return;
+      }
+
+      entries[piNumber] = {
+        iterationCount: iterationCount,
+        featureFreezeIteration: featureFreezeIteration,
+        ipIteration: ipIteration
+      };
+    });
+  }
+
+  piIterationSheetCache_ = entries;
+  return entries;
+}
+
+/**
+ * Get the iteration layout of a PI
+ * @param {string|number} piNumber - PI number ("13", 13 or "PI 13"); the defaults apply when omitted
+ * @return {Object} {piNumber, iterationCount, featureFreezeIteration, ipIteration,
+ *                   iterations: [1..n], beforeFFIterations: [1..ff], afterFFIterations: [ff+1..n], source}
+ *                   source is 'sheet', 'calendar', 'known' or 'default'
+ */
+function getPIIterationConfig(piNumber) {
+  const pi = piNumber === null || piNumber === undefined ? NaN : parseInt(piNumber.toString().replace(/PI\s*/i, ''));
+  const sheetEntries = getPIIterationSheet();
+  const calendar = isNaN(pi) ? null : getPICalendarForPI(pi);
+
+  let entry = PI_ITERATION_CONFIG.defaults;
+  let source = 'default';
+  if (!isNaN(pi) && sheetEntries && sheetEntries[pi]) {
+    entry = sheetEntries[pi];
+    source = 'sheet';
+  } else if (calendar && calendar.iterationCount <= PI_ITERATION_CONFIG.maxIterations) {
+    entry = {
+      iterationCount: calendar.iterationCount,
+      featureFreezeIteration: calendar.featureFreezeIteration || calendar.iterationCount,
+      ipIteration: calendar.iterationCount
+    };
+    source = 'calendar';
+  } else if (!isNaN(pi) && PI_ITERATION_CONFIG.knownPIs[pi]) {
+    entry = PI_ITERATION_CONFIG.knownPIs[pi];
+    source = 'known';
+  }
+
+  const iterations = [];
+  for (let i = 1; i <= entry.iterationCount; i++) iterations.push(i);
+
+  return {
+    piNumber: isNaN(pi) ? null : pi,
+    iterationCount: entry.iterationCount,
+    featureFreezeIteration: entry.featureFreezeIteration,
+    ipIteration: entry.ipIteration,
+    iterations: iterations,
+    beforeFFIterations: iterations.filter(i => i <= entry.featureFreezeIteration),
+    afterFFIterations: iterations.filter(i => i > entry.featureFreezeIteration),
+    source: source
+  };
+}
+
+/**
+ * Display label for an iteration, marking the IP iteration
+ * @param {Object} config - From getPIIterationConfig()
+ * @param {number} iteration - Iteration number
+ * @return {string} e.g. "Iteration 3" or "Iteration 6 (IP)"
+ */
+function getIterationLabel(config, iteration) {
+  return iteration === config.ipIteration ? `Iteration ${iteration} (IP)` : `Iteration ${iteration}`;
+}
+
+// ===== SETUP =====
+
+/**
+ * Menu handler: create the PI Iterations sheet seeded for a PI
+ */
+function menuSetupPIIterations() {
+  const ui = SpreadsheetApp.getUi();
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(PI_ITERATION_CONFIG.sheetName);
+
+  if (sheet) {
+    spreadsheet.setActiveSheet(sheet);
+    ui.alert('PI Iterations',
+      'The PI Iterations sheet already exists. Add one row per PI.',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  const response = ui.prompt(
+    'PI Iterations Setup',
+    'Enter the PI number to seed the sheet with (e.g., 13):',
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const piNumber = response.getResponseText().trim();
+  if (!/^\d+$/.test(piNumber)) {
+    ui.alert('Invalid PI format. Please use a number like "13"');
+    return;
+  }
+
+  sheet = spreadsheet.insertSheet(PI_ITERATION_CONFIG.sheetName);
+  const headers = PI_ITERATION_CONFIG.headers;
+
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#9b7bb8')
+    .setFontColor('#ffffff')
+    .setHorizontalAlignment('center');
+
+  // Seed with what the PI uses today, so nothing changes until the row is edited
+  piIterationSheetCache_ = null;
+  const current = getPIIterationConfig(piNumber);
+  sheet.getRange(2, 1, 1, headers.length).setValues([[
+    parseInt(piNumber), current.iterationCount, current.featureFreezeIteration, current.ipIteration || ''
+  ]]);
+
+  const widths = [60, 90, 170, 100];
+  widths.forEach((w, i) => sheet.setColumnWidth(i + 1, w));
+  sheet.setFrozenRows(1);
+
+  piIterationSheetCache_ = null;
+  spreadsheet.setActiveSheet(sheet);
+
+  ui.alert('PI Iterations Created',
+    `Seeded PI ${piNumber} with ${current.iterationCount} iterations, feature freeze after iteration ` +
+    `${current.featureFreezeIteration}.\n\n` +
+    'Edit the row if this PI differs, and add rows for future PIs.',
+    ui.ButtonSet.OK);
+}
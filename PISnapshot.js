@@ -0,0 +1,615 @@
+/**
+ * PISnapshot.gs - PI Snapshot History and Change Log
+ * ==================================================
+ *
+ * Every refresh of a "PI N" sheet rebuilds it from scratch, so the previous
+ * plan is lost. This module keeps a compressed snapshot of the epics on each
+ * refresh and writes a "PI N - Changes" tab describing what moved since the
+ * previous snapshot.
+ *
+ * STORAGE:
+ * - Snapshots live in a hidden "PI N - History" sheet, one row per refresh
+ * - Column A: Snapshot timestamp
+ * - Column B: Epic count
+ * - Column C: Number of payload chunks
+ * - Column D+: gzip + base64 payload, split to stay under the cell limit
+ *
+ * CHANGE TYPES:
+ * - Added, Removed, Re-teamed, Re-allocated, Re-estimated
+ *
+ * The same history feeds the per-value-stream scope burn-up on the
+ * value stream summary sheets.
+ *
+ * @fileoverview PI snapshot history and change detection
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const PI_SNAPSHOT_CONFIG = {
+  historySheetSuffix: ' - History',
+  changesSheetSuffix: ' - Changes',
+  chunkSize: 45000,        // Google Sheets cell limit is 50,000 characters
+  maxSnapshots: 120,       // Oldest rows are trimmed beyond this
+  payloadVersion: 2,       // 2: per-team completed points
+  doneStatuses: ['Done', 'Closed', 'Resolved', 'Accepted']
+};
+
+// Per-execution memo of the latest snapshot per PI sheet - velocity looks up each past PI once per team
+let piSnapshotLatestCache_ = {};
+
+const SNAPSHOT_CHANGE_TYPES = {
+  ADDED: 'Added',
+  REMOVED: 'Removed',
+  RETEAMED: 'Re-teamed',
+  REALLOCATED: 'Re-allocated',
+  REESTIMATED: 'Re-estimated'
+};
+
+// ===== SNAPSHOT CAPTURE =====
+
+/**
+ * Save a snapshot of the PI sheet contents and write the change log
+ * Called after createPIAnalysisSheet has written the refreshed data
+ * @param {string} piSheetName - Name of the PI sheet (e.g. "PI 13")
+ * @param {Array} issues - Array of processed issue objects
+ * @param {Array<string>} [analyzedValueStreams] - Value streams this refresh covered; epics of
+ *                                                 the others are carried over from the previous snapshot
+ * @return {Object|null} Diff against the previous snapshot, or null on failure
+ */
+function recordPISnapshot(piSheetName, issues, analyzedValueStreams) {
+  try {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const snapshot = buildPISnapshot(issues, piSheetName);
+    const previous = getLatestPISnapshot(piSheetName);
+
+    if (previous && analyzedValueStreams) {
+      carryOverUnrefreshedEpics_(snapshot, previous, analyzedValueStreams);
+    }
+
+    savePISnapshot(spreadsheet, piSheetName, snapshot);
+
+    const diff = diffPISnapshots(previous, snapshot);
+    writePIChangesSheet(spreadsheet, piSheetName, diff, previous, snapshot);
+
+    console.log(`✅ Snapshot saved for ${piSheetName}: ${Object.keys(snapshot.epics).length} epics, ${diff.changes.length} changes`);
+    return diff;
+
+  } catch (error) {
+    console.error(`Error recording snapshot for ${piSheetName}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Build a compact snapshot of the epics in a PI
+ * Teams hold the completed story points of each team's done stories and bugs
+ * in the PI - the same work fetchJiraVelocity_ counts when there's no snapshot -
+ * in total and per iteration for the forecast's throughput samples.
+ * @param {Array} issues - Array of processed issue objects
+ * @param {string} [piSheetName] - PI the snapshot is for; stories and bugs of other PIs don't count for the teams
+ * @return {Object} Snapshot with timestamp, epics keyed by issue key and teams keyed by name
+ */
+function buildPISnapshot(issues, piSheetName) {
+  const epicLOE = calculateEpicLOE(issues);
+  const completedPoints = {};
+  const epics = {};
+  const teams = {};
+  const piNumber = piSheetName ? piSheetName.replace(/PI\s*/i, '') : null;
+
+  // Completed story points per epic, used by the scope burn-up
+  issues.filter(issue => issue.issueType !== 'Epic').forEach(child => {
+    const epicKey = child.epicLink || child.parentKey;
+    if (epicKey && PI_SNAPSHOT_CONFIG.doneStatuses.includes(child.status)) {
+      completedPoints[epicKey] = (completedPoints[epicKey] || 0) + (child.storyPoints || 0);
+    }
+  });
+
+  issues.filter(issue => issue.issueType === 'Epic').forEach(epic => {
+    epics[epic.key] = {
+      summary: epic.summary || '',
+      valueStream: epic.valueStream || '',
+      team: epic.scrumTeam || '',
+      allocation: epic.allocation || '',
+      storyPoints: epicLOE[epic.key] || 0,
+      completedStoryPoints: completedPoints[epic.key] || 0,
+      storyPointEstimate: epic.storyPointEstimate || 0,
+      featurePoints: epic.featurePoints || 0,
+      iteration: epic.piTargetIteration || epic.sprintName || '',
+      status: epic.status || ''
+    };
+  });
+
+  issues.filter(issue =>
+    (issue.issueType === 'Story' || issue.issueType === 'Bug') && issue.scrumTeam &&
+    (!piSheetName || issue.programIncrement === piSheetName)
+  ).forEach(issue => {
+    const team = teams[issue.scrumTeam] ||
+      (teams[issue.scrumTeam] = { completedIssues: 0, completedStoryPoints: 0, completedByIteration: {} });
+    if (PI_SNAPSHOT_CONFIG.doneStatuses.includes(issue.status)) {
+      team.completedIssues++;
+      team.completedStoryPoints += issue.storyPoints || 0;
+
+      const iteration = piNumber ? getIssueIteration(issue, piNumber) : null;
+      if (iteration) {
+        team.completedByIteration[iteration] = (team.completedByIteration[iteration] || 0) + (issue.storyPoints || 0);
+      }
+    }
+  });
+
+  return {
+    version: PI_SNAPSHOT_CONFIG.payloadVersion,
+    takenAt: new Date().toISOString(),
+    epics: epics,
+    teams: teams
+  };
+}
+
+/**
+ * Copy the previous snapshot's epics of value streams a partial refresh didn't cover
+ * Keeps every snapshot complete, so those epics don't show as Removed now and Added
+ * on the next full refresh. Teams with no stories or bugs in the refresh keep
+ * their previous completed points the same way.
+ * @param {Object} snapshot - Snapshot of the refreshed issues (modified)
+ * @param {Object} previous - Previous snapshot
+ * @param {Array<string>} analyzedValueStreams - Value streams the refresh covered
+ */
+function carryOverUnrefreshedEpics_(snapshot, previous, analyzedValueStreams) {
+  // The analyzed names, plus whatever the refreshed epics carry in their Value Stream field
+  const refreshed = analyzedValueStreams.map(vs => vs.toString().trim().toLowerCase())
+    .concat(Object.values(snapshot.epics).map(epic => (epic.valueStream || '').trim().toLowerCase()));
+
+  Object.keys(previous.epics).forEach(key => {
+    const epic = previous.epics[key];
+    if (!snapshot.epics[key] && !refreshed.includes((epic.valueStream || '').trim().toLowerCase())) {
+      snapshot.epics[key] = epic;
+    }
+  });
+
+  Object.keys(previous.teams || {}).forEach(team => {
+    if (!snapshot.teams[team]) {
+      snapshot.teams[team] = previous.teams[team];
+    }
+  });
+}
+
+// ===== STORAGE =====
+
+/**
+ * Get or create the hidden history sheet for a PI
+ * @param {Spreadsheet} spreadsheet - Target spreadsheet
+ * @param {string} piSheetName - Name of the PI sheet
+ * @return {Sheet} History sheet
+ */
+function getOrCreatePIHistorySheet_(spreadsheet, piSheetName) {
+  const historyName = piSheetName + PI_SNAPSHOT_CONFIG.historySheetSuffix;
+  let sheet = spreadsheet.getSheetByName(historyName);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(historyName);
+    sheet.getRange(1, 1, 1, 4).setValues([['Snapshot Time', 'Epic Count', 'Chunks', 'Payload']]);
+    sheet.getRange(1, 1, 1, 4).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+
+  return sheet;
+}
+
+/**
+ * Compress and append a snapshot to the history sheet
+ * @param {Spreadsheet} spreadsheet - Target spreadsheet
+ * @param {string} piSheetName - Name of the PI sheet
+ * @param {Object} snapshot - Snapshot from buildPISnapshot
+ */
+function savePISnapshot(spreadsheet, piSheetName, snapshot) {
+  const sheet = getOrCreatePIHistorySheet_(spreadsheet, piSheetName);
+  const payload = compressSnapshot_(snapshot);
+
+  const chunks = [];
+  for (let i = 0; i < payload.length; i += PI_SNAPSHOT_CONFIG.chunkSize) {
+    chunks.push(payload.substring(i, i + PI_SNAPSHOT_CONFIG.chunkSize));
+  }
+
+  const row = [new Date(snapshot.takenAt), Object.keys(snapshot.epics).length, chunks.length].concat(chunks);
+  sheet.getRange(sheet.getLastRow() + 1, 1, 1, row.length).setValues([row]);
+  piSnapshotLatestCache_[piSheetName] = snapshot;
+
+  // Trim the oldest snapshots beyond the retention limit
+  const snapshotCount = sheet.getLastRow() - 1;
+  if (snapshotCount > PI_SNAPSHOT_CONFIG.maxSnapshots) {
+    sheet.deleteRows(2, snapshotCount - PI_SNAPSHOT_CONFIG.maxSnapshots);
+  }
+}
+
+/**
+ * Read every stored snapshot for a PI, oldest first
+ * @param {string} piSheetName - Name of the PI sheet
+ * @return {Array<Object>} Array of snapshots
+ */
+function getPISnapshotHistory(piSheetName) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.getSheetByName(piSheetName + PI_SNAPSHOT_CONFIG.historySheetSuffix);
+
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
+
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).getValues();
+  const snapshots = [];
+
+  values.forEach((row, index) => {
+    const snapshot = readPISnapshotRow_(row, index + 2, sheet.getName());
+    if (snapshot) {
+      snapshots.push(snapshot);
+    }
+  });
+
+  return snapshots;
+}
+
+/**
+ * Get the most recent stored snapshot for a PI
+ * Decodes only the last history row (or the last readable one), once per execution.
+ * @param {string} piSheetName - Name of the PI sheet
+ * @return {Object|null} Latest snapshot, or null if none exist
+ */
+function getLatestPISnapshot(piSheetName) {
+  if (piSheetName in piSnapshotLatestCache_) {
+    return piSnapshotLatestCache_[piSheetName];
+  }
+
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.getSheetByName(piSheetName + PI_SNAPSHOT_CONFIG.historySheetSuffix);
+  let snapshot = null;
+
+  if (sheet) {
+    for (let rowNumber = sheet.getLastRow(); rowNumber >= 2 && !snapshot; rowNumber--) {
+      const row = sheet.getRange(rowNumber, 1, 1, sheet.getLastColumn()).getValues()[0];
+      snapshot = readPISnapshotRow_(row, rowNumber, sheet.getName());
+    }
+  }
+
+  piSnapshotLatestCache_[piSheetName] = snapshot;
+  return snapshot;
+}
+
+/**
+ * Decode one history row
+ * @param {Array} row - Row values (timestamp, epic count, chunk count, chunks...)
+ * @param {number} rowNumber - Sheet row, for the log
+ * @param {string} sheetName - History sheet name, for the log
+ * @return {Object|null} Snapshot, or null when the row is empty or unreadable
+ */
+function readPISnapshotRow_(row, rowNumber, sheetName) {
+  try {
+    const chunkCount = parseInt(row[2]) || 0;
+    const payload = row.slice(3, 3 + chunkCount).join('');
+    return payload ? decompressSnapshot_(payload) : null;
+  } catch (error) {
+    console.error(`⚠️ Skipping unreadable snapshot on row ${rowNumber} of ${sheetName}:`, error);
+    return null;
+  }
+}
+
+/**
+ * gzip and base64 encode a snapshot
+ * @param {Object} snapshot - Snapshot object
+ * @return {string} Encoded payload
+ */
+function compressSnapshot_(snapshot) {
+  const blob = Utilities.newBlob(JSON.stringify(snapshot), 'application/json');
+  return Utilities.base64Encode(Utilities.gzip(blob).getBytes());
+}
+
+/**
+ * Decode a payload written by compressSnapshot_
+ * @param {string} payload - Encoded payload
+ * @return {Object} Snapshot object
+ */
+function decompressSnapshot_(payload) {
+  const blob = Utilities.newBlob(Utilities.base64Decode(payload), 'application/x-gzip');
+  return JSON.parse(Utilities.ungzip(blob).getDataAsString());
+}
+
+// ===== CHANGE DETECTION =====
+
+/**
+ * Compare two snapshots and list the epic-level changes
+ * @param {Object|null} previous - Earlier snapshot (null on first run)
+ * @param {Object} current - Current snapshot
+ * @return {Object} {isBaseline, changes: [{type, key, summary, team, field, from, to}], counts}
+ */
+function diffPISnapshots(previous, current) {
+  const counts = {};
+  Object.values(SNAPSHOT_CHANGE_TYPES).forEach(type => counts[type] = 0);
+
+  if (!previous) {
+    return { isBaseline: true, changes: [], counts: counts };
+  }
+
+  const changes = [];
+  const addChange = (type, key, epic, field, from, to) => {
+    changes.push({
+      type: type,
+      key: key,
+      summary: epic.summary,
+      team: epic.team,
+      field: field,
+      from: from,
+      to: to
+    });
+    counts[type]++;
+  };
+
+  Object.keys(current.epics).forEach(key => {
+    const now = current.epics[key];
+    const before = previous.epics[key];
+
+    if (!before) {
+      addChange(SNAPSHOT_CHANGE_TYPES.ADDED, key, now, '', '', now.team);
+      return;
+    }
+
+    if (before.team !== now.team) {
+      addChange(SNAPSHOT_CHANGE_TYPES.RETEAMED, key, now, 'Scrum Team', before.team, now.team);
+    }
+    if (before.allocation !== now.allocation) {
+      addChange(SNAPSHOT_CHANGE_TYPES.REALLOCATED, key, now, 'Allocation', before.allocation, now.allocation);
+    }
+    if (before.featurePoints !== now.featurePoints) {
+      addChange(SNAPSHOT_CHANGE_TYPES.REESTIMATED, key, now, 'Feature Points', before.featurePoints, now.featurePoints);
+    }
+    if (before.storyPointEstimate !== now.storyPointEstimate) {
+      addChange(SNAPSHOT_CHANGE_TYPES.REESTIMATED, key, now, 'Story Point Estimate', before.storyPointEstimate, now.storyPointEstimate);
+    }
+    if (before.storyPoints !== now.storyPoints) {
+      addChange(SNAPSHOT_CHANGE_TYPES.REESTIMATED, key, now, 'Story Points (LOE)', before.storyPoints, now.storyPoints);
+    }
+  });
+
+  Object.keys(previous.epics).forEach(key => {
+    if (!current.epics[key]) {
+      const before = previous.epics[key];
+      addChange(SNAPSHOT_CHANGE_TYPES.REMOVED, key, before, '', before.team, '');
+    }
+  });
+
+  return { isBaseline: false, changes: changes, counts: counts };
+}
+
+// ===== CHANGES SHEET =====
+
+/**
+ * Write the "PI N - Changes" tab
+ * @param {Spreadsheet} spreadsheet - Target spreadsheet
+ * @param {string} piSheetName - Name of the PI sheet
+ * @param {Object} diff - Result of diffPISnapshots
+ * @param {Object|null} previous - Previous snapshot
+ * @param {Object} current - Current snapshot
+ */
+function writePIChangesSheet(spreadsheet, piSheetName, diff, previous, current) {
+  const sheetName = piSheetName + PI_SNAPSHOT_CONFIG.changesSheetSuffix;
+  let sheet = spreadsheet.getSheetByName(sheetName);
+
+  if (sheet) {
+    sheet.clear();
+  } else {
+    sheet = spreadsheet.insertSheet(sheetName);
+  }
+
+  const headers = ['Change', 'Key', 'Summary', 'Scrum Team', 'Field', 'Previous', 'Current'];
+
+  sheet.getRange(1, 1).setValue(`Changes - ${piSheetName}`);
+  sheet.getRange(1, 1).setFontSize(16).setFontWeight('bold');
+
+  sheet.getRange(2, 1).setValue('Compared:');
+  sheet.getRange(2, 2).setValue(previous
+    ? `${new Date(previous.takenAt).toLocaleString()} → ${new Date(current.takenAt).toLocaleString()}`
+    : `Baseline snapshot taken ${new Date(current.takenAt).toLocaleString()}`);
+  sheet.getRange(2, 1, 1, 2).setFontWeight('bold');
+
+  sheet.getRange(3, 1).setValue('Totals:');
+  sheet.getRange(3, 2).setValue(Object.keys(diff.counts)
+    .map(type => `${type}: ${diff.counts[type]}`)
+    .join('  |  '));
+  sheet.getRange(3, 1, 1, 2).setFontWeight('bold');
+
+  sheet.getRange(4, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(4, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('white');
+
+  sheet.setFrozenRows(4);
+
+  if (diff.changes.length === 0) {
+    sheet.getRange(5, 1).setValue(diff.isBaseline
+      ? 'No previous snapshot - changes will be listed after the next refresh'
+      : 'No epic changes since the previous snapshot');
+    sheet.getRange(5, 1).setFontStyle('italic').setFontColor('#999999');
+    return;
+  }
+
+  // Group by change type so RTEs can scan additions and removals first
+  const typeOrder = Object.values(SNAPSHOT_CHANGE_TYPES);
+  const sorted = diff.changes.slice().sort((a, b) =>
+    typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) ||
+    (a.team || '').localeCompare(b.team || '') ||
+    a.key.localeCompare(b.key)
+  );
+
+  const data = sorted.map(change => [
+    change.type,
+    change.key,
+    change.summary,
+    change.team || 'Unassigned',
+    change.field,
+    change.from,
+    change.to
+  ]);
+
+  sheet.getRange(5, 1, data.length, headers.length).setValues(data);
+  applyJiraHyperlinks(sheet, 5, 2, sorted.map(change => change.key));
+
+  const typeColors = {};
+  typeColors[SNAPSHOT_CHANGE_TYPES.ADDED] = '#ccffcc';
+  typeColors[SNAPSHOT_CHANGE_TYPES.REMOVED] = '#ffcccc';
+  typeColors[SNAPSHOT_CHANGE_TYPES.RETEAMED] = '#fff3cd';
+  typeColors[SNAPSHOT_CHANGE_TYPES.REALLOCATED] = '#fff3cd';
+  typeColors[SNAPSHOT_CHANGE_TYPES.REESTIMATED] = '#e8f0fe';
+
+  sheet.getRange(5, 1, data.length, 1)
+    .setBackgrounds(sorted.map(change => [typeColors[change.type] || '#ffffff']));
+
+  sheet.autoResizeColumns(1, headers.length);
+  sheet.setColumnWidth(3, 400);
+  sheet.getRange(5, 3, data.length, 1).setWrap(true);
+}
+
+// ===== SCOPE BURN-UP =====
+
+/**
+ * Build daily burn-up rows for one value stream from the snapshot history
+ * The first snapshot is treated as the PI Planning baseline; the last
+ * snapshot of each day represents that day. Added and removed scope are
+ * cumulative since the baseline; baseline is the part of committed scope that
+ * isn't added scope, so baseline + added stacks up to the committed line.
+ * @param {Array<Object>} history - Snapshots from getPISnapshotHistory
+ * @param {string} valueStream - Value stream to include
+ * @return {Array<Object>} [{date, committed, completed, baseline, added, removed}]
+ */
+function buildScopeBurnupSeries(history, valueStream) {
+  if (!history || history.length === 0) {
+    return [];
+  }
+
+  const timeZone = Session.getScriptTimeZone();
+  const dailySnapshots = {};
+
+  history.forEach(snapshot => {
+    const day = Utilities.formatDate(new Date(snapshot.takenAt), timeZone, 'yyyy-MM-dd');
+    dailySnapshots[day] = snapshot;
+  });
+
+  const scopeFor = snapshot => {
+    const scope = {};
+    Object.keys(snapshot.epics).forEach(key => {
+      const epic = snapshot.epics[key];
+      if (normalizeValueStreamName(epic.valueStream) === normalizeValueStreamName(valueStream)) {
+        scope[key] = epic;
+      }
+    });
+    return scope;
+  };
+
+  const rows = [];
+  let previousScope = scopeFor(history[0]);
+  let cumulativeAdded = 0;
+  let cumulativeRemoved = 0;
+
+  Object.keys(dailySnapshots).sort().forEach(day => {
+    const scope = scopeFor(dailySnapshots[day]);
+
+    // Scope movement since the previous day, in Feature Points x10
+    Object.keys(scope).forEach(key => {
+      const now = (scope[key].featurePoints || 0) * 10;
+      const before = previousScope[key] ? (previousScope[key].featurePoints || 0) * 10 : 0;
+      if (now > before) cumulativeAdded += now - before;
+      if (now < before) cumulativeRemoved += before - now;
+    });
+    Object.keys(previousScope).forEach(key => {
+      if (!scope[key]) {
+        cumulativeRemoved += (previousScope[key].featurePoints || 0) * 10;
+      }
+    });
+
+    const epics = Object.values(scope);
+    const committed = epics.reduce((sum, e) => sum + (e.featurePoints || 0) * 10, 0);
+    rows.push({
+      date: new Date(day + 'T12:00:00'),
+      committed: committed,
+      completed: epics.reduce((sum, e) => sum + (e.completedStoryPoints || 0), 0),
+      baseline: Math.max(committed - cumulativeAdded, 0),
+      added: cumulativeAdded,
+      removed: cumulativeRemoved
+    });
+
+    previousScope = scope;
+  });
+
+  return rows;
+}
+
+/**
+ * Write the scope burn-up table and chart onto a value stream summary sheet
+ * @param {Sheet} sheet - Summary sheet
+ * @param {number} startRow - Row to start writing
+ * @param {string} programIncrement - PI name (also the PI sheet name)
+ * @param {string} valueStream - Value stream name
+ * @return {number} Next available row
+ */
+function createScopeBurnupSection(sheet, startRow, programIncrement, valueStream) {
+  let currentRow = startRow;
+
+  sheet.getRange(currentRow, 1).setValue('Scope Burn-up');
+  sheet.getRange(currentRow, 1).setFontSize(14).setFontWeight('bold').setBackground('#e8f0fe');
+  currentRow += 2;
+
+  try {
+    const rows = buildScopeBurnupSeries(getPISnapshotHistory(programIncrement), valueStream);
+
+    if (rows.length === 0) {
+      sheet.getRange(currentRow, 1).setValue(`No refresh history for ${programIncrement} yet - the burn-up starts after the next PI refresh`);
+      sheet.getRange(currentRow, 1).setFontStyle('italic').setFontColor('#999999');
+      return currentRow + 2;
+    }
+
+    const headers = ['Date', 'Committed Scope (FP x10)', 'Completed Story Points', 'Baseline Still Committed', 'Scope Added', 'Scope Removed'];
+    sheet.getRange(currentRow, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(currentRow, 1, 1, headers.length)
+      .setFontWeight('bold')
+      .setBackground('#4285f4')
+      .setFontColor('white');
+    const headerRow = currentRow;
+    currentRow++;
+
+    const data = rows.map(row => [row.date, row.committed, row.completed, row.baseline, row.added, row.removed]);
+    sheet.getRange(currentRow, 1, data.length, headers.length).setValues(data);
+    sheet.getRange(currentRow, 1, data.length, 1).setNumberFormat('MMM d');
+    currentRow += data.length;
+
+    // Stacked areas: baseline + added reach the committed line, removed sits on top of it
+    const chart = sheet.newChart()
+      .setChartType(Charts.ChartType.COMBO)
+      .addRange(sheet.getRange(headerRow, 1, data.length + 1, headers.length))
+      .setNumHeaders(1)
+      .setPosition(headerRow, headers.length + 2, 0, 0)
+      .setOption('title', `${valueStream} - Scope Burn-up (${programIncrement})`)
+      .setOption('width', 640)
+      .setOption('height', 320)
+      .setOption('seriesType', 'area')
+      .setOption('isStacked', true)
+      .setOption('series', {
+        0: { type: 'line', color: '#1B365D', lineWidth: 3 },
+        1: { type: 'line', color: '#34A853', lineWidth: 3 },
+        2: { type: 'area', color: '#DADCE0', areaOpacity: 0.5, lineWidth: 0 },
+        3: { type: 'area', color: '#FBBC05', areaOpacity: 0.6, lineWidth: 0 },
+        4: { type: 'area', color: '#EA4335', areaOpacity: 0.4, lineWidth: 0 }
+      })
+      .setOption('legend', { position: 'bottom', textStyle: { fontSize: 8 } })
+      .setOption('titleTextStyle', { fontSize: 10, bold: true })
+      .build();
+
+    sheet.insertChart(chart);
+
+    // Leave room for the chart when the table is shorter than it
+    return Math.max(currentRow, headerRow + 17) + 2;
+
+  } catch (error) {
+    console.error(`Error creating scope burn-up for ${valueStream}:`, error);
+    sheet.getRange(currentRow, 1).setValue('Scope burn-up unavailable: ' + error.toString());
+    sheet.getRange(currentRow, 1).setFontStyle('italic').setFontColor('#999999');
+    return currentRow + 2;
+  }
+}
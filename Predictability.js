@@ -0,0 +1,315 @@
+/**
+ * Predictability.gs - PI Predictability (Say/Do) Metric
+ * =====================================================
+ *
+ * SAFe's program predictability measure, from the PI sheet:
+ * - Objectives: committed epics (PI Commitment = "Committed") delivered vs. planned
+ * - Feature points: feature points of committed epics delivered vs. planned
+ *
+ * An epic counts as delivered when its status is done and, if the PI Calendar
+ * knows when the PI ends, its Closed Transition Date (the JIRA resolution
+ * date, written to the PI sheet on refresh) falls on or before that day. Uncommitted (stretch) epics that were delivered are listed alongside
+ * but don't count towards the ratios.
+ *
+ * Shown per team in the scrum team summary and rolled up per value stream
+ * on the PI dashboard.
+ *
+ * @fileoverview Say/do ratio and PI predictability per team and value stream
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const PREDICTABILITY_CONFIG = {
+  committedValue: 'committed',
+
+  // SAFe treats 80-100% as a predictable team or train
+  predictableThreshold: 0.8,
+  atRiskThreshold: 0.6,
+
+  colors: {
+    predictable: '#d9ead3',
+    atRisk: '#fff3cd',
+    unpredictable: '#ffcccc'
+  },
+
+  dashboardTitle: 'PI Predictability by Value Stream'
+};
+
+// ===== CALCULATION =====
+
+/**
+ * Last day of a PI from the PI Calendar
+ * @param {string|number} piNumber - PI number
+ * @return {Date|null} End of the last iteration, or null when the PI isn't on the calendar
+ */
+function getPIEndDate_(piNumber) {
+  const calendar = getPICalendarForPI(piNumber);
+  if (!calendar) return null;
+
+  const end = new Date(calendar.iterations[calendar.iterations.length - 1].endDate.getTime());
+  end.setHours(23, 59, 59, 999);
+  return end;
+}
+
+/**
+ * Whether an epic was delivered within the PI
+ * @param {Object} epic - Parsed epic
+ * @param {Date|null} piEndDate - From getPIEndDate_()
+ * @return {boolean} True when done (and closed by the end of the PI, if known)
+ */
+function isEpicDelivered_(epic, piEndDate) {
+  if (!PI_SNAPSHOT_CONFIG.doneStatuses.includes(epic.status)) return false;
+  if (!piEndDate) return true;
+
+  const closedDate = toCalendarDate_(epic.closedTransitionDate);
+  return !closedDate || closedDate <= piEndDate;
+}
+
+/**
+ * Calculate the predictability of a set of epics
+ * @param {Array} epics - Parsed epics
+ * @param {string|number} piNumber - PI number
+ * @return {Object} {committedObjectives, deliveredObjectives, objectivesRatio,
+ *                   committedFeaturePoints, deliveredFeaturePoints, featurePointsRatio,
+ *                   stretchDelivered, missed: [epic keys]} - ratios are null with nothing committed
+ */
+function calculatePredictability(epics, piNumber) {
+  const piEndDate = getPIEndDate_(piNumber);
+  const result = {
+    committedObjectives: 0,
+    deliveredObjectives: 0,
+    objectivesRatio: null,
+    committedFeaturePoints: 0,
+    deliveredFeaturePoints: 0,
+    featurePointsRatio: null,
+    stretchDelivered: 0,
+    missed: []
+  };
+
+  epics.forEach(epic => {
+    const committed = (epic.piCommitment || '').toString().trim().toLowerCase() === PREDICTABILITY_CONFIG.committedValue;
+    const delivered = isEpicDelivered_(epic, piEndDate);
+    const featurePoints = Number(epic.featurePoints) || 0;
+
+    if (!committed) {
+      if (delivered) result.stretchDelivered++;
+      return;
+    }
+
+    result.committedObjectives++;
+    result.committedFeaturePoints += featurePoints;
+    if (delivered) {
+      result.deliveredObjectives++;
+      result.deliveredFeaturePoints += featurePoints;
+    } else {
+      result.missed.push(epic.key);
+    }
+  });
+
+  if (result.committedObjectives > 0) {
+    result.objectivesRatio = result.deliveredObjectives / result.committedObjectives;
+  }
+  if (result.committedFeaturePoints > 0) {
+    result.featurePointsRatio = result.deliveredFeaturePoints / result.committedFeaturePoints;
+  }
+
+  return result;
+}
+
+/**
+ * Calculate predictability per value stream and per team within it
+ * @param {Array} issues - All parsed issues of the PI
+ * @param {string|number} piNumber - PI number
+ * @return {Object} {VALUE_STREAM: {total: metrics, teams: {TEAM: metrics}}}
+ */
+function calculatePredictabilityByValueStream(issues, piNumber) {
+  const grouped = {};
+
+  issues.filter(issue => issue.issueType === 'Epic').forEach(epic => {
+    const valueStream = epic.valueStream || 'Unassigned';
+    const team = epic.scrumTeam || 'Unassigned';
+    if (!grouped[valueStream]) grouped[valueStream] = {};
+    if (!grouped[valueStream][team]) grouped[valueStream][team] = [];
+    grouped[valueStream][team].push(epic);
+  });
+
+  const result = {};
+  Object.keys(grouped).sort().forEach(valueStream => {
+    const teams = {};
+    Object.keys(grouped[valueStream]).sort().forEach(team => {
+      teams[team] = calculatePredictability(grouped[valueStream][team], piNumber);
+    });
+
+    const allEpics = [].concat(...Object.values(grouped[valueStream]));
+    result[valueStream] = { total: calculatePredictability(allEpics, piNumber), teams: teams };
+  });
+
+  return result;
+}
+
+/**
+ * Background colour for a ratio
+ * @param {number|null} ratio - Delivered / planned
+ * @return {string|null} Colour, or null when there is no ratio
+ */
+function getPredictabilityColor_(ratio) {
+  if (ratio === null) return null;
+  if (ratio >= PREDICTABILITY_CONFIG.predictableThreshold) return PREDICTABILITY_CONFIG.colors.predictable;
+  if (ratio >= PREDICTABILITY_CONFIG.atRiskThreshold) return PREDICTABILITY_CONFIG.colors.atRisk;
+  return PREDICTABILITY_CONFIG.colors.unpredictable;
+}
+
+// ===== TEAM SUMMARY =====
+
+/**
+ * Write the PI Predictability section of a scrum team summary
+ * @param {Sheet} sheet - Summary sheet
+ * @param {number} startRow - Starting row
+ * @param {Array} teamIssues - The team's issues
+ * @param {string} scrumTeam - Team name
+ * @param {string} programIncrement - PI string (e.g., "PI 14")
+ * @return {number} Next available row
+ */
+function createTeamPredictabilitySection(sheet, startRow, teamIssues, scrumTeam, programIncrement) {
+  console.log(`Creating PI Predictability for ${scrumTeam}`);
+
+  const piNumber = programIncrement.replace(/PI\s*/i, '');
+  const metrics = calculatePredictability(teamIssues.filter(i => i.issueType === 'Epic'), piNumber);
+
+  if (metrics.committedObjectives === 0) {
+    sheet.getRange(startRow, 1).setValue('PI Predictability: No committed epics');
+    sheet.getRange(startRow, 1).setFontSize(8).setFontStyle('italic').setFontColor('#999999').setFontFamily('Comfortaa');
+    setRowHeightWithLimit(sheet, startRow, 20, 70);
+    return startRow + 2;
+  }
+
+  // Section title
+  sheet.getRange(startRow, 1).setValue('PI Predictability');
+  sheet.getRange(startRow, 1, 1, 4).setBackground('#E1D5E7');
+  sheet.getRange(startRow, 1).setFontSize(14).setFontWeight('bold').setFontColor('black');
+  sheet.getRange(startRow, 1).setFontFamily('Comfortaa');
+  sheet.getRange(startRow, 1).setVerticalAlignment('middle');
+  setRowHeightWithLimit(sheet, startRow, 30, 70);
+  startRow++;
+
+  const headers = ['Measure', 'Planned', 'Delivered', 'Say/Do'];
+  sheet.getRange(startRow, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(startRow, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#9b7bb8')
+    .setFontColor('white')
+    .setFontSize(8)
+    .setFontFamily('Comfortaa')
+    .setHorizontalAlignment('center');
+  startRow++;
+
+  const rows = [
+    ['Committed Objectives', metrics.committedObjectives, metrics.deliveredObjectives, metrics.objectivesRatio],
+    ['Committed Feature Points', metrics.committedFeaturePoints, metrics.deliveredFeaturePoints, metrics.featurePointsRatio]
+  ];
+  rows.forEach((row, index) => {
+    const rowNum = startRow + index;
+    sheet.getRange(rowNum, 1, 1, headers.length).setValues([[row[0], row[1], row[2], row[3] === null ? 'N/A' : row[3]]]);
+    sheet.getRange(rowNum, 4).setNumberFormat('0%');
+    const color = getPredictabilityColor_(row[3]);
+    if (color) sheet.getRange(rowNum, 4).setBackground(color);
+  });
+  sheet.getRange(startRow, 1, rows.length, headers.length).setFontSize(8).setFontFamily('Comfortaa');
+  sheet.getRange(startRow, 2, rows.length, headers.length - 1).setHorizontalAlignment('center');
+  startRow += rows.length;
+
+  const notes = [];
+  if (metrics.missed.length > 0) notes.push(`Not delivered: ${metrics.missed.join(', ')}`);
+  if (metrics.stretchDelivered > 0) notes.push(`Uncommitted epics delivered: ${metrics.stretchDelivered}`);
+  notes.push('SAFe target: 80-100%');
+  sheet.getRange(startRow, 1).setValue(notes.join('  |  '));
+  sheet.getRange(startRow, 1).setFontSize(8).setFontStyle('italic').setFontColor('#666666').setFontFamily('Comfortaa');
+  startRow++;
+
+  return startRow + 1;
+}
+
+// ===== DASHBOARD ROLL-UP =====
+
+/**
+ * Write the predictability roll-up (value streams with their teams) below a dashboard
+ * Re-running replaces the previous roll-up.
+ * @param {string} piNumber - PI number
+ * @return {boolean} True when the roll-up was written
+ */
+function addPredictabilityToDashboard(piNumber) {
+  try {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const dashboard = spreadsheet.getSheetByName(`PI ${piNumber} Dashboard`);
+    const piSheet = spreadsheet.getSheetByName(`PI ${piNumber}`);
+    if (!dashboard || !piSheet) return false;
+
+    const values = piSheet.getDataRange().getValues();
+    const issues = parsePISheetData(values, values[3]);
+    const byValueStream = calculatePredictabilityByValueStream(issues, piNumber);
+
+    // Drop the roll-up written by the previous run
+    const lastRow = dashboard.getLastRow();
+    let startRow = lastRow + 3;
+    if (lastRow > 0) {
+      const titles = dashboard.getRange(1, 1, lastRow, 1).getValues();
+      const previous = titles.findIndex(row => row[0] === PREDICTABILITY_CONFIG.dashboardTitle);
+      if (previous !== -1) {
+        dashboard.getRange(previous + 1, 1, lastRow - previous, 8).clear();
+        startRow = previous + 1;
+      }
+    }
+
+    dashboard.getRange(startRow, 1).setValue(PREDICTABILITY_CONFIG.dashboardTitle);
+    dashboard.getRange(startRow, 1, 1, 8).setBackground('#E1D5E7');
+    dashboard.getRange(startRow, 1).setFontSize(14).setFontWeight('bold').setFontFamily('Comfortaa');
+    startRow++;
+
+    const headers = ['Value Stream', 'Team', 'Objectives Planned', 'Objectives Delivered', 'Objectives Say/Do',
+      'Feature Points Planned', 'Feature Points Delivered', 'Feature Points Say/Do'];
+    dashboard.getRange(startRow, 1, 1, headers.length).setValues([headers]);
+    dashboard.getRange(startRow, 1, 1, headers.length)
+      .setFontWeight('bold')
+      .setBackground('#9b7bb8')
+      .setFontColor('white')
+      .setFontSize(8)
+      .setWrap(true)
+      .setHorizontalAlignment('center');
+    startRow++;
+
+    const toRow = (valueStream, team, m) => [
+      valueStream, team,
+      m.committedObjectives, m.deliveredObjectives, m.objectivesRatio === null ? 'N/A' : m.objectivesRatio,
+      m.committedFeaturePoints, m.deliveredFeaturePoints, m.featurePointsRatio === null ? 'N/A' : m.featurePointsRatio
+    ];
+
+    Object.keys(byValueStream).forEach(valueStream => {
+      const group = byValueStream[valueStream];
+      const rows = Object.keys(group.teams).map(team => toRow(valueStream, team, group.teams[team]));
+      rows.push(toRow(valueStream, 'Value Stream Total', group.total));
+
+      dashboard.getRange(startRow, 1, rows.length, headers.length).setValues(rows);
+      dashboard.getRange(startRow, 1, rows.length, headers.length).setFontSize(8);
+      dashboard.getRange(startRow, 3, rows.length, headers.length - 2).setHorizontalAlignment('center');
+      dashboard.getRange(startRow, 5, rows.length, 1).setNumberFormat('0%');
+      dashboard.getRange(startRow, 8, rows.length, 1).setNumberFormat('0%');
+
+      rows.forEach((row, index) => {
+        [5, 8].forEach(col => {
+          const color = getPredictabilityColor_(typeof row[col - 1] === 'number' ? row[col - 1] : null);
+          if (color) dashboard.getRange(startRow + index, col).setBackground(color);
+        });
+      });
+      dashboard.getRange(startRow + rows.length - 1, 1, 1, headers.length).setFontWeight('bold');
+
+      startRow += rows.length;
+    });
+
+    return true;
+
+  } catch (error) {
+    console.error(`Error adding predictability to PI ${piNumber} dashboard:`, error);
+    return false;
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * ReleaseCalendar.gs - PI Iteration to Release Mapping
+ * ====================================================
+ *
+ * Reads the "Release Calendar" config sheet that maps PI iterations to
+ * release names, so fix-version validation no longer needs code changes
+ * every PI.
+ *
+ * SHEET LAYOUT (header on row 1):
+ * | PI | Iteration From | Iteration To | Release Name | Code Freeze Date |
+ * | 13 | 1              | 4            | Release 7.12 | 2025-10-24       |
+ * | 13 | 5              | 6            | Release 7.13 | 2025-12-05       |
+ *
+ * When the sheet doesn't exist the legacy rule is used
+ * (iterations 1-4 -> Release 7.12, 5-6 -> Release 7.13).
+ *
+ * @fileoverview Release calendar lookups for fix-version validation
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const RELEASE_CALENDAR_CONFIG = {
+  sheetName: 'Release Calendar',
+  headers: ['PI', 'Iteration From', 'Iteration To', 'Release Name', 'Code Freeze Date'],
+
+  // Rule used before the calendar existed - applies to any PI
+  legacyReleases: [
+    { fromIteration: 1, toIteration: 4, releaseName: 'Release 7.12', codeFreezeDate: null },
+    { fromIteration: 5, toIteration: 6, releaseName: 'Release 7.13', codeFreezeDate: null }
+  ]
+};
+
+// Per-execution memo - summaries call the lookup once per epic
+let releaseCalendarCache_ = null;
+
+// ===== LOOKUP =====
+
+/**
+ * Read every row of the Release Calendar sheet
+ * @return {Array<Object>|null} [{piNumber, fromIteration, toIteration, releaseName, codeFreezeDate}],
+ *                              or null when the sheet doesn't exist
+ */
+function getReleaseCalendar() {
+  if (releaseCalendarCache_ !== null) {
+    return releaseCalendarCache_ || null;
+  }
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(RELEASE_CALENDAR_CONFIG.sheetName);
+  if (!sheet) {
+    releaseCalendarCache_ = false;
+    return null;
+  }
+
+  const entries = [];
+  if (sheet.getLastRow() >= 2) {
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, RELEASE_CALENDAR_CONFIG.headers.length).getValues();
+
+    values.forEach((row, index) => {
+      const piNumber = parseInt(row[0].toString().replace(/PI\s*/i, ''));
+      const fromIteration = parseInt(row[1]);
+      const toIteration = parseInt(row[2]);
+      const releaseName = (row[3] || '').toString().trim();
+
+      if (isNaN(piNumber) || isNaN(fromIteration) || isNaN(toIteration) || !releaseName) {
+        if (row.some(cell => cell !== '')) {
+          console.warn(`⚠️ Skipping incomplete Release Calendar row ${index + 2}`);
+        }
+        return;
+      }
+
+      entries.push({
+        piNumber: piNumber,
+        fromIteration: fromIteration,
+        toIteration: toIteration,
+        releaseName: releaseName,
+        codeFreezeDate: row[4] instanceof Date ? row[4] : (row[4] ? new Date(row[4]) : null)
+      });
+    });
+  }
+
+  releaseCalendarCache_ = entries;
+  return entries;
+}
+
+/**
+ * Get the releases configured for a PI, ordered by iteration
+ * @param {string|number} piNumber - PI number
+ * @return {Array<Object>} Release entries (legacy rule when no calendar sheet exists)
+ */
+function getReleasesForPI(piNumber) {
+  const calendar = getReleaseCalendar();
+
+  if (calendar === null) {
+    return RELEASE_CALENDAR_CONFIG.legacyReleases.map(r => Object.assign({ piNumber: parseInt(piNumber) }, r));
+  }
+
+  return calendar
+    .filter(entry => entry.piNumber === parseInt(piNumber))
+    .sort((a, b) => a.fromIteration - b.fromIteration);
+}
+
+/**
+ * Find the release an iteration of a PI ships in
+ * @param {string|number} piNumber - PI number
+ * @param {number} iteration - Iteration number within the PI
+ * @return {Object|null} Release entry, or null if the calendar has no match
+ */
+function getReleaseForIteration(piNumber, iteration) {
+  if (!iteration) return null;
+
+  return getReleasesForPI(piNumber).find(entry =>
+    iteration >= entry.fromIteration && iteration <= entry.toIteration
+  ) || null;
+}
+
+/**
+ * Find a release entry by name within a PI
+ * @param {string|number} piNumber - PI number
+ * @param {string} releaseName - Release name (case-insensitive)
+ * @return {Object|null} Release entry
+ */
+function getReleaseByName(piNumber, releaseName) {
+  if (!releaseName) return null;
+  const target = releaseName.toString().trim().toLowerCase();
+
+  return getReleasesForPI(piNumber).find(entry => entry.releaseName.toLowerCase() === target) || null;
+}
+
+// ===== SETUP =====
+
+/**
+ * Menu handler: create the Release Calendar sheet seeded for a PI
+ */
+function menuSetupReleaseCalendar() {
+  const ui = SpreadsheetApp.getUi();
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(RELEASE_CALENDAR_CONFIG.sheetName);
+
+  if (sheet) {
+    spreadsheet.setActiveSheet(sheet);
+    ui.alert('Release Calendar',
+      'The Release Calendar sheet already exists. Add one row per PI iteration range.',
+      ui.ButtonSet.OK);
+    return;
+  }
+
+  const response = ui.prompt(
+    'Release Calendar Setup',
+    'Enter the PI number to seed the calendar with (e.g., 13):',
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const piNumber = response.getResponseText().trim();
+  if (!/^\d+$/.test(piNumber)) {
+    ui.alert('Invalid PI format. Please use a number like "13"');
+    return;
+  }
+
+  sheet = spreadsheet.insertSheet(RELEASE_CALENDAR_CONFIG.sheetName);
+  const headers = RELEASE_CALENDAR_CONFIG.headers;
+
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#9b7bb8')
+    .setFontColor('#ffffff')
+    .setHorizontalAlignment('center');
+
+  const rows = RELEASE_CALENDAR_CONFIG.legacyReleases.map(r =>
+    [parseInt(piNumber), r.fromIteration, r.toIteration, r.releaseName, '']
+  );
+  sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  sheet.getRange(2, 5, 100, 1).setNumberFormat('yyyy-mm-dd');
+
+  const widths = [60, 110, 110, 160, 140];
+  widths.forEach((w, i) => sheet.setColumnWidth(i + 1, w));
+  sheet.setFrozenRows(1);
+
+  releaseCalendarCache_ = null;
+  spreadsheet.setActiveSheet(sheet);
+
+  ui.alert('Release Calendar Created',
+    `Seeded PI ${piNumber} with the current release rule.\n\n` +
+    'Update the release names and code-freeze dates, and add rows for future PIs.',
+    ui.ButtonSet.OK);
+}
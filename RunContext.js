@@ -0,0 +1,191 @@
+/**
+ * RunContext.gs - Interactive and Headless Execution Context
+ * ==========================================================
+ *
+ * Report entry points take a run context instead of calling
+ * SpreadsheetApp.getUi() themselves:
+ *
+ *   generateDansReport(createHeadlessRunContext({ piNumber: '13', refreshPIData: false }, 'Nightly'))
+ *
+ * - Interactive (menus, dialogs): progress dialogs, alerts, and a Yes/No
+ *   question for every option the caller didn't set
+ * - Headless (triggers, the scheduler, jobs): progress and messages go to the
+ *   log, options come from the caller or their declared default, and the UI
+ *   is never touched, so a scheduled run can't hang on a dialog
+ *
+ * Questions are typed options declared in RUN_OPTIONS, not alert titles:
+ * an entry point asks context.choose('useCache') and gets a boolean, or
+ * context.ask('piNumber', ...) for a value a headless caller must supply.
+ * context.fail() shows an error to the user, or throws in a headless run so
+ * the scheduler records it.
+ * analyzeSelectedValueStreams(piNumber, valueStreams, context) is expected to
+ * ask 'useCache' the same way. createScrumTeamSummary never touches the UI,
+ * so it needs no context.
+ *
+ * @fileoverview Run context passed through report entry points
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const RUN_CONTEXT_MODES = {
+  INTERACTIVE: 'interactive',
+  HEADLESS: 'headless'
+};
+
+// Yes/No options an entry point may choose(); headlessDefault applies when a headless caller didn't set one
+const RUN_OPTIONS = {
+  useCache: {
+    title: 'Cache Option',
+    message: 'Use cached JIRA data where available?\n\nChoose "Yes" for speed or "No" to fetch fresh data from JIRA.',
+    headlessDefault: false
+  },
+  refreshPIData: {
+    title: 'Refresh PI Data?',
+    message: 'Do you want to refresh the PI data before generating the report?\n\n' +
+      'Choose "Yes" to refresh data (takes longer) or "No" to use existing data.',
+    headlessDefault: false
+  }
+};
+
+// ===== CONTEXTS =====
+
+/**
+ * Run context for a user at the spreadsheet
+ * @param {Object} [options] - Option values that shouldn't be asked (see RUN_OPTIONS), plus entry point parameters
+ * @return {Object} Run context
+ */
+function createInteractiveRunContext(options) {
+  const values = Object.assign({}, options);
+
+  return {
+    mode: RUN_CONTEXT_MODES.INTERACTIVE,
+    label: 'interactive',
+    options: values,
+
+    isInteractive: function() {
+      return true;
+    },
+
+    progress: function(message) {
+      showProgress(message);
+    },
+
+    closeProgress: function() {
+      closeProgress();
+    },
+
+    notify: function(title, message) {
+      const ui = SpreadsheetApp.getUi();
+      if (message === undefined) {
+        ui.alert(title);
+      } else {
+        ui.alert(title, message, ui.ButtonSet.OK);
+      }
+    },
+
+    choose: function(name, message) {
+      const option = getRunOption_(name);
+      if (typeof values[name] === 'boolean') return values[name];
+
+      const ui = SpreadsheetApp.getUi();
+      values[name] = ui.alert(option.title, message || option.message, ui.ButtonSet.YES_NO) === ui.Button.YES;
+      return values[name];
+    },
+
+    ask: function(name, title, message) {
+      if (values[name] !== undefined && values[name] !== '') return String(values[name]);
+
+      const ui = SpreadsheetApp.getUi();
+      const response = ui.prompt(title, message, ui.ButtonSet.OK_CANCEL);
+      if (response.getSelectedButton() !== ui.Button.OK) return null;
+      values[name] = response.getResponseText().trim();
+      return values[name];
+    },
+
+    fail: function(title, message) {
+      this.notify(title, message);
+    },
+
+    getUi: function() {
+      return SpreadsheetApp.getUi();
+    }
+  };
+}
+
+/**
+ * Run context for triggers, the scheduler and background jobs
+ * @param {Object} [options] - Option values (see RUN_OPTIONS), plus entry point parameters such as piNumber
+ * @param {string} [label] - Name of the run for the log, e.g. the schedule row
+ * @return {Object} Run context
+ */
+function createHeadlessRunContext(options, label) {
+  const values = Object.assign({}, options);
+  const name = label || 'headless';
+
+  return {
+    mode: RUN_CONTEXT_MODES.HEADLESS,
+    label: name,
+    options: values,
+
+    isInteractive: function() {
+      return false;
+    },
+
+    progress: function(message) {
+      console.log(`[${name}] ${message}`);
+    },
+
+    closeProgress: function() {
+      // Nothing to close
+    },
+
+    notify: function(title, message) {
+      console.log(`[${name}] ${title}${message ? ': ' + message : ''}`);
+    },
+
+    choose: function(optionName) {
+      const option = getRunOption_(optionName);
+      if (typeof values[optionName] !== 'boolean') {
+        values[optionName] = option.headlessDefault;
+        console.log(`[${name}] ${option.title}: ${values[optionName] ? 'yes' : 'no'} (default)`);
+      }
+      return values[optionName];
+    },
+
+    ask: function(optionName, title) {
+      if (values[optionName] !== undefined && values[optionName] !== '') return String(values[optionName]);
+      throw new Error(`${title}: ${name} run needs the ${optionName} option`);
+    },
+
+    fail: function(title, message) {
+      throw new Error(message ? `${title}: ${message}` : title);
+    },
+
+    getUi: function() {
+      throw new Error(`${name} run has no UI; pass the value as a run option instead`);
+    }
+  };
+}
+
+/**
+ * The context a caller passed, or an interactive one for menu handlers called without it
+ * @param {Object} [context] - Run context
+ * @return {Object} Run context
+ */
+function resolveRunContext(context) {
+  return context && context.mode ? context : createInteractiveRunContext();
+}
+
+/**
+ * Look up a declared option
+ * @param {string} name - Key of RUN_OPTIONS
+ * @return {Object} Option definition
+ */
+function getRunOption_(name) {
+  const option = RUN_OPTIONS[name];
+  if (!option) {
+    throw new Error(`Unknown run option: ${name}`);
+  }
+  return option;
+}
@@ -0,0 +1,416 @@
+/**
+ * Scheduler.gs - Scheduled PI Updates
+ * ===================================
+ *
+ * Reads the "Schedule" config sheet, keeps the time-driven trigger in line
+ * with it, and runs the rows that are due.
+ *
+ * SHEET LAYOUT (header on row 1, one row per scheduled update):
+ * | Enabled | PI | Value Streams       | Cadence          | Refresh Policy | Destination          | Last Run | Last Status |
+ * | TRUE    | 13 | EMA Clinical, MMPM  | Every 15 minutes | Incremental    | PI sheet             |          |             |
+ * | TRUE    | 13 | All                 | Daily at 06:00   | Full refresh   | PI sheet + summaries |          |             |
+ *
+ * Cadence: "Every N minutes" (5, 10, 15, 30), "Every N hours" (1, 2, 4, 6, 8, 12),
+ * "Daily at HH:MM" or "Weekly on <day> at HH:MM".
+ *
+ * Refresh Policy:
+ * - Incremental: merge the issues updated since the last sync into the PI sheet
+ *   (IncrementalSync.gs); a full refresh when the sheet has never been synced
+ * - Full refresh: re-fetch every value stream from JIRA (JobRunner.gs)
+ * - Cache first: like a full refresh, but reuse JIRA data still in the cache
+ *
+ * Destination: "PI sheet", or "PI sheet + summaries" to also regenerate the
+ * team summaries, initiative tabs and DAN's Report after a full refresh.
+ *
+ * One trigger (runScheduledJobs) ticks often enough for every cadence on the
+ * sheet (at least hourly for daily and weekly rows). Each tick runs the rows whose cadence has elapsed since their Last Run, so a
+ * trigger firing a minute late doesn't skip a run. Last Run and Last Status are
+ * written back to the sheet.
+ *
+ * @fileoverview Schedule sheet, trigger management and scheduled runs
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const SCHEDULER_CONFIG = {
+  sheetName: 'Schedule',
+  headers: ['Enabled', 'PI', 'Value Streams', 'Cadence', 'Refresh Policy', 'Destination', 'Last Run', 'Last Status'],
+  handler: 'runScheduledJobs',
+
+  // Triggers this scheduler replaces; removed when the schedule is applied
+  legacyHandlers: ['hourlyUpdate'],
+
+  // Intervals ScriptApp time-driven triggers support
+  minuteIntervals: [5, 10, 15, 30],
+  hourIntervals: [1, 2, 4, 6, 8, 12],
+
+  // A row is due this long before its interval has fully elapsed, so trigger jitter doesn't skip a run
+  graceMinutes: 2,
+
+  refreshPolicies: ['Incremental', 'Full refresh', 'Cache first'],
+  destinations: ['PI sheet', 'PI sheet + summaries'],
+
+  weekdays: ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'],
+
+  // Longest status kept in the sheet
+  maxStatusLength: 200
+};
+
+// ===== SCHEDULE SHEET =====
+
+/**
+ * Parse a Cadence cell
+ * @param {string} text - e.g. "Every 15 minutes", "Daily at 06:00", "Weekly on Monday at 07:30"
+ * @return {Object} {type: 'interval', minutes} | {type: 'daily', hour, minute} | {type: 'weekly', weekday, hour, minute}
+ */
+function parseScheduleCadence_(text) {
+  const cadence = String(text || '').trim().toLowerCase();
+  let match;
+
+  if ((match = cadence.match(/^every\s+(\d+)\s*(minutes?|mins?|hours?)$/))) {
+    const n = parseInt(match[1]);
+    const isHours = match[2].indexOf('hour') === 0;
+    const allowed = isHours ? SCHEDULER_CONFIG.hourIntervals : SCHEDULER_CONFIG.minuteIntervals;
+    if (!allowed.includes(n)) {
+      throw new Error(`Every ${n} ${isHours ? 'hours' : 'minutes'} isn't supported; use ${allowed.join(', ')}`);
+    }
+    return { type: 'interval', minutes: isHours ? n * 60 : n };
+  }
+
+  if (cadence === 'hourly') {
+    return { type: 'interval', minutes: 60 };
+  }
+
+  if ((match = cadence.match(/^(daily|weekly on\s+([a-z]+))\s+at\s+(\d{1,2}):(\d{2})$/))) {
+    const hour = parseInt(match[3]);
+    const minute = parseInt(match[4]);
+    if (hour > 23 || minute > 59) {
+      throw new Error(`Invalid time: ${match[3]}:${match[4]}`);
+    }
+    if (!match[2]) {
+      return { type: 'daily', hour: hour, minute: minute };
+    }
+
+    const weekday = SCHEDULER_CONFIG.weekdays.findIndex(day => day.indexOf(match[2].toUpperCase()) === 0 && match[2].length >= 3);
+    if (weekday === -1) {
+      throw new Error(`Unknown weekday: ${match[2]}`);
+    }
+    return { type: 'weekly', weekday: weekday, hour: hour, minute: minute };
+  }
+
+  throw new Error(`Unknown cadence "${text}"; use e.g. "Every 15 minutes", "Every 2 hours", "Daily at 06:00" or "Weekly on Monday at 06:00"`);
+}
+
+/**
+ * Find an allowed value, ignoring case
+ * @param {string} value - Cell value
+ * @param {Array<string>} allowed - Allowed values
+ * @param {string} column - Column name for the error
+ * @return {string} The allowed value
+ */
+function matchScheduleOption_(value, allowed, column) {
+  const match = allowed.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+  if (!match) {
+    throw new Error(`${column} must be one of: ${allowed.join(', ')}`);
+  }
+  return match;
+}
+
+/**
+ * Read the Schedule sheet
+ * @return {Array<Object>} [{row, enabled, piNumber, valueStreams, cadence, cadenceText, refreshPolicy, destination,
+ *                         lastRun, lastStatus, error}] - rows with an error are never run; [] when there is no sheet
+ */
+function getScheduleEntries() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SCHEDULER_CONFIG.sheetName);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, SCHEDULER_CONFIG.headers.length).getValues();
+  const entries = [];
+
+  values.forEach((row, index) => {
+    if (row.slice(0, 6).every(cell => cell === '' || cell === false)) return;
+
+    const lastRun = row[6] === '' ? null : new Date(row[6]);
+    const entry = {
+      row: index + 2,
+      enabled: row[0] === true || /^(true|yes|y|x)$/i.test(String(row[0]).trim()),
+      piNumber: String(row[1]).replace(/PI\s*/i, '').trim(),
+      valueStreams: [],
+      cadence: null,
+      cadenceText: String(row[3]).trim(),
+      refreshPolicy: null,
+      destination: null,
+      lastRun: lastRun && !isNaN(lastRun.getTime()) ? lastRun : null,
+      lastStatus: String(row[7]),
+      error: ''
+    };
+
+    try {
+      if (!/^\d+$/.test(entry.piNumber)) {
+        throw new Error(`Invalid PI: ${row[1]}`);
+      }
+
+      const available = getAvailableValueStreams();
+      const listed = String(row[2]).split(',').map(vs => vs.trim()).filter(vs => vs);
+      entry.valueStreams = listed.length === 1 && listed[0].toLowerCase() === 'all'
+        ? available
+        : listed.map(vs => matchScheduleOption_(vs, available, 'Value Streams'));
+      if (entry.valueStreams.length === 0) {
+        throw new Error('List at least one value stream, or "All"');
+      }
+
+      entry.cadence = parseScheduleCadence_(row[3]);
+      entry.refreshPolicy = matchScheduleOption_(row[4] || 'Incremental', SCHEDULER_CONFIG.refreshPolicies, 'Refresh Policy');
+      entry.destination = matchScheduleOption_(row[5] || 'PI sheet', SCHEDULER_CONFIG.destinations, 'Destination');
+    } catch (error) {
+      entry.error = error.message;
+      console.warn(`⚠️ Schedule row ${entry.row}: ${error.message}`);
+    }
+
+    entries.push(entry);
+  });
+
+  return entries;
+}
+
+/**
+ * Write a row's Last Run and Last Status
+ * @param {Object} entry - Entry from getScheduleEntries
+ * @param {Date|null} lastRun - Run time, or null to keep the current one
+ * @param {string} status - Status text
+ */
+function writeScheduleStatus_(entry, lastRun, status) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SCHEDULER_CONFIG.sheetName);
+  if (!sheet) return;
+
+  const text = status.substring(0, SCHEDULER_CONFIG.maxStatusLength);
+  if (lastRun) {
+    sheet.getRange(entry.row, 7, 1, 2).setValues([[lastRun, text]]);
+  } else {
+    sheet.getRange(entry.row, 8).setValue(text);
+  }
+}
+
+// ===== DUE CHECK =====
+
+/**
+ * The latest daily or weekly occurrence at or before a time
+ * @param {Object} cadence - Parsed daily or weekly cadence
+ * @param {Date} now - Reference time
+ * @return {Date} Occurrence
+ */
+function getLastScheduledOccurrence_(cadence, now) {
+  const occurrence = new Date(now.getFullYear(), now.getMonth(), now.getDate(), cadence.hour, cadence.minute);
+  if (cadence.type === 'weekly') {
+    occurrence.setDate(occurrence.getDate() - ((occurrence.getDay() - cadence.weekday + 7) % 7));
+  }
+  if (occurrence > now) {
+    occurrence.setDate(occurrence.getDate() - (cadence.type === 'weekly' ? 7 : 1));
+  }
+  return occurrence;
+}
+
+/**
+ * Whether a schedule row should run now
+ * @param {Object} entry - Entry from getScheduleEntries
+ * @param {Date} now - Current time
+ * @return {boolean} True when the row is enabled, valid and due
+ */
+function isScheduleEntryDue_(entry, now) {
+  if (!entry.enabled || entry.error) return false;
+  if (!entry.lastRun) return true;
+
+  if (entry.cadence.type === 'interval') {
+    const elapsedMinutes = (now.getTime() - entry.lastRun.getTime()) / 60000;
+    return elapsedMinutes >= entry.cadence.minutes - SCHEDULER_CONFIG.graceMinutes;
+  }
+
+  return entry.lastRun < getLastScheduledOccurrence_(entry.cadence, now);
+}
+
+// ===== TRIGGERS =====
+
+/**
+ * How often the scheduler trigger must tick for these rows
+ * @param {Array<Object>} entries - Entries from getScheduleEntries
+ * @return {number|null} Minutes (a supported trigger interval), or null when no row is enabled
+ */
+function getScheduleTickMinutes_(entries) {
+  const intervals = entries
+    .filter(entry => entry.enabled && !entry.error)
+    .map(entry => (entry.cadence.type === 'interval' ? entry.cadence.minutes : 60));
+  if (intervals.length === 0) return null;
+
+  // Greatest common divisor, so every row's interval is a whole number of ticks
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  return intervals.reduce(gcd);
+}
+
+/**
+ * Replace the scheduler trigger (and legacy update triggers) with one matching the Schedule sheet
+ * @return {Object} {tickMinutes: null when no trigger is needed, entries}
+ */
+function syncScheduleTriggers() {
+  const handlers = [SCHEDULER_CONFIG.handler].concat(SCHEDULER_CONFIG.legacyHandlers);
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => handlers.includes(trigger.getHandlerFunction()))
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+  const entries = getScheduleEntries();
+  const tickMinutes = getScheduleTickMinutes_(entries);
+
+  if (tickMinutes) {
+    const builder = ScriptApp.newTrigger(SCHEDULER_CONFIG.handler).timeBased();
+    if (tickMinutes < 60) {
+      builder.everyMinutes(tickMinutes);
+    } else {
+      builder.everyHours(tickMinutes / 60);
+    }
+    builder.create();
+    console.log(`⏰ Scheduler trigger installed: every ${tickMinutes} minutes`);
+  } else {
+    console.log('⏰ No enabled schedule rows; scheduler trigger removed');
+  }
+
+  return { tickMinutes: tickMinutes, entries: entries };
+}
+
+// ===== RUNNING =====
+
+/**
+ * Run one schedule row
+ * @param {Object} entry - Entry from getScheduleEntries
+ * @return {string} Status for the sheet
+ */
+function runScheduleEntry_(entry) {
+  const jobParams = {
+    piNumber: entry.piNumber,
+    valueStreams: entry.valueStreams,
+    summaryOption: entry.destination === 'PI sheet + summaries' ? 'with' : 'without',
+    useCache: entry.refreshPolicy === 'Cache first'
+  };
+
+  if (entry.refreshPolicy === 'Incremental') {
+    const result = syncPIIncrementally(entry.piNumber, entry.valueStreams);
+    if (!result.fullRefreshNeeded) {
+      return `OK: ${result.updated} updated, ${result.added} added, ${result.removed} removed`;
+    }
+    console.log(`🔄 Full refresh needed: ${result.reason}`);
+  }
+
+  const job = startAnalysisJob(jobParams);
+  return `Full refresh ${job.status === 'running' ? 'started' : job.status} ` +
+    `(${job.completedSteps}/${job.totalSteps} steps${jobParams.useCache ? ', cache first' : ''})`;
+}
+
+/**
+ * Time-based trigger handler: run every schedule row that is due
+ * @return {Array<Object>} [{row, piNumber, status}] for the rows that ran
+ */
+function runScheduledJobs() {
+  const now = new Date();
+  const results = [];
+  const entries = getScheduleEntries();
+
+  console.log(`🕐 Scheduler tick at ${now.toLocaleTimeString()}: ${entries.length} schedule rows`);
+
+  entries.filter(entry => isScheduleEntryDue_(entry, now)).forEach(entry => {
+    const label = `PI ${entry.piNumber} (${entry.valueStreams.join(', ')}, ${entry.refreshPolicy})`;
+    let status;
+
+    try {
+      // Fail early with a readable report if a mapped JIRA field is missing
+      assertFieldMappingsValid();
+
+      console.log(`▶️ Running schedule row ${entry.row}: ${label}`);
+      status = runScheduleEntry_(entry);
+      writeScheduleStatus_(entry, now, status);
+      console.log(`✅ ${label}: ${status}`);
+
+    } catch (error) {
+      if (/analysis is already running/.test(error.message)) {
+        // Leave Last Run alone so the row runs on the next tick
+        status = `Waiting: ${error.message}`;
+        writeScheduleStatus_(entry, null, status);
+        console.log(`⏳ ${label}: ${status}`);
+      } else {
+        status = `Error: ${error.message}`;
+        writeScheduleStatus_(entry, now, status);
+        console.error(`❌ Error in scheduled update ${label}:`, error);
+        sendErrorEmail(error, label);
+      }
+    }
+
+    results.push({ row: entry.row, piNumber: entry.piNumber, status: status });
+  });
+
+  flushExecutionStats();
+  return results;
+}
+
+// ===== SETUP =====
+
+/**
+ * Menu handler: create the Schedule sheet, or apply it to the trigger when it exists
+ */
+function menuSetupSchedule() {
+  const ui = SpreadsheetApp.getUi();
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SCHEDULER_CONFIG.sheetName);
+
+  if (!sheet) {
+    const response = ui.prompt(
+      'Schedule Setup',
+      'Enter the PI number to keep up to date (e.g., 13):',
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const piNumber = response.getResponseText().trim().replace(/PI\s*/i, '');
+    if (!/^\d+$/.test(piNumber)) {
+      ui.alert('Invalid PI format. Please use a number like "13"');
+      return;
+    }
+
+    sheet = spreadsheet.insertSheet(SCHEDULER_CONFIG.sheetName);
+    const headers = SCHEDULER_CONFIG.headers;
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(1, 1, 1, headers.length)
+      .setFontWeight('bold')
+      .setBackground('#9b7bb8')
+      .setFontColor('#ffffff')
+      .setHorizontalAlignment('center');
+
+    // What hourlyUpdate used to do, plus a nightly full refresh with summaries
+    sheet.getRange(2, 1, 2, 6).setValues([
+      [true, piNumber, 'All', 'Every 15 minutes', 'Incremental', 'PI sheet'],
+      [false, piNumber, 'All', 'Daily at 06:00', 'Full refresh', 'PI sheet + summaries']
+    ]);
+    sheet.getRange(2, 1, 2, 1).insertCheckboxes();
+    sheet.getRange(2, 5, 50, 1).setDataValidation(SpreadsheetApp.newDataValidation()
+      .requireValueInList(SCHEDULER_CONFIG.refreshPolicies, true).build());
+    sheet.getRange(2, 6, 50, 1).setDataValidation(SpreadsheetApp.newDataValidation()
+      .requireValueInList(SCHEDULER_CONFIG.destinations, true).build());
+    sheet.getRange(2, 7, 50, 1).setNumberFormat('yyyy-mm-dd hh:mm');
+
+    const widths = [70, 50, 220, 170, 120, 160, 130, 320];
+    widths.forEach((w, i) => sheet.setColumnWidth(i + 1, w));
+    sheet.setFrozenRows(1);
+  }
+
+  spreadsheet.setActiveSheet(sheet);
+  const result = syncScheduleTriggers();
+  const invalid = result.entries.filter(entry => entry.error);
+
+  ui.alert('Schedule',
+    (result.tickMinutes
+      ? `Scheduler trigger set to run every ${result.tickMinutes} minutes.`
+      : 'No enabled rows, so no scheduler trigger is installed.') +
+    (invalid.length > 0
+      ? '\n\nRows skipped until fixed:\n' + invalid.map(entry => `• Row ${entry.row}: ${entry.error}`).join('\n')
+      : '') +
+    '\n\nEdit the rows, then run Schedule Setup again to apply the changes.',
+    ui.ButtonSet.OK);
+}
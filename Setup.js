@@ -397,20 +397,11 @@ function testJiraConnection() {
   }
 
   try {
-    const url = `${creds.baseUrl}/rest/api/3/myself`;
-    const response = UrlFetchApp.fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': 'Basic ' + Utilities.base64Encode(`${creds.email}:${creds.apiToken}`),
-        'Accept': 'application/json'
-      },
-      muteHttpExceptions: true
-    });
-
-    const code = response.getResponseCode();
+    const response = jiraRequest('GET', '/rest/api/3/myself');
+    const code = response.code;
 
     if (code === 200) {
-      const user = JSON.parse(response.getContentText());
+      const user = response.body;
       return { success: true, message: `Connected as: ${user.displayName} (${user.emailAddress})` };
     } else if (code === 401) {
       return { success: false, message: 'Authentication failed. Check your email and API token.' };
@@ -0,0 +1,402 @@
+/**
+ * SprintHistory.gs - Sprint History from the JIRA Agile API
+ * =========================================================
+ *
+ * The PI sheet only keeps one sprint per ticket, so a story carried over from
+ * iteration 2 to 3 looks as if it was always planned in 3. When sprint history
+ * is switched on (Utilities > Toggle Sprint History), slotting asks the Agile
+ * API (/rest/agile/1.0) for every sprint on the team's board in the PI and the
+ * issues in each:
+ *
+ * - A story is slotted into the last iteration it was in; the earlier ones
+ *   count its points as spillover.
+ * - Planned vs. delivered per iteration comes from two snapshots per sprint,
+ *   kept on the "Sprint Snapshots" sheet: the issues in the sprint the first
+ *   time it is seen active (start) and once it is closed (complete).
+ *   Sprints closed before they were ever seen active use the completion
+ *   snapshot as the plan and are flagged as estimated.
+ *
+ * The team's board is the scrum board whose name matches the team name.
+ *
+ * @fileoverview Sprint history, spillover and planned vs. delivered per team
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const SPRINT_HISTORY_CONFIG = {
+  enabledProperty: 'SPRINT_HISTORY_ENABLED',
+  snapshotSheetName: 'Sprint Snapshots',
+  snapshotHeaders: ['Sprint ID', 'Sprint Name', 'Scrum Team', 'Snapshot', 'Taken At', 'Issue Key', 'Story Points', 'Done'],
+  sprintPageSize: 50,
+  issuePageSize: 100
+};
+
+// Per-execution memo - the slotting charts each ask for the same team's history
+let sprintHistoryCache_ = {};
+
+// ===== SETTINGS =====
+
+/**
+ * Whether slotting should use sprint history from the Agile API
+ * @return {boolean} True when switched on
+ */
+function isSprintHistoryEnabled() {
+  return PropertiesService.getScriptProperties().getProperty(SPRINT_HISTORY_CONFIG.enabledProperty) === 'true';
+}
+
+/**
+ * Menu handler: switch sprint history on or off
+ */
+function menuToggleSprintHistory() {
+  const ui = SpreadsheetApp.getUi();
+  const enabled = !isSprintHistoryEnabled();
+
+  PropertiesService.getScriptProperties().setProperty(SPRINT_HISTORY_CONFIG.enabledProperty, enabled ? 'true' : 'false');
+  sprintHistoryCache_ = {};
+
+  ui.alert('Sprint History',
+    enabled
+      ? 'Sprint history is ON.\n\nTeam summaries will fetch sprints from the JIRA Agile API, ' +
+        'show carried-over stories as spillover and add a Planned vs Delivered table.'
+      : 'Sprint history is OFF.\n\nSlotting uses the sprint on the PI sheet only.',
+    ui.ButtonSet.OK);
+}
+
+// ===== AGILE API =====
+
+/**
+ * Find the scrum board of a team
+ * @param {string} scrumTeam - Team name
+ * @return {Object|null} Board {id, name}, or null when no board matches
+ */
+function findTeamBoard_(scrumTeam) {
+  const body = jiraGet(`/rest/agile/1.0/board?type=scrum&name=${encodeURIComponent(scrumTeam)}`);
+  const boards = body.values || [];
+  const normalize = name => (name || '').toUpperCase().replace(/[\s-]/g, '');
+  const team = normalize(scrumTeam);
+
+  return boards.find(board => normalize(board.name) === team) ||
+         boards.find(board => normalize(board.name).includes(team)) ||
+         null;
+}
+
+/**
+ * Fetch the active and closed sprints of a board that fall in a PI
+ * @param {number} boardId - Board ID
+ * @param {string|number} piNumber - PI number
+ * @return {Array<Object>} [{id, name, state, startDate, endDate, completeDate, iteration}] in iteration order
+ */
+function fetchPISprints_(boardId, piNumber) {
+  const sprints = [];
+  let startAt = 0;
+  let isLast = false;
+
+  while (!isLast) {
+    const body = jiraGet(`/rest/agile/1.0/board/${boardId}/sprint?state=active,closed` +
+      `&startAt=${startAt}&maxResults=${SPRINT_HISTORY_CONFIG.sprintPageSize}`);
+    const values = body.values || [];
+    sprints.push(...values);
+    startAt += values.length;
+    isLast = body.isLast !== false || values.length === 0;
+  }
+
+  return sprints
+    .map(sprint => Object.assign({}, sprint, {
+      iteration: parseSprintIteration(sprint.name, piNumber) ||
+                 getSprintIterationFromDates(sprint.startDate, sprint.endDate, piNumber)
+    }))
+    .filter(sprint => sprint.iteration)
+    .sort((a, b) => a.iteration - b.iteration || (a.startDate || '').localeCompare(b.startDate || ''));
+}
+
+/**
+ * Fetch the issues in a sprint
+ * @param {number} sprintId - Sprint ID
+ * @return {Array<Object>} [{key, storyPoints, done, sprintIds}]
+ */
+function fetchSprintIssues_(sprintId) {
+  const fields = [getFieldId('storyPoints'), getFieldId('sprint'), 'status', 'issuetype'].join(',');
+  const issues = [];
+  let startAt = 0;
+  let total = Infinity;
+
+  while (startAt < total) {
+    const body = jiraGet(`/rest/agile/1.0/sprint/${sprintId}/issue?fields=${fields}` +
+      `&startAt=${startAt}&maxResults=${SPRINT_HISTORY_CONFIG.issuePageSize}`);
+    const page = body.issues || [];
+    total = body.total === undefined ? startAt + page.length : body.total;
+
+    page.forEach(issue => {
+      const issueFields = issue.fields || {};
+      const sprintField = getFieldValue(issueFields, 'sprint');
+      issues.push({
+        key: issue.key,
+        storyPoints: parseFloat(getFieldValue(issueFields, 'storyPoints')) || 0,
+        done: ((issueFields.status || {}).statusCategory || {}).key === 'done',
+        sprintIds: Array.isArray(sprintField) ? sprintField.map(s => s.id) : [sprintId]
+      });
+    });
+
+    if (page.length === 0) break;
+    startAt += page.length;
+  }
+
+  return issues;
+}
+
+// ===== SNAPSHOTS =====
+
+/**
+ * Get or create the snapshot sheet
+ * @return {Sheet} Snapshot sheet
+ */
+function getOrCreateSprintSnapshotSheet_() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SPRINT_HISTORY_CONFIG.snapshotSheetName);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SPRINT_HISTORY_CONFIG.snapshotSheetName);
+    const headers = SPRINT_HISTORY_CONFIG.snapshotHeaders;
+
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(1, 1, 1, headers.length)
+      .setFontWeight('bold')
+      .setBackground('#9b7bb8')
+      .setFontColor('#ffffff')
+      .setHorizontalAlignment('center');
+
+    const widths = [80, 180, 140, 90, 150, 110, 90, 60];
+    widths.forEach((w, i) => sheet.setColumnWidth(i + 1, w));
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Read the stored snapshots of a set of sprints
+ * @param {Sheet} sheet - Snapshot sheet
+ * @param {Array<number>} sprintIds - Sprints to read
+ * @return {Object} {SPRINT_ID: {start: [{key, storyPoints, done}], complete: [...]}}
+ */
+function readSprintSnapshots_(sheet, sprintIds) {
+  const snapshots = {};
+  sprintIds.forEach(id => { snapshots[id] = { start: null, complete: null }; });
+  if (sheet.getLastRow() < 2) return snapshots;
+
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, SPRINT_HISTORY_CONFIG.snapshotHeaders.length).getValues();
+  values.forEach(row => {
+    const entry = snapshots[parseInt(row[0])];
+    const type = row[3];
+    if (!entry || (type !== 'start' && type !== 'complete')) return;
+
+    if (!entry[type]) entry[type] = [];
+    if (row[5]) {
+      entry[type].push({ key: row[5], storyPoints: Number(row[6]) || 0, done: row[7] === true || row[7] === 'TRUE' });
+    }
+  });
+
+  return snapshots;
+}
+
+/**
+ * Append a snapshot of a sprint's issues
+ * An empty sprint still gets one row so the snapshot isn't taken again.
+ * @param {Sheet} sheet - Snapshot sheet
+ * @param {Object} sprint - Sprint
+ * @param {string} scrumTeam - Team name
+ * @param {string} type - 'start' or 'complete'
+ * @param {Array<Object>} issues - From fetchSprintIssues_()
+ */
+function appendSprintSnapshot_(sheet, sprint, scrumTeam, type, issues) {
+  const takenAt = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm:ss');
+  const rows = (issues.length > 0 ? issues : [null]).map(issue => [
+    sprint.id, sprint.name, scrumTeam, type, takenAt,
+    issue ? issue.key : '', issue ? issue.storyPoints : '', issue ? issue.done : ''
+  ]);
+
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+// ===== HISTORY =====
+
+/**
+ * Get a team's sprint history for a PI
+ * @param {string|number} piNumber - PI number
+ * @param {string} scrumTeam - Team name
+ * @return {Object|null} {boardName, sprints, issues: {KEY: {iterations, finalIteration}},
+ *                        iterations: {N: {planned, delivered, spillover, added, estimated}}},
+ *                        or null when sprint history is off or unavailable
+ */
+function getTeamSprintHistory(piNumber, scrumTeam) {
+  if (!scrumTeam || !isSprintHistoryEnabled()) return null;
+
+  const cacheKey = `${piNumber}|${scrumTeam}`;
+  if (cacheKey in sprintHistoryCache_) return sprintHistoryCache_[cacheKey];
+
+  let history = null;
+  try {
+    history = buildTeamSprintHistory_(piNumber, scrumTeam);
+  } catch (error) {
+    console.error(`Error fetching sprint history for ${scrumTeam}:`, error);
+  }
+
+  sprintHistoryCache_[cacheKey] = history;
+  return history;
+}
+
+/**
+ * Fetch sprints, take any snapshots due and work out spillover and planned vs. delivered
+ * @param {string|number} piNumber - PI number
+ * @param {string} scrumTeam - Team name
+ * @return {Object|null} See getTeamSprintHistory()
+ */
+function buildTeamSprintHistory_(piNumber, scrumTeam) {
+  const board = findTeamBoard_(scrumTeam);
+  if (!board) {
+    console.warn(`⚠️ No scrum board found for ${scrumTeam} - sprint history skipped`);
+    return null;
+  }
+
+  const sprints = fetchPISprints_(board.id, piNumber);
+  const iterationBySprint = {};
+  const startBySprint = {};
+  sprints.forEach(sprint => {
+    iterationBySprint[sprint.id] = sprint.iteration;
+    startBySprint[sprint.id] = sprint.startDate || '';
+  });
+
+  // Sprints outside the PI aren't fetched; JIRA numbers sprints in creation order
+  const isLaterSprint = (id, sprint) => (id in startBySprint)
+    ? startBySprint[id] > startBySprint[sprint.id]
+    : id > sprint.id;
+
+  const sheet = getOrCreateSprintSnapshotSheet_();
+  const snapshots = readSprintSnapshots_(sheet, sprints.map(s => s.id));
+  const iterations = {};
+  const issues = {};
+
+  getPIIterationConfig(piNumber).iterations.forEach(iteration => {
+    iterations[iteration] = { planned: 0, delivered: 0, spillover: 0, added: 0, estimated: false };
+  });
+
+  sprints.forEach(sprint => {
+    // An issue that is also in a later sprint was carried over, whatever its status is now
+    const current = fetchSprintIssues_(sprint.id).map(issue => Object.assign(issue, {
+      done: issue.done && !issue.sprintIds.some(id => isLaterSprint(id, sprint))
+    }));
+    const snapshot = snapshots[sprint.id];
+
+    if (sprint.state === 'active' && !snapshot.start) {
+      appendSprintSnapshot_(sheet, sprint, scrumTeam, 'start', current);
+      snapshot.start = current.slice();
+    }
+    if (sprint.state === 'closed' && !snapshot.complete) {
+      appendSprintSnapshot_(sheet, sprint, scrumTeam, 'complete', current);
+      snapshot.complete = current.slice();
+    }
+
+    // Planned vs. delivered
+    const sumPoints = list => list.reduce((sum, issue) => sum + issue.storyPoints, 0);
+    const end = snapshot.complete || current;
+    const plan = snapshot.start || end;
+    const plannedKeys = new Set(plan.map(issue => issue.key));
+    const totals = iterations[sprint.iteration];
+
+    totals.planned += sumPoints(plan);
+    totals.delivered += sumPoints(end.filter(issue => issue.done));
+    totals.added += sumPoints(end.filter(issue => !plannedKeys.has(issue.key)));
+    if (sprint.state === 'closed') {
+      totals.spillover += sumPoints(end.filter(issue => !issue.done));
+    }
+    totals.estimated = totals.estimated || !snapshot.start;
+
+    // Which of the PI's iterations each issue has been in
+    current.forEach(issue => {
+      const issueIterations = issue.sprintIds
+        .map(id => iterationBySprint[id])
+        .filter(Boolean);
+      if (!issueIterations.includes(sprint.iteration)) issueIterations.push(sprint.iteration);
+
+      const entry = issues[issue.key] || { iterations: [] };
+      entry.iterations = [...new Set(entry.iterations.concat(issueIterations))].sort((a, b) => a - b);
+      entry.finalIteration = entry.iterations[entry.iterations.length - 1];
+      issues[issue.key] = entry;
+    });
+  });
+
+  console.log(`Sprint history for ${scrumTeam}: ${sprints.length} sprints on board "${board.name}", ` +
+    `${Object.values(issues).filter(i => i.iterations.length > 1).length} carried-over issues`);
+
+  return { boardName: board.name, sprints: sprints, issues: issues, iterations: iterations };
+}
+
+/**
+ * Get the iteration a story is slotted into, preferring its sprint history
+ * @param {Object|null} history - From getTeamSprintHistory()
+ * @param {Object} issue - Parsed issue
+ * @param {string|number} piNumber - PI number
+ * @return {Object} {iteration, spilloverIterations} - iteration is null when unslotted
+ */
+function getHistoricalSprintIterations(history, issue, piNumber) {
+  const entry = history && history.issues[issue.key];
+  if (!entry) {
+    return { iteration: getIssueSprintIteration(issue, piNumber), spilloverIterations: [] };
+  }
+  return { iteration: entry.finalIteration, spilloverIterations: entry.iterations.slice(0, -1) };
+}
+
+// ===== REPORTING =====
+
+/**
+ * Write the Planned vs Delivered table for a team (only when sprint history is available)
+ * @param {Sheet} sheet - Summary sheet
+ * @param {number} startRow - Starting row
+ * @param {string} scrumTeam - Team name
+ * @param {string} programIncrement - PI string (e.g., "PI 14")
+ * @return {number} Next available row (startRow when nothing was written)
+ */
+function createSprintHistoryTable(sheet, startRow, scrumTeam, programIncrement) {
+  const piNumber = programIncrement.replace(/PI\s*/i, '');
+  const history = getTeamSprintHistory(piNumber, scrumTeam);
+  if (!history) return startRow;
+
+  const iterationConfig = getPIIterationConfig(piNumber);
+  let currentRow = startRow + 1;
+
+  sheet.getRange(currentRow, 1).setValue('Planned vs Delivered (from JIRA sprints)');
+  sheet.getRange(currentRow, 1, 1, 6).setBackground('#E1D5E7');
+  sheet.getRange(currentRow, 1).setFontWeight('bold').setFontSize(14).setFontFamily('Comfortaa');
+  currentRow++;
+
+  const headers = ['Iteration', 'Planned', 'Added Mid-Sprint', 'Delivered', 'Spillover', 'Delivered %'];
+  sheet.getRange(currentRow, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(currentRow, 1, 1, headers.length)
+    .setBackground('#9b7bb8')
+    .setFontColor('#ffffff')
+    .setFontWeight('bold')
+    .setFontSize(8)
+    .setHorizontalAlignment('center');
+  currentRow++;
+
+  const rows = iterationConfig.iterations.map(iteration => {
+    const totals = history.iterations[iteration];
+    const label = getIterationLabel(iterationConfig, iteration) + (totals.estimated && totals.planned > 0 ? ' *' : '');
+    const deliveredPercent = totals.planned > 0 ? Math.round(totals.delivered / totals.planned * 100) / 100 : '';
+    return [label, totals.planned, totals.added, totals.delivered, totals.spillover, deliveredPercent];
+  });
+
+  sheet.getRange(currentRow, 1, rows.length, headers.length).setValues(rows);
+  sheet.getRange(currentRow, 1, rows.length, headers.length).setFontSize(8).setFontFamily('Comfortaa');
+  sheet.getRange(currentRow, 2, rows.length, headers.length - 1).setHorizontalAlignment('center');
+  sheet.getRange(currentRow, 6, rows.length, 1).setNumberFormat('0%');
+  currentRow += rows.length;
+
+  sheet.getRange(currentRow, 1).setValue(
+    `Board: ${history.boardName}. * No start snapshot - planned is what the sprint held when it closed.`);
+  sheet.getRange(currentRow, 1).setFontSize(8).setFontStyle('italic').setFontColor('#666666').setFontFamily('Comfortaa');
+  currentRow++;
+
+  return currentRow;
+}
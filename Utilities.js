@@ -96,7 +96,19 @@ function showProgress(message) {
   Utilities.sleep(50);
 }
 
+/**
+ * Add this execution's JIRA request and cache counts to the shared stats
+ * Called once at the end of a run: progress dialog closed, scheduler tick or job slice.
+ */
+function flushExecutionStats() {
+  flushJiraRequestStats();
+  CacheManager.flushStats();
+}
+
 function closeProgress() {
+  // An interactive run is over when its progress dialog closes
+  flushExecutionStats();
+
   const html = '<script>google.script.host.close();</script>';
   const htmlOutput = HtmlService
     .createHtmlOutput(html)
@@ -222,6 +234,45 @@ function mapAllocationToCategory(allocation) {
   return 'Features (Product - Compliance & Feature)';
 }
 
+// ===== ITERATION UTILITIES =====
+
+/**
+ * Extract the iteration number from a sprint or iteration name
+ * The one parser for "<PI>.<iteration>" names - slotting, sprint history,
+ * fix-version validation and dependency checks all use it:
+ * "PI 12.3", "12.3", "ORD 12.3", "PI 13 . 6 (Jan 6 - Jan 19)", etc.
+ * @param {string} sprintName - Sprint or PI Target Iteration value
+ * @param {string|number} piNumber - PI number ("13", 13 or "PI 13")
+ * @return {number|null} Iteration number, or null if it isn't one of the PI's iterations
+ *                       (see getPIIterationConfig)
+ */
+function parseSprintIteration(sprintName, piNumber) {
+  if (!sprintName) return null;
+
+  const config = getPIIterationConfig(piNumber);
+  if (config.piNumber === null) return null;
+
+  // Not preceded by a digit, so PI 13 doesn't match "113.2"
+  const match = sprintName.toString().match(new RegExp(`(?<!\\d)${config.piNumber}\\s*\\.\\s*(\\d+)`, 'i'));
+  if (!match) return null;
+
+  const iteration = parseInt(match[1]);
+  return iteration >= 1 && iteration <= config.iterationCount ? iteration : null;
+}
+
+/**
+ * Get the iteration an issue is slotted into
+ * Checks the sprint name, then the sprint's dates against the PI Calendar,
+ * then the PI Target Iteration field
+ * @param {Object} issue - Parsed issue object
+ * @param {string|number} piNumber - PI number
+ * @return {number|null} Iteration number, or null if unslotted
+ */
+function getIssueIteration(issue, piNumber) {
+  return getIssueSprintIteration(issue, piNumber) ||
+         parseSprintIteration(issue.piTargetIteration, piNumber);
+}
+
 // ===== JIRA UTILITIES =====
 
 /**
@@ -0,0 +1,208 @@
+/**
+ * Velocity.gs - Historical Velocity Check
+ * =======================================
+ *
+ * The capacity gauge only compares a team's planned story points with the
+ * capacity typed into the capacity sheet. This module reads what the team
+ * actually completed in the previous PIs and flags plans that are more than
+ * a configurable percentage above that demonstrated throughput.
+ *
+ * Velocity is the story points of the team's done stories and bugs with
+ * Program Increment "PI N", whichever epic they belong to.
+ *
+ * SOURCES (per past PI, first match wins):
+ * 1. The latest stored snapshot of "PI N" (PISnapshot.js), which keeps that
+ *    total per team
+ * 2. JIRA - the same stories and bugs, searched directly
+ *
+ * PIs with no data from either source are left out of the average.
+ * The threshold is kept in Script Properties (Utilities > Set Velocity Threshold).
+ *
+ * @fileoverview Historical velocity per team and over-planning check
+ * @version 1.0.0
+ */
+
+// ===== CONFIGURATION =====
+
+const VELOCITY_CONFIG = {
+  historyPIs: 3,
+  thresholdProperty: 'VELOCITY_OVERPLAN_THRESHOLD',
+  defaultThresholdPercent: 20
+};
+
+// Per-execution memo - summaries for several teams share the same past PIs
+let teamVelocityCache_ = {};
+
+// ===== SETTINGS =====
+
+/**
+ * How far (in %) planned points may exceed the historical average before a team is flagged
+ * @return {number} Threshold percentage
+ */
+function getVelocityThresholdPercent() {
+  const stored = parseFloat(PropertiesService.getScriptProperties().getProperty(VELOCITY_CONFIG.thresholdProperty));
+  return isNaN(stored) || stored < 0 ? VELOCITY_CONFIG.defaultThresholdPercent : stored;
+}
+
+/**
+ * Menu handler: set the over-planning threshold
+ */
+function menuSetVelocityThreshold() {
+  const ui = SpreadsheetApp.getUi();
+
+  const response = ui.prompt(
+    'Velocity Threshold',
+    `Flag teams whose planned story points are more than this % above their average velocity ` +
+    `over the last ${VELOCITY_CONFIG.historyPIs} PIs (currently ${getVelocityThresholdPercent()}%):`,
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const percent = parseFloat(response.getResponseText().trim().replace('%', ''));
+  if (isNaN(percent) || percent < 0) {
+    ui.alert('Invalid threshold. Please enter a percentage such as 20');
+    return;
+  }
+
+  PropertiesService.getScriptProperties().setProperty(VELOCITY_CONFIG.thresholdProperty, String(percent));
+  ui.alert('Velocity Threshold', `Teams planning more than ${percent}% above their average velocity will be flagged.`, ui.ButtonSet.OK);
+}
+
+// ===== VELOCITY =====
+
+/**
+ * Completed story points of a team from the latest stored snapshot of a PI
+ * @param {string} scrumTeam - Team name
+ * @param {number} piNumber - Past PI number
+ * @return {number|null} Completed points, or null when there's no snapshot, it predates per-team
+ *                       totals, or the team had no done stories or bugs in it
+ */
+function getSnapshotVelocity_(scrumTeam, piNumber) {
+  const snapshot = getLatestPISnapshot(`PI ${piNumber}`);
+  const team = snapshot && snapshot.teams ? snapshot.teams[scrumTeam] : null;
+  if (!team || team.completedIssues === 0) return null;
+
+  return team.completedStoryPoints;
+}
+
+/**
+ * Completed story points of a team in a PI, from JIRA
+ * @param {string} scrumTeam - Team name
+ * @param {number} piNumber - Past PI number
+ * @return {number|null} Completed points, or null when JIRA has no done work for the team in that PI
+ */
+function fetchJiraVelocity_(scrumTeam, piNumber) {
+  const doneStatuses = PI_SNAPSHOT_CONFIG.doneStatuses.map(status => `"${status}"`).join(', ');
+  const jql = `issuetype in (Story, Bug) AND ${getJqlField('programIncrement')} = "PI ${piNumber}" ` +
+    `AND ${getJqlField('scrumTeam')} = "${scrumTeam}" AND status in (${doneStatuses})`;
+
+  const issues = jiraSearchAll(jql, [getFieldId('storyPoints')]);
+  const points = issues.reduce((sum, issue) => sum + (parseFloat(getFieldValue(issue.fields, 'storyPoints')) || 0), 0);
+
+  return issues.length > 0 ? points : null;
+}
+
+/**
+ * Get a team's completed story points over the PIs before a given PI
+ * @param {string} scrumTeam - Team name
+ * @param {string|number} piNumber - Current PI number
+ * @return {Object|null} {pis: [{pi, points, source}], average}, or null when no past PI has data
+ */
+function getTeamHistoricalVelocity(scrumTeam, piNumber) {
+  const currentPI = parseInt(piNumber.toString().replace(/PI\s*/i, ''));
+  if (isNaN(currentPI)) return null;
+
+  const cacheKey = `${scrumTeam}|${currentPI}`;
+  if (cacheKey in teamVelocityCache_) {
+    return teamVelocityCache_[cacheKey];
+  }
+
+  const pis = [];
+  for (let pi = currentPI - 1; pi >= Math.max(1, currentPI - VELOCITY_CONFIG.historyPIs); pi--) {
+    try {
+      let points = getSnapshotVelocity_(scrumTeam, pi);
+      let source = 'snapshot';
+
+      if (points === null && getJiraCredentials()) {
+        points = fetchJiraVelocity_(scrumTeam, pi);
+        source = 'JIRA';
+      }
+
+      if (points !== null) {
+        pis.push({ pi: pi, points: points, source: source });
+      }
+    } catch (error) {
+      console.error(`Error reading velocity of ${scrumTeam} for PI ${pi}:`, error);
+    }
+  }
+
+  const velocity = pis.length === 0 ? null : {
+    pis: pis,
+    average: Math.round(pis.reduce((sum, entry) => sum + entry.points, 0) / pis.length)
+  };
+
+  teamVelocityCache_[cacheKey] = velocity;
+  return velocity;
+}
+
+/**
+ * Compare planned story points with the historical average
+ * @param {number} plannedPoints - Story points planned this PI
+ * @param {Object|null} velocity - From getTeamHistoricalVelocity()
+ * @return {Object|null} {percentOfVelocity, percentAbove, thresholdPercent, flagged}, or null without history
+ */
+function checkPlanAgainstVelocity(plannedPoints, velocity) {
+  if (!velocity || velocity.average <= 0) return null;
+
+  const thresholdPercent = getVelocityThresholdPercent();
+  const percentOfVelocity = Math.round((plannedPoints / velocity.average) * 100);
+  const percentAbove = percentOfVelocity - 100;
+
+  return {
+    percentOfVelocity: percentOfVelocity,
+    percentAbove: percentAbove,
+    thresholdPercent: thresholdPercent,
+    flagged: percentAbove > thresholdPercent
+  };
+}
+
+/**
+ * Write the "Planned vs historical velocity" row of the Planning Progress gauges
+ * @param {Sheet} sheet - Summary sheet
+ * @param {number} row - Row to write
+ * @param {string} scrumTeam - Team name
+ * @param {string} programIncrement - PI string (e.g., "PI 14")
+ * @param {number} plannedPoints - Story points planned this PI
+ */
+function createVelocityGaugeRow(sheet, row, scrumTeam, programIncrement, plannedPoints) {
+  const velocity = getTeamHistoricalVelocity(scrumTeam, programIncrement);
+  const check = checkPlanAgainstVelocity(plannedPoints, velocity);
+
+  sheet.getRange(row, 1).setValue('Planned vs historical average velocity');
+  sheet.getRange(row, 1, 1, 4).setFontSize(8).setWrap(true).setFontFamily('Comfortaa').setVerticalAlignment('middle');
+  setRowHeightWithLimit(sheet, row, 25, 70);
+
+  if (!check) {
+    sheet.getRange(row, 3).setValue('No velocity history');
+    return;
+  }
+
+  const history = velocity.pis.map(entry => `PI ${entry.pi}: ${entry.points} (${entry.source})`).join('\n');
+  sheet.getRange(row, 3).setValue(`${plannedPoints} / ${velocity.average} (${check.percentOfVelocity}%)`);
+  sheet.getRange(row, 3).setNote(`Average completed story points over ${velocity.pis.length} PI(s):\n${history}`);
+  // The summary's progress bar only draws up to 100%; the flag below covers the excess
+  createProgressBar(sheet, row, 4, Math.min(100, check.percentOfVelocity));
+
+  if (check.flagged) {
+    sheet.getRange(row, 3)
+      .setValue(`${plannedPoints} / ${velocity.average} (${check.percentOfVelocity}%) ABOVE VELOCITY`)
+      .setFontColor('#ff0000')
+      .setFontWeight('bold');
+    sheet.getRange(row, 1).setNote(
+      `Planned story points are ${check.percentAbove}% above the team's demonstrated throughput ` +
+      `(threshold ${check.thresholdPercent}%).`);
+  }
+}
@@ -7,6 +7,8 @@
  */
 function debugJQLQuery() {
   const ui = SpreadsheetApp.getUi();
+  const piField = getJqlField('programIncrement');
+  const vsField = getJqlField('valueStream');
 
   // Test queries progressively to narrow down the issue
   const tests = [
@@ -17,27 +19,27 @@ function debugJQLQuery() {
     },
     {
       name: "Test 2: Epic with PI field",
-      jql: 'issuetype = Epic AND cf[10113] is not EMPTY',
+      jql: `issuetype = Epic AND ${piField} is not EMPTY`,
       description: "Epics that have a PI field set"
     },
     {
       name: "Test 3: Epic with PI 13",
-      jql: 'issuetype = Epic AND cf[10113] = "PI 13"',
+      jql: `issuetype = Epic AND ${piField} = "PI 13"`,
       description: "Epics for PI 13"
     },
     {
       name: "Test 4: Epic with PI 13, not closed",
-      jql: 'issuetype = Epic AND cf[10113] = "PI 13" AND status != "Closed"',
+      jql: `issuetype = Epic AND ${piField} = "PI 13" AND status != "Closed"`,
       description: "PI 13 epics that aren't closed"
     },
     {
       name: "Test 5: Epic with value stream",
-      jql: 'issuetype = Epic AND cf[10046] is not EMPTY',
+      jql: `issuetype = Epic AND ${vsField} is not EMPTY`,
       description: "Epics with a value stream"
     },
     {
       name: "Test 6: Full EMA Clinical query",
-      jql: 'issuetype = Epic AND cf[10113] = "PI 13" AND status != "Closed" AND cf[10046] = "EMA Clinical"',
+      jql: `issuetype = Epic AND ${piField} = "PI 13" AND status != "Closed" AND ${vsField} = "EMA Clinical"`,
       description: "Your full query for EMA Clinical"
     }
   ];
@@ -142,6 +144,10 @@ function getSampleIssues(jql, maxSamples = 5) {
 function debugFieldValues() {
   console.log('=== DEBUGGING FIELD VALUES ===\n');
 
+  const piFieldId = getFieldId('programIncrement');
+  const vsFieldId = getFieldId('valueStream');
+  const piJqlField = getJqlField('programIncrement');
+
   // Get a sample epic
   const sampleJql = 'issuetype = Epic ORDER BY created DESC';
   const url = `${JIRA_CONFIG.baseUrl}/rest/api/3/search/jql`;
@@ -149,7 +155,7 @@ function debugFieldValues() {
   const payload = {
     jql: sampleJql,
     maxResults: 5,
-    fields: ['key', 'summary', 'customfield_10113', 'customfield_10046', 'status'],
+    fields: ['key', 'summary', piFieldId, vsFieldId, 'status'],
     fieldsByKeys: false
   };
 
@@ -163,11 +169,11 @@ function debugFieldValues() {
         console.log(`\n--- ${issue.key}: ${issue.fields.summary} ---`);
         console.log(`Status: ${issue.fields.status.name}`);
 
-        const piField = issue.fields.customfield_10113;
-        console.log(`PI Field (cf[10113]): ${JSON.stringify(piField)}`);
+        const piField = issue.fields[piFieldId];
+        console.log(`PI Field (${piFieldId}): ${JSON.stringify(piField)}`);
 
-        const vsField = issue.fields.customfield_10046;
-        console.log(`Value Stream (cf[10046]): ${JSON.stringify(vsField)}`);
+        const vsField = issue.fields[vsFieldId];
+        console.log(`Value Stream (${vsFieldId}): ${JSON.stringify(vsField)}`);
       });
 
       // Now test what works
@@ -182,12 +188,12 @@ function debugFieldValues() {
       ];
 
       piFormats.forEach(format => {
-        const testJql = `issuetype = Epic AND cf[10113] = ${format}`;
+        const testJql = `issuetype = Epic AND ${piJqlField} = ${format}`;
         try {
           const count = testJQL(testJql);
-          console.log(`cf[10113] = ${format} → ${count} results`);
+          console.log(`${piJqlField} = ${format} → ${count} results`);
         } catch (error) {
-          console.log(`cf[10113] = ${format} → ERROR`);
+          console.log(`${piJqlField} = ${format} → ERROR`);
         }
       });
 
@@ -236,13 +242,15 @@ function findCorrectPIFormat() {
     console.log(`Status: ${issue.fields.status.name}`);
 
     // Check PI field
-    const piField = issue.fields.customfield_10113;
-    console.log(`\nPI Field (customfield_10113):`);
+    const piFieldId = getFieldId('programIncrement');
+    const piField = issue.fields[piFieldId];
+    console.log(`\nPI Field (${piFieldId}):`);
     console.log(JSON.stringify(piField, null, 2));
 
     // Check Value Stream field
-    const vsField = issue.fields.customfield_10046;
-    console.log(`\nValue Stream Field (customfield_10046):`);
+    const vsFieldId = getFieldId('valueStream');
+    const vsField = issue.fields[vsFieldId];
+    console.log(`\nValue Stream Field (${vsFieldId}):`);
     console.log(JSON.stringify(vsField, null, 2));
 
     // Check status
@@ -275,7 +283,7 @@ function findCorrectPIFormat() {
         piValue = JSON.stringify(piField);
       }
 
-      testJql = `issuetype = Epic AND cf[10113] = "${piValue}"`;
+      testJql = `issuetype = Epic AND ${getJqlField('programIncrement')} = "${piValue}"`;
       console.log(`\nTest: ${testJql}`);
       console.log(`Result: ${testJQL(testJql)} issues`);
     }
@@ -300,7 +308,8 @@ function testMyActualQuery() {
   const ui = SpreadsheetApp.getUi();
 
   // Your actual query from the logs
-  const jql = 'issuetype = Epic AND cf[10113] = "PI 13" AND status != "Closed" AND cf[10046] = "EMA Clinical"';
+  const jql = `issuetype = Epic AND ${getJqlField('programIncrement')} = "PI 13" AND status != "Closed" ` +
+    `AND ${getJqlField('valueStream')} = "EMA Clinical"`;
 
   console.log('Testing your actual query:');
   console.log(jql);
@@ -1152,7 +1161,7 @@ function verifyPIEpics() {
     console.log(`Found ${sheetEpics.length} epics in sheet`);
 
     // Query JIRA for what's actually in PI 12 for MMPM
-    const jql = `issuetype = Epic AND cf[10113] = "PI 12" AND cf[10046] = "MMPM" AND status != "Closed"`;
+    const jql = `issuetype = Epic AND ${getJqlField('programIncrement')} = "PI 12" AND ${getJqlField('valueStream')} = "MMPM" AND status != "Closed"`;
     console.log('JQL Query:', jql);
 
     const jiraEpics = searchJiraIssues(jql);
@@ -1222,9 +1231,10 @@ function forceRefreshMMPM() {
     // Clear cache first
     clearPICaches("12");
 
-    // Run fresh analysis for MMPM only
-    showProgress('Force refreshing MMPM data for PI 12...');
-    analyzeSelectedValueStreams("12", ["MMPM"]);
+    // Run fresh analysis for MMPM only; the cache was just cleared, so don't ask about it
+    const context = createInteractiveRunContext({ useCache: false });
+    context.progress('Force refreshing MMPM data for PI 12...');
+    analyzeSelectedValueStreams("12", ["MMPM"], context);
 
   } catch (error) {
     closeProgress();
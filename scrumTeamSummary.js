@@ -120,7 +120,7 @@ function parsePISheetRow(row, headers) {
   // Parse ALL fields with cleaning
   return {
     key: getValue('Key'),
-    parentKey: getValue('Parent Key'),
+    parentKey: getValue('Parent Key') || getValue('Parent'),
     epicLink: getValue('Epic Link'),
     issueType: getValue('Issue Type'),
     summary: getValue('Summary'),
@@ -148,12 +148,15 @@ function parsePISheetRow(row, headers) {
     properAllocation: getValue('Proper Allocation'),
     rowLastUpdated: getValue('Row Last Updated'),
     dependsOnValuestream: getValue('Depends on Valuestream'),
+    dependsOnTeam: getValue('Depends on Team'),
     costOfDelay: getNumericValue('Cost of Delay'),
     components: getValue('Components'),
     closedTransitionDate: getValue('Closed Transition Date'),
     workType: getValue('Work Type'),
     momentum: getValue('Momentum'),
     sprintName: getValue('Sprint Name'),
+    sprintStart: getValue('Sprint Start'),
+    sprintEnd: getValue('Sprint End'),
     fixVersion: getValue('Fix Version')
   };
 }
@@ -343,12 +346,25 @@ function getCapacityDataForTeam(spreadsheet, teamName) {
 }
 
 function calculateSlottedData(issues, piNumber, scrumTeam) {
+  // Iterations and the feature-freeze cut-off come from the PI Iterations sheet
+  const iterationConfig = getPIIterationConfig(piNumber);
+  const emptyIterations = () => {
+    const row = { totalBeforeFF: 0, total: 0 };
+    iterationConfig.iterations.forEach(iteration => { row[iteration] = 0; });
+    return row;
+  };
+  
   const slottedData = {
-    product: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, total4: 0, total6: 0 },
-    tech: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, total4: 0, total6: 0 },
-    quality: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, total4: 0, total6: 0 }
+    product: emptyIterations(),
+    tech: emptyIterations(),
+    quality: emptyIterations(),
+    // Points of carried-over stories, in the iterations they were carried out of
+    spillover: emptyIterations()
   };
   
+  // Sprint history from the Agile API (null unless switched on)
+  const sprintHistory = getTeamSprintHistory(piNumber, scrumTeam);
+  
   // Filter for stories AND BUGS belonging to this team (case-insensitive)
   const normalizedScrumTeam = scrumTeam.toUpperCase().replace(/[\s-]/g, '');
   const teamStories = issues.filter(issue => {
@@ -367,44 +383,40 @@ function calculateSlottedData(issues, piNumber, scrumTeam) {
     const storyPoints = story.storyPoints || 0;
     if (storyPoints === 0) return;
     
-    // Parse sprint name to find iteration - more flexible pattern
-    const sprintPattern = new RegExp(`${piNumber}\\s*\\.\\s*(\\d)`, 'i');
-    const match = story.sprintName.match(sprintPattern);
+    // Find the iteration from sprint history, the sprint name or dates (null when outside this PI's iterations)
+    const { iteration, spilloverIterations } = getHistoricalSprintIterations(sprintHistory, story, piNumber);
+    spilloverIterations.forEach(spilloverIteration => {
+      slottedData.spillover[spilloverIteration] += storyPoints;
+    });
     
-    if (match) {
-      const iteration = parseInt(match[1]);
-      if (iteration >= 1 && iteration <= 6) {
-        // Determine allocation category using the helper function
-        // mapAllocationToCategory and ALLOCATION_CATEGORIES are defined in the main config file
-        const category = mapAllocationToCategory(story.allocation);
-        
-        if (category === ALLOCATION_CATEGORIES.FEATURES) {
-          slottedData.product[iteration] += storyPoints;
-        } else if (category === ALLOCATION_CATEGORIES.TECH) {
-          slottedData.tech[iteration] += storyPoints;
-        } else if (category === ALLOCATION_CATEGORIES.QUALITY) {
-          // Check if it's planned quality (not unplanned)
-          const summary = (story.summary || '').toLowerCase();
-          if (!summary.includes('unplanned')) {
-            slottedData.quality[iteration] += storyPoints;
-          }
+    if (iteration) {
+      // Determine allocation category using the helper function
+      // mapAllocationToCategory and ALLOCATION_CATEGORIES are defined in the main config file
+      const category = mapAllocationToCategory(story.allocation);
+      
+      if (category === ALLOCATION_CATEGORIES.FEATURES) {
+        slottedData.product[iteration] += storyPoints;
+      } else if (category === ALLOCATION_CATEGORIES.TECH) {
+        slottedData.tech[iteration] += storyPoints;
+      } else if (category === ALLOCATION_CATEGORIES.QUALITY) {
+        // Check if it's planned quality (not unplanned)
+        const summary = (story.summary || '').toLowerCase();
+        if (!summary.includes('unplanned')) {
+          slottedData.quality[iteration] += storyPoints;
         }
       }
     }
   });
   
-  // Calculate totals
-  for (let i = 1; i <= 5; i++) {
-    slottedData.product.total4 += slottedData.product[i];
-    slottedData.tech.total4 += slottedData.tech[i];
-    slottedData.quality.total4 += slottedData.quality[i];
-  }
-  
-  for (let i = 1; i <= 6; i++) {
-    slottedData.product.total6 += slottedData.product[i];
-    slottedData.tech.total6 += slottedData.tech[i];
-    slottedData.quality.total6 += slottedData.quality[i];
-  }
+  // Calculate totals: before feature freeze and the whole PI
+  ['product', 'tech', 'quality', 'spillover'].forEach(category => {
+    iterationConfig.iterations.forEach(iteration => {
+      slottedData[category].total += slottedData[category][iteration];
+      if (iteration <= iterationConfig.featureFreezeIteration) {
+        slottedData[category].totalBeforeFF += slottedData[category][iteration];
+      }
+    });
+  });
   
   console.log('Slotted data calculated:', slottedData);
   
@@ -455,141 +467,50 @@ function getRolesForTeamFromCapacity(spreadsheet, teamName, valueStream = null)
     
     console.log(`Looking for roles for team "${teamName}" in capacity sheet "${capacitySheet.getName()}"`);
     
-    // Find the team in the capacity sheet
-    const dataRange = capacitySheet.getDataRange();
-    const values = dataRange.getValues();
-    const maxRows = values.length;
-    const maxCols = values[0] ? values[0].length : 0;
-    
-    // Normalize team name for matching
-    const normalizeTeamName = (name) => name.toUpperCase().replace(/[\s\-_]/g, '');
-    const normalizedSearchTeam = normalizeTeamName(teamName);
+    // Locate the team block by its anchor labels (see detectCapacityLayout)
+    const layout = detectCapacityLayout(capacitySheet);
+    const teamBlock = findTeamInCapacitySheet(capacitySheet, teamName, valueStream, layout);
     
-    // Team block configuration
-    const teamBlockWidth = 11;
-    const teamBlockHeight = 25;
-    
-    // Find value stream columns (Row 1)
-    const valueStreamCols = [];
-    for (let col = 0; col < maxCols; col += teamBlockWidth) {
-      const vsName = values[0][col];
-      if (vsName && vsName.toString().trim()) {
-        valueStreamCols.push({ name: vsName.toString().trim(), col: col });
-      }
-    }
-    
-    // Search for the team
-    let teamLocation = null;
-    
-    for (const vs of valueStreamCols) {
-      // If value stream filter specified, check if it matches
-      if (valueStream && !vs.name.toUpperCase().includes(valueStream.toUpperCase())) {
-        continue;
-      }
-      
-      // Scan rows for this value stream column
-      for (let row = 2; row < maxRows; row += teamBlockHeight) {
-        const cellValue = values[row][vs.col];
-        if (cellValue && cellValue.toString().trim()) {
-          const normalizedCell = normalizeTeamName(cellValue.toString());
-          if (normalizedCell === normalizedSearchTeam || 
-              normalizedCell.includes(normalizedSearchTeam) ||
-              normalizedSearchTeam.includes(normalizedCell)) {
-            teamLocation = { row: row, col: vs.col, valueStream: vs.name };
-            console.log(`Found team "${teamName}" at row ${row + 1}, column ${vs.col + 1} in ${vs.name}`);
-            break;
-          }
-        }
-      }
-      if (teamLocation) break;
-    }
-    
-    if (!teamLocation) {
+    if (!teamBlock) {
       console.log(`Team "${teamName}" not found in capacity sheet`);
       return null;
     }
     
-    // Extract roles from Base Capacity before FF (rows +10 to +16) and after FF (rows +18 to +24)
+    // Extract roles from the Base Capacity before FF and after FF sections
     const roles = {};
-    const totalCol = teamLocation.col + 9; // Total column is at offset +9
-    
-    // Role rows are at offsets +11 to +15 from team name row (relative to Base Capacity header at +10)
-    const beforeFFRoleStartOffset = 11;
-    const beforeFFRoleEndOffset = 16;
-    const afterFFRoleStartOffset = 19;
-    const afterFFRoleEndOffset = 24;
-    
-    // Read Before FF roles
-    for (let offset = beforeFFRoleStartOffset; offset <= beforeFFRoleEndOffset; offset++) {
-      const row = teamLocation.row + offset;
-      if (row >= maxRows) break;
-      
-      const roleName = values[row][teamLocation.col];
-      const totalValue = values[row][totalCol];
+    
+    const addRoles = (section, field) => {
+      if (!section) return;
       
-      if (roleName && roleName.toString().trim() && 
-          !roleName.toString().toLowerCase().includes('base capacity')) {
-        const roleKey = roleName.toString().trim().toUpperCase();
+      section.roles.forEach(role => {
+        const roleKey = role.name.toUpperCase();
         const normalizedRole = ROLE_NORMALIZATION[roleKey] || roleKey;
         
-        // Parse total value
-        let total = 0;
-        if (totalValue && totalValue !== '-' && totalValue !== '') {
-          total = parseFloat(totalValue) || 0;
-        }
-        
         if (!roles[normalizedRole]) {
+          const byIteration = {};
+          teamBlock.iterationCols.forEach((col, index) => { byIteration[index + 1] = 0; });
           roles[normalizedRole] = { 
-            displayName: roleName.toString().trim(),
+            displayName: role.name,
             beforeFF: 0, 
             afterFF: 0, 
             total: 0,
-            byIteration: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0 }
+            byIteration: byIteration
           };
         }
-        roles[normalizedRole].beforeFF = total;
+        roles[normalizedRole][field] = getCapacityLayoutValue(layout, role.row, teamBlock.totalCol);
         
-        // Read per-iteration values (columns +3 to +8 are iterations 1-6)
-        for (let iter = 1; iter <= 6; iter++) {
-          const iterCol = teamLocation.col + 2 + iter; // +3 for iter 1, +4 for iter 2, etc.
-          const iterValue = values[row][iterCol];
-          if (iterValue && iterValue !== '-' && iterValue !== '') {
-            roles[normalizedRole].byIteration[iter] = parseFloat(iterValue) || 0;
-          }
+        // Per-iteration values come from the Before FF rows
+        if (field === 'beforeFF') {
+          teamBlock.iterationCols.forEach((col, index) => {
+            roles[normalizedRole].byIteration[index + 1] = getCapacityLayoutValue(layout, role.row, col);
+          });
         }
-      }
-    }
+      });
+    };
+    
+    addRoles(teamBlock.beforeFF, 'beforeFF');
+    addRoles(teamBlock.afterFF, 'afterFF');
     
-    // Read After FF roles and add to totals
-    for (let offset = afterFFRoleStartOffset; offset <= afterFFRoleEndOffset; offset++) {
-      const row = teamLocation.row + offset;
-      if (row >= maxRows) break;
-      
-      const roleName = values[row][teamLocation.col];
-      const totalValue = values[row][totalCol];
-      
-      if (roleName && roleName.toString().trim() && 
-          !roleName.toString().toLowerCase().includes('base capacity')) {
-        const roleKey = roleName.toString().trim().toUpperCase();
-        const normalizedRole = ROLE_NORMALIZATION[roleKey] || roleKey;
-        
-        let total = 0;
-        if (totalValue && totalValue !== '-' && totalValue !== '') {
-          total = parseFloat(totalValue) || 0;
-        }
-        
-        if (!roles[normalizedRole]) {
-          roles[normalizedRole] = { 
-            displayName: roleName.toString().trim(),
-            beforeFF: 0, 
-            afterFF: 0, 
-            total: 0,
-            byIteration: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0 }
-          };
-        }
-        roles[normalizedRole].afterFF = total;
-      }
-    }
     
     // Calculate combined totals
     Object.keys(roles).forEach(roleKey => {
@@ -607,7 +528,7 @@ function getRolesForTeamFromCapacity(spreadsheet, teamName, valueStream = null)
     console.log(`Found ${Object.keys(activeRoles).length} active roles for team "${teamName}":`, 
       Object.keys(activeRoles).map(r => `${r}: ${activeRoles[r].total}`).join(', '));
     
-    return { roles: activeRoles, teamFound: true, valueStream: teamLocation.valueStream };
+    return { roles: activeRoles, teamFound: true, valueStream: teamBlock.valueStream };
     
   } catch (error) {
     console.error(`Error getting roles for team ${teamName}:`, error);
@@ -715,25 +636,22 @@ function detectRoleFromTicket(issue) {
  */
 function calculateRoleSlottedData(issues, piNumber, scrumTeam, availableRoles) {
   const roleData = {};
+  const iterationConfig = getPIIterationConfig(piNumber);
+  
+  const createRoleRow = (capacity, displayName) => {
+    const row = { total: 0, capacity: capacity, displayName: displayName };
+    iterationConfig.iterations.forEach(iteration => { row[iteration] = 0; });
+    return row;
+  };
   
   // Initialize role data structure
   const roleKeys = Object.keys(availableRoles || {});
   roleKeys.forEach(role => {
-    roleData[role] = { 
-      1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 
-      total: 0,
-      capacity: availableRoles[role].total || 0,
-      displayName: availableRoles[role].displayName || role
-    };
+    roleData[role] = createRoleRow(availableRoles[role].total || 0, availableRoles[role].displayName || role);
   });
   
   // Add Unassigned category
-  roleData['Unassigned'] = { 
-    1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 
-    total: 0,
-    capacity: 0,
-    displayName: 'Unassigned'
-  };
+  roleData['Unassigned'] = createRoleRow(0, 'Unassigned');
   
   // Filter for stories and bugs belonging to this team
   const normalizedScrumTeam = scrumTeam.toUpperCase().replace(/[\s-]/g, '');
@@ -745,38 +663,37 @@ function calculateRoleSlottedData(issues, piNumber, scrumTeam, availableRoles) {
   
   console.log(`Processing ${teamStories.length} stories/bugs for role breakdown`);
   
+  // Sprint history from the Agile API (null unless switched on)
+  const sprintHistory = getTeamSprintHistory(piNumber, scrumTeam);
+  
   teamStories.forEach(story => {
     const storyPoints = story.storyPoints || 0;
     if (storyPoints === 0) return;
     
-    // Parse sprint name to find iteration
-    const sprintPattern = new RegExp(`${piNumber}\\s*\\.\\s*(\\d)`, 'i');
-    const match = story.sprintName.match(sprintPattern);
+    // Find the iteration from sprint history, the sprint name or dates (null when outside this PI's iterations)
+    const { iteration } = getHistoricalSprintIterations(sprintHistory, story, piNumber);
     
-    if (match) {
-      const iteration = parseInt(match[1]);
-      if (iteration >= 1 && iteration <= 6) {
-        // Detect role from ticket
-        let detectedRole = detectRoleFromTicket(story);
-        
-        // If detected role exists in available roles, use it; otherwise check normalization
-        if (detectedRole && !roleData[detectedRole]) {
-          // Role detected but not in capacity - might be a variation
-          const normalized = ROLE_NORMALIZATION[detectedRole];
-          if (normalized && roleData[normalized]) {
-            detectedRole = normalized;
-          } else {
-            detectedRole = null; // Fall back to Unassigned
-          }
-        }
-        
-        const roleKey = detectedRole || 'Unassigned';
-        
-        if (roleData[roleKey]) {
-          roleData[roleKey][iteration] += storyPoints;
-          roleData[roleKey].total += storyPoints;
+    if (iteration) {
+      // Detect role from ticket
+      let detectedRole = detectRoleFromTicket(story);
+      
+      // If detected role exists in available roles, use it; otherwise check normalization
+      if (detectedRole && !roleData[detectedRole]) {
+        // Role detected but not in capacity - might be a variation
+        const normalized = ROLE_NORMALIZATION[detectedRole];
+        if (normalized && roleData[normalized]) {
+          detectedRole = normalized;
+        } else {
+          detectedRole = null; // Fall back to Unassigned
         }
       }
+      
+      const roleKey = detectedRole || 'Unassigned';
+      
+      if (roleData[roleKey]) {
+        roleData[roleKey][iteration] += storyPoints;
+        roleData[roleKey].total += storyPoints;
+      }
     }
   });
   
@@ -841,9 +758,13 @@ function createRoleBreakdownChart(sheet, startRow, issues, scrumTeam, programInc
   
   // === RENDER THE CHART ===
   
+  // One column per iteration of this PI
+  const iterationConfig = getPIIterationConfig(piNumber);
+  const iterations = iterationConfig.iterations;
+  
   // Title row
   sheet.getRange(startRow, 1).setValue('Role Breakdown');
-  sheet.getRange(startRow, 1, 1, 12).setBackground('#E1D5E7');
+  sheet.getRange(startRow, 1, 1, iterations.length + 6).setBackground('#E1D5E7');
   sheet.getRange(startRow, 1).setFontSize(14).setFontWeight('bold').setFontColor('black');
   sheet.getRange(startRow, 1).setFontFamily('Comfortaa');
   sheet.getRange(startRow, 1).setVerticalAlignment('middle');
@@ -853,9 +774,12 @@ function createRoleBreakdownChart(sheet, startRow, issues, scrumTeam, programInc
   // Headers
   const headers = [
     'Role', 'Baseline Capacity',
-    `${piNumber}.1`, `${piNumber}.2`, `${piNumber}.3`, `${piNumber}.4`, `${piNumber}.5`, `${piNumber}.6`,
+    ...iterations.map(iteration => `${piNumber}.${iteration}`),
     'Total Used', 'Remaining for Use', '% Remaining'
   ];
+  const totalUsedCol = headers.length - 2;
+  const remainingCol = headers.length - 1;
+  const percentRemainingCol = headers.length;
   
   sheet.getRange(startRow, 1, 1, headers.length).setValues([headers]);
   sheet.getRange(startRow, 1, 1, headers.length)
@@ -885,12 +809,7 @@ function createRoleBreakdownChart(sheet, startRow, issues, scrumTeam, programInc
     const rowData = [
       role.displayName || roleKey,
       capacity,
-      Math.round(role[1] || 0),
-      Math.round(role[2] || 0),
-      Math.round(role[3] || 0),
-      Math.round(role[4] || 0),
-      Math.round(role[5] || 0),
-      Math.round(role[6] || 0),
+      ...iterations.map(iteration => Math.round(role[iteration] || 0)),
       totalUsed,
       remaining,
       percentRemaining + '%'
@@ -912,24 +831,24 @@ function createRoleBreakdownChart(sheet, startRow, issues, scrumTeam, programInc
       sheet.getRange(startRow, 1, 1, headers.length).setBackground('#f5f5f5');
     }
     
-    // Color code the Remaining column (column 10)
+    // Color code the Remaining column
     if (remaining >= 0) {
-      sheet.getRange(startRow, 10).setBackground('#ccffcc'); // Green for positive
+      sheet.getRange(startRow, remainingCol).setBackground('#ccffcc'); // Green for positive
     } else {
-      sheet.getRange(startRow, 10).setBackground('#ffcccc'); // Red for negative
+      sheet.getRange(startRow, remainingCol).setBackground('#ffcccc'); // Red for negative
     }
     
-    // Color code % Remaining (column 11)
+    // Color code % Remaining
     if (percentRemaining >= 0) {
-      sheet.getRange(startRow, 11).setBackground('#ccffcc');
+      sheet.getRange(startRow, percentRemainingCol).setBackground('#ccffcc');
     } else {
-      sheet.getRange(startRow, 11).setBackground('#ffcccc');
+      sheet.getRange(startRow, percentRemainingCol).setBackground('#ffcccc');
     }
     
     // Highlight Unassigned row differently
     if (roleKey === 'Unassigned' && role.total > 0) {
       sheet.getRange(startRow, 1).setBackground('#fff3cd'); // Light yellow warning
-      sheet.getRange(startRow, 9).setBackground('#fff3cd');
+      sheet.getRange(startRow, totalUsedCol).setBackground('#fff3cd');
     }
     
     setRowHeightWithLimit(sheet, startRow, 25, 70);
@@ -945,22 +864,14 @@ function createRoleBreakdownChart(sheet, startRow, issues, scrumTeam, programInc
   const totalPercentRemaining = totalCapacity > 0 ? Math.round((totalRemaining / totalCapacity) * 100) : 0;
   
   // Sum iterations
-  const iterTotals = [0, 0, 0, 0, 0, 0];
-  rolesToShow.forEach(r => {
-    for (let i = 1; i <= 6; i++) {
-      iterTotals[i - 1] += roleData[r][i] || 0;
-    }
-  });
+  const iterTotals = iterations.map(iteration =>
+    rolesToShow.reduce((sum, r) => sum + (roleData[r][iteration] || 0), 0)
+  );
   
   const totalRowData = [
     'TOTAL',
     Math.ceil(totalCapacity),
-    Math.round(iterTotals[0]),
-    Math.round(iterTotals[1]),
-    Math.round(iterTotals[2]),
-    Math.round(iterTotals[3]),
-    Math.round(iterTotals[4]),
-    Math.round(iterTotals[5]),
+    ...iterTotals.map(value => Math.round(value)),
     Math.ceil(totalUsed),
     Math.ceil(totalRemaining),
     totalPercentRemaining + '%'
@@ -978,14 +889,14 @@ function createRoleBreakdownChart(sheet, startRow, issues, scrumTeam, programInc
   
   // Color totals remaining
   if (totalRemaining >= 0) {
-    sheet.getRange(startRow, 10).setBackground('#ccffcc');
+    sheet.getRange(startRow, remainingCol).setBackground('#ccffcc');
   } else {
-    sheet.getRange(startRow, 10).setBackground('#ffcccc');
+    sheet.getRange(startRow, remainingCol).setBackground('#ffcccc');
   }
   if (totalPercentRemaining >= 0) {
-    sheet.getRange(startRow, 11).setBackground('#ccffcc');
+    sheet.getRange(startRow, percentRemainingCol).setBackground('#ccffcc');
   } else {
-    sheet.getRange(startRow, 11).setBackground('#ffcccc');
+    sheet.getRange(startRow, percentRemainingCol).setBackground('#ffcccc');
   }
   
   setRowHeightWithLimit(sheet, startRow, 25, 70);
@@ -1328,9 +1239,12 @@ function createIterationSlottingChart(sheet, startRow, issues, scrumTeam, progra
   
   console.log(`Using capacity data for team ${scrumTeam}`);
   
-  // Title - fill columns A through L with purple
+  // Carried-over points from JIRA sprint history get their own column
+  const showSpillover = isSprintHistoryEnabled();
+  
+  // Title - fill every table column with purple
   sheet.getRange(startRow, 1).setValue('Iteration Slotting');
-  sheet.getRange(startRow, 1, 1, 12).setBackground('#E1D5E7');
+  sheet.getRange(startRow, 1, 1, showSpillover ? 13 : 12).setBackground('#E1D5E7');
   sheet.getRange(startRow, 1).setFontSize(14).setFontWeight('bold').setFontColor('black');
   sheet.getRange(startRow, 1).setFontFamily('Comfortaa');
   sheet.getRange(startRow, 1).setVerticalAlignment('middle');
@@ -1345,6 +1259,9 @@ function createIterationSlottingChart(sheet, startRow, issues, scrumTeam, progra
     'Planned Quality Load', 'Slotted Planned Quality Load', 'Remaining for Use',
     'Unplanned Work'
   ];
+  if (showSpillover) {
+    headers.push('Spillover (Carried Over)');
+  }
   
   sheet.getRange(headerRow, 1, 1, headers.length).setValues([headers]);
   sheet.getRange(headerRow, 1, 1, headers.length)
@@ -1366,20 +1283,50 @@ function createIterationSlottingChart(sheet, startRow, issues, scrumTeam, progra
   // Calculate slotted values from PI sheet data
   const slottedData = calculateSlottedData(issues, piNumber, scrumTeam);
   
+  // One row per iteration of this PI, then totals before feature freeze and for the whole PI
+  const iterationConfig = getPIIterationConfig(piNumber);
+  const iterationCount = iterationConfig.iterationCount;
+  const featureFreezeIteration = iterationConfig.featureFreezeIteration;
+  
   // Data rows
   const iterations = [
-    'Iteration 1', 'Iteration 2', 'Iteration 3', 'Iteration 4', 
-    'Iteration 5', 'Iteration 6', 'Total (5 iterations)', 'Total (6 iterations)'
+    ...iterationConfig.iterations.map(iteration => getIterationLabel(iterationConfig, iteration)),
+    `Total (${featureFreezeIteration} iterations)`, `Total (${iterationCount} iterations)`
   ];
   
   const dataStartRow = headerRow + 1;
+  const lastIterationRow = dataStartRow + iterationCount - 1;
+  const featureFreezeRow = dataStartRow + featureFreezeIteration - 1;
+  
+  // Sum formulas and slotted totals for the two totals rows
+  const writeTotalsRow = (currentRow, lastRow, totalKey) => {
+    sheet.getRange(currentRow, 2).setFormula(`=SUM(B${dataStartRow}:B${lastRow})`);
+    sheet.getRange(currentRow, 3).setFormula(`=SUM(C${dataStartRow}:C${lastRow})`);
+    sheet.getRange(currentRow, 4).setValue(Math.round(slottedData.product[totalKey] || 0));
+    sheet.getRange(currentRow, 5).setFormula(`=C${currentRow}-D${currentRow}`);
+    sheet.getRange(currentRow, 6).setFormula(`=SUM(F${dataStartRow}:F${lastRow})`);
+    sheet.getRange(currentRow, 7).setValue(Math.round(slottedData.tech[totalKey] || 0));
+    sheet.getRange(currentRow, 8).setFormula(`=F${currentRow}-G${currentRow}`);
+    sheet.getRange(currentRow, 9).setFormula(`=SUM(I${dataStartRow}:I${lastRow})`);
+    sheet.getRange(currentRow, 10).setValue(Math.round(slottedData.quality[totalKey] || 0));
+    sheet.getRange(currentRow, 11).setFormula(`=I${currentRow}-J${currentRow}`);
+    sheet.getRange(currentRow, 12).setFormula(`=SUM(L${dataStartRow}:L${lastRow})`);
+    if (showSpillover) {
+      sheet.getRange(currentRow, 13).setValue(Math.round(slottedData.spillover[totalKey] || 0));
+    }
+    
+    // Bold and darker grey background for totals
+    sheet.getRange(currentRow, 1, 1, headers.length).setFontWeight('bold');
+    sheet.getRange(currentRow, 1, 1, headers.length).setBackground('#e0e0e0');
+    sheet.getRange(currentRow, 12).setBackground('#f5f5f5');
+  };
   
   iterations.forEach((iteration, index) => {
     const currentRow = dataStartRow + index;
     const iterationNum = index + 1;
     
     // Alternate row colors for regular iterations
-    if (iterationNum <= 6) {
+    if (iterationNum <= iterationCount) {
       if (iterationNum % 2 === 0) {
         sheet.getRange(currentRow, 1, 1, headers.length).setBackground('#f5f5f5');
       }
@@ -1389,13 +1336,13 @@ function createIterationSlottingChart(sheet, startRow, issues, scrumTeam, progra
     sheet.getRange(currentRow, 1).setValue(iteration);
     sheet.getRange(currentRow, 1).setWrap(true);
     
-    if (iterationNum <= 6) {
+    if (iterationNum <= iterationCount) {
       // Regular iterations - use values from capacityData
       const iterData = capacityData.byIteration ? capacityData.byIteration[iterationNum] : null;
       
       // Baseline Capacity - use base capacity before FF, distributed by iteration
       // Note: The consolidated format stores total base capacity, so we estimate per iteration
-      const baseCapPerIter = Math.round((capacityData.baseCapacityBeforeFF || 0) / 6);
+      const baseCapPerIter = Math.round((capacityData.baseCapacityBeforeFF || 0) / iterationCount);
       sheet.getRange(currentRow, 2).setValue(baseCapPerIter);
       
       if (iterData) {
@@ -1413,11 +1360,11 @@ function createIterationSlottingChart(sheet, startRow, issues, scrumTeam, progra
         sheet.getRange(currentRow, 12).setValue(Math.round(iterData.klo || 0));
       } else {
         // Fallback to allocation totals distributed evenly if no iteration data
-        const productLoad = Math.round((capacityData.productCapacity || 0) / 6);
+        const productLoad = Math.round((capacityData.productCapacity || 0) / iterationCount);
         sheet.getRange(currentRow, 3).setValue(productLoad);
-        sheet.getRange(currentRow, 6).setValue(Math.round((capacityData.allocations?.techPlatform || 0) / 6));
-        sheet.getRange(currentRow, 9).setValue(Math.round((capacityData.allocations?.quality || 0) / 6));
-        sheet.getRange(currentRow, 12).setValue(Math.round((capacityData.allocations?.klo || 0) / 6));
+        sheet.getRange(currentRow, 6).setValue(Math.round((capacityData.allocations?.techPlatform || 0) / iterationCount));
+        sheet.getRange(currentRow, 9).setValue(Math.round((capacityData.allocations?.quality || 0) / iterationCount));
+        sheet.getRange(currentRow, 12).setValue(Math.round((capacityData.allocations?.klo || 0) / iterationCount));
       }
       
       // Slotted Product Load
@@ -1441,55 +1388,29 @@ function createIterationSlottingChart(sheet, startRow, issues, scrumTeam, progra
       // Unplanned Work column always has light grey background
       sheet.getRange(currentRow, 12).setBackground('#f5f5f5');
       
-    } else if (iterationNum === 7) {
-      // Total (5 iterations)
-      sheet.getRange(currentRow, 2).setFormula(`=SUM(B${dataStartRow}:B${dataStartRow + 4})`);
-      sheet.getRange(currentRow, 3).setFormula(`=SUM(C${dataStartRow}:C${dataStartRow + 4})`);
-      sheet.getRange(currentRow, 4).setValue(Math.round(slottedData.product.total4 || 0));
-      sheet.getRange(currentRow, 5).setFormula(`=C${currentRow}-D${currentRow}`);
-      sheet.getRange(currentRow, 6).setFormula(`=SUM(F${dataStartRow}:F${dataStartRow + 4})`);
-      sheet.getRange(currentRow, 7).setValue(Math.round(slottedData.tech.total4 || 0));
-      sheet.getRange(currentRow, 8).setFormula(`=F${currentRow}-G${currentRow}`);
-      sheet.getRange(currentRow, 9).setFormula(`=SUM(I${dataStartRow}:I${dataStartRow + 4})`);
-      sheet.getRange(currentRow, 10).setValue(Math.round(slottedData.quality.total4 || 0)); 
-      sheet.getRange(currentRow, 11).setFormula(`=I${currentRow}-J${currentRow}`);
-      sheet.getRange(currentRow, 12).setFormula(`=SUM(L${dataStartRow}:L${dataStartRow + 4})`);
-      
-      // Bold and darker grey background for totals
-      sheet.getRange(currentRow, 1, 1, headers.length).setFontWeight('bold');
-      sheet.getRange(currentRow, 1, 1, headers.length).setBackground('#e0e0e0');
-      sheet.getRange(currentRow, 12).setBackground('#f5f5f5');
+      // Points carried out of this iteration into a later sprint
+      if (showSpillover) {
+        sheet.getRange(currentRow, 13).setValue(Math.round(slottedData.spillover[iterationNum] || 0));
+      }
       
-    } else if (iterationNum === 8) {
-      // Total (6 iterations)
-      sheet.getRange(currentRow, 2).setFormula(`=SUM(B${dataStartRow}:B${dataStartRow + 5})`);
-      sheet.getRange(currentRow, 3).setFormula(`=SUM(C${dataStartRow}:C${dataStartRow + 5})`);
-      sheet.getRange(currentRow, 4).setValue(Math.round(slottedData.product.total6 || 0));
-      sheet.getRange(currentRow, 5).setFormula(`=C${currentRow}-D${currentRow}`);
-      sheet.getRange(currentRow, 6).setFormula(`=SUM(F${dataStartRow}:F${dataStartRow + 5})`);
-      sheet.getRange(currentRow, 7).setValue(Math.round(slottedData.tech.total6 || 0));
-      sheet.getRange(currentRow, 8).setFormula(`=F${currentRow}-G${currentRow}`);
-      sheet.getRange(currentRow, 9).setFormula(`=SUM(I${dataStartRow}:I${dataStartRow + 5})`);
-      sheet.getRange(currentRow, 10).setValue(Math.round(slottedData.quality.total6 || 0));
-      sheet.getRange(currentRow, 11).setFormula(`=I${currentRow}-J${currentRow}`);
-      sheet.getRange(currentRow, 12).setFormula(`=SUM(L${dataStartRow}:L${dataStartRow + 5})`);
+    } else if (iterationNum === iterationCount + 1) {
+      // Total up to feature freeze
+      writeTotalsRow(currentRow, featureFreezeRow, 'totalBeforeFF');
       
-      // Bold and darker grey background for totals
-      sheet.getRange(currentRow, 1, 1, headers.length).setFontWeight('bold');
-      sheet.getRange(currentRow, 1, 1, headers.length).setBackground('#e0e0e0');
-      sheet.getRange(currentRow, 12).setBackground('#f5f5f5');
+    } else {
+      // Total for the whole PI
+      writeTotalsRow(currentRow, lastIterationRow, 'total');
     }
   });
   
-  // Add thick border after iteration 4 for PI 12, after iteration 5 for others
-  const borderAfterRow = piNumber === 12 ? dataStartRow + 3 : dataStartRow + 4;
-  sheet.getRange(borderAfterRow + 1, 1, 1, headers.length).setBorder(
+  // Add thick border after the last iteration before feature freeze
+  sheet.getRange(featureFreezeRow + 1, 1, 1, headers.length).setBorder(
     true, false, false, false, false, false, 
     '#000000', SpreadsheetApp.BorderStyle.SOLID_THICK
   );
   
   // Add border around totals rows
-  sheet.getRange(dataStartRow + 6, 1, 2, headers.length).setBorder(
+  sheet.getRange(lastIterationRow + 1, 1, 2, headers.length).setBorder(
     true, true, true, true, false, false,
     '#666666', SpreadsheetApp.BorderStyle.SOLID_MEDIUM
   );
@@ -1503,31 +1424,41 @@ function createIterationSlottingChart(sheet, startRow, issues, scrumTeam, progra
     setRowHeightWithLimit(sheet, dataStartRow + i, 25, 70);
   }
   
-  // Add dark grey borders around specific column groups
-  // C10:E18 (Product columns)
-  sheet.getRange(dataStartRow - 1, 3, 9, 3).setBorder(
+  // Add dark grey borders around specific column groups (header row through totals)
+  const groupHeight = iterations.length + 1;
+  
+  // Product columns (C:E)
+  sheet.getRange(dataStartRow - 1, 3, groupHeight, 3).setBorder(
     true, true, true, true, false, false,
     '#555555', SpreadsheetApp.BorderStyle.SOLID_THICK
   );
   
-  // F10:H18 (Tech columns)
-  sheet.getRange(dataStartRow - 1, 6, 9, 3).setBorder(
+  // Tech columns (F:H)
+  sheet.getRange(dataStartRow - 1, 6, groupHeight, 3).setBorder(
     true, true, true, true, false, false,
     '#555555', SpreadsheetApp.BorderStyle.SOLID_THICK
   );
   
-  // I10:K18 (Quality columns)
-  sheet.getRange(dataStartRow - 1, 9, 9, 3).setBorder(
+  // Quality columns (I:K)
+  sheet.getRange(dataStartRow - 1, 9, groupHeight, 3).setBorder(
     true, true, true, true, false, false,
     '#555555', SpreadsheetApp.BorderStyle.SOLID_THICK
   );
   
-  // L10:L18 (Unplanned Work column)
-  sheet.getRange(dataStartRow - 1, 12, 9, 1).setBorder(
+  // Unplanned Work column (L)
+  sheet.getRange(dataStartRow - 1, 12, groupHeight, 1).setBorder(
     true, true, true, true, false, false,
     '#555555', SpreadsheetApp.BorderStyle.SOLID_THICK
   );
   
+  // Spillover column (M)
+  if (showSpillover) {
+    sheet.getRange(dataStartRow - 1, 13, groupHeight, 1).setBorder(
+      true, true, true, true, false, false,
+      '#555555', SpreadsheetApp.BorderStyle.SOLID_THICK
+    );
+  }
+  
   // Apply conditional formatting to Remaining columns AFTER row coloring
   SpreadsheetApp.flush();
   
@@ -1592,6 +1523,9 @@ function createScrumTeamSummary(allIssues, programIncrement, scrumTeam, targetSp
       });
       console.log(`Removed ${existingCharts.length} existing charts from ${sheetName}`);
       
+      // Keep the Allocation Fix Queue approvals across the rebuild
+      saveAllocationQueueState(sheet);
+      
       // Clear existing content
       sheet.clear();
     } else {
@@ -1655,13 +1589,20 @@ function createScrumTeamSummary(allIssues, programIncrement, scrumTeam, targetSp
     currentRow += 2;
     
     // Add All Epics for Planning section
-    currentRow = createAllEpicsForPlanning(sheet, currentRow, teamIssues, scrumTeam);
+    currentRow = createAllEpicsForPlanning(sheet, currentRow, teamIssues, scrumTeam, programIncrement);
     currentRow += 2;
     
+    // Add PI Predictability section (say/do on committed epics)
+    currentRow = createTeamPredictabilitySection(sheet, currentRow, teamIssues, scrumTeam, programIncrement);
+    
     // Add Release Version Validation section
     currentRow = createReleaseVersionValidation(sheet, currentRow, teamIssues, scrumTeam, programIncrement);
     currentRow += 2;
     
+    // Add Dependency Risks section (dependencies may belong to other teams, so pass all issues)
+    currentRow = createDependencyRiskValidation(sheet, currentRow, allIssues, scrumTeam, programIncrement);
+    currentRow += 2;
+    
     // Add Allocation Mismatch section (if applicable)
     currentRow = addAllocationMismatchToSummary(sheet, currentRow, teamIssues, scrumTeam);
     
@@ -1881,6 +1822,10 @@ function createTeamPlanningProgressGauges(sheet, startRow, allIssues, epics, sto
   
   startRow++;
   
+  // Planned story points vs. what the team completed in previous PIs
+  createVelocityGaugeRow(sheet, startRow, scrumTeam, programIncrement, totalStoryPoints);
+  startRow++;
+  
   // Epics with story points row
   sheet.getRange(startRow, 1).setValue('% of Epics with All Stories Pointed');
   sheet.getRange(startRow, 3).setValue(`${percentEpicsWithStoryPoints}%`);
@@ -1913,7 +1858,8 @@ function createTeamPlanningProgressGauges(sheet, startRow, allIssues, epics, sto
     spreadsheet  // This is capacitySpreadsheet (source) for capacity lookups
   );
   
-  return roleBreakdownEndRow;
+  // Add Planned vs Delivered below Role Breakdown (only when sprint history is switched on)
+  return createSprintHistoryTable(sheet, roleBreakdownEndRow, scrumTeam, programIncrement);
 }
 
 /**
@@ -2100,6 +2046,7 @@ function createTeamAllocationChart(sheet, startRow, issues, scrumTeam) {
   const piMatch = sheetName.match(/PI (\d+)/);
   const piNumber = piMatch ? parseInt(piMatch[1]) : null;
   const isPI11or12 = piNumber === 11 || piNumber === 12;
+  const featureFreezeIteration = getPIIterationConfig(piNumber).featureFreezeIteration;
   
   // Define allocation categories
   const allocations = [
@@ -2135,29 +2082,13 @@ function createTeamAllocationChart(sheet, startRow, issues, scrumTeam) {
       const storyPointValue = story.storyPoints || 0;
       allocationData[category].usedCapacity += storyPointValue;
       
-      // Check if sprint meets code freeze criteria
+      // Check if the sprint falls before feature freeze (code freeze) for this PI
       if (story.sprintName) {
-        // Try multiple patterns to match sprint names
-        const patterns = [
-          new RegExp(`PI\\s*${piNumber}\\s*\\.\\s*([1-5])`, 'i'),  // "PI 12.1" format
-          new RegExp(`${piNumber}\\s*\\.\\s*([1-5])`, 'i'),        // "12.1" format
-          new RegExp(`\\b${piNumber}\\.([1-5])\\b`)              // Strict "12.1" format
-        ];
-        
-        let matched = false;
-        for (const pattern of patterns) {
-          const match = story.sprintName.match(pattern);
-          if (match) {
-            const iteration = parseInt(match[1]);
-            if (iteration >= 1 && iteration <= 5) {
-              allocationData[category].slottedCodeFreezeCapacity += storyPointValue;
-              matched = true;
-              break;
-            }
-          }
-        }
+        const iteration = getIssueSprintIteration(story, piNumber);
         
-        if (!matched && story.sprintName.toLowerCase().includes(`${piNumber}.`)) {
+        if (iteration && iteration <= featureFreezeIteration) {
+          allocationData[category].slottedCodeFreezeCapacity += storyPointValue;
+        } else if (!iteration && story.sprintName.toLowerCase().includes(`${piNumber}.`)) {
           console.log(`Sprint not matched for slotted capacity: ${story.sprintName}`);
         }
       }
@@ -2418,9 +2349,13 @@ function createEpicsSlottedByIteration(sheet, startRow, issues, scrumTeam, progr
     return startRow;
   }
   
-  // Title - fill columns A through K with purple
+  // One column per iteration of this PI
+  const iterationConfig = getPIIterationConfig(piNumber);
+  const iterationCount = iterationConfig.iterationCount;
+  
+  // Title - fill the table width with purple
   sheet.getRange(startRow, 1).setValue('Epics slotted by Iteration');
-  sheet.getRange(startRow, 1, 1, 11).setBackground('#E1D5E7');
+  sheet.getRange(startRow, 1, 1, iterationCount + 5).setBackground('#E1D5E7');
   sheet.getRange(startRow, 1).setFontSize(14).setFontWeight('bold').setFontColor('black');
   sheet.getRange(startRow, 1).setFontFamily('Comfortaa');
   sheet.getRange(startRow, 1).setVerticalAlignment('middle');
@@ -2430,10 +2365,13 @@ function createEpicsSlottedByIteration(sheet, startRow, issues, scrumTeam, progr
   
   // Headers
   const headers = [
-    'Key', 'Summary', 'Iteration 1', 'Iteration 2', 'Iteration 3', 
-    'Iteration 4', 'Iteration 5', 'Iteration 6', 'Total Slotted', 
-    'Unslotted Points', 'Tickets Without Points'
+    'Key', 'Summary',
+    ...iterationConfig.iterations.map(iteration => getIterationLabel(iterationConfig, iteration)),
+    'Total Slotted', 'Unslotted Points', 'Tickets Without Points'
   ];
+  const totalSlottedCol = iterationCount + 3;
+  const unslottedCol = iterationCount + 4;
+  const ticketsWithoutPointsCol = iterationCount + 5;
   
   sheet.getRange(headerRow, 1, 1, headers.length).setValues([headers]);
   sheet.getRange(headerRow, 1, 1, headers.length)
@@ -2458,6 +2396,7 @@ function createEpicsSlottedByIteration(sheet, startRow, issues, scrumTeam, progr
   
   // Process each epic
   const epicData = [];
+  const sprintHistory = getTeamSprintHistory(piNumber, scrumTeam);
   
   epics.forEach(epic => {
     // Find stories for this epic
@@ -2467,11 +2406,12 @@ function createEpicsSlottedByIteration(sheet, startRow, issues, scrumTeam, progr
     
     // Initialize iteration data
     const iterationData = {
-      1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0,
       unslotted: 0,
       ticketsWithoutPoints: 0,
-      totalSlotted: 0
+      totalSlotted: 0,
+      spillover: 0
     };
+    iterationConfig.iterations.forEach(iteration => { iterationData[iteration] = 0; });
     
     // Process each story
     epicStories.forEach(story => {
@@ -2484,27 +2424,13 @@ function createEpicsSlottedByIteration(sheet, startRow, issues, scrumTeam, progr
       const storyPoints = story.storyPoints;
       let slotted = false;
       
-      // Check if story has a sprint
-      if (story.sprintName) {
-        // Try multiple patterns to match sprint names (same as calculateSlottedData)
-        const patterns = [
-          new RegExp(`PI\\s*${piNumber}\\s*\\.\\s*(\\d)`, 'i'),  // "PI 12.1" format
-          new RegExp(`${piNumber}\\s*\\.\\s*(\\d)`, 'i'),        // "12.1" format
-          new RegExp(`\\b${piNumber}\\.(\\d)\\b`)                // Strict "12.1" format
-        ];
-        
-        for (const pattern of patterns) {
-          const match = story.sprintName.match(pattern);
-          if (match) {
-            const iteration = parseInt(match[1]);
-            if (iteration >= 1 && iteration <= 6) {
-              iterationData[iteration] += storyPoints;
-              iterationData.totalSlotted += storyPoints;
-              slotted = true;
-              break;
-            }
-          }
-        }
+      // Check if story has a sprint in one of this PI's iterations (same as calculateSlottedData)
+      const { iteration, spilloverIterations } = getHistoricalSprintIterations(sprintHistory, story, piNumber);
+      iterationData.spillover += storyPoints * spilloverIterations.length;
+      if (iteration) {
+        iterationData[iteration] += storyPoints;
+        iterationData.totalSlotted += storyPoints;
+        slotted = true;
       }
       
       // If not slotted to an iteration, count as unslotted
@@ -2544,8 +2470,8 @@ function createEpicsSlottedByIteration(sheet, startRow, issues, scrumTeam, progr
     sheet.getRange(rowNum, 2).setValue(epic.summary);
     sheet.getRange(rowNum, 2).setWrap(true);
     
-    // Iteration columns (3-8)
-    for (let iter = 1; iter <= 6; iter++) {
+    // Iteration columns (from column 3)
+    for (let iter = 1; iter <= iterationCount; iter++) {
       const value = epic.iterations[iter];
       if (value > 0) {
         sheet.getRange(rowNum, 2 + iter).setValue(value);
@@ -2556,20 +2482,24 @@ function createEpicsSlottedByIteration(sheet, startRow, issues, scrumTeam, progr
       }
     }
     
-    // Total Slotted (column 9)
-    sheet.getRange(rowNum, 9).setValue(epic.iterations.totalSlotted);
-    sheet.getRange(rowNum, 9).setFontWeight('bold');
+    // Total Slotted
+    sheet.getRange(rowNum, totalSlottedCol).setValue(epic.iterations.totalSlotted);
+    sheet.getRange(rowNum, totalSlottedCol).setFontWeight('bold');
+    if (epic.iterations.spillover > 0) {
+      sheet.getRange(rowNum, totalSlottedCol).setNote(
+        `Spillover: ${epic.iterations.spillover} points carried over from earlier iterations (JIRA sprint history)`);
+    }
     
-    // Unslotted Points (column 10)
+    // Unslotted Points
     if (epic.iterations.unslotted > 0) {
-      sheet.getRange(rowNum, 10).setValue(epic.iterations.unslotted);
-      sheet.getRange(rowNum, 10).setBackground('#fff3cd'); // Light yellow warning
+      sheet.getRange(rowNum, unslottedCol).setValue(epic.iterations.unslotted);
+      sheet.getRange(rowNum, unslottedCol).setBackground('#fff3cd'); // Light yellow warning
     }
     
-    // Tickets Without Points (column 11)
+    // Tickets Without Points
     if (epic.iterations.ticketsWithoutPoints > 0) {
-      sheet.getRange(rowNum, 11).setValue(epic.iterations.ticketsWithoutPoints);
-      sheet.getRange(rowNum, 11).setBackground('#ffcccc'); // Light red warning
+      sheet.getRange(rowNum, ticketsWithoutPointsCol).setValue(epic.iterations.ticketsWithoutPoints);
+      sheet.getRange(rowNum, ticketsWithoutPointsCol).setBackground('#ffcccc'); // Light red warning
     }
   });
   
@@ -2581,8 +2511,8 @@ function createEpicsSlottedByIteration(sheet, startRow, issues, scrumTeam, progr
       .setFontFamily('Comfortaa')
       .setVerticalAlignment('middle');
     
-    // Center align numeric columns (3-11)
-    sheet.getRange(dataStartRow, 3, epicData.length, 9).setHorizontalAlignment('center');
+    // Center align numeric columns (iterations through Tickets Without Points)
+    sheet.getRange(dataStartRow, 3, epicData.length, headers.length - 2).setHorizontalAlignment('center');
     
     // Set reasonable row heights
     for (let i = 0; i < epicData.length; i++) {
@@ -2595,14 +2525,14 @@ function createEpicsSlottedByIteration(sheet, startRow, issues, scrumTeam, progr
   
   // Calculate totals
   const totals = {
-    1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0,
     totalSlotted: 0,
     unslotted: 0,
     ticketsWithoutPoints: 0
   };
+  iterationConfig.iterations.forEach(iteration => { totals[iteration] = 0; });
   
   epicData.forEach(epic => {
-    for (let iter = 1; iter <= 6; iter++) {
+    for (let iter = 1; iter <= iterationCount; iter++) {
       totals[iter] += epic.iterations[iter];
     }
     totals.totalSlotted += epic.iterations.totalSlotted;
@@ -2616,12 +2546,12 @@ function createEpicsSlottedByIteration(sheet, startRow, issues, scrumTeam, progr
   sheet.getRange(totalsRow, 1).setHorizontalAlignment('right');
   
   // Write total values
-  for (let iter = 1; iter <= 6; iter++) {
+  for (let iter = 1; iter <= iterationCount; iter++) {
     sheet.getRange(totalsRow, 2 + iter).setValue(totals[iter]);
   }
-  sheet.getRange(totalsRow, 9).setValue(totals.totalSlotted);
-  sheet.getRange(totalsRow, 10).setValue(totals.unslotted);
-  sheet.getRange(totalsRow, 11).setValue(totals.ticketsWithoutPoints);
+  sheet.getRange(totalsRow, totalSlottedCol).setValue(totals.totalSlotted);
+  sheet.getRange(totalsRow, unslottedCol).setValue(totals.unslotted);
+  sheet.getRange(totalsRow, ticketsWithoutPointsCol).setValue(totals.ticketsWithoutPoints);
   
   // Format totals row
   sheet.getRange(totalsRow, 1, 1, headers.length)
@@ -2631,7 +2561,7 @@ function createEpicsSlottedByIteration(sheet, startRow, issues, scrumTeam, progr
     .setFontFamily('Comfortaa')
     .setVerticalAlignment('middle');
   
-  sheet.getRange(totalsRow, 3, 1, 9).setHorizontalAlignment('center');
+  sheet.getRange(totalsRow, 3, 1, headers.length - 2).setHorizontalAlignment('center');
   
   setRowHeightWithLimit(sheet, totalsRow, 25, 70);
   
@@ -2642,7 +2572,7 @@ function createEpicsSlottedByIteration(sheet, startRow, issues, scrumTeam, progr
   );
   
   // Add thick borders around iteration columns
-  sheet.getRange(headerRow, 3, epicData.length + 2, 6).setBorder(
+  sheet.getRange(headerRow, 3, epicData.length + 2, iterationCount).setBorder(
     true, true, true, true, false, false,
     '#555555', SpreadsheetApp.BorderStyle.SOLID_THICK
   );
@@ -2650,7 +2580,7 @@ function createEpicsSlottedByIteration(sheet, startRow, issues, scrumTeam, progr
   return totalsRow + 2;
 }
 
-function createAllEpicsForPlanning(sheet, startRow, issues, scrumTeam) {
+function createAllEpicsForPlanning(sheet, startRow, issues, scrumTeam, programIncrement) {
   console.log(`Creating All Epics for Planning section for ${scrumTeam}`);
   
   // Filter epics and stories/bugs - UPDATED
@@ -2664,7 +2594,7 @@ function createAllEpicsForPlanning(sheet, startRow, issues, scrumTeam) {
   
   // Section title - no merge, fill A, B, C with purple
   sheet.getRange(startRow, 1).setValue('All Epics for Planning');
-  sheet.getRange(startRow, 1, 1, 14).setBackground('#E1D5E7');
+  sheet.getRange(startRow, 1, 1, 17).setBackground('#E1D5E7');
   sheet.getRange(startRow, 1).setFontSize(14).setFontWeight('bold').setFontColor('black');
   sheet.getRange(startRow, 1).setFontFamily('Comfortaa');
   sheet.getRange(startRow, 1).setVerticalAlignment('middle');
@@ -2675,7 +2605,8 @@ function createAllEpicsForPlanning(sheet, startRow, issues, scrumTeam) {
   const headers = [
     'Key', 'Summary', 'Cost of Delay', 'Feature Points', 'Feature Point Conversion Value',
     'Ticket Count', 'Story Points', 'Sized %', 'Allocation', 'Sprint',
-    'Fix Version', 'Status', 'Iteration Start (PI #)', 'Iteration End (PI #)'
+    'Fix Version', 'Status', 'Iteration Start (PI #)', 'Iteration End (PI #)',
+    'PI Target Iteration', 'Forecast P50', 'Forecast P85'
   ];
   
   sheet.getRange(startRow, 1, 1, headers.length).setValues([headers]);
@@ -2690,6 +2621,9 @@ function createAllEpicsForPlanning(sheet, startRow, issues, scrumTeam) {
   
   // Add note to Sized % column
   sheet.getRange(startRow, 8).setNote('Percentage of tickets with story points assigned');
+  sheet.getRange(startRow, 16).setNote('Monte Carlo forecast of the iteration the epic finishes in, from its remaining ' +
+    'story points and the team\'s historical throughput. Epics are worked in Cost of Delay order. ' +
+    'P50: as likely as not; P85: 85% confident.');
   
   // Set header row height
   setRowHeightWithLimit(sheet, startRow, 40, 70);
@@ -2731,6 +2665,7 @@ function createAllEpicsForPlanning(sheet, startRow, issues, scrumTeam) {
       status: epic.status || '',
       iterationStart: epic.iterationStart || '',
       iterationEnd: epic.iterationEnd || '',
+      piTargetIteration: epic.piTargetIteration || '',
       url: epic.url
     });
   });
@@ -2738,6 +2673,14 @@ function createAllEpicsForPlanning(sheet, startRow, issues, scrumTeam) {
   // Sort by Cost of Delay (descending)
   epicData.sort((a, b) => b.costOfDelay - a.costOfDelay);
   
+  // Forecast completion in the same order the team is expected to work the epics
+  let forecast = null;
+  try {
+    forecast = forecastEpicCompletion(epicData.map(epic => epic.key), issues, scrumTeam, programIncrement);
+  } catch (e) {
+    console.error(`Error forecasting epics for ${scrumTeam}: ${e.message}`);
+  }
+  
   // Write data rows
   epicData.forEach((epic, index) => {
     const rowNum = startRow + index;
@@ -2788,6 +2731,24 @@ function createAllEpicsForPlanning(sheet, startRow, issues, scrumTeam) {
     // Iteration End (column N)
     sheet.getRange(rowNum, 14).setValue(epic.iterationEnd);
     
+    // PI Target Iteration (column O)
+    sheet.getRange(rowNum, 15).setValue(epic.piTargetIteration);
+    
+    // Forecast P50 / P85 (columns P-Q), coloured against the target iteration
+    const epicForecast = forecast ? forecast[epic.key] : null;
+    if (epicForecast) {
+      sheet.getRange(rowNum, 16, 1, 2).setValues([[
+        formatForecastIteration(epicForecast.p50, programIncrement),
+        formatForecastIteration(epicForecast.p85, programIncrement)
+      ]]);
+      const forecastColor = getForecastColor(epicForecast, parseSprintIteration(epic.piTargetIteration, programIncrement.replace(/PI\s*/i, '')));
+      if (forecastColor) {
+        sheet.getRange(rowNum, 16, 1, 2).setBackground(forecastColor);
+      }
+    } else {
+      sheet.getRange(rowNum, 16, 1, 2).setValues([['No history', 'No history']]);
+    }
+    
     // Apply conditional formatting for Sized %
     if (epic.sizedPercent === 100) {
       sheet.getRange(rowNum, 8).setBackground('#ccffcc'); // Green
@@ -2803,6 +2764,7 @@ function createAllEpicsForPlanning(sheet, startRow, issues, scrumTeam) {
     sheet.getRange(startRow, 1, epicData.length, headers.length).setFontSize(8).setWrap(true).setFontFamily('Comfortaa').setVerticalAlignment('middle');
     // FIXED: Columns C-G centered (not including H anymore as it's set individually above)
     sheet.getRange(startRow, 3, epicData.length, 5).setHorizontalAlignment('center'); 
+    sheet.getRange(startRow, 15, epicData.length, 3).setHorizontalAlignment('center');
     
     // Set reasonable row heights for data rows
     for (let i = 0; i < epicData.length; i++) {
@@ -2895,7 +2857,7 @@ function createReleaseVersionValidation(sheet, startRow, issues, scrumTeam, prog
     
     // Find children with wrong fix version
     const childrenWithWrongFixVersion = findChildrenWithWrongFixVersion(
-      epicChildren, 
+      epicChildren,
       actualFixVersion || recommendedFixVersion
     );
     
@@ -2906,6 +2868,7 @@ function createReleaseVersionValidation(sheet, startRow, issues, scrumTeam, prog
       iterationEnd: epic.iterationEnd || '',
       fixVersion: actualFixVersion,
       recommendedFixVersion: recommendedFixVersion,
+      codeFreezeDate: (getReleaseByName(piNumber, actualFixVersion || recommendedFixVersion) || {}).codeFreezeDate || null,
       hasMismatch: hasMismatch,
       childrenWithWrongFixVersion: childrenWithWrongFixVersion
     });
@@ -2941,7 +2904,8 @@ function createReleaseVersionValidation(sheet, startRow, issues, scrumTeam, prog
   // Headers
   const headers = [
     'Epic Key', 'Summary', 'Iteration Start', 'Iteration End', 
-    'Fix Version', 'Epic Recommended Fix Version', 'Children with Potential Wrong Fix Version'
+    'Fix Version', 'Epic Recommended Fix Version', 'Children with Potential Wrong Fix Version',
+    'Code Freeze'
   ];
   
   sheet.getRange(startRow, 1, 1, headers.length).setValues([headers]);
@@ -3005,6 +2969,14 @@ function createReleaseVersionValidation(sheet, startRow, issues, scrumTeam, prog
       sheet.getRange(rowNum, 7).setWrap(true);
     }
     
+    // Code freeze date of the epic's release (from the Release Calendar)
+    if (data.codeFreezeDate) {
+      sheet.getRange(rowNum, 8).setValue(Utilities.formatDate(data.codeFreezeDate, Session.getScriptTimeZone(), 'yyyy-MM-dd'));
+      if (data.codeFreezeDate < new Date()) {
+        sheet.getRange(rowNum, 8).setBackground('#fff3cd'); // Freeze has passed
+      }
+    }
+    
     // Set row height if needed (capped at 70)
     if (data.childrenWithWrongFixVersion.length > 2) {
       const desiredHeight = 20 + (data.childrenWithWrongFixVersion.length * 15);
@@ -3034,6 +3006,7 @@ function createReleaseVersionValidation(sheet, startRow, issues, scrumTeam, prog
 
 /**
  * Determines the recommended fix version based on children's sprint iterations
+ * The latest iteration any child is slotted into is looked up in the Release Calendar.
  * @param {Array} children - Array of child issues (Stories and Bugs)
  * @param {number} piNumber - The PI number (e.g., 12)
  * @return {string} The recommended fix version or empty string
@@ -3041,49 +3014,25 @@ function createReleaseVersionValidation(sheet, startRow, issues, scrumTeam, prog
 function determineRecommendedFixVersion(children, piNumber) {
   if (!children || children.length === 0) return '';
   
-  let maxIteration = 0;
-  let foundValidSprint = false;
+  // Find the latest iteration across the children's sprints
+  const iterations = children
+    .map(child => getIssueSprintIteration(child, piNumber))
+    .filter(iteration => iteration !== null);
   
-  // Analyze each child's sprint name
-  children.forEach(child => {
-    if (child.sprintName) {
-      // Extract iteration from sprint name
-      // Try multiple patterns: "PI 12.3", "12.3", "Team - 12.3", etc.
-      const patterns = [
-        new RegExp(`PI\\s*${piNumber}\\s*\\.\\s*(\\d+)`, 'i'),
-        new RegExp(`${piNumber}\\s*\\.\\s*(\\d+)`, 'i'),
-        new RegExp(`\\b${piNumber}\\.(\\d+)\\b`)
-      ];
-      
-      for (const pattern of patterns) {
-        const match = child.sprintName.match(pattern);
-        if (match) {
-          const sprintIteration = parseInt(match[1]);
-          if (sprintIteration > maxIteration) {
-            maxIteration = sprintIteration;
-            foundValidSprint = true;
-          }
-          break; // Found a match, no need to try other patterns
-        }
-      }
-    }
-  });
-  
-  if (!foundValidSprint) {
+  if (iterations.length === 0) {
     console.log(`No valid sprint patterns found for PI ${piNumber} in children`);
     return '';
   }
   
-  // Apply business rules for fix version
-  if (maxIteration >= 5) {
-    // If any sprint is in iteration 5 or 6
-    return 'Release 7.13';
-  } else if (maxIteration >= 1 && maxIteration <= 4) {
-    // If all sprints are in iterations 1-4
-    return 'Release 7.12';
+  const maxIteration = Math.max(...iterations);
+  const release = getReleaseForIteration(piNumber, maxIteration);
+  
+  if (!release) {
+    console.warn(`⚠️ No Release Calendar entry for PI ${piNumber} iteration ${maxIteration}`);
+    return '';
   }
   
-  return '';
+  return release.releaseName;
 }
 
 /**
@@ -3120,6 +3069,7 @@ function findChildrenWithWrongFixVersion(children, expectedFixVersion) {
 function addAllocationMismatchToSummary(sheet, currentRow, teamIssues, scrumTeam) {
   console.log(`Checking allocation mismatches for ${scrumTeam}`);
   currentRow = createEpicAllocationMismatchTable(sheet, currentRow, teamIssues, scrumTeam);
+  currentRow = createAllocationRemediationQueue(sheet, currentRow, teamIssues, scrumTeam);
   return currentRow;
 }
 
@@ -3311,13 +3261,15 @@ function createEpicAllocationMismatchTable(sheet, startRow, issues, scrumTeam) {
 // ===== UI ENTRY POINTS =====
 /**
  * Generate summaries for all scrum teams in a PI
+ * @param {string} piNumber - The PI number
+ * @param {Object} [context] - Run context (see RunContext.gs), interactive by default
  */
-function generateAllScrumTeamSummaries(piNumber) {
-  const ui = SpreadsheetApp.getUi();
+function generateAllScrumTeamSummaries(piNumber, context) {
+  context = resolveRunContext(context);
   const programIncrement = `PI ${piNumber}`;
   
   try {
-    showProgress(`Generating summaries for all teams in ${programIncrement}...`);
+    context.progress(`Generating summaries for all teams in ${programIncrement}...`);
     
     // Check if PI data sheet exists
     const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
@@ -3325,13 +3277,13 @@ function generateAllScrumTeamSummaries(piNumber) {
     const piSheet = spreadsheet.getSheetByName(piSheetName);
     
     if (!piSheet) {
-      closeProgress();
-      ui.alert(`No data found for ${programIncrement}. Please run the full analysis first.`);
+      context.closeProgress();
+      context.fail(`No data found for ${programIncrement}. Please run the full analysis first.`);
       return;
     }
     
     // Read data from the PI sheet
-    showProgress('Reading PI data...');
+    context.progress('Reading PI data...');
     const dataRange = piSheet.getDataRange();
     const values = dataRange.getValues();
     const headers = values[3];
@@ -3342,28 +3294,28 @@ function generateAllScrumTeamSummaries(piNumber) {
     const scrumTeams = [...new Set(allIssues.map(issue => issue.scrumTeam || 'Unassigned'))].sort();
     
     if (scrumTeams.length === 0) {
-      closeProgress();
-      ui.alert('No scrum teams found in the data.');
+      context.closeProgress();
+      context.fail('No scrum teams found in the data.');
       return;
     }
     
     // Generate summaries for all teams
-    showProgress(`Creating summaries for ${scrumTeams.length} teams...`);
+    context.progress(`Creating summaries for ${scrumTeams.length} teams...`);
     createScrumTeamSummaries(allIssues, programIncrement, scrumTeams);
     
-    closeProgress();
+    context.closeProgress();
     
-    ui.alert(
+    context.notify(
       'Success',
       `Summary reports generated for ${scrumTeams.length} teams in ${programIncrement}:\n\n` +
-      scrumTeams.join('\n'),
-      ui.ButtonSet.OK
+      scrumTeams.join('\n')
     );
     
   } catch (error) {
     console.error('Error generating summaries:', error);
-    closeProgress();
-    ui.alert('Error', 'An error occurred: ' + error.toString(), ui.ButtonSet.OK);
+    context.closeProgress();
+    if (!context.isInteractive()) throw error;
+    context.notify('Error', 'An error occurred: ' + error.toString());
   }
 }
 
@@ -3372,9 +3324,11 @@ function generateAllScrumTeamSummaries(piNumber) {
  * This function can be called to update multiple team summaries at once
  * @param {string} piNumber - The PI number
  * @param {Array} teamsToUpdate - Array of team names to update
+ * @param {Object} [context] - Run context (see RunContext.gs), interactive by default
  * @return {Object} Results object with success/failure counts
  */
-function batchUpdateScrumTeamSummaries(piNumber, teamsToUpdate) {
+function batchUpdateScrumTeamSummaries(piNumber, teamsToUpdate, context) {
+  context = resolveRunContext(context);
   const programIncrement = `PI ${piNumber}`;
   const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
   const piSheet = spreadsheet.getSheetByName(`PI ${piNumber}`);
@@ -3399,7 +3353,7 @@ function batchUpdateScrumTeamSummaries(piNumber, teamsToUpdate) {
   // Process each team
   teamsToUpdate.forEach(team => {
     try {
-      showProgress(`Updating summary for ${team}...`);
+      context.progress(`Updating summary for ${team}...`);
       
       const result = createScrumTeamSummary(allIssues, programIncrement, team);
       
@@ -0,0 +1,291 @@
+/**
+ * Tests for the tiered cache (CacheManager.js)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const JIRA_ISSUES = require('./fixtures/jira/issues.json');
+const JIRA_FIELDS = require('./fixtures/jira/fields.json');
+
+/**
+ * A PI dataset big enough to need several script cache chunks
+ */
+function bigDataset() {
+  return Array.from({ length: 20000 }, (_, i) => ({
+    key: `ORD-${i}`,
+    summary: `Issue ${i} ${Math.random().toString(36)}`,
+    storyPoints: i % 13
+  }));
+}
+
+function cacheFiles(harness) {
+  return [...harness.services.DriveApp.files.values()].filter(file => !file.isTrashed());
+}
+
+describe('CacheManager', () => {
+  it('stores compressed chunks in the script cache and expires them with the TTL', () => {
+    const harness = createHarness();
+    const CacheManager = harness.evaluate('CacheManager');
+    const data = bigDataset();
+
+    assert.equal(CacheManager.set('pi_analysis_13_EMA Clinical', data, { ttlSeconds: 600 }), true);
+
+    const meta = JSON.parse(harness.services.CacheService.getScriptCache().get('v2_pi_analysis_13_EMA Clinical_meta'));
+    assert.ok(meta.count > 1, `expected several chunks, got ${meta.count}`);
+    assert.deepEqual(harness.plain(CacheManager.get('pi_analysis_13_EMA Clinical')), data);
+    assert.equal(cacheFiles(harness).length, 0);
+
+    harness.advanceTime(601 * 1000);
+    assert.equal(CacheManager.get('pi_analysis_13_EMA Clinical'), null);
+  });
+
+  it('falls back to the persistent tier once the script cache is gone, and re-warms it', () => {
+    const harness = createHarness();
+    const CacheManager = harness.evaluate('CacheManager');
+    const data = bigDataset();
+
+    CacheManager.set('pi_analysis_13_MMPM', data, { ttlSeconds: CacheManager.PI_DATASET_TTL_SECONDS, persist: true });
+    assert.equal(cacheFiles(harness).length, 1);
+
+    // Script cache keeps entries 6 hours at most
+    harness.advanceTime(7 * 60 * 60 * 1000);
+    assert.equal(CacheManager.readHot_('pi_analysis_13_MMPM'), null);
+
+    assert.deepEqual(harness.plain(CacheManager.get('pi_analysis_13_MMPM')), data);
+    assert.notEqual(CacheManager.readHot_('pi_analysis_13_MMPM'), null);
+
+    CacheManager.clear('pi_analysis_13_MMPM');
+    assert.equal(cacheFiles(harness).length, 0);
+    assert.equal(CacheManager.get('pi_analysis_13_MMPM'), null);
+    assert.deepEqual(harness.errors(), []);
+  });
+
+  it('treats expired and other-version entries as misses', () => {
+    const harness = createHarness();
+    const CacheManager = harness.evaluate('CacheManager');
+
+    CacheManager.set('expired', { a: 1 }, { ttlSeconds: 60, persist: true });
+    CacheManager.set('old-version', { b: 2 }, { ttlSeconds: 3600, persist: true });
+    harness.services.CacheService.getScriptCache().entries.clear();
+
+    const file = name => cacheFiles(harness).find(f => f.getName() === `${name}.json.gz.b64`);
+    const expired = file('expired');
+    expired.setDescription(JSON.stringify(Object.assign(JSON.parse(expired.getDescription()), { expiresAt: Date.now() - 1 })));
+    harness.evaluate('CacheManager.CACHE_VERSION = 3');
+
+    assert.equal(CacheManager.get('expired'), null);
+    assert.equal(CacheManager.get('old-version'), null);
+    // Dead files are removed on read
+    assert.equal(cacheFiles(harness).length, 0);
+  });
+
+  it('lets the analysis job reuse a cached value stream instead of fetching it again', () => {
+    const harness = createHarness({ jiraIssues: JIRA_ISSUES, jiraFields: JIRA_FIELDS });
+    harness.evaluate('JOB_RUNNER_CONFIG.timeBudgetSeconds = 1000');
+    const params = { piNumber: '13', valueStreams: ['EMA Clinical'], summaryOption: 'without' };
+
+    harness.global.startAnalysisJob(params);
+    const searches = harness.jira.requests.filter(request => /\/search/.test(request.path)).length;
+    assert.ok(searches > 0);
+    assert.equal(cacheFiles(harness).length, 1);
+
+    harness.services.CacheService.getScriptCache().entries.clear();
+    harness.global.startAnalysisJob(Object.assign({ useCache: true }, params));
+
+    assert.equal(harness.global.getAnalysisJobStatus().status, 'complete');
+    assert.equal(harness.jira.requests.filter(request => /\/search/.test(request.path)).length, searches);
+  });
+});
+
+describe('CacheManager key index', () => {
+  /**
+   * Harness with caches for two PIs, two value streams, a team and a capacity tab
+   */
+  function createIndexedHarness() {
+    const harness = createHarness();
+    const CacheManager = harness.evaluate('CacheManager');
+    CacheManager.set('pi_analysis_13_EMA Clinical', [1], { persist: true, ttlSeconds: 3600 });
+    CacheManager.set('pi_analysis_13_MMPM', [2]);
+    CacheManager.set('pi_analysis_12_MMPM', [3], { persist: true, ttlSeconds: 3600 });
+    CacheManager.set('team_velocity_Ordernauts', [4], { namespaces: { team: 'Ordernauts', pi: '13' } });
+    CacheManager.set('capacity_clinical', [5], { namespaces: { capacity: 'EMA Clinical' } });
+    return { harness, CacheManager };
+  }
+
+  const keys = entries => Array.from(entries, entry => entry.key).sort();
+
+  it('indexes keys by namespace with size and expiry', () => {
+    const { harness, CacheManager } = createIndexedHarness();
+
+    assert.deepEqual(keys(CacheManager.list({ pi: '13' })),
+      ['pi_analysis_13_EMA Clinical', 'pi_analysis_13_MMPM', 'team_velocity_Ordernauts']);
+    assert.deepEqual(keys(CacheManager.list({ valueStream: 'mmpm' })), ['pi_analysis_12_MMPM', 'pi_analysis_13_MMPM']);
+
+    const entry = harness.plain(CacheManager.list({ team: 'Ordernauts' })[0]);
+    assert.deepEqual(entry.namespaces, { team: 'Ordernauts', pi: '13' });
+    assert.ok(entry.size > 0);
+    assert.equal(entry.expiresAt - entry.createdAt, 5 * 60 * 1000);
+    assert.equal(entry.persisted, false);
+
+    assert.equal(CacheManager.set('bad', [1], { namespaces: { sprint: '1' } }), false);
+    assert.equal(CacheManager.list().length, 5);
+  });
+
+  it('clears by PI and by value stream in both tiers', () => {
+    const { harness, CacheManager } = createIndexedHarness();
+
+    assert.equal(CacheManager.clearPI('PI 13'), 3);
+    assert.equal(CacheManager.get('pi_analysis_13_EMA Clinical'), null);
+    assert.equal(cacheFiles(harness).length, 1);
+
+    assert.equal(CacheManager.clearValueStream('MMPM'), 1);
+    assert.equal(cacheFiles(harness).length, 0);
+    assert.deepEqual(keys(CacheManager.list()), ['capacity_clinical']);
+  });
+
+  it('really clears everything', () => {
+    const { harness, CacheManager } = createIndexedHarness();
+    const cachedKeys = keys(CacheManager.list());
+
+    assert.equal(CacheManager.clearAll(), 5);
+    assert.equal(CacheManager.list().length, 0);
+    cachedKeys.forEach(key => assert.equal(CacheManager.get(key), null, key));
+    assert.equal(cacheFiles(harness).length, 0);
+    assert.deepEqual(harness.global.PropertiesService.getScriptProperties().getKeys()
+      .filter(key => key.startsWith('CACHE_INDEX_')), []);
+  });
+
+  it('shows what is cached in the Clear Cache menu before clearing a value stream', () => {
+    const { harness, CacheManager } = createIndexedHarness();
+    harness.ui.answerAlert(harness.ui.Button.NO).answerPrompt('ema clinical');
+
+    harness.global.menuClearCache();
+
+    assert.match(harness.ui.alerts[0].message, /^5 cached keys, \d+ B in total:/);
+    assert.match(harness.ui.alerts[0].message, /• pi_analysis_13_EMA Clinical - \d+ B, 0m old \(kept in Drive\)/);
+    assert.equal(harness.ui.alerts[1].title, '✅ Cache cleared for EMA Clinical! (1 keys)');
+    assert.equal(CacheManager.list().length, 4);
+  });
+});
+
+describe('cache statistics and inspector', () => {
+  it('counts hits, misses, missing chunks, sizes and write failures', () => {
+    const harness = createHarness();
+    const CacheManager = harness.evaluate('CacheManager');
+    const cache = harness.services.CacheService.getScriptCache();
+
+    CacheManager.set('a', bigDataset(), { persist: true, ttlSeconds: 3600 });
+    CacheManager.get('a');
+    cache.remove('v2_a_1');
+    CacheManager.get('a'); // chunk missing, then served from Drive
+    CacheManager.get('nope');
+    cache.putAll = () => { throw new Error('Argument too large'); };
+    CacheManager.set('b', [1]);
+
+    const stats = harness.plain(CacheManager.getStats());
+    const today = stats.days[stats.days.length - 1];
+
+    assert.deepEqual(
+      [today.hit, today.persistentHit, today.miss, today.chunkMissing, today.write, today.writeFailure],
+      [1, 1, 1, 1, 1, 1]);
+    assert.ok(today.bytes > 3 * 90000);
+    assert.equal(stats.execution.chunkMissing, 1);
+    assert.deepEqual(stats.recent.map(e => e.event),
+      ['writeFailure', 'miss', 'persistentHit', 'chunkMissing', 'hit', 'write']);
+  });
+
+  it('writes the shared stats once per flush, only while holding the document lock', () => {
+    const harness = createHarness();
+    const CacheManager = harness.evaluate('CacheManager');
+    const props = harness.global.PropertiesService.getScriptProperties();
+    const setProperty = props.setProperty;
+    const writes = [];
+    let free = true;
+    let held = false;
+    harness.global.LockService.getDocumentLock = () => ({
+      tryLock: () => (held = free),
+      releaseLock: () => { held = false; }
+    });
+    props.setProperty = function(key, value) {
+      if (key === CacheManager.STATS_PROPERTY) {
+        assert.equal(held, true, 'stats written without the lock');
+        writes.push(key);
+      }
+      return setProperty.call(this, key, value);
+    };
+    const storedMisses = () => Object.values(JSON.parse(props.getProperty(CacheManager.STATS_PROPERTY) || '{"days":{}}').days)
+      .reduce((sum, day) => sum + day.miss, 0);
+
+    CacheManager.get('nope');
+    CacheManager.get('nope');
+    assert.equal(writes.length, 0);
+    CacheManager.flushStats();
+    assert.deepEqual([writes.length, storedMisses()], [1, 2]);
+
+    // Another execution holds the lock: the count waits for the next flush
+    CacheManager.get('nope');
+    free = false;
+    CacheManager.flushStats();
+    assert.equal(storedMisses(), 2);
+    assert.equal(harness.plain(CacheManager.getStats()).days[0].miss, 3);
+
+    free = true;
+    CacheManager.flushStats();
+    CacheManager.flushStats();
+    assert.deepEqual([writes.length, storedMisses()], [2, 3]);
+    assert.equal(harness.plain(CacheManager.getStats()).execution.miss, 3);
+    assert.equal(held, false);
+  });
+
+  it('only looks for a Drive copy on write when the index says the key was persisted', () => {
+    const harness = createHarness();
+    const CacheManager = harness.evaluate('CacheManager');
+    CacheManager.set('pi_analysis_13_EMA Clinical', [1], { persist: true, ttlSeconds: 3600 });
+    const folder = CacheManager.getStoreFolder_(false);
+    const getFilesByName = folder.getFilesByName;
+    let lookups = 0;
+    CacheManager.getStoreFolder_ = () => Object.assign(Object.create(folder), {
+      getFilesByName: name => { lookups++; return getFilesByName.call(folder, name); }
+    });
+
+    CacheManager.set('team_velocity_Ordernauts', [1]);
+    CacheManager.set('team_velocity_Ordernauts', [2]);
+    assert.equal(lookups, 0);
+
+    CacheManager.set('pi_analysis_13_EMA Clinical', [2], { persist: true, ttlSeconds: 3600 });
+    assert.equal(lookups, 1);
+    harness.services.CacheService.getScriptCache().removeAll(['v2_pi_analysis_13_EMA Clinical_meta']);
+    assert.deepEqual(harness.plain(CacheManager.get('pi_analysis_13_EMA Clinical')), [2]);
+  });
+
+  it('lists keys with age and expiry, refreshes PI datasets from JIRA and evicts keys', () => {
+    const harness = createHarness({ jiraIssues: JIRA_ISSUES, jiraFields: JIRA_FIELDS });
+    const CacheManager = harness.evaluate('CacheManager');
+    // Half a minute over, so the floored expiry doesn't depend on how long the test takes
+    CacheManager.set('pi_analysis_13_EMA Clinical', [], { persist: true, ttlSeconds: 12 * 60 * 60 + 30 });
+    CacheManager.set('team_velocity_Ordernauts', [1], { ttlSeconds: 5 * 60 + 30, namespaces: { team: 'Ordernauts' } });
+
+    let data = harness.plain(harness.global.getCacheInspectorData());
+    assert.deepEqual(data.entries.map(e => [e.key, e.age, e.expiresIn, e.refreshable]).sort(), [
+      ['pi_analysis_13_EMA Clinical', '0m', '12h', true],
+      ['team_velocity_Ordernauts', '0m', '5m', false]
+    ]);
+
+    data = harness.plain(harness.global.refreshCacheKey('pi_analysis_13_EMA Clinical'));
+    assert.deepEqual(Array.from(CacheManager.get('pi_analysis_13_EMA Clinical'), issue => issue.key),
+      ['ORD-1', 'ORD-2', 'ORD-3', 'VES-1']);
+    assert.throws(() => harness.global.refreshCacheKey('team_velocity_Ordernauts'), /can't be refreshed from here/);
+
+    data = harness.plain(harness.global.evictCacheKey('team_velocity_Ordernauts'));
+    assert.deepEqual(data.entries.map(e => e.key), ['pi_analysis_13_EMA Clinical']);
+    assert.equal(data.today.hitRate, '100%');
+
+    harness.global.showCacheInspector();
+    assert.equal(harness.ui.dialogs[0].title, 'sidebar');
+    assert.equal(harness.ui.dialogs[0].output.getContent(), '<!-- CacheInspector -->');
+  });
+});
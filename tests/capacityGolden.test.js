@@ -0,0 +1,71 @@
+/**
+ * Golden-file tests for consolidated capacity sheet parsing.
+ *
+ * Each fixtures/capacity/<name>.csv is a capacity tab exported as CSV; the matching
+ * <name>.expected.json holds the sheet name to load it under, the lookups to run,
+ * their expected results and the structural validation report for the sheet. After an intentional change to the template or the
+ * reader, regenerate the expected results with:
+ *
+ *   UPDATE_GOLDEN=1 node --test tests/capacityGolden.test.js
+ *
+ * and review the diff before committing.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createHarness } = require('./harness');
+const { loadCsvSheet } = require('./harness/sheets');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'capacity');
+const UPDATE_GOLDEN = !!process.env.UPDATE_GOLDEN;
+
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+  .filter(name => name.endsWith('.csv'))
+  .map(name => path.basename(name, '.csv'))
+  .sort();
+
+/**
+ * Run the reader over a fixture and collect everything the golden file records
+ */
+function parseFixture(name, expected) {
+  const harness = createHarness();
+  const sheet = loadCsvSheet(harness.spreadsheet, expected.sheetName, path.join(FIXTURE_DIR, `${name}.csv`));
+
+  return {
+    sheetName: expected.sheetName,
+    teams: harness.plain(harness.global.findAllTeamsInCapacitySheet(sheet)),
+    validation: harness.plain(harness.global.validateCapacitySheetStructure(sheet)),
+    lookups: expected.lookups.map(lookup => ({
+      team: lookup.team,
+      valueStream: lookup.valueStream,
+      result: harness.plain(harness.global.getCapacityDataForTeamConsolidated(harness.spreadsheet, lookup.team, lookup.valueStream)) || null
+    }))
+  };
+}
+
+describe('capacity sheet golden files', () => {
+  fixtures.forEach(name => {
+    it(name, () => {
+      const expectedPath = path.join(FIXTURE_DIR, `${name}.expected.json`);
+      const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+      const actual = parseFixture(name, expected);
+
+      if (UPDATE_GOLDEN) {
+        fs.writeFileSync(expectedPath, JSON.stringify(actual, null, 2) + '\n');
+        return;
+      }
+
+      assert.deepEqual(actual.teams, expected.teams, `${name}: team blocks moved`);
+      assert.deepEqual(actual.validation, expected.validation, `${name}: validation report changed`);
+      actual.lookups.forEach((lookup, index) => {
+        assert.deepEqual(lookup, expected.lookups[index],
+          `${name}: capacity for "${lookup.team}" (${lookup.valueStream || 'any value stream'}) changed`);
+      });
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Regression tests for the consolidated capacity reader (Capacityreader.js)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createHarness } = require('./harness');
+const { writeConsolidatedCapacitySheet, loadCsvSheet } = require('./harness/sheets');
+
+const CUSTOM_TEMPLATE_CSV = path.join(__dirname, 'fixtures', 'capacity', 'custom-template.csv');
+
+const ORDERNAUTS = {
+  name: 'Ordernauts',
+  allocations: {
+    klo: [2, 2, 2, 2, 2, 2],
+    quality: [1, 1, 1, 1, 1, 1],
+    techPlatform: [3, 3, 3, 3, '-', '-'],
+    productFeature: [10, 10, 10, 10, 5, 5],
+    productCompliance: [2, 2, 2, 2, '-', '-'],
+    unplannedWork: [1, 1, 1, 1, 1, 1]
+  },
+  rolesBeforeFF: { 'W-DEV': [8, 8, 8, 8, '-', '-'], 'QA': [4, 4, 4, 4, '-', '-'] },
+  rolesAfterFF: { 'W-DEV': ['-', '-', '-', '-', 6, 6], 'QA': ['-', '-', '-', '-', 3, 3] }
+};
+
+const VESTIES = {
+  name: 'Vesties',
+  allocations: {
+    klo: [1, 1, 1, 1, 1, 1],
+    productFeature: [6, 6, 6, 6, 6, 6]
+  }
+};
+
+function createCapacityHarness() {
+  const harness = createHarness();
+  writeConsolidatedCapacitySheet(harness.spreadsheet, 'PI13 - Capacity', [
+    { name: 'EMA Clinical', teams: [ORDERNAUTS, VESTIES] }
+  ]);
+  return harness;
+}
+
+describe('getCapacityDataForTeamConsolidated', () => {
+  it('reads allocation totals and derives product capacity', () => {
+    const harness = createCapacityHarness();
+
+    const capacity = harness.plain(harness.global.getCapacityDataForTeamConsolidated(harness.spreadsheet, 'Ordernauts'));
+
+    assert.equal(capacity.teamName, 'Ordernauts');
+    assert.equal(capacity.valueStream, 'EMA Clinical');
+    assert.deepEqual(capacity.allocations, {
+      klo: 12, quality: 6, techPlatform: 12, productFeature: 50, productCompliance: 8, unplannedWork: 6
+    });
+    assert.equal(capacity.total, 94);
+    assert.equal(capacity.productCapacity, 58);
+    assert.equal(capacity['Features'], 58);
+    assert.equal(capacity['Tech/Platform'], 12);
+    assert.equal(capacity['Planned KLO'], 12);
+    assert.equal(capacity['Planned Quality'], 6);
+    assert.equal(capacity['Unplanned'], 6);
+  });
+
+  it('reads per-iteration cells, treating "-" as zero', () => {
+    const harness = createCapacityHarness();
+
+    const capacity = harness.plain(harness.global.getCapacityDataForTeamConsolidated(harness.spreadsheet, 'Ordernauts'));
+
+    assert.deepEqual(capacity.byIteration['1'], {
+      klo: 2, quality: 1, techPlatform: 3, productFeature: 10, productCompliance: 2, unplannedWork: 1
+    });
+    assert.deepEqual(capacity.byIteration['6'], {
+      klo: 2, quality: 1, techPlatform: 0, productFeature: 5, productCompliance: 0, unplannedWork: 1
+    });
+  });
+
+  it('reads base capacity before and after feature freeze', () => {
+    const harness = createCapacityHarness();
+
+    const capacity = harness.global.getCapacityDataForTeamConsolidated(harness.spreadsheet, 'Ordernauts');
+
+    assert.equal(capacity.baseCapacityBeforeFF, 48);
+    assert.equal(capacity.baseCapacityAfterFF, 18);
+  });
+
+  it('finds the second team block and tolerates missing allocation rows', () => {
+    const harness = createCapacityHarness();
+
+    const capacity = harness.global.getCapacityDataForTeamConsolidated(harness.spreadsheet, 'vesties');
+
+    assert.equal(capacity.teamName, 'Vesties');
+    assert.equal(capacity.productCapacity, 36);
+    assert.equal(capacity.allocations.techPlatform, 0);
+    assert.equal(capacity.total, 42);
+  });
+
+  it('returns null for a team that is not in the sheet or not in the value stream', () => {
+    const harness = createCapacityHarness();
+
+    assert.equal(harness.global.getCapacityDataForTeamConsolidated(harness.spreadsheet, 'Embryonics'), null);
+    assert.equal(harness.global.getCapacityDataForTeamConsolidated(harness.spreadsheet, 'Ordernauts', 'EMA RaC'), null);
+  });
+
+  it('returns null when there is no capacity sheet', () => {
+    const harness = createHarness();
+
+    assert.equal(harness.global.getCapacityDataForTeamConsolidated(harness.spreadsheet, 'Ordernauts'), null);
+  });
+});
+
+describe('validateCapacitySheetStructure', () => {
+  it('reports a sheet with every anchor label as valid', () => {
+    const harness = createCapacityHarness();
+    const sheet = harness.spreadsheet.getSheetByName('PI13 - Capacity');
+
+    const report = harness.plain(harness.global.validateCapacitySheetStructure(sheet));
+
+    assert.equal(report.valid, true);
+    assert.equal(report.teamCount, 2);
+    assert.deepEqual(report.valueStreams, { 'EMA Clinical': ['Ordernauts', 'Vesties'] });
+    assert.deepEqual(report.issues, []);
+  });
+
+  it('flags missing labels and the reader falls back to zero for them', () => {
+    const harness = createCapacityHarness();
+    const sheet = harness.spreadsheet.getSheetByName('PI13 - Capacity');
+    sheet.getRange(21, 1).setValue('Capacity after freeze');   // Ordernauts "Base Capacity after FF"
+    sheet.getRange(35, 3).setValue('');                        // Vesties "Unplanned work"
+
+    const report = harness.plain(harness.global.validateCapacitySheetStructure(sheet));
+
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.issues.map(issue => [issue.severity, issue.cell, issue.teamName, issue.message]), [
+      ['error', 'A4', 'Ordernauts', 'Missing "Base Capacity after FF" section'],
+      ['error', 'A29', 'Vesties', 'Missing "Unplanned work" row']
+    ]);
+
+    const ordernauts = harness.global.getCapacityDataForTeamConsolidated(harness.spreadsheet, 'Ordernauts');
+    assert.equal(ordernauts.baseCapacityBeforeFF, 48);
+    assert.equal(ordernauts.baseCapacityAfterFF, 0);
+    const vesties = harness.global.getCapacityDataForTeamConsolidated(harness.spreadsheet, 'Vesties');
+    assert.equal(vesties.allocations.unplannedWork, 0);
+    assert.equal(vesties.total, 42);
+  });
+
+  it('finds teams whose names contain role abbreviations', () => {
+    const harness = createHarness();
+    writeConsolidatedCapacitySheet(harness.spreadsheet, 'PI13 - Capacity', [
+      { name: 'EMA Clinical', teams: [Object.assign({}, VESTIES, { name: 'Rubber Ducks' }), Object.assign({}, VESTIES, { name: 'Quality Feds' })] }
+    ]);
+
+    const teams = harness.plain(harness.global.findAllTeamsInCapacitySheet(harness.spreadsheet.getSheetByName('PI13 - Capacity')));
+
+    assert.deepEqual(teams.map(team => team.teamName), ['Rubber Ducks', 'Quality Feds']);
+  });
+});
+
+describe('getRolesForTeamFromCapacity', () => {
+  it('reads roles from a template with five labelled iterations and extra rows', () => {
+    const harness = createHarness();
+    loadCsvSheet(harness.spreadsheet, 'PI15 - Capacity', CUSTOM_TEMPLATE_CSV);
+
+    const result = harness.plain(harness.global.getRolesForTeamFromCapacity(harness.spreadsheet, 'Rubber Ducks'));
+
+    assert.equal(result.teamFound, true);
+    assert.equal(result.valueStream, 'EMA Clinical');
+    assert.deepEqual(result.roles.BE, {
+      displayName: 'BE',
+      beforeFF: 16,
+      afterFF: 2,
+      total: 18,
+      byIteration: { 1: 4, 2: 4, 3: 4, 4: 4, 5: 0 }
+    });
+    assert.deepEqual(Object.keys(result.roles).sort(), ['BE', 'FE', 'M-DEV', 'QA', 'W-DEV']);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Regression tests for DAN's Report (generateDansReport)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { writeClinicalCapacitySheet, findRow } = require('./harness/sheets');
+const PI13_ISSUES = require('./fixtures/pi13-issues.json');
+
+const REPORT_SHEET = "DAN's Report";
+
+function createDansHarness() {
+  const harness = createHarness({
+    globals: {
+      // Defined outside this snapshot of the project
+      createDansReportRoleBreakdown: (sheet, currentRow) => currentRow
+    }
+  });
+  harness.loadPISheet(13, PI13_ISSUES);
+  writeClinicalCapacitySheet(harness.spreadsheet, {
+    codeFreeze: [
+      { team: 'Ordernauts', baseline: 40, productL: 20.2, productM: 5 },
+      { team: 'Vesties', baseline: 30, productL: 15, productM: 0 }
+    ],
+    entirePI: [
+      { team: 'Ordernauts', baseline: 60, productL: 30, productM: 8.5 },
+      { team: 'Vesties', baseline: 45, productL: 22, productM: 0 }
+    ]
+  });
+  return harness;
+}
+
+function teamRow(sheet, team) {
+  return sheet.getRange(findRow(sheet, team), 1, 1, 16).getValues()[0];
+}
+
+describe('generateDansReport', () => {
+  it('generates the report for the chosen PI without refreshing', () => {
+    const harness = createDansHarness();
+    harness.ui.answerPrompt('13').answerAlert(harness.ui.Button.NO);
+
+    harness.global.generateDansReport();
+
+    assert.deepEqual(harness.errors(), []);
+    assert.equal(harness.ui.alerts[harness.ui.alerts.length - 1].title, 'Success!');
+    const sheet = harness.spreadsheet.getSheetByName(REPORT_SHEET);
+    assert.equal(sheet.getRange(1, 1).getValue(), "DAN'S REPORT - CLINICAL CAPACITY UTILIZATION (PI 13)");
+    assert.equal(sheet.getRange(3, 1).getValue(), 'PI Data Last Refreshed: 2025-10-01 08:00:00');
+  });
+
+  it('computes entire PI and code freeze capacity, LOE and load per team', () => {
+    const harness = createDansHarness();
+    harness.ui.answerPrompt('13').answerAlert(harness.ui.Button.NO);
+
+    harness.global.generateDansReport();
+    const sheet = harness.spreadsheet.getSheetByName(REPORT_SHEET);
+
+    // Team, baseline | entire PI: product, used, remaining, FP load, remaining, SPE load, remaining
+    //                | code freeze: product, used, remaining, FP load, remaining, SPE load, remaining
+    assert.deepEqual(harness.plain(teamRow(sheet, 'ORDERNAUTS')),
+      ['ORDERNAUTS', 60, 39, 18, 21, 30, 9, 25, 14, 26, 18, 8, 30, -4, 25, 1]);
+    assert.deepEqual(harness.plain(teamRow(sheet, 'VESTIES')),
+      ['VESTIES', 45, 22, 8, 14, 20, 2, 12, 10, 15, 8, 7, 20, -5, 12, 3]);
+    assert.deepEqual(harness.plain(teamRow(sheet, 'EMBRYONICS')).slice(1), new Array(15).fill(0));
+  });
+
+  it('adds subtotal and total formulas around EYEFINITY', () => {
+    const harness = createDansHarness();
+    harness.ui.answerPrompt('13').answerAlert(harness.ui.Button.NO);
+
+    harness.global.generateDansReport();
+    const sheet = harness.spreadsheet.getSheetByName(REPORT_SHEET);
+
+    const subtotalRow = findRow(sheet, 'SUBTOTAL (Excluding EYEFINITY)');
+    const firstTeamRow = findRow(sheet, 'ORDERNAUTS');
+    assert.equal(findRow(sheet, 'EYEFINITY'), subtotalRow + 1);
+    assert.equal(sheet.getRange(subtotalRow, 2).getFormula(), `=SUM(B${firstTeamRow}:B${subtotalRow - 1})`);
+    assert.equal(sheet.getRange(subtotalRow + 2, 2).getFormula(), `=B${subtotalRow}+B${subtotalRow + 1}`);
+  });
+
+  it('lists epics without a fix version', () => {
+    const harness = createDansHarness();
+    harness.ui.answerPrompt('13').answerAlert(harness.ui.Button.NO);
+
+    harness.global.generateDansReport();
+    const sheet = harness.spreadsheet.getSheetByName(REPORT_SHEET);
+
+    const titleRow = findRow(sheet, 'EPICS WITH BLANK FIX VERSION');
+    assert.equal(sheet.getRange(titleRow + 2, 1).getValue(), 'ORD-5');
+    assert.equal(sheet.getRange(titleRow + 3, 1).getValue(), 'TOTAL');
+  });
+
+  it('does nothing when the PI prompt is cancelled', () => {
+    const harness = createDansHarness();
+    harness.ui.answerPrompt('', harness.ui.Button.CANCEL);
+
+    harness.global.generateDansReport();
+
+    assert.equal(harness.spreadsheet.getSheetByName(REPORT_SHEET), null);
+    assert.equal(harness.ui.alerts.length, 0);
+  });
+
+  it('rejects a non-numeric PI', () => {
+    const harness = createDansHarness();
+    harness.ui.answerPrompt('PI 13');
+
+    harness.global.generateDansReport();
+
+    assert.match(harness.ui.alerts[0].title, /Invalid PI format/);
+    assert.equal(harness.spreadsheet.getSheetByName(REPORT_SHEET), null);
+  });
+
+  it('asks for the PI analysis when the PI sheet is missing', () => {
+    const harness = createDansHarness();
+    harness.ui.answerPrompt('14').answerAlert(harness.ui.Button.NO);
+
+    harness.global.generateDansReport();
+
+    assert.equal(harness.ui.alerts[harness.ui.alerts.length - 1].title, 'No PI Data Found');
+    assert.equal(harness.spreadsheet.getSheetByName(REPORT_SHEET), null);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for cross-team dependency risks (Dependencies.js)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { readSheet } = require('./harness/sheets');
+
+describe('createDependencyRiskValidation', () => {
+  it('shows the dependency\'s sprint name beside the iterations it compares', () => {
+    const harness = createHarness();
+    const issues = [
+      { key: 'ORD-1', issueType: 'Epic', summary: 'Checkout', scrumTeam: 'Ordernauts', piTargetIteration: '13.2' },
+      { key: 'VES-9', issueType: 'Dependency', summary: 'Payments API', parentKey: 'ORD-1', dependsOnTeam: 'Vesties',
+        sprintName: 'Vesties Sprint 13.3' }
+    ];
+    const sheet = harness.spreadsheet.insertSheet('PI 13 - Ordernauts Summary');
+
+    harness.global.createDependencyRiskValidation(sheet, 1, issues, 'Ordernauts', 'PI 13');
+
+    const rows = readSheet(sheet);
+    assert.deepEqual(rows[1].slice(0, 10), ['Role', 'Dependency', 'Summary', 'Owner Team', 'Dependency Sprint',
+      'Dependency Iteration', 'Epic', 'Epic Team', 'Epic Iteration', 'Risk']);
+    assert.deepEqual(rows[2].slice(2, 10), ['Payments API', 'Vesties', 'Vesties Sprint 13.3', '13.3',
+      'ORD-1', 'Ordernauts', '13.2', '1 iteration late']);
+    assert.equal(sheet.getRange(3, 10).getBackground(), '#ffcccc');
+  });
+});
+
+describe('generateDependencyReport', () => {
+  it('reports the owner value stream and target iteration JIRA returns through a refreshed PI sheet', () => {
+    const harness = createHarness();
+    const { processEpicData, processChildData, flattenSelectFields_, createPIAnalysisSheet } = harness.global;
+    const epic = { key: 'ORD-1', fields: { summary: 'Checkout', status: { name: 'In Progress' },
+      customfield_10040: { value: 'Ordernauts' }, customfield_10046: { value: 'EMA Clinical' },
+      customfield_10061: { value: '13.2' } } };
+    const dependency = { key: 'MM-9', fields: { summary: 'Payments API', issuetype: { name: 'Dependency' },
+      status: { name: 'To Do' }, parent: { key: 'ORD-1' }, customfield_10120: { value: 'Ledger Lords' },
+      customfield_10114: { value: 'MMPM' }, customfield_10061: { value: '13.4' } } };
+
+    createPIAnalysisSheet('PI 13', [
+      processEpicData(flattenSelectFields_(epic), 'EMA Clinical'),
+      processChildData(flattenSelectFields_(dependency), 'ORD-1', 'EMA Clinical')
+    ], ['EMA Clinical']);
+    const result = harness.plain(harness.global.generateDependencyReport('13'));
+
+    assert.deepEqual([result.lateCount, result.unregisteredCount], [1, 1]);
+    const rows = readSheet(harness.spreadsheet.getSheetByName('PI 13 - Dependencies'));
+    const lateRow = rows.find(row => row[3] === 4);
+    assert.deepEqual(lateRow.slice(2, 8), ['Ledger Lords', 4, 'ORD-1', 'Ordernauts', 2, 2]);
+    const unregisteredRow = rows.find(row => row[3] === 'MMPM');
+    assert.deepEqual(unregisteredRow.slice(1, 4), ['Payments API', 'Ledger Lords', 'MMPM']);
+  });
+});
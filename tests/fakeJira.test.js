@@ -0,0 +1,177 @@
+/**
+ * Tests for the fixture-driven fake JIRA, exercised through the project's own JIRA calls
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { compileJql } = require('./harness/fakeJira');
+const { readSheet } = require('./harness/sheets');
+const JIRA_ISSUES = require('./fixtures/jira/issues.json');
+const JIRA_FIELDS = require('./fixtures/jira/fields.json');
+
+function createJiraHarness() {
+  return createHarness({ jiraIssues: JIRA_ISSUES, jiraFields: JIRA_FIELDS });
+}
+
+function search(harness, body) {
+  const response = harness.global.UrlFetchApp.fetch(`${harness.jira.baseUrl}/rest/api/3/search/jql`, {
+    method: 'POST',
+    contentType: 'application/json',
+    payload: JSON.stringify(body),
+    muteHttpExceptions: true
+  });
+  return JSON.parse(response.getContentText());
+}
+
+describe('fake JIRA search', () => {
+  it('filters by custom fields, issue type and status', () => {
+    const harness = createJiraHarness();
+
+    const result = search(harness, {
+      jql: 'cf[10113] = "PI 13" AND issuetype in (Story, Bug) AND status != Done ORDER BY key',
+      maxResults: 50
+    });
+
+    assert.deepEqual(result.issues.map(issue => issue.key), ['ORD-3']);
+    assert.equal(result.isLast, true);
+  });
+
+  it('pages with nextPageToken', () => {
+    const harness = createJiraHarness();
+    const jql = 'cf[10113] = "PI 13"';
+
+    const first = search(harness, { jql: jql, maxResults: 3 });
+    const second = search(harness, { jql: jql, maxResults: 3, nextPageToken: first.nextPageToken });
+
+    assert.equal(first.issues.length, 3);
+    assert.equal(first.isLast, false);
+    assert.deepEqual(second.issues.map(issue => issue.key), ['VES-1']);
+    assert.equal(second.isLast, true);
+    assert.equal(second.nextPageToken, undefined);
+  });
+
+  it('returns only the requested fields', () => {
+    const harness = createJiraHarness();
+
+    const result = search(harness, { jql: 'key = ORD-2', fields: ['summary', 'customfield_10037'] });
+
+    assert.deepEqual(result.issues[0].fields, { summary: 'Order set picker', customfield_10037: 5 });
+  });
+
+  it('supports EMPTY checks, date comparisons and OR groups', () => {
+    const byKey = jql => JIRA_ISSUES.filter(compileJql(jql)).map(issue => issue.key);
+
+    assert.deepEqual(byKey('fixVersion is EMPTY'), ['VES-1']);
+    assert.deepEqual(byKey('updated >= "2025-10-02 00:00"'), ['ORD-2', 'ORD-3']);
+    assert.deepEqual(byKey('project = VES AND (status = Closed OR cf[10252] > 1)'), ['VES-1', 'VES-9']);
+    assert.deepEqual(byKey('cf[10040] not in ("Ordernauts")'), ['VES-1', 'VES-9']);
+  });
+
+  it('records requests and serves queued failures first', () => {
+    const harness = createJiraHarness();
+    harness.jira.failNext(429, { headers: { 'Retry-After': '2' } });
+
+    const throttled = harness.global.UrlFetchApp.fetch(`${harness.jira.baseUrl}/rest/api/3/myself`, { muteHttpExceptions: true });
+    const ok = harness.global.UrlFetchApp.fetch(`${harness.jira.baseUrl}/rest/api/3/myself`, { muteHttpExceptions: true });
+
+    assert.equal(throttled.getResponseCode(), 429);
+    assert.equal(throttled.getHeaders()['Retry-After'], '2');
+    assert.equal(ok.getResponseCode(), 200);
+    assert.equal(harness.jira.requests.length, 2);
+    assert.throws(() => harness.global.UrlFetchApp.fetch(`${harness.jira.baseUrl}/rest/api/3/nope`), /returned code 404/);
+  });
+});
+
+describe('field mapping validation against the fake JIRA', () => {
+  it('resolves every default field by name', () => {
+    const harness = createJiraHarness();
+
+    const result = harness.global.validateFieldMappings();
+
+    assert.equal(result.valid, true, result.report);
+    assert.equal(result.fields.scrumTeam, 'customfield_10040');
+  });
+
+  it('reports fields the site does not have', () => {
+    const harness = createHarness({
+      jiraIssues: JIRA_ISSUES,
+      jiraFields: JIRA_FIELDS.filter(field => field.id !== 'customfield_10040')
+    });
+
+    const result = harness.global.validateFieldMappings();
+
+    assert.equal(result.valid, false);
+    assert.ok(result.errors.some(error => error.startsWith('scrumTeam:')), result.errors.join('\n'));
+  });
+});
+
+describe('fix-version write-back against the fake JIRA', () => {
+  it('updates tickets, audits the batch and undoes it', () => {
+    const harness = createJiraHarness();
+    const proposals = [{ key: 'ORD-3', proposedFixVersion: 'Release 7.12' }];
+
+    const applied = harness.global.applyFixVersionProposals(proposals, 13);
+
+    assert.equal(applied.updated, 1);
+    assert.deepEqual(harness.jira.getIssue('ORD-3').fields.fixVersions, [{ name: 'Release 7.12' }]);
+
+    const audit = harness.spreadsheet.getSheetByName('JIRA Change Audit');
+    const auditRow = audit.getRange(2, 1, 1, 8).getValues()[0];
+    assert.deepEqual(harness.plain(auditRow.slice(1, 8)),
+      [applied.batchId, 'Set Fix Version', 'ORD-3', 'fixVersions', '["Release 7.13"]', '["Release 7.12"]', 'Updated']);
+
+    const undone = harness.global.undoJiraWritebackBatch(applied.batchId);
+
+    assert.equal(undone.reverted, 1);
+    assert.deepEqual(harness.jira.getIssue('ORD-3').fields.fixVersions, [{ name: 'Release 7.13' }]);
+  });
+
+  it('audits a failed update without stopping the batch', () => {
+    const harness = createJiraHarness();
+    const proposals = [
+      { key: 'ORD-404', proposedFixVersion: 'Release 7.12' },
+      { key: 'ORD-2', proposedFixVersion: 'Release 7.13' }
+    ];
+
+    const applied = harness.global.applyFixVersionProposals(proposals, 13);
+
+    assert.deepEqual({ updated: applied.updated, failed: applied.failed }, { updated: 1, failed: 1 });
+    assert.deepEqual(harness.jira.getIssue('ORD-2').fields.fixVersions, [{ name: 'Release 7.13' }]);
+  });
+
+  it('keeps versions outside the PI and skips tickets JIRA already has right', () => {
+    const harness = createJiraHarness();
+    harness.jira.getIssue('ORD-3').fields.fixVersions = [{ name: 'Hotfix 7.11.2' }, { name: 'Release 7.13' }];
+    const proposals = [
+      { key: 'ORD-2', proposedFixVersion: 'Release 7.12' },
+      { key: 'ORD-3', proposedFixVersion: 'Release 7.12' }
+    ];
+
+    const applied = harness.plain(harness.global.applyFixVersionProposals(proposals, 13));
+
+    assert.deepEqual([applied.updated, applied.skipped, applied.failed], [1, 1, 0]);
+    const puts = harness.jira.requests.filter(request => request.method === 'PUT');
+    assert.deepEqual(puts.map(request => [request.path, request.body]), [['/rest/api/3/issue/ORD-3', {
+      update: { fixVersions: [{ remove: { name: 'Release 7.13' } }, { add: { name: 'Release 7.12' } }] }
+    }]]);
+    assert.deepEqual(harness.jira.getIssue('ORD-3').fields.fixVersions, [{ name: 'Hotfix 7.11.2' }, { name: 'Release 7.12' }]);
+  });
+
+  it('leaves a field alone on undo when it was changed in JIRA after the batch', () => {
+    const harness = createJiraHarness();
+    const applied = harness.global.applyFixVersionProposals([{ key: 'ORD-3', proposedFixVersion: 'Release 7.12' }], 13);
+    harness.jira.getIssue('ORD-3').fields.fixVersions = [{ name: 'Release 7.14' }];
+
+    const undone = harness.plain(harness.global.undoJiraWritebackBatch(applied.batchId));
+
+    assert.deepEqual([undone.reverted, undone.skipped], [0, 1]);
+    assert.deepEqual(harness.jira.getIssue('ORD-3').fields.fixVersions, [{ name: 'Release 7.14' }]);
+    assert.equal(harness.jira.requests.filter(request => request.method === 'PUT').length, 1);
+    const undoRow = readSheet(harness.spreadsheet.getSheetByName('JIRA Change Audit'))[2];
+    assert.match(undoRow[7], /^Skipped: changed in JIRA since/);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for the Monte Carlo epic completion forecast (Forecast.js)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { findRow } = require('./harness/sheets');
+const PI13_ISSUES = require('./fixtures/pi13-issues.json');
+
+/**
+ * Record a PI 12 snapshot where Ordernauts finished one story per iteration
+ * @param {Array<number>} perIteration - Story points done in iterations 1..n
+ */
+function recordPI12Throughput(harness, perIteration) {
+  harness.global.recordPISnapshot('PI 12', perIteration.map((points, i) => ({
+    key: `ORD-${101 + i}`, issueType: 'Story', status: 'Done', scrumTeam: 'Ordernauts',
+    programIncrement: 'PI 12', piTargetIteration: `12.${i + 1}`, storyPoints: points
+  })));
+}
+
+/**
+ * Ordernauts completed a steady 5 points in each of the six iterations of PI 12
+ */
+function createForecastHarness(perIteration) {
+  const harness = createHarness();
+  recordPI12Throughput(harness, perIteration || [5, 5, 5, 5, 5, 5]);
+  const issues = harness.loadPISheet(13, PI13_ISSUES);
+  return { harness, issues };
+}
+
+describe('simulateEpicCompletion', () => {
+  it('spreads the finish iteration over the throughput samples', () => {
+    const harness = createHarness();
+
+    const finishes = harness.plain(harness.global.simulateEpicCompletion(
+      [{ key: 'A-1', remainingPoints: 8 }, { key: 'A-2', remainingPoints: 100 }], [4, 8], 1, 6));
+
+    assert.equal(finishes['A-1'].length, 1000);
+    assert.deepEqual([...new Set(finishes['A-1'])], [1, 2]);
+    // At most 48 points fit in six iterations
+    assert.equal(finishes['A-2'].every(iteration => iteration === null), true);
+  });
+});
+
+describe('forecastEpicCompletion', () => {
+  it('burns epics down in order against the team throughput', () => {
+    const { harness, issues } = createForecastHarness();
+    const team = issues.filter(i => i.scrumTeam === 'Ordernauts');
+
+    const forecast = harness.plain(harness.global.forecastEpicCompletion(['ORD-1', 'ORD-5'], team, 'Ordernauts', '13'));
+
+    // ORD-1 has 13 points left (ORD-2 is done); ORD-5 picks up the leftover of iteration 3
+    assert.deepEqual(forecast, {
+      'ORD-1': { remainingPoints: 13, p50: 3, p85: 3 },
+      'ORD-5': { remainingPoints: 9, p50: 5, p85: 5 }
+    });
+  });
+
+  it('samples each past iteration, so uneven throughput spreads P85 past P50', () => {
+    const { harness, issues } = createForecastHarness([2, 12, 2, 12, 2, 12]);
+    const team = issues.filter(i => i.scrumTeam === 'Ordernauts');
+
+    assert.deepEqual(Array.from(harness.global.getTeamThroughputSamples('Ordernauts', '13').samples), [2, 12, 2, 12, 2, 12]);
+
+    // 13 points are done within two iterations in 3 of 4 trials, within three in 7 of 8
+    const forecast = harness.plain(harness.global.forecastEpicCompletion(['ORD-1'], team, 'Ordernauts', '13'));
+    assert.deepEqual(forecast['ORD-1'], { remainingPoints: 13, p50: 2, p85: 3 });
+    assert.ok(forecast['ORD-1'].p85 > forecast['ORD-1'].p50);
+  });
+
+  it('has no forecast without throughput history', () => {
+    const harness = createHarness();
+    const issues = harness.loadPISheet(13, PI13_ISSUES);
+
+    assert.equal(harness.global.forecastEpicCompletion(['ORD-1'], issues, 'Ordernauts', '13'), null);
+  });
+});
+
+describe('forecast in All Epics for Planning', () => {
+  it('shows P50/P85 beside the PI Target Iteration', () => {
+    const { harness, issues } = createForecastHarness();
+
+    harness.global.createScrumTeamSummary(issues, 'PI 13', 'Ordernauts');
+    const sheet = harness.spreadsheet.getSheetByName('PI 13 - Ordernauts Summary');
+
+    assert.deepEqual(harness.errors(), []);
+    const headerRow = findRow(sheet, 'All Epics for Planning') + 1;
+    assert.deepEqual(harness.plain(sheet.getRange(headerRow, 15, 1, 3).getValues()[0]),
+      ['PI Target Iteration', 'Forecast P50', 'Forecast P85']);
+
+    // Planned for 13.2 but forecast for 13.3; ORD-5 makes its 13.5 target
+    assert.deepEqual(harness.plain(sheet.getRange(headerRow + 1, 15, 2, 3).getValues()),
+      [['13.2', '13.3', '13.3'], ['13.5', '13.5', '13.5']]);
+    assert.equal(sheet.getRange(headerRow + 1, 16).getBackground(), '#ffcccc');
+    assert.equal(sheet.getRange(headerRow + 2, 17).getBackground(), '#d9ead3');
+  });
+
+  it('reads the PI Target Iteration JIRA returns through a refreshed PI sheet', () => {
+    const harness = createHarness();
+    recordPI12Throughput(harness, [5, 5, 5, 5, 5, 5]);
+    const { processEpicData, processChildData, flattenSelectFields_, createPIAnalysisSheet, parsePISheetData } = harness.global;
+    const team = { customfield_10040: { value: 'Ordernauts' }, customfield_10046: { value: 'EMA Clinical' },
+      customfield_10113: { value: 'PI 13' } };
+    const epic = { key: 'ORD-1', fields: Object.assign({ summary: 'Checkout', status: { name: 'In Progress' },
+      customfield_10061: { value: '13.2' } }, team) };
+    const story = (key, points) => ({ key: key, fields: Object.assign({ summary: key, issuetype: { name: 'Story' },
+      status: { name: 'To Do' }, parent: { key: 'ORD-1' }, customfield_10037: points }, team) });
+
+    createPIAnalysisSheet('PI 13', [processEpicData(flattenSelectFields_(epic), 'EMA Clinical')]
+      .concat([story('ORD-11', 8), story('ORD-12', 5)].map(child =>
+        processChildData(flattenSelectFields_(child), 'ORD-1', 'EMA Clinical'))), ['EMA Clinical']);
+    const values = harness.spreadsheet.getSheetByName('PI 13').getDataRange().getValues();
+    harness.global.createScrumTeamSummary(parsePISheetData(values, values[3]), 'PI 13', 'Ordernauts');
+
+    const sheet = harness.spreadsheet.getSheetByName('PI 13 - Ordernauts Summary');
+    const headerRow = findRow(sheet, 'All Epics for Planning') + 1;
+    assert.deepEqual(harness.plain(sheet.getRange(headerRow + 1, 15, 1, 3).getValues()[0]), ['13.2', '13.3', '13.3']);
+    assert.equal(sheet.getRange(headerRow + 1, 16).getBackground(), '#ffcccc');
+  });
+});
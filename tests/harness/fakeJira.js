@@ -0,0 +1,528 @@
+/**
+ * Fixture-driven fake JIRA Cloud, served through the UrlFetchApp fake.
+ *
+ * Supported endpoints:
+ *   POST/GET /rest/api/3/search/jql   (nextPageToken pagination)
+ *   POST/GET /rest/api/3/search       (legacy startAt/total pagination)
+ *   GET      /rest/api/3/field
+ *   GET      /rest/api/3/myself
+ *   GET/PUT  /rest/api/3/issue/{key}              (PUT takes "fields" and add/remove/set "update" operations)
+ *   GET      /rest/agile/1.0/board                (name/type filters, startAt/isLast pagination)
+ *   GET      /rest/agile/1.0/board/{id}/sprint    (state filter, startAt/isLast pagination)
+ *   GET      /rest/agile/1.0/sprint/{id}/issue    (startAt/total pagination)
+ *
+ * Every request is recorded in `requests`. Use `failNext` to queue error
+ * responses (e.g. 429 with Retry-After) ahead of the real handler, and
+ * `route` to add endpoints a test needs.
+ */
+
+'use strict';
+
+// ===== JQL =====
+
+const JQL_FIELD_ALIASES = {
+  issuetype: 'issuetype',
+  type: 'issuetype',
+  status: 'status',
+  project: 'project',
+  key: 'key',
+  issuekey: 'key',
+  parent: 'parent',
+  fixversion: 'fixVersions',
+  labels: 'labels',
+  summary: 'summary',
+  updated: 'updated',
+  created: 'created',
+  resolutiondate: 'resolutiondate'
+};
+
+/**
+ * Split a JQL string into tokens.
+ * @param {string} jql - Query
+ * @return {Array<Object>} [{type, value}]
+ */
+function tokenizeJql(jql) {
+  const tokens = [];
+  let i = 0;
+  while (i < jql.length) {
+    const ch = jql[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      let text = '';
+      while (j < jql.length && jql[j] !== ch) {
+        if (jql[j] === '\\') j++;
+        text += jql[j++];
+      }
+      tokens.push({ type: 'string', value: text });
+      i = j + 1;
+      continue;
+    }
+    if ('(),'.includes(ch)) { tokens.push({ type: ch, value: ch }); i++; continue; }
+    const op = /^(!=|>=|<=|!~|=|~|>|<)/.exec(jql.slice(i));
+    if (op) { tokens.push({ type: 'op', value: op[1] }); i += op[1].length; continue; }
+    const word = /^[^\s(),=!<>~"']+/.exec(jql.slice(i));
+    tokens.push({ type: 'word', value: word[0] });
+    i += word[0].length;
+  }
+  return tokens;
+}
+
+/**
+ * Compile JQL into a predicate over JIRA issue JSON.
+ * Supports AND/OR/NOT, parentheses, = != ~ !~ > >= < <=, IN / NOT IN,
+ * IS [NOT] EMPTY and cf[N] references. ORDER BY is ignored.
+ * @param {string} jql - Query
+ * @return {Function} issue => boolean
+ */
+function compileJql(jql) {
+  const text = (jql || '').replace(/\border\s+by\b[\s\S]*$/i, '').trim();
+  if (!text) return () => true;
+
+  const tokens = tokenizeJql(text);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isWord = (token, word) => token && token.type === 'word' && token.value.toUpperCase() === word;
+  const expect = type => {
+    const token = tokens[pos++];
+    if (!token || token.type !== type) throw new Error(`JQL parse error near token ${pos} in: ${jql}`);
+    return token;
+  };
+
+  const parseValue = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error(`JQL parse error: missing value in: ${jql}`);
+    if (token.type === 'word' && peek() && peek().type === '(') {
+      // Functions such as openSprints() or now() - evaluated as a marker
+      expect('(');
+      const args = [];
+      while (peek() && peek().type !== ')') {
+        args.push(parseValue());
+        if (peek() && peek().type === ',') pos++;
+      }
+      expect(')');
+      return { fn: token.value, args: args };
+    }
+    return token.value;
+  };
+
+  const parseList = () => {
+    expect('(');
+    const values = [];
+    while (peek() && peek().type !== ')') {
+      values.push(parseValue());
+      if (peek() && peek().type === ',') pos++;
+    }
+    expect(')');
+    return values;
+  };
+
+  const parseClause = () => {
+    if (peek() && peek().type === '(') {
+      pos++;
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    if (isWord(peek(), 'NOT')) {
+      pos++;
+      const inner = parseClause();
+      return issue => !inner(issue);
+    }
+
+    const field = expect('word').value;
+    const next = peek();
+
+    if (isWord(next, 'IS')) {
+      pos++;
+      const negate = isWord(peek(), 'NOT') ? (pos++, true) : false;
+      const word = expect('word').value.toUpperCase();
+      if (word !== 'EMPTY' && word !== 'NULL') throw new Error(`JQL: unsupported IS ${word}`);
+      return issue => {
+        const empty = resolveJqlField(issue, field).length === 0;
+        return negate ? !empty : empty;
+      };
+    }
+
+    if (isWord(next, 'IN') || (isWord(next, 'NOT') && isWord(tokens[pos + 1], 'IN'))) {
+      const negate = isWord(next, 'NOT');
+      pos += negate ? 2 : 1;
+      const values = parseList().map(v => String(v).toLowerCase());
+      return issue => {
+        const actual = resolveJqlField(issue, field).map(v => String(v).toLowerCase());
+        const hit = actual.some(v => values.includes(v));
+        return negate ? !hit : hit;
+      };
+    }
+
+    const op = expect('op').value;
+    const value = parseValue();
+    return issue => compareJql(resolveJqlField(issue, field), op, value);
+  };
+
+  const parseAnd = () => {
+    let left = parseClause();
+    while (isWord(peek(), 'AND')) {
+      pos++;
+      const right = parseClause();
+      const l = left;
+      left = issue => l(issue) && right(issue);
+    }
+    return left;
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (isWord(peek(), 'OR')) {
+      pos++;
+      const right = parseAnd();
+      const l = left;
+      left = issue => l(issue) || right(issue);
+    }
+    return left;
+  };
+
+  const predicate = parseOr();
+  if (pos !== tokens.length) throw new Error(`JQL parse error: unexpected "${tokens[pos].value}" in: ${jql}`);
+  return predicate;
+}
+
+/**
+ * Resolve a JQL field reference to a flat list of comparable values.
+ * @param {Object} issue - JIRA issue JSON
+ * @param {string} field - Field as written in the JQL
+ * @return {Array} Values (empty when unset)
+ */
+function resolveJqlField(issue, field) {
+  const cf = /^cf\[(\d+)\]$/i.exec(field);
+  const name = cf ? `customfield_${cf[1]}` : (JQL_FIELD_ALIASES[field.toLowerCase()] || field);
+  if (name === 'key') return [issue.key];
+
+  const raw = issue.fields ? issue.fields[name] : undefined;
+  const flatten = value => {
+    if (value === null || value === undefined || value === '') return [];
+    if (Array.isArray(value)) return value.flatMap(flatten);
+    if (typeof value === 'object') {
+      const label = value.value ?? value.name ?? value.key ?? value.id;
+      return label === undefined ? [] : [label];
+    }
+    return [value];
+  };
+  return flatten(raw);
+}
+
+/**
+ * Compare resolved values against a JQL operand.
+ * Dates compare on their ISO prefix, so "2025-10-01 08:00" works.
+ */
+function compareJql(actual, op, expected) {
+  if (expected && typeof expected === 'object') {
+    // Functions are not evaluated - treat them as "matches anything set"
+    return actual.length > 0;
+  }
+  const target = String(expected);
+  const normalise = v => {
+    const text = String(v);
+    return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.replace('T', ' ').substring(0, 16) : text;
+  };
+
+  switch (op) {
+    case '=': return actual.some(v => String(v).toLowerCase() === target.toLowerCase());
+    case '!=': return actual.length > 0 && actual.every(v => String(v).toLowerCase() !== target.toLowerCase());
+    case '~': return actual.some(v => String(v).toLowerCase().includes(target.toLowerCase()));
+    case '!~': return actual.every(v => !String(v).toLowerCase().includes(target.toLowerCase()));
+    case '>': return actual.some(v => normalise(v) > normalise(target));
+    case '>=': return actual.some(v => normalise(v) >= normalise(target));
+    case '<': return actual.some(v => normalise(v) < normalise(target));
+    case '<=': return actual.some(v => normalise(v) <= normalise(target));
+    default: throw new Error(`JQL: unsupported operator ${op}`);
+  }
+}
+
+// ===== HTTP =====
+
+class FakeHttpResponse {
+  constructor(code, body, headers) {
+    this.code = code;
+    this.text = body === undefined || body === null ? '' : (typeof body === 'string' ? body : JSON.stringify(body));
+    this.headers = headers || {};
+  }
+
+  getResponseCode() { return this.code; }
+  getContentText() { return this.text; }
+  getHeaders() { return Object.assign({}, this.headers); }
+  getAllHeaders() { return Object.assign({}, this.headers); }
+  getBlob() { return { getDataAsString: () => this.text, getBytes: () => [...Buffer.from(this.text)] }; }
+}
+
+class FakeJira {
+  /**
+   * @param {Object} options - {issues: Array, fields: Array, baseUrl}
+   */
+  constructor(options) {
+    options = options || {};
+    this.baseUrl = options.baseUrl || 'https://fake.atlassian.net';
+    this.issues = new Map();
+    this.fields = options.fields || [];
+    this.requests = [];
+    this.failures = [];
+    this.routes = [];
+    this.boards = [];
+    this.sprints = new Map();
+    this.pageSizeLimit = options.pageSizeLimit || 100;
+    (options.issues || []).forEach(issue => this.addIssue(issue));
+    this.registerDefaultRoutes_();
+  }
+
+  addIssue(issue) {
+    const copy = JSON.parse(JSON.stringify(issue));
+    copy.id = copy.id || String(10000 + this.issues.size);
+    copy.fields = copy.fields || {};
+    this.issues.set(copy.key, copy);
+    return copy;
+  }
+
+  removeIssue(key) {
+    this.issues.delete(key);
+  }
+
+  getIssue(key) {
+    return this.issues.get(key) || null;
+  }
+
+  /**
+   * Add an Agile board
+   * @param {Object} board - {id, name, type}
+   */
+  addBoard(board) {
+    this.boards.push(Object.assign({ type: 'scrum' }, board));
+    return this;
+  }
+
+  /**
+   * Add a sprint to a board
+   * @param {number} boardId - Board ID
+   * @param {Object} sprint - {id, name, state, startDate, endDate, completeDate}
+   * @param {Array<string>} [issueKeys] - Issues in the sprint
+   */
+  addSprint(boardId, sprint, issueKeys) {
+    this.sprints.set(sprint.id, Object.assign({ originBoardId: boardId }, sprint, { issueKeys: issueKeys || [] }));
+    return this;
+  }
+
+  /**
+   * Change a sprint's state or issues (e.g. close it)
+   * @param {number} sprintId - Sprint ID
+   * @param {Object} changes - Sprint properties and/or issueKeys
+   */
+  updateSprint(sprintId, changes) {
+    Object.assign(this.sprints.get(sprintId), changes);
+    return this;
+  }
+
+  /**
+   * Queue an error response for the next matching request(s)
+   * @param {number} code - HTTP status
+   * @param {Object} [options] - {count, headers, body, match: RegExp on path}
+   */
+  failNext(code, options) {
+    options = options || {};
+    this.failures.push({
+      code: code,
+      remaining: options.count || 1,
+      headers: options.headers || {},
+      body: options.body || { errorMessages: [`Simulated HTTP ${code}`] },
+      match: options.match || null
+    });
+    return this;
+  }
+
+  /**
+   * Register an extra endpoint
+   * @param {string} method - HTTP method
+   * @param {RegExp} pattern - Path pattern (query string excluded)
+   * @param {Function} handler - (request, match) => {code, body, headers}
+   */
+  route(method, pattern, handler) {
+    this.routes.unshift({ method: method.toUpperCase(), pattern: pattern, handler: handler });
+    return this;
+  }
+
+  search(jql, options) {
+    const predicate = compileJql(jql);
+    return [...this.issues.values()].filter(issue => predicate(issue)).map(issue => projectFields(issue, options.fields));
+  }
+
+  registerDefaultRoutes_() {
+    const searchJql = request => {
+      const params = request.method === 'GET' ? request.query : (request.body || {});
+      const maxResults = Math.min(parseInt(params.maxResults || 50, 10), this.pageSizeLimit);
+      const start = params.nextPageToken ? parseInt(params.nextPageToken, 10) : 0;
+      const matches = this.search(params.jql, { fields: splitFields(params.fields) });
+      const page = matches.slice(start, start + maxResults);
+      const next = start + page.length;
+      const body = { issues: page, isLast: next >= matches.length };
+      if (next < matches.length) body.nextPageToken = String(next);
+      return { code: 200, body: body };
+    };
+
+    const searchLegacy = request => {
+      const params = request.method === 'GET' ? request.query : (request.body || {});
+      const maxResults = Math.min(parseInt(params.maxResults || 50, 10), this.pageSizeLimit);
+      const startAt = parseInt(params.startAt || 0, 10);
+      const matches = this.search(params.jql, { fields: splitFields(params.fields) });
+      return {
+        code: 200,
+        body: { startAt: startAt, maxResults: maxResults, total: matches.length, issues: matches.slice(startAt, startAt + maxResults) }
+      };
+    };
+
+    this.route('POST', /^\/rest\/api\/3\/search\/jql$/, searchJql);
+    this.route('GET', /^\/rest\/api\/3\/search\/jql$/, searchJql);
+    this.route('POST', /^\/rest\/api\/[23]\/search$/, searchLegacy);
+    this.route('GET', /^\/rest\/api\/[23]\/search$/, searchLegacy);
+    this.route('GET', /^\/rest\/api\/3\/field$/, () => ({ code: 200, body: this.fields }));
+    this.route('GET', /^\/rest\/api\/3\/myself$/, () => ({ code: 200, body: { accountId: 'fake-account', emailAddress: 'tester@example.com', displayName: 'Test User' } }));
+
+    this.route('GET', /^\/rest\/api\/[23]\/issue\/([A-Z][A-Z0-9]*-\d+)$/, (request, match) => {
+      const issue = this.getIssue(match[1]);
+      if (!issue) return { code: 404, body: { errorMessages: ['Issue does not exist or you do not have permission to see it.'] } };
+      return { code: 200, body: projectFields(issue, splitFields(request.query.fields)) };
+    });
+
+    const agilePage = (request, values) => {
+      const startAt = parseInt(request.query.startAt || 0, 10);
+      const maxResults = Math.min(parseInt(request.query.maxResults || 50, 10), this.pageSizeLimit);
+      const page = values.slice(startAt, startAt + maxResults);
+      return { startAt: startAt, maxResults: maxResults, isLast: startAt + page.length >= values.length, values: page };
+    };
+
+    this.route('GET', /^\/rest\/agile\/1\.0\/board$/, request => {
+      const name = (request.query.name || '').toLowerCase();
+      const boards = this.boards.filter(board =>
+        board.name.toLowerCase().includes(name) && (!request.query.type || board.type === request.query.type));
+      return { code: 200, body: agilePage(request, boards) };
+    });
+
+    this.route('GET', /^\/rest\/agile\/1\.0\/board\/(\d+)\/sprint$/, (request, match) => {
+      const states = request.query.state ? request.query.state.split(',') : null;
+      const sprints = [...this.sprints.values()]
+        .filter(sprint => sprint.originBoardId === parseInt(match[1], 10) && (!states || states.includes(sprint.state)))
+        .map(({ issueKeys, ...sprint }) => sprint);
+      return { code: 200, body: agilePage(request, sprints) };
+    });
+
+    this.route('GET', /^\/rest\/agile\/1\.0\/sprint\/(\d+)\/issue$/, (request, match) => {
+      const sprint = this.sprints.get(parseInt(match[1], 10));
+      if (!sprint) return { code: 404, body: { errorMessages: ['Sprint does not exist'] } };
+      const issues = sprint.issueKeys.map(key => this.getIssue(key)).filter(Boolean)
+        .map(issue => projectFields(issue, splitFields(request.query.fields)));
+      const startAt = parseInt(request.query.startAt || 0, 10);
+      const maxResults = Math.min(parseInt(request.query.maxResults || 50, 10), this.pageSizeLimit);
+      return { code: 200, body: { startAt: startAt, maxResults: maxResults, total: issues.length, issues: issues.slice(startAt, startAt + maxResults) } };
+    });
+
+    this.route('PUT', /^\/rest\/api\/[23]\/issue\/([A-Z][A-Z0-9]*-\d+)$/, (request, match) => {
+      const issue = this.getIssue(match[1]);
+      if (!issue) return { code: 404, body: { errorMessages: ['Issue does not exist or you do not have permission to see it.'] } };
+      const fields = (request.body && request.body.fields) || {};
+      Object.keys(fields).forEach(name => { issue.fields[name] = JSON.parse(JSON.stringify(fields[name])); });
+      // "update" operations on multi-value fields: [{add: value}, {remove: value}, {set: values}]
+      const update = (request.body && request.body.update) || {};
+      Object.keys(update).forEach(name => update[name].forEach(operation => {
+        const values = issue.fields[name] || [];
+        const sameValue = other => value => (other.id && value.id === other.id) || (other.name && value.name === other.name);
+        if (operation.set) issue.fields[name] = JSON.parse(JSON.stringify(operation.set));
+        if (operation.add && !values.some(sameValue(operation.add))) issue.fields[name] = values.concat([JSON.parse(JSON.stringify(operation.add))]);
+        if (operation.remove) issue.fields[name] = values.filter(value => !sameValue(operation.remove)(value));
+      }));
+      issue.fields.updated = new Date().toISOString();
+      return { code: 204, body: null };
+    });
+  }
+
+  /**
+   * Handle one UrlFetchApp request
+   * @param {string} url - Full URL
+   * @param {Object} params - UrlFetchApp params
+   * @return {FakeHttpResponse} Response
+   */
+  handle(url, params) {
+    params = params || {};
+    const parsed = new URL(url);
+    const method = (params.method || 'GET').toUpperCase();
+    let body = params.payload;
+    if (typeof body === 'string' && body) {
+      try { body = JSON.parse(body); } catch (e) { /* leave as text */ }
+    }
+    const request = {
+      method: method,
+      url: url,
+      path: parsed.pathname,
+      query: Object.fromEntries(parsed.searchParams),
+      headers: params.headers || {},
+      body: body || null
+    };
+    this.requests.push(request);
+
+    const failure = this.failures.find(f => !f.match || f.match.test(request.path));
+    if (failure) {
+      failure.remaining--;
+      if (failure.remaining <= 0) this.failures.splice(this.failures.indexOf(failure), 1);
+      return this.respond_(params, failure.code, failure.body, failure.headers);
+    }
+
+    const route = this.routes.find(r => r.method === method && r.pattern.test(request.path));
+    if (!route) {
+      return this.respond_(params, 404, { errorMessages: [`Fake JIRA has no route for ${method} ${request.path}`] });
+    }
+    const result = route.handler(request, request.path.match(route.pattern));
+    return this.respond_(params, result.code, result.body, result.headers);
+  }
+
+  respond_(params, code, body, headers) {
+    const response = new FakeHttpResponse(code, body, headers);
+    if (code >= 400 && !params.muteHttpExceptions) {
+      throw new Error(`Request failed for ${this.baseUrl} returned code ${code}. Truncated server response: ${response.getContentText().substring(0, 100)}`);
+    }
+    return response;
+  }
+}
+
+function splitFields(fields) {
+  if (!fields) return null;
+  const list = Array.isArray(fields) ? fields : String(fields).split(',');
+  const trimmed = list.map(f => f.trim()).filter(Boolean);
+  return trimmed.length === 0 || trimmed.includes('*all') ? null : trimmed;
+}
+
+function projectFields(issue, fields) {
+  const copy = JSON.parse(JSON.stringify(issue));
+  if (fields) {
+    copy.fields = Object.fromEntries(Object.entries(copy.fields).filter(([name]) => fields.includes(name)));
+  }
+  return copy;
+}
+
+/**
+ * Build the UrlFetchApp global that routes to a FakeJira
+ * @param {FakeJira} jira - Fake server
+ * @return {Object} UrlFetchApp fake
+ */
+function createUrlFetchApp(jira) {
+  return {
+    fetch: (url, params) => jira.handle(url, params),
+    fetchAll: requests => requests.map(request => {
+      const params = Object.assign({}, request);
+      delete params.url;
+      return jira.handle(request.url, params);
+    })
+  };
+}
+
+module.exports = {
+  FakeJira,
+  FakeHttpResponse,
+  compileJql,
+  createUrlFetchApp
+};
@@ -0,0 +1,453 @@
+/**
+ * In-memory fakes for the non-spreadsheet Apps Script services:
+ * CacheService, PropertiesService, DriveApp, Utilities, Session, ScriptApp,
+ * HtmlService, Charts, LockService, MailApp and Logger.
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+// ===== CACHE SERVICE =====
+
+/**
+ * Script cache with Apps Script's limits (100KB per value, 6 hour max TTL)
+ * @param {Function} now - Clock, so tests can expire entries
+ */
+class FakeCache {
+  constructor(now) {
+    this.now = now;
+    this.entries = new Map();
+  }
+
+  alive_(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  get(key) {
+    const entry = this.alive_(key);
+    return entry ? entry.value : null;
+  }
+
+  getAll(keys) {
+    const out = {};
+    keys.forEach(key => {
+      const value = this.get(key);
+      if (value !== null) out[key] = value;
+    });
+    return out;
+  }
+
+  put(key, value, seconds) {
+    const text = String(value);
+    if (text.length > 100 * 1024) {
+      throw new Error(`Argument too large: value (${key})`);
+    }
+    const ttl = Math.min(seconds || 600, 21600);
+    this.entries.set(key, { value: text, expiresAt: this.now() + ttl * 1000 });
+  }
+
+  putAll(values, seconds) {
+    Object.keys(values).forEach(key => this.put(key, values[key], seconds));
+  }
+
+  remove(key) {
+    this.entries.delete(key);
+  }
+
+  removeAll(keys) {
+    keys.forEach(key => this.entries.delete(key));
+  }
+}
+
+// ===== PROPERTIES SERVICE =====
+
+class FakeProperties {
+  constructor() {
+    this.store = new Map();
+  }
+
+  getProperty(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+
+  getProperties() {
+    return Object.fromEntries(this.store);
+  }
+
+  getKeys() {
+    return [...this.store.keys()];
+  }
+
+  setProperty(key, value) {
+    const text = String(value);
+    if (text.length > 9 * 1024) {
+      throw new Error(`Argument too large: value (${key})`);
+    }
+    this.store.set(key, text);
+    return this;
+  }
+
+  setProperties(values, deleteAllOthers) {
+    if (deleteAllOthers) this.store.clear();
+    Object.keys(values).forEach(key => this.setProperty(key, values[key]));
+    return this;
+  }
+
+  deleteProperty(key) {
+    this.store.delete(key);
+    return this;
+  }
+
+  deleteAllProperties() {
+    this.store.clear();
+    return this;
+  }
+}
+
+// ===== DRIVE APP =====
+
+/**
+ * Plain-text files in folders; enough of DriveApp for the cache store
+ */
+class FakeDrive {
+  constructor() {
+    this.folders = new Map();
+    this.files = new Map();
+    this.nextId = 1;
+  }
+
+  iterator_(items) {
+    let index = 0;
+    return {
+      hasNext: () => index < items.length,
+      next: () => items[index++]
+    };
+  }
+
+  liveFiles_(folderId) {
+    return [...this.files.values()].filter(file => file.state.folderId === folderId && !file.state.trashed);
+  }
+
+  makeFile_(folderId, name, content, mimeType) {
+    const drive = this;
+    const state = {
+      id: `file-${this.nextId++}`, folderId: folderId, name: name, content: String(content),
+      mimeType: mimeType || 'text/plain', description: null, trashed: false, updated: new Date()
+    };
+    const file = {
+      state: state,
+      getId: () => state.id,
+      getName: () => state.name,
+      getMimeType: () => state.mimeType,
+      getSize: () => Buffer.byteLength(state.content),
+      getLastUpdated: () => state.updated,
+      getBlob: () => new FakeBlob(Buffer.from(state.content), state.mimeType, state.name),
+      setContent: content => { state.content = String(content); state.updated = new Date(); return file; },
+      getDescription: () => state.description,
+      setDescription: description => { state.description = description; return file; },
+      isTrashed: () => state.trashed,
+      setTrashed: trashed => { state.trashed = !!trashed; return file; }
+    };
+    drive.files.set(state.id, file);
+    return file;
+  }
+
+  createFolder(name) {
+    const drive = this;
+    const state = { id: `folder-${this.nextId++}`, name: name, trashed: false };
+    const folder = {
+      state: state,
+      getId: () => state.id,
+      getName: () => state.name,
+      isTrashed: () => state.trashed,
+      setTrashed: trashed => { state.trashed = !!trashed; return folder; },
+      createFile: (fileName, content, mimeType) => drive.makeFile_(state.id, fileName, content, mimeType),
+      getFiles: () => drive.iterator_(drive.liveFiles_(state.id)),
+      getFilesByName: fileName => drive.iterator_(drive.liveFiles_(state.id).filter(file => file.getName() === fileName))
+    };
+    this.folders.set(state.id, folder);
+    return folder;
+  }
+
+  getFolderById(id) {
+    const folder = this.folders.get(id);
+    if (!folder) throw new Error(`No item with the given ID could be found: ${id}`);
+    return folder;
+  }
+
+  getFileById(id) {
+    const file = this.files.get(id);
+    if (!file) throw new Error(`No item with the given ID could be found: ${id}`);
+    return file;
+  }
+}
+
+// ===== UTILITIES =====
+
+class FakeBlob {
+  constructor(bytes, contentType, name) {
+    this.bytes = Buffer.from(bytes);
+    this.contentType = contentType || null;
+    this.name = name || null;
+  }
+
+  getBytes() { return [...this.bytes].map(b => (b > 127 ? b - 256 : b)); }
+  getDataAsString() { return this.bytes.toString('utf8'); }
+  getContentType() { return this.contentType; }
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+}
+
+/**
+ * Convert Apps Script's signed byte arrays (or strings) to a Buffer
+ * @param {Array<number>|string|Buffer} data - Input
+ * @return {Buffer} Bytes
+ */
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) return data;
+  if (typeof data === 'string') return Buffer.from(data, 'utf8');
+  return Buffer.from(data.map(b => (b < 0 ? b + 256 : b)));
+}
+
+/**
+ * Format a date with the subset of Java SimpleDateFormat tokens the project uses.
+ * Only UTC and fixed-offset zones are supported; the fake Session reports UTC.
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - Ignored beyond UTC
+ * @param {string} pattern - e.g. 'yyyy-MM-dd HH:mm:ss', 'MMM dd, yyyy'
+ * @return {string} Formatted date
+ */
+function formatDate(date, timeZone, pattern) {
+  // Dates come from the vm realm, so instanceof Date can't be used
+  if (Object.prototype.toString.call(date) !== '[object Date]' || isNaN(date.getTime())) {
+    throw new Error('Invalid argument: date');
+  }
+  const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  const pad = (n, width) => String(n).padStart(width, '0');
+  const parts = {
+    yyyy: () => String(date.getUTCFullYear()),
+    yy: () => pad(date.getUTCFullYear() % 100, 2),
+    MMMM: () => months[date.getUTCMonth()],
+    MMM: () => months[date.getUTCMonth()].substring(0, 3),
+    MM: () => pad(date.getUTCMonth() + 1, 2),
+    M: () => String(date.getUTCMonth() + 1),
+    dd: () => pad(date.getUTCDate(), 2),
+    d: () => String(date.getUTCDate()),
+    EEEE: () => days[date.getUTCDay()],
+    EEE: () => days[date.getUTCDay()].substring(0, 3),
+    HH: () => pad(date.getUTCHours(), 2),
+    H: () => String(date.getUTCHours()),
+    hh: () => pad(date.getUTCHours() % 12 || 12, 2),
+    h: () => String(date.getUTCHours() % 12 || 12),
+    mm: () => pad(date.getUTCMinutes(), 2),
+    ss: () => pad(date.getUTCSeconds(), 2),
+    a: () => (date.getUTCHours() < 12 ? 'AM' : 'PM'),
+    z: () => 'UTC'
+  };
+  return pattern.replace(/'([^']*)'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|ss|a|z/g,
+    (token, literal) => (literal !== undefined ? literal : parts[token]()));
+}
+
+function createUtilities() {
+  return {
+    Charset: { UTF_8: 'UTF-8' },
+    formatDate: formatDate,
+    sleep: () => undefined,
+    getUuid: () => crypto.randomUUID(),
+    base64Encode: data => toBuffer(data).toString('base64'),
+    base64EncodeWebSafe: data => toBuffer(data).toString('base64url'),
+    base64Decode: text => [...Buffer.from(text, 'base64')].map(b => (b > 127 ? b - 256 : b)),
+    base64DecodeWebSafe: text => [...Buffer.from(text, 'base64url')].map(b => (b > 127 ? b - 256 : b)),
+    newBlob: (data, contentType, name) => new FakeBlob(toBuffer(data), contentType, name),
+    gzip: (blob, name) => new FakeBlob(zlib.gzipSync(blob.bytes), 'application/x-gzip', name || blob.name),
+    ungzip: blob => new FakeBlob(zlib.gunzipSync(blob.bytes), null, blob.name),
+    computeDigest: (algorithm, value) => [...crypto.createHash(String(algorithm).replace('_', '').toLowerCase())
+      .update(toBuffer(value)).digest()].map(b => (b > 127 ? b - 256 : b)),
+    DigestAlgorithm: { MD5: 'MD5', SHA_1: 'SHA_1', SHA_256: 'SHA_256' },
+    jsonStringify: value => JSON.stringify(value),
+    jsonParse: text => JSON.parse(text)
+  };
+}
+
+// ===== SCRIPT APP (TRIGGERS) =====
+
+function createScriptApp() {
+  const triggers = [];
+  let nextId = 1;
+
+  const makeTrigger = (handler, spec) => {
+    const trigger = {
+      id: `trigger-${nextId++}`,
+      handler: handler,
+      spec: spec,
+      getHandlerFunction: () => handler,
+      getUniqueId: () => trigger.id,
+      getEventType: () => spec.eventType || 'CLOCK',
+      getTriggerSource: () => 'CLOCK'
+    };
+    return trigger;
+  };
+
+  const newTrigger = handler => {
+    const spec = {};
+    const builder = {
+      timeBased: () => builder,
+      everyMinutes: n => { spec.everyMinutes = n; return builder; },
+      everyHours: n => { spec.everyHours = n; return builder; },
+      everyDays: n => { spec.everyDays = n; return builder; },
+      everyWeeks: n => { spec.everyWeeks = n; return builder; },
+      atHour: n => { spec.atHour = n; return builder; },
+      nearMinute: n => { spec.nearMinute = n; return builder; },
+      onWeekDay: day => { spec.onWeekDay = day; return builder; },
+      after: ms => { spec.after = ms; return builder; },
+      at: date => { spec.at = date; return builder; },
+      inTimezone: tz => { spec.timeZone = tz; return builder; },
+      forSpreadsheet: () => builder,
+      onOpen: () => { spec.eventType = 'ON_OPEN'; return builder; },
+      onEdit: () => { spec.eventType = 'ON_EDIT'; return builder; },
+      create: () => {
+        const trigger = makeTrigger(handler, spec);
+        triggers.push(trigger);
+        return trigger;
+      }
+    };
+    return builder;
+  };
+
+  return {
+    triggers: triggers,
+    WeekDay: { MONDAY: 'MONDAY', TUESDAY: 'TUESDAY', WEDNESDAY: 'WEDNESDAY', THURSDAY: 'THURSDAY',
+      FRIDAY: 'FRIDAY', SATURDAY: 'SATURDAY', SUNDAY: 'SUNDAY' },
+    EventType: { CLOCK: 'CLOCK', ON_OPEN: 'ON_OPEN', ON_EDIT: 'ON_EDIT' },
+    AuthMode: { FULL: 'FULL', LIMITED: 'LIMITED', NONE: 'NONE' },
+    getProjectTriggers: () => triggers.slice(),
+    deleteTrigger: trigger => {
+      const index = triggers.indexOf(trigger);
+      if (index !== -1) triggers.splice(index, 1);
+    },
+    newTrigger: newTrigger,
+    getScriptId: () => 'fake-script-id',
+    getService: () => ({ getUrl: () => 'https://script.google.com/fake/exec' })
+  };
+}
+
+// ===== HTML / CHARTS / MISC =====
+
+function createHtmlService() {
+  const output = html => {
+    const state = { html: html || '', title: '', width: 0, height: 0 };
+    const result = {
+      state: state,
+      getContent: () => state.html,
+      setContent: content => { state.html = content; return result; },
+      append: content => { state.html += content; return result; },
+      setTitle: title => { state.title = title; return result; },
+      setWidth: w => { state.width = w; return result; },
+      setHeight: h => { state.height = h; return result; },
+      setSandboxMode: () => result,
+      setXFrameOptionsMode: () => result,
+      evaluate: () => result
+    };
+    return result;
+  };
+
+  return {
+    SandboxMode: { IFRAME: 'IFRAME' },
+    XFrameOptionsMode: { ALLOWALL: 'ALLOWALL' },
+    createHtmlOutput: output,
+    createHtmlOutputFromString: output,
+    createHtmlOutputFromFile: name => output(`<!-- ${name} -->`),
+    createTemplateFromFile: name => ({ evaluate: () => output(`<!-- ${name} -->`) })
+  };
+}
+
+function createCharts() {
+  return {
+    ChartType: { PIE: 'PIE', BAR: 'BAR', COLUMN: 'COLUMN', LINE: 'LINE', AREA: 'AREA', COMBO: 'COMBO', TABLE: 'TABLE', SCATTER: 'SCATTER' },
+    Position: { TOP: 'TOP', BOTTOM: 'BOTTOM', RIGHT: 'RIGHT', NONE: 'NONE' }
+  };
+}
+
+function createLockService() {
+  const lock = {
+    tryLock: () => true,
+    waitLock: () => undefined,
+    releaseLock: () => undefined,
+    hasLock: () => true
+  };
+  return {
+    getScriptLock: () => lock,
+    getDocumentLock: () => lock,
+    getUserLock: () => lock
+  };
+}
+
+/**
+ * Build every non-spreadsheet service.
+ * @param {Object} options - {now: Function returning ms, userEmail}
+ * @return {Object} Globals keyed by service name
+ */
+function createServices(options) {
+  const now = options.now;
+  const scriptCache = new FakeCache(now);
+  const userCache = new FakeCache(now);
+  const documentCache = new FakeCache(now);
+  const scriptProperties = new FakeProperties();
+  const userProperties = new FakeProperties();
+  const documentProperties = new FakeProperties();
+  const sentMail = [];
+  const logs = [];
+
+  return {
+    CacheService: {
+      getScriptCache: () => scriptCache,
+      getUserCache: () => userCache,
+      getDocumentCache: () => documentCache
+    },
+    PropertiesService: {
+      getScriptProperties: () => scriptProperties,
+      getUserProperties: () => userProperties,
+      getDocumentProperties: () => documentProperties
+    },
+    Utilities: createUtilities(),
+    Session: {
+      getScriptTimeZone: () => 'UTC',
+      getEffectiveUser: () => ({ getEmail: () => options.userEmail }),
+      getActiveUser: () => ({ getEmail: () => options.userEmail }),
+      getTemporaryActiveUserKey: () => 'fake-user-key'
+    },
+    DriveApp: new FakeDrive(),
+    ScriptApp: createScriptApp(),
+    HtmlService: createHtmlService(),
+    Charts: createCharts(),
+    LockService: createLockService(),
+    MailApp: {
+      sent: sentMail,
+      sendEmail: (...args) => { sentMail.push(args.length === 1 ? args[0] : args); },
+      getRemainingDailyQuota: () => 100
+    },
+    Logger: {
+      logs: logs,
+      log: (...args) => { logs.push(args.join(' ')); }
+    }
+  };
+}
+
+module.exports = {
+  FakeCache,
+  FakeProperties,
+  FakeBlob,
+  FakeDrive,
+  createServices,
+  formatDate
+};
@@ -0,0 +1,504 @@
+/**
+ * In-memory fake of the SpreadsheetApp surface used by the PLANNING Tool.
+ *
+ * Only values, formulas, notes and backgrounds are stored. Every other
+ * formatting call (fonts, borders, widths...) is accepted and ignored so
+ * report code runs unchanged. Unknown methods on Range/Sheet are chainable
+ * no-ops; that keeps the fakes small while the project keeps growing.
+ */
+
+'use strict';
+
+/**
+ * Wrap an object so unknown method calls return the object itself.
+ * @param {Object} target - Object with the methods we care about
+ * @return {Proxy} Chainable proxy
+ */
+function chainable(target) {
+  const proxy = new Proxy(target, {
+    get(obj, prop) {
+      if (prop in obj) return obj[prop];
+      if (typeof prop === 'symbol' || prop === 'then' || prop === 'toJSON') return undefined;
+      return () => proxy;
+    }
+  });
+  return proxy;
+}
+
+/**
+ * Convert column letters to a 1-based column number.
+ * @param {string} letters - e.g. "A", "AB"
+ * @return {number} Column number
+ */
+function columnFromLetters(letters) {
+  return letters.toUpperCase().split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+}
+
+/**
+ * Convert a 1-based column number to letters.
+ * @param {number} column - Column number
+ * @return {string} Column letters
+ */
+function lettersFromColumn(column) {
+  let letters = '';
+  while (column > 0) {
+    const rem = (column - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    column = Math.floor((column - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Parse an A1 reference ("B3" or "A1:C4") into row/column bounds.
+ * @param {string} a1 - A1 notation
+ * @return {Object} {row, column, numRows, numColumns}
+ */
+function parseA1(a1) {
+  const parts = a1.replace(/\$/g, '').split(':');
+  const parseCell = ref => {
+    const match = ref.match(/^([A-Za-z]+)(\d+)$/);
+    if (!match) throw new Error(`Unsupported A1 reference: ${a1}`);
+    return { row: parseInt(match[2], 10), column: columnFromLetters(match[1]) };
+  };
+  const start = parseCell(parts[0]);
+  const end = parts[1] ? parseCell(parts[1]) : start;
+  return {
+    row: start.row,
+    column: start.column,
+    numRows: end.row - start.row + 1,
+    numColumns: end.column - start.column + 1
+  };
+}
+
+/**
+ * Display label of a HYPERLINK formula, so getValue() matches Sheets.
+ * @param {string} formula - Cell formula
+ * @return {string|null} Label, or null when not a simple HYPERLINK
+ */
+function hyperlinkLabel(formula) {
+  const match = /^=HYPERLINK\("[^"]*"\s*,\s*"([^"]*)"\)$/i.exec(formula || '');
+  return match ? match[1] : null;
+}
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+    return chainable(this);
+  }
+
+  forEachCell_(fn) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        fn(this.row + r, this.column + c, r, c);
+      }
+    }
+  }
+
+  grid_(fn) {
+    const out = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const line = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        line.push(fn(this.sheet.cell_(this.row + r, this.column + c)));
+      }
+      out.push(line);
+    }
+    return out;
+  }
+
+  checkShape_(values, what) {
+    if (!Array.isArray(values) || values.length !== this.numRows ||
+        values.some(line => !Array.isArray(line) || line.length !== this.numColumns)) {
+      throw new Error(`${what}: expected ${this.numRows}x${this.numColumns} array for ${this.getA1Notation()}`);
+    }
+  }
+
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getLastRow() { return this.row + this.numRows - 1; }
+  getLastColumn() { return this.column + this.numColumns - 1; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+  getSheet() { return this.sheet; }
+
+  getA1Notation() {
+    const start = `${lettersFromColumn(this.column)}${this.row}`;
+    if (this.numRows === 1 && this.numColumns === 1) return start;
+    return `${start}:${lettersFromColumn(this.getLastColumn())}${this.getLastRow()}`;
+  }
+
+  getValue() { return this.getValues()[0][0]; }
+  getValues() { return this.grid_(cell => (cell ? cell.value : '')); }
+  getDisplayValue() { return String(this.getValue()); }
+  getDisplayValues() { return this.grid_(cell => String(cell ? cell.value : '')); }
+  getFormula() { return this.getFormulas()[0][0]; }
+  getFormulas() { return this.grid_(cell => (cell && cell.formula) || ''); }
+  getBackground() { return this.getBackgrounds()[0][0]; }
+  getBackgrounds() { return this.grid_(cell => (cell && cell.background) || '#ffffff'); }
+  getNote() { return this.getNotes()[0][0]; }
+  getNotes() { return this.grid_(cell => (cell && cell.note) || ''); }
+
+  setValue(value) {
+    this.forEachCell_((r, c) => this.sheet.write_(r, c, { value: value, formula: '' }));
+    return this;
+  }
+
+  setValues(values) {
+    this.checkShape_(values, 'setValues');
+    this.forEachCell_((r, c, i, j) => this.sheet.write_(r, c, { value: values[i][j], formula: '' }));
+    return this;
+  }
+
+  setFormula(formula) {
+    this.forEachCell_((r, c) => this.sheet.write_(r, c, { formula: formula, value: hyperlinkLabel(formula) ?? formula }));
+    return this;
+  }
+
+  setFormulas(formulas) {
+    this.checkShape_(formulas, 'setFormulas');
+    this.forEachCell_((r, c, i, j) => {
+      const formula = formulas[i][j];
+      this.sheet.write_(r, c, { formula: formula, value: hyperlinkLabel(formula) ?? formula });
+    });
+    return this;
+  }
+
+  setRichTextValue(richText) {
+    this.forEachCell_((r, c) => this.sheet.write_(r, c, { value: richText.getText(), formula: '', link: richText.getLinkUrl() }));
+    return this;
+  }
+
+  setBackground(color) {
+    this.forEachCell_((r, c) => this.sheet.write_(r, c, { background: color }));
+    return this;
+  }
+
+  setBackgrounds(colors) {
+    this.checkShape_(colors, 'setBackgrounds');
+    this.forEachCell_((r, c, i, j) => this.sheet.write_(r, c, { background: colors[i][j] }));
+    return this;
+  }
+
+  setNote(note) {
+    this.forEachCell_((r, c) => this.sheet.write_(r, c, { note: note }));
+    return this;
+  }
+
+  insertCheckboxes() {
+    this.forEachCell_((r, c) => {
+      const cell = this.sheet.cell_(r, c);
+      this.sheet.write_(r, c, { checkbox: true, value: cell && cell.value === true });
+    });
+    return this;
+  }
+
+  clear() {
+    this.forEachCell_((r, c) => this.sheet.cells.delete(`${r},${c}`));
+    return this;
+  }
+
+  clearContent() {
+    this.forEachCell_((r, c) => this.sheet.write_(r, c, { value: '', formula: '' }));
+    return this;
+  }
+}
+
+class FakeSheet {
+  constructor(spreadsheet, name, id) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.id = id;
+    this.cells = new Map();
+    this.charts = [];
+    this.hidden = false;
+    this.frozenRows = 0;
+    this.rowHeights = {};
+    return chainable(this);
+  }
+
+  cell_(row, column) {
+    return this.cells.get(`${row},${column}`);
+  }
+
+  write_(row, column, patch) {
+    const key = `${row},${column}`;
+    this.cells.set(key, Object.assign({ value: '' }, this.cells.get(key), patch));
+  }
+
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getSheetId() { return this.id; }
+  getParent() { return this.spreadsheet; }
+  isSheetHidden() { return this.hidden; }
+  hideSheet() { this.hidden = true; return this; }
+  showSheet() { this.hidden = false; return this; }
+  setFrozenRows(rows) { this.frozenRows = rows; return this; }
+  getFrozenRows() { return this.frozenRows; }
+  getFilter() { return null; }
+
+  getRange(rowOrA1, column, numRows, numColumns) {
+    if (typeof rowOrA1 === 'string') {
+      const a1 = parseA1(rowOrA1);
+      return new FakeRange(this, a1.row, a1.column, a1.numRows, a1.numColumns);
+    }
+    if (!(rowOrA1 >= 1) || !(column >= 1) || (numRows !== undefined && numRows < 1) || (numColumns !== undefined && numColumns < 1)) {
+      throw new Error(`Invalid range (${rowOrA1}, ${column}, ${numRows}, ${numColumns}) on "${this.name}"`);
+    }
+    return new FakeRange(this, rowOrA1, column, numRows || 1, numColumns || 1);
+  }
+
+  contentCells_() {
+    return [...this.cells.entries()]
+      .filter(([, cell]) => cell.value !== '' && cell.value !== null && cell.value !== undefined || cell.formula)
+      .map(([key]) => key.split(',').map(Number));
+  }
+
+  getLastRow() {
+    return this.contentCells_().reduce((max, [r]) => Math.max(max, r), 0);
+  }
+
+  getLastColumn() {
+    return this.contentCells_().reduce((max, [, c]) => Math.max(max, c), 0);
+  }
+
+  getMaxRows() { return Math.max(1000, this.getLastRow()); }
+  getMaxColumns() { return Math.max(26, this.getLastColumn()); }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  clear() {
+    this.cells.clear();
+    return this;
+  }
+
+  clearContents() {
+    this.cells.forEach(cell => { cell.value = ''; cell.formula = ''; });
+    return this;
+  }
+
+  clearNotes() {
+    this.cells.forEach(cell => { delete cell.note; });
+    return this;
+  }
+
+  deleteRows(start, howMany) {
+    const moved = new Map();
+    this.cells.forEach((cell, key) => {
+      const [r, c] = key.split(',').map(Number);
+      if (r < start) moved.set(key, cell);
+      else if (r >= start + howMany) moved.set(`${r - howMany},${c}`, cell);
+    });
+    this.cells = moved;
+    return this;
+  }
+
+  deleteRow(row) { return this.deleteRows(row, 1); }
+
+  appendRow(values) {
+    const row = this.getLastRow() + 1;
+    values.forEach((value, index) => this.write_(row, index + 1, { value: value, formula: '' }));
+    return this;
+  }
+
+  setRowHeight(row, height) { this.rowHeights[row] = height; return this; }
+  getRowHeight(row) { return this.rowHeights[row] || 21; }
+
+  getCharts() { return this.charts.slice(); }
+  insertChart(chart) { this.charts.push(chart); return this; }
+  removeChart(chart) { this.charts = this.charts.filter(c => c !== chart); return this; }
+  updateChart() { return this; }
+
+  newChart() {
+    const options = {};
+    const ranges = [];
+    const builder = chainable({
+      addRange(range) { ranges.push(range); return builder; },
+      setOption(key, value) { options[key] = value; return builder; },
+      build() { return { options: options, ranges: ranges, getOptions: () => options }; }
+    });
+    return builder;
+  }
+
+  /**
+   * Test helper: write a 2D array starting at a cell.
+   * @param {number} row - Top row
+   * @param {number} column - Left column
+   * @param {Array<Array>} values - Values to write
+   */
+  loadValues(row, column, values) {
+    values.forEach((line, i) => line.forEach((value, j) => {
+      if (value !== '' && value !== null && value !== undefined) {
+        this.write_(row + i, column + j, { value: value, formula: '' });
+      }
+    }));
+    return this;
+  }
+}
+
+class FakeSpreadsheet {
+  constructor(name, id) {
+    this.name = name || 'Test Spreadsheet';
+    this.id = id || 'fake-spreadsheet-id';
+    this.sheets = [];
+    this.nextSheetId = 1;
+    this.activeSheet = null;
+    this.namedRanges = {};
+    return chainable(this);
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this.id}/edit`; }
+  getSheets() { return this.sheets.slice(); }
+  getNumSheets() { return this.sheets.length; }
+
+  getSheetByName(name) {
+    return this.sheets.find(sheet => sheet.getName() === name) || null;
+  }
+
+  insertSheet(name) {
+    const sheetName = name || `Sheet${this.nextSheetId}`;
+    if (this.getSheetByName(sheetName)) {
+      throw new Error(`A sheet with the name "${sheetName}" already exists.`);
+    }
+    const sheet = new FakeSheet(this, sheetName, this.nextSheetId++);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(s => s !== sheet);
+    if (this.activeSheet === sheet) this.activeSheet = null;
+  }
+
+  getActiveSheet() {
+    if (!this.activeSheet) {
+      this.activeSheet = this.sheets[0] || this.insertSheet('Sheet1');
+    }
+    return this.activeSheet;
+  }
+
+  setActiveSheet(sheet) {
+    this.activeSheet = sheet;
+    return sheet;
+  }
+
+  setNamedRange(name, range) { this.namedRanges[name] = range; }
+  getRangeByName(name) { return this.namedRanges[name] || null; }
+}
+
+/**
+ * Scriptable fake of SpreadsheetApp.getUi()
+ * Queue answers with answerPrompt/answerAlert; every call is recorded.
+ */
+class FakeUi {
+  constructor() {
+    this.Button = { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' };
+    this.ButtonSet = { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' };
+    this.prompts = [];
+    this.alerts = [];
+    this.dialogs = [];
+    this.promptAnswers = [];
+    this.alertAnswers = [];
+    return chainable(this);
+  }
+
+  answerPrompt(text, button) {
+    this.promptAnswers.push({ text: text, button: button || this.Button.OK });
+    return this;
+  }
+
+  answerAlert(button) {
+    this.alertAnswers.push(button);
+    return this;
+  }
+
+  prompt(title, message) {
+    this.prompts.push({ title: title, message: message });
+    const answer = this.promptAnswers.shift() || { text: '', button: this.Button.CANCEL };
+    return {
+      getResponseText: () => answer.text,
+      getSelectedButton: () => answer.button
+    };
+  }
+
+  alert(title, message) {
+    this.alerts.push({ title: title, message: message === undefined || typeof message !== 'string' ? '' : message });
+    return this.alertAnswers.length > 0 ? this.alertAnswers.shift() : this.Button.OK;
+  }
+
+  showModalDialog(output, title) { this.dialogs.push({ title: title, output: output }); }
+  showModelessDialog(output, title) { this.dialogs.push({ title: title, output: output }); }
+  showSidebar(output) { this.dialogs.push({ title: 'sidebar', output: output }); }
+
+  createMenu() {
+    const menu = chainable({ addToUi: () => undefined });
+    return menu;
+  }
+}
+
+/**
+ * Build the SpreadsheetApp global.
+ * @param {FakeSpreadsheet} active - Active spreadsheet
+ * @param {FakeUi} ui - UI fake
+ * @return {Object} SpreadsheetApp fake plus a registry for openById
+ */
+function createSpreadsheetApp(active, ui) {
+  const registry = new Map([[active.getId(), active]]);
+
+  const newRichTextValue = () => {
+    const state = { text: '', link: null };
+    const builder = chainable({
+      setText(text) { state.text = text; return builder; },
+      setLinkUrl(...args) { state.link = args[args.length - 1]; return builder; },
+      build() { return { getText: () => state.text, getLinkUrl: () => state.link }; }
+    });
+    return builder;
+  };
+
+  return {
+    registry: registry,
+    BorderStyle: { SOLID: 'SOLID', SOLID_MEDIUM: 'SOLID_MEDIUM', SOLID_THICK: 'SOLID_THICK', DOTTED: 'DOTTED', DASHED: 'DASHED', DOUBLE: 'DOUBLE' },
+    WrapStrategy: { WRAP: 'WRAP', OVERFLOW: 'OVERFLOW', CLIP: 'CLIP' },
+    getActiveSpreadsheet: () => active,
+    getActive: () => active,
+    getActiveSheet: () => active.getActiveSheet(),
+    getUi: () => ui,
+    flush: () => undefined,
+    newRichTextValue: newRichTextValue,
+    newDataValidation: () => chainable({ build: () => ({}) }),
+    newFilterCriteria: () => chainable({ build: () => ({}) }),
+    openById: id => {
+      if (!registry.has(id)) throw new Error(`Spreadsheet ${id} not found`);
+      return registry.get(id);
+    },
+    openByUrl: url => {
+      const match = /\/d\/([^/]+)/.exec(url);
+      if (!match || !registry.has(match[1])) throw new Error(`Spreadsheet ${url} not found`);
+      return registry.get(match[1]);
+    },
+    create: name => {
+      const spreadsheet = new FakeSpreadsheet(name, `fake-${registry.size + 1}`);
+      registry.set(spreadsheet.getId(), spreadsheet);
+      return spreadsheet;
+    }
+  };
+}
+
+module.exports = {
+  FakeRange,
+  FakeSheet,
+  FakeSpreadsheet,
+  FakeUi,
+  createSpreadsheetApp,
+  columnFromLetters,
+  lettersFromColumn,
+  parseA1
+};
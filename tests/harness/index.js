@@ -0,0 +1,173 @@
+/**
+ * Offline test harness for the PLANNING Tool.
+ *
+ * Loads every project .js file into one vm context - the same shared
+ * global scope Apps Script gives them - with in-memory fakes for
+ * SpreadsheetApp, CacheService, PropertiesService, UrlFetchApp and the
+ * other services the scripts touch. UrlFetchApp is routed to a
+ * fixture-driven fake JIRA.
+ *
+ * Usage:
+ *   const { createHarness } = require('./harness');
+ *   const h = createHarness({ jiraIssues: [...] });
+ *   h.global.createScrumTeamSummary(...);
+ *
+ * Set HARNESS_VERBOSE=1 to see the scripts' console output.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { FakeSpreadsheet, FakeUi, createSpreadsheetApp } = require('./fakeSpreadsheet');
+const { createServices } = require('./fakeServices');
+const { FakeJira, createUrlFetchApp } = require('./fakeJira');
+const { writePISheet } = require('./sheets');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Project script files in load order.
+ * Apps Script loads files in project order; for duplicated function names
+ * (scrumTeamSummary.js vs "Epic Allocations.js") the later file wins, and
+ * sorted order reproduces what runs in production.
+ * @return {Array<string>} Absolute paths
+ */
+function listProjectFiles() {
+  return fs.readdirSync(PROJECT_ROOT)
+    .filter(name => name.endsWith('.js'))
+    .sort()
+    .map(name => path.join(PROJECT_ROOT, name));
+}
+
+/**
+ * Console that records output instead of printing it
+ * @param {boolean} verbose - Also print to the real console
+ * @return {Object} console-compatible object with `lines`
+ */
+function createRecordingConsole(verbose) {
+  const lines = [];
+  const record = level => (...args) => {
+    const text = args.map(arg => (typeof arg === 'string' ? arg : safeStringify(arg))).join(' ');
+    lines.push({ level: level, text: text });
+    if (verbose) console[level === 'log' ? 'log' : level](text);
+  };
+  return {
+    lines: lines,
+    log: record('log'),
+    info: record('info'),
+    warn: record('warn'),
+    error: record('error'),
+    time: () => undefined,
+    timeEnd: () => undefined
+  };
+}
+
+function safeStringify(value) {
+  // Errors thrown inside the vm fail instanceof Error in this realm
+  if (Object.prototype.toString.call(value) === '[object Error]') return value.stack || value.message;
+  try {
+    return JSON.stringify(value);
+  } catch (e) {
+    return String(value);
+  }
+}
+
+/**
+ * Create a fresh harness: new spreadsheet, new service state, new project globals.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.jiraIssues] - JIRA issue JSON served by the fake search
+ * @param {Array<Object>} [options.jiraFields] - Response of /rest/api/3/field
+ * @param {boolean} [options.credentials=true] - Seed JIRA credentials in Script Properties
+ * @param {Object} [options.globals] - Extra globals, e.g. stand-ins for functions outside this snapshot
+ * @return {Object} Harness
+ */
+function createHarness(options) {
+  options = options || {};
+  const verbose = !!process.env.HARNESS_VERBOSE;
+
+  let clockOffset = 0;
+  const now = () => Date.now() + clockOffset;
+
+  const spreadsheet = new FakeSpreadsheet('PI Planning');
+  const ui = new FakeUi();
+  const SpreadsheetApp = createSpreadsheetApp(spreadsheet, ui);
+  const services = createServices({ now: now, userEmail: 'tester@example.com' });
+  const jira = new FakeJira({
+    issues: options.jiraIssues || [],
+    fields: options.jiraFields || [],
+    baseUrl: 'https://fake.atlassian.net'
+  });
+  const recordingConsole = createRecordingConsole(verbose);
+
+  const sandbox = Object.assign({
+    console: recordingConsole,
+    SpreadsheetApp: SpreadsheetApp,
+    UrlFetchApp: createUrlFetchApp(jira)
+  }, services, options.globals || {});
+
+  const context = vm.createContext(sandbox);
+  listProjectFiles().forEach(file => {
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: path.basename(file) });
+  });
+
+  if (options.credentials !== false) {
+    services.PropertiesService.getScriptProperties()
+      .setProperty('JIRA_EMAIL', 'tester@example.com')
+      .setProperty('JIRA_API_TOKEN', 'fake-token')
+      .setProperty('JIRA_BASE_URL', jira.baseUrl);
+  }
+
+  return {
+    global: context,
+    spreadsheet: spreadsheet,
+    ui: ui,
+    jira: jira,
+    services: services,
+    console: recordingConsole,
+
+    /** Errors the scripts logged with console.error */
+    errors() {
+      return recordingConsole.lines.filter(line => line.level === 'error').map(line => line.text);
+    },
+
+    /** Move the cache clock forward (Date itself is not faked) */
+    advanceTime(ms) {
+      clockOffset += ms;
+    },
+
+    /**
+     * Write a "PI N" sheet and parse it back the way the summaries do
+     * @param {number|string} piNumber - PI number
+     * @param {Array<Object>} issues - Issues in parsePISheetRow shape
+     * @return {Array<Object>} Parsed issues
+     */
+    loadPISheet(piNumber, issues) {
+      const layout = { headers: vm.runInContext('PI_ANALYSIS_HEADERS', context), buildRow: context.buildPIAnalysisRow };
+      const sheet = writePISheet(spreadsheet, layout, piNumber, issues);
+      const values = sheet.getDataRange().getValues();
+      return context.parsePISheetData(values, values[3]);
+    },
+
+    /** Evaluate an expression inside the project scope (reaches top-level const/let) */
+    evaluate(code) {
+      return vm.runInContext(code, context);
+    },
+
+    /**
+     * Convert a value created inside the vm into plain test-realm JSON,
+     * so deepStrictEqual doesn't trip over cross-realm prototypes.
+     */
+    plain(value) {
+      return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+  };
+}
+
+module.exports = {
+  createHarness,
+  listProjectFiles,
+  PROJECT_ROOT
+};
@@ -0,0 +1,245 @@
+/**
+ * Builders that lay fixture data out the way the production sheets are laid out:
+ * PI data sheets ("PI 13"), the consolidated capacity tab ("PI13 - Capacity")
+ * and the "Clinical: Capacity Planning" tab DAN's Report reads, plus CSV
+ * fixtures exported from real sheets.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Write a "PI N" sheet: title, Last Updated, Analyzed Value Streams, headers on row 4, data from row 5.
+ * The columns come from the project itself, so fixtures can't drift from what createPIAnalysisSheet writes.
+ * @param {FakeSpreadsheet} spreadsheet - Target
+ * @param {Object} layout - {headers: PI_ANALYSIS_HEADERS, buildRow: buildPIAnalysisRow} from the project scope
+ * @param {number|string} piNumber - PI number
+ * @param {Array<Object>} issues - Issues in parsePISheetRow shape
+ * @param {Object} [options] - {lastUpdated, valueStreams}
+ * @return {FakeSheet} The PI sheet
+ */
+function writePISheet(spreadsheet, layout, piNumber, issues, options) {
+  options = options || {};
+  const sheetName = `PI ${piNumber}`;
+  const sheet = spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName);
+  sheet.clear();
+
+  const valueStreams = options.valueStreams || [...new Set(issues.map(i => i.valueStream).filter(Boolean))];
+  sheet.loadValues(1, 1, [
+    [`PI Analysis - ${sheetName}`],
+    ['Last Updated:', options.lastUpdated || '2025-10-01 08:00:00'],
+    ['Analyzed Value Streams:', valueStreams.join(', ')],
+    Array.from(layout.headers)
+  ]);
+
+  const rows = issues.map(issue => Array.from(layout.buildRow(issue), value =>
+    value === undefined || value === null ? '' : value));
+  if (rows.length > 0) {
+    sheet.getRange(5, 1, rows.length, layout.headers.length).setValues(rows);
+  }
+  return sheet;
+}
+
+const CAPACITY_ALLOCATION_ROWS = [
+  ['klo', 'KLO'],
+  ['quality', 'Quality'],
+  ['techPlatform', 'Tech / Platform'],
+  ['productFeature', 'Product - Feature'],
+  ['productCompliance', 'Product - Compliance'],
+  ['unplannedWork', 'Unplanned work']
+];
+
+/**
+ * Sum per-iteration cells the way the capacity sheet's Total column does ('-' counts as 0)
+ * @param {Array} cells - Iteration cells
+ * @return {number} Total
+ */
+function sumCells(cells) {
+  return cells.reduce((sum, cell) => sum + (typeof cell === 'number' ? cell : 0), 0);
+}
+
+/**
+ * Write a consolidated capacity tab.
+ *
+ * Each value stream occupies an 11-column band starting at column 1, 12, 23...
+ * and each team a 25-row block starting at row 3, 28, 53...
+ * (rolesBeforeFF/rolesAfterFF/allocations take one cell per iteration)
+ *
+ * @param {FakeSpreadsheet} spreadsheet - Target
+ * @param {string} sheetName - e.g. "PI13 - Capacity"
+ * @param {Array<Object>} valueStreams - [{name, teams: [{name, allocations: {klo: [6 cells], ...},
+ *                                        rolesBeforeFF: {BE: [6 cells]}, rolesAfterFF: {...},
+ *                                        totals: {klo: 'override'}}]}]
+ *                                        Omit a value stream's `name` to leave its band header blank.
+ * @param {Object} [options] - {iterationCount} (default 6; the band stays 11 columns wide)
+ * @return {FakeSheet} The capacity sheet
+ */
+function writeConsolidatedCapacitySheet(spreadsheet, sheetName, valueStreams, options) {
+  const iterationCount = (options && options.iterationCount) || 6;
+  const sheet = spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName);
+  sheet.clear();
+
+  valueStreams.forEach((vs, vsIndex) => {
+    const col = 1 + vsIndex * 11;
+    if (vs.name) sheet.loadValues(1, col, [[vs.name]]);
+
+    (vs.teams || []).forEach((team, teamIndex) => {
+      const row = 3 + teamIndex * 25;
+      const totals = team.totals || {};
+      sheet.loadValues(row, col, [[team.name]]);
+      sheet.loadValues(row + 1, col, [['Allocation Type']]);
+
+      CAPACITY_ALLOCATION_ROWS.forEach(([key, label], index) => {
+        const cells = (team.allocations && team.allocations[key]) || new Array(iterationCount).fill('-');
+        const total = key in totals ? totals[key] : sumCells(cells);
+        sheet.loadValues(row + 2 + index, col + 2, [[label, ...cells, total]]);
+      });
+
+      const writeRoles = (headerOffset, label, roles) => {
+        sheet.loadValues(row + headerOffset, col, [[label]]);
+        const roleTotals = new Array(iterationCount).fill(0);
+        Object.keys(roles || {}).slice(0, 5).forEach((role, index) => {
+          const cells = roles[role];
+          cells.forEach((cell, i) => { roleTotals[i] += typeof cell === 'number' ? cell : 0; });
+          sheet.loadValues(row + headerOffset + 1 + index, col, [[role, '', '', ...cells, sumCells(cells)]]);
+        });
+        sheet.loadValues(row + headerOffset + 6, col + 3, [[...roleTotals, sumCells(roleTotals)]]);
+      };
+      writeRoles(10, 'Base Capacity before FF', team.rolesBeforeFF);
+      writeRoles(18, 'Base Capacity after FF', team.rolesAfterFF);
+    });
+  });
+
+  return sheet;
+}
+
+/**
+ * Write the "Clinical: Capacity Planning" tab DAN's Report reads
+ * (Code Freeze rows 4-15, Entire PI rows 36-47; team in A, baseline in B, product in L and M)
+ * @param {FakeSpreadsheet} spreadsheet - Target
+ * @param {Object} data - {codeFreeze: [{team, baseline, productL, productM}], entirePI: [...]}
+ * @return {FakeSheet} The capacity sheet
+ */
+function writeClinicalCapacitySheet(spreadsheet, data) {
+  const sheet = spreadsheet.insertSheet('Clinical: Capacity Planning');
+  const writeSection = (startRow, rows) => {
+    rows.forEach((entry, index) => {
+      const row = startRow + index;
+      sheet.loadValues(row, 1, [[entry.team, entry.baseline]]);
+      sheet.loadValues(row, 12, [[entry.productL, entry.productM]]);
+    });
+  };
+  writeSection(4, data.codeFreeze || []);
+  writeSection(36, data.entirePI || []);
+  return sheet;
+}
+
+/**
+ * Parse CSV text (as exported by File > Download > CSV) into rows of cells.
+ * Numeric cells become numbers; everything else stays a string.
+ * @param {string} text - CSV content
+ * @return {Array<Array>} Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let wasQuoted = false;
+
+  const pushCell = () => {
+    const trimmed = cell.trim();
+    row.push(!wasQuoted && trimmed !== '' && !isNaN(Number(trimmed)) ? Number(trimmed) : cell);
+    cell = '';
+    wasQuoted = false;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+      wasQuoted = true;
+    } else if (ch === ',') {
+      pushCell();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      pushCell();
+      rows.push(row);
+      row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    pushCell();
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Create a sheet from a CSV fixture file
+ * @param {FakeSpreadsheet} spreadsheet - Target
+ * @param {string} sheetName - Sheet name
+ * @param {string} csvPath - Path to the CSV file
+ * @return {FakeSheet} The sheet
+ */
+function loadCsvSheet(spreadsheet, sheetName, csvPath) {
+  const sheet = spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName);
+  sheet.clear();
+  sheet.loadValues(1, 1, parseCsv(fs.readFileSync(csvPath, 'utf8')));
+  return sheet;
+}
+
+/**
+ * Serialise a sheet's values as CSV (used to create fixtures from builders)
+ * @param {FakeSheet} sheet - Sheet
+ * @return {string} CSV content
+ */
+function sheetToCsv(sheet) {
+  const quote = value => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return readSheet(sheet).map(row => row.map(quote).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Read a sheet's data range back as rows of values
+ * @param {FakeSheet} sheet - Sheet
+ * @return {Array<Array>} Values
+ */
+function readSheet(sheet) {
+  return sheet.getDataRange().getValues();
+}
+
+/**
+ * Find the first row whose column A equals (or starts with) a label
+ * @param {FakeSheet} sheet - Sheet
+ * @param {string|RegExp} label - Label to look for
+ * @return {number} 1-based row, or -1
+ */
+function findRow(sheet, label) {
+  const values = readSheet(sheet);
+  const index = values.findIndex(row => {
+    const cell = String(row[0]);
+    return label instanceof RegExp ? label.test(cell) : cell === label;
+  });
+  return index === -1 ? -1 : index + 1;
+}
+
+module.exports = {
+  writePISheet,
+  writeConsolidatedCapacitySheet,
+  writeClinicalCapacitySheet,
+  parseCsv,
+  loadCsvSheet,
+  sheetToCsv,
+  readSheet,
+  findRow
+};
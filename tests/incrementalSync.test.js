@@ -0,0 +1,123 @@
+/**
+ * Tests for the incremental JIRA sync (IncrementalSync.js)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { readSheet } = require('./harness/sheets');
+const JIRA_ISSUES = require('./fixtures/jira/issues.json');
+
+const VES_1 = { key: 'VES-1', issueType: 'Epic', summary: 'Vitals trending', status: 'In Progress', valueStream: 'EMA Clinical' };
+
+/**
+ * Harness whose "PI 13" sheet was last fully refreshed for EMA Clinical on 2025-10-03, with VES-1 only
+ */
+function createSyncedHarness() {
+  const harness = createHarness({ jiraIssues: JSON.parse(JSON.stringify(JIRA_ISSUES)) });
+  harness.global.createPIAnalysisSheet('PI 13', [VES_1], ['EMA Clinical']);
+  harness.global.PropertiesService.getScriptProperties()
+    .setProperty('LAST_SYNC_PI 13', JSON.stringify({ 'EMA Clinical': '2025-10-03T00:00:00.000Z' }));
+  return harness;
+}
+
+/**
+ * Read the PI sheet rows as {KEY: {column: value}}
+ */
+function readPIRows(harness) {
+  const values = readSheet(harness.spreadsheet.getSheetByName('PI 13'));
+  const headers = values[3];
+  const rows = {};
+  values.slice(4).filter(row => row[0]).forEach(row => {
+    rows[row[0]] = Object.fromEntries(headers.map((header, col) => [header, row[col]]));
+  });
+  return rows;
+}
+
+describe('syncPIIncrementally', () => {
+  it('asks for a full refresh until the value stream has been synced into the sheet', () => {
+    const harness = createHarness({ jiraIssues: JIRA_ISSUES });
+
+    assert.equal(harness.global.syncPIIncrementally('13', ['EMA Clinical']).reason, 'No PI 13 sheet yet');
+
+    harness.global.createPIAnalysisSheet('PI 13', [VES_1], ['EMA Clinical']);
+    const result = harness.plain(harness.global.syncPIIncrementally('13', ['EMA Clinical', 'MMPM']));
+
+    assert.deepEqual(result, { fullRefreshNeeded: true, reason: 'Never fully synced: MMPM' });
+    assert.equal(harness.jira.requests.length, 0);
+  });
+
+  it('adds issues the sheet does not have yet, whatever their updated date', () => {
+    const harness = createSyncedHarness();
+
+    const result = harness.global.syncPIIncrementally('13', ['EMA Clinical']);
+    const rows = readPIRows(harness);
+
+    assert.deepEqual([result.updated, result.added, result.removed], [0, 3, 0]);
+    assert.deepEqual(Object.keys(rows).sort(), ['ORD-1', 'ORD-2', 'ORD-3', 'VES-1']);
+    assert.equal(rows['ORD-1']['Value Stream'], 'EMA Clinical');
+    assert.equal(rows['ORD-1']['LOE Estimate'], 13);
+    assert.equal(rows['ORD-3'].Parent, 'ORD-1');
+    assert.deepEqual(harness.errors(), []);
+  });
+
+  it('merges updated issues by key and drops the ones that left the PI', () => {
+    const harness = createSyncedHarness();
+    harness.global.syncPIIncrementally('13', ['EMA Clinical']);
+    const now = new Date().toISOString();
+
+    harness.jira.getIssue('ORD-3').fields.customfield_10037 = 13;
+    harness.jira.getIssue('ORD-3').fields.updated = now;
+    harness.jira.getIssue('ORD-2').fields.parent = { key: 'VES-9' };
+    harness.jira.getIssue('VES-1').fields.customfield_10113 = [{ value: 'PI 14' }];
+    harness.jira.addIssue({
+      key: 'ORD-4',
+      fields: {
+        summary: 'Order set import', issuetype: { name: 'Story' }, status: { name: 'To Do' },
+        parent: { key: 'ORD-1' }, customfield_10037: 2, updated: '2025-09-01T08:00:00.000+0000'
+      }
+    });
+    harness.jira.requests.length = 0;
+
+    const result = harness.global.syncPIIncrementally('13', ['EMA Clinical']);
+    const rows = readPIRows(harness);
+
+    assert.deepEqual([result.updated, result.added, result.removed], [1, 1, 2]);
+    assert.deepEqual(Object.keys(rows).sort(), ['ORD-1', 'ORD-3', 'ORD-4']);
+    assert.equal(rows['ORD-3']['Story Points'], 13);
+    assert.equal(rows['ORD-1']['LOE Estimate'], 15);
+
+    // Only issues updated since the last sync (or new to the sheet) are fetched in full
+    const fullFetches = harness.jira.requests
+      .map(request => request.body.jql)
+      .filter(jql => !/^issuetype = Epic AND [^]*"EMA Clinical"$/.test(jql) && !/^parent in \([^)]*\)$/.test(jql));
+    assert.equal(fullFetches.length, 3);
+    assert.equal(fullFetches.every(jql => /updated >= "|^key in \(ORD-4\)$/.test(jql)), true);
+    assert.notEqual(harness.spreadsheet.getSheetByName('PI 13 - History'), null);
+  });
+
+  it('keeps the formatting of the remaining rows when a row in the middle leaves the PI', () => {
+    const harness = createSyncedHarness();
+    harness.global.syncPIIncrementally('13', ['EMA Clinical']);
+    const sheet = harness.spreadsheet.getSheetByName('PI 13');
+    const colors = { 'VES-1': '#fce8e6', 'ORD-3': '#fef7e0', 'ORD-1': '#e6f4ea', 'ORD-2': '#e8f0fe' };
+    readSheet(sheet).forEach((row, index) => {
+      if (index >= 4) sheet.getRange(index + 1, 1, 1, sheet.getLastColumn()).setBackground(colors[row[0]]);
+    });
+
+    harness.jira.getIssue('ORD-3').fields.parent = { key: 'VES-9' };
+    const result = harness.global.syncPIIncrementally('13', ['EMA Clinical']);
+
+    assert.equal(result.removed, 1);
+    const keys = readSheet(sheet).slice(4).map(row => row[0]);
+    assert.deepEqual(keys, ['VES-1', 'ORD-1', 'ORD-2']);
+    keys.forEach((key, index) => {
+      assert.equal(sheet.getRange(index + 5, 1).getBackground(), colors[key], key);
+      assert.equal(sheet.getRange(index + 5, sheet.getLastColumn()).getBackground(), colors[key], key);
+    });
+    assert.equal(sheet.getRange(8, 1).getBackground(), '#ffffff');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for the shared JIRA request layer (JiraClient.js)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const JIRA_ISSUES = require('./fixtures/jira/issues.json');
+
+/**
+ * Harness that records Utilities.sleep calls instead of waiting
+ */
+function createClientHarness() {
+  const harness = createHarness({ jiraIssues: JIRA_ISSUES });
+  const sleeps = [];
+  harness.global.Utilities.sleep = ms => sleeps.push(ms);
+  return { harness, sleeps };
+}
+
+describe('jiraRequest', () => {
+  it('waits for Retry-After on 429 and backs off exponentially on 5xx', () => {
+    const { harness, sleeps } = createClientHarness();
+    harness.jira.failNext(429, { headers: { 'Retry-After': '3' } });
+    harness.jira.failNext(503, { count: 2 });
+
+    const response = harness.plain(harness.global.jiraRequest('GET', '/rest/api/3/issue/ORD-1'));
+
+    assert.equal(response.code, 200);
+    assert.equal(response.body.key, 'ORD-1');
+    assert.equal(harness.jira.requests.length, 4);
+    assert.equal(sleeps[0], 3000);
+    assert.ok(sleeps[1] >= 2000 && sleeps[1] <= 2500, `second backoff ${sleeps[1]}`);
+    assert.ok(sleeps[2] >= 4000 && sleeps[2] <= 5000, `third backoff ${sleeps[2]}`);
+  });
+
+  it('returns the last error once retries run out, and never retries client errors', () => {
+    const { harness, sleeps } = createClientHarness();
+    harness.jira.failNext(500, { count: 10 });
+
+    assert.equal(harness.global.jiraRequest('GET', '/rest/api/3/issue/ORD-1').code, 500);
+    assert.equal(harness.jira.requests.length, 5);
+    assert.equal(sleeps.length, 4);
+
+    harness.jira.failures.length = 0;
+    harness.jira.failNext(400);
+    assert.equal(harness.global.jiraRequest('GET', '/rest/api/3/issue/ORD-1').code, 400);
+    assert.equal(harness.jira.requests.length, 6);
+  });
+});
+
+describe('jiraSearchAll / jiraSearchMany', () => {
+  it('follows nextPageToken to the last page', () => {
+    const { harness } = createClientHarness();
+    harness.jira.pageSizeLimit = 2;
+
+    const issues = harness.plain(harness.global.jiraSearchAll('project = ORD OR project = VES', ['summary']));
+
+    assert.deepEqual(issues.map(issue => issue.key).sort(), ['ORD-1', 'ORD-2', 'ORD-3', 'VES-1', 'VES-9']);
+    assert.equal(harness.jira.requests.length, 3);
+    assert.equal(harness.global.jiraSearchAll('project = ORD OR project = VES', ['summary'], 3).length, 3);
+  });
+
+  it('sends the queries of each page round in one fetchAll call', () => {
+    const { harness } = createClientHarness();
+    harness.jira.pageSizeLimit = 2;
+    const fetchAll = harness.global.UrlFetchApp.fetchAll;
+    const batchSizes = [];
+    harness.global.UrlFetchApp.fetchAll = requests => {
+      batchSizes.push(requests.length);
+      return fetchAll(requests);
+    };
+
+    const results = harness.global.jiraSearchMany(['project = ORD', 'project = VES', 'key = NOPE-1'], ['summary']);
+
+    assert.deepEqual(results.map(issues => issues.length), [3, 2, 0]);
+    // Only ORD has a second page
+    assert.deepEqual(batchSizes, [3]);
+    assert.equal(harness.jira.requests.length, 4);
+  });
+
+  it('throws on a failed search', () => {
+    const { harness } = createClientHarness();
+    harness.jira.failNext(400, { body: { errorMessages: ["Field 'nope' does not exist"] } });
+
+    assert.throws(() => harness.global.jiraSearchAll('nope = 1', ['summary']),
+      /JIRA search failed \(HTTP 400: Field 'nope' does not exist\) for: nope = 1/);
+  });
+});
+
+describe('request counter', () => {
+  it('counts every request, retry and 429 per day', () => {
+    const { harness } = createClientHarness();
+    harness.jira.failNext(429);
+    harness.global.jiraRequest('GET', '/rest/api/3/myself');
+    harness.global.jiraSearchMany(['project = ORD', 'project = VES'], ['summary']);
+
+    const stats = harness.plain(harness.global.getJiraRequestStats());
+    const today = stats.days[stats.days.length - 1];
+
+    assert.equal(stats.execution, 4);
+    assert.deepEqual([today.requests, today.retries, today.rateLimited], [4, 1, 1]);
+    assert.equal(today.byHour.reduce((sum, n) => sum + n, 0), 4);
+    assert.equal(harness.global.estimateAPIUsage().days.length, 1);
+  });
+
+  it('writes the shared count once per flush, only while holding the document lock', () => {
+    const { harness } = createClientHarness();
+    const props = harness.global.PropertiesService.getScriptProperties();
+    const setProperty = props.setProperty;
+    const writes = [];
+    let free = true;
+    let held = false;
+    harness.global.LockService.getDocumentLock = () => ({
+      tryLock: () => (held = free),
+      releaseLock: () => { held = false; }
+    });
+    props.setProperty = function(key, value) {
+      assert.equal(held, true, `${key} written without the lock`);
+      writes.push(key);
+      return setProperty.call(this, key, value);
+    };
+    const stored = () => JSON.parse(props.getProperty('JIRA_REQUEST_STATS') || '{}');
+    const storedRequests = () => Object.values(stored()).reduce((sum, day) => sum + day.requests, 0);
+
+    harness.global.jiraRequest('GET', '/rest/api/3/myself');
+    harness.global.jiraSearchMany(['project = ORD', 'project = VES'], ['summary']);
+    assert.deepEqual(writes, []);
+
+    harness.global.flushJiraRequestStats();
+    assert.deepEqual(writes, ['JIRA_REQUEST_STATS']);
+    assert.equal(storedRequests(), 3);
+
+    // Another execution holds the lock: the count waits for the next flush
+    harness.global.jiraRequest('GET', '/rest/api/3/myself');
+    free = false;
+    harness.global.flushJiraRequestStats();
+    assert.equal(storedRequests(), 3);
+    assert.equal(harness.plain(harness.global.getJiraRequestStats()).days[0].requests, 4);
+
+    free = true;
+    harness.global.flushJiraRequestStats();
+    harness.global.flushJiraRequestStats();
+    assert.equal(writes.length, 2);
+    assert.equal(storedRequests(), 4);
+    assert.equal(held, false);
+  });
+});
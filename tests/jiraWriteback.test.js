@@ -0,0 +1,134 @@
+/**
+ * Tests for the JIRA write-back menus (JiraWriteback.js) against the fake JIRA
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { readSheet } = require('./harness/sheets');
+const PI13_ISSUES = require('./fixtures/pi13-issues.json');
+const JIRA_ISSUES = require('./fixtures/jira/issues.json');
+const JIRA_FIELDS = require('./fixtures/jira/fields.json');
+
+const PROPOSAL_SHEET = 'PI 13 - Fix Version Proposals';
+const AUDIT_SHEET = 'JIRA Change Audit';
+
+function createWritebackHarness() {
+  const harness = createHarness({ jiraIssues: JSON.parse(JSON.stringify(JIRA_ISSUES)), jiraFields: JIRA_FIELDS });
+  // ORD-1 ships in Release 7.12; of its children in the fake JIRA, ORD-3 is tagged 7.13
+  harness.loadPISheet(13, PI13_ISSUES
+    .filter(issue => ['ORD-1', 'ORD-2', 'ORD-3'].includes(issue.key))
+    .map(issue => issue.key === 'ORD-1' ? Object.assign({}, issue, { iterationStart: '13.1', iterationEnd: '13.2' }) : issue));
+  return harness;
+}
+
+function puts(harness) {
+  return harness.jira.requests.filter(request => request.method === 'PUT')
+    .map(request => [request.path, request.body]);
+}
+
+/** Run "Fix Fix-Versions..." for PI 13, all teams, answering the confirmation with `button` */
+function fixFixVersions(harness, button) {
+  harness.ui.answerPrompt('13').answerPrompt('').answerAlert(button);
+  harness.global.menuFixFixVersions();
+}
+
+describe('Fix Fix-Versions', () => {
+  it('writes the dry run and changes nothing in JIRA until confirmed', () => {
+    const harness = createWritebackHarness();
+
+    fixFixVersions(harness, harness.ui.Button.NO);
+
+    const rows = readSheet(harness.spreadsheet.getSheetByName(PROPOSAL_SHEET));
+    assert.deepEqual(harness.plain(rows.slice(4)),
+      [['ORD-3', 'Order set audit trail', 'Ordernauts', 'ORD-1', 'Release 7.13', 'Release 7.12']]);
+    assert.deepEqual(puts(harness), []);
+    assert.equal(harness.spreadsheet.getSheetByName(AUDIT_SHEET), null);
+    assert.deepEqual(harness.jira.getIssue('ORD-3').fields.fixVersions, [{ name: 'Release 7.13' }]);
+  });
+
+  it('swaps the PI release on confirmation and audits the previous value', () => {
+    const harness = createWritebackHarness();
+
+    fixFixVersions(harness, harness.ui.Button.YES);
+
+    assert.deepEqual(puts(harness), [['/rest/api/3/issue/ORD-3', {
+      update: { fixVersions: [{ remove: { name: 'Release 7.13' } }, { add: { name: 'Release 7.12' } }] }
+    }]]);
+    assert.deepEqual(harness.jira.getIssue('ORD-3').fields.fixVersions, [{ name: 'Release 7.12' }]);
+
+    const audit = readSheet(harness.spreadsheet.getSheetByName(AUDIT_SHEET));
+    assert.equal(audit.length, 2);
+    const [, batchId, action, key, field, previous, written, result] = harness.plain(audit[1]);
+    assert.match(batchId, /^FV-\d{8}-\d{6}$/);
+    assert.deepEqual([action, key, field, previous, written, result],
+      ['Set Fix Version', 'ORD-3', 'fixVersions', '["Release 7.13"]', '["Release 7.12"]', 'Updated']);
+    assert.equal(harness.ui.alerts.pop().title, 'Fix Fix-Versions Complete');
+  });
+
+  it('restores the previous fix versions when the batch is undone', () => {
+    const harness = createWritebackHarness();
+    fixFixVersions(harness, harness.ui.Button.YES);
+    const batchId = readSheet(harness.spreadsheet.getSheetByName(AUDIT_SHEET))[1][1];
+
+    harness.ui.answerPrompt(batchId);
+    harness.global.menuUndoJiraChangeBatch();
+
+    assert.deepEqual(harness.jira.getIssue('ORD-3').fields.fixVersions, [{ name: 'Release 7.13' }]);
+    const undoRow = harness.plain(readSheet(harness.spreadsheet.getSheetByName(AUDIT_SHEET))[2]);
+    assert.deepEqual(undoRow.slice(1, 8),
+      [`UNDO-${batchId}`, 'Undo', 'ORD-3', 'fixVersions', '["Release 7.12"]', '["Release 7.13"]', 'Updated']);
+    assert.equal(harness.ui.alerts.pop().title, 'Undo Complete');
+  });
+});
+
+describe('Apply Approved Allocation Fixes', () => {
+  function createQueueHarness() {
+    const harness = createHarness({ jiraIssues: JSON.parse(JSON.stringify(JIRA_ISSUES)), jiraFields: JIRA_FIELDS });
+    const issues = harness.loadPISheet(13, PI13_ISSUES
+      .filter(issue => ['ORD-1', 'ORD-2', 'ORD-3'].includes(issue.key))
+      .map(issue => issue.key === 'ORD-2' ? Object.assign({}, issue, { allocation: 'Tech / Platform' }) : issue));
+    const sheet = harness.spreadsheet.insertSheet('PI 13 - Ordernauts Summary');
+    harness.global.createAllocationRemediationQueue(sheet, 1, issues, 'Ordernauts');
+    harness.spreadsheet.setActiveSheet(sheet);
+    return { harness, sheet };
+  }
+
+  function queueRow(sheet, childKey) {
+    return readSheet(sheet).findIndex(row => row[1] === childKey) + 1;
+  }
+
+  it('writes only the ticked rows and records the result and time on each', () => {
+    const { harness, sheet } = createQueueHarness();
+    sheet.getRange(queueRow(sheet, 'ORD-3'), 1).setValue(true);
+
+    harness.ui.answerAlert(harness.ui.Button.YES);
+    harness.global.menuApplyApprovedAllocationFixes();
+
+    assert.deepEqual(puts(harness), [['/rest/api/3/issue/ORD-3', { fields: { customfield_10043: { value: 'Product - Feature' } } }]]);
+    assert.deepEqual(harness.jira.getIssue('ORD-3').fields.customfield_10043, { value: 'Product - Feature' });
+
+    const approved = sheet.getRange(queueRow(sheet, 'ORD-3'), 7, 1, 2).getValues()[0];
+    assert.equal(approved[0], 'Updated');
+    assert.equal(Object.prototype.toString.call(approved[1]), '[object Date]');
+    assert.equal(sheet.getRange(queueRow(sheet, 'ORD-3'), 7).getBackground(), '#ccffcc');
+    assert.deepEqual(harness.plain(sheet.getRange(queueRow(sheet, 'ORD-2'), 7, 1, 2).getValues()[0]), ['', '']);
+
+    const audit = harness.plain(readSheet(harness.spreadsheet.getSheetByName(AUDIT_SHEET)));
+    assert.deepEqual(audit.slice(1).map(row => row.slice(2, 8)), [
+      ['Set Allocation', 'ORD-3', 'customfield_10043', '{"value":"Product - Compliance"}', '{"value":"Product - Feature"}', 'Updated']
+    ]);
+  });
+
+  it('writes nothing when no row is ticked', () => {
+    const { harness } = createQueueHarness();
+
+    harness.global.menuApplyApprovedAllocationFixes();
+
+    assert.deepEqual(puts(harness), []);
+    assert.equal(harness.ui.alerts[0].message, 'No approved rows waiting to be applied.');
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for the resumable analysis job (JobRunner.js)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { readSheet, writeClinicalCapacitySheet } = require('./harness/sheets');
+const JIRA_ISSUES = require('./fixtures/jira/issues.json');
+const JIRA_FIELDS = require('./fixtures/jira/fields.json');
+
+/**
+ * Harness where every execution only has time for one step
+ * @param {Array<Object>} [extraIssues] - JIRA issues to add to the fixture
+ */
+function createJobHarness(extraIssues) {
+  const harness = createHarness({
+    jiraIssues: JSON.parse(JSON.stringify(JIRA_ISSUES.concat(extraIssues || []))),
+    jiraFields: JIRA_FIELDS,
+    globals: {
+      // Defined outside this snapshot of the project
+      createDansReportRoleBreakdown: (sheet, currentRow) => currentRow
+    }
+  });
+  writeClinicalCapacitySheet(harness.spreadsheet, {
+    codeFreeze: [{ team: 'Ordernauts', baseline: 40, productL: 20, productM: 0 }],
+    entirePI: [{ team: 'Ordernauts', baseline: 60, productL: 30, productM: 0 }]
+  });
+  // A negative budget stops after every step; with 0 a step finishing within the same millisecond let a second one run
+  harness.evaluate('JOB_RUNNER_CONFIG.timeBudgetSeconds = -1');
+  return harness;
+}
+
+function storedJob(harness) {
+  return JSON.parse(harness.global.PropertiesService.getScriptProperties().getProperty('ANALYSIS_JOB'));
+}
+
+function resumeTriggers(harness) {
+  return harness.global.ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'resumeAnalysisJob');
+}
+
+/**
+ * Fire the resume trigger until the job stops running
+ * @return {number} Executions it took
+ */
+function resumeUntilDone(harness) {
+  let executions = 0;
+  while (harness.global.getAnalysisJobStatus().status === 'running' && executions < 50) {
+    assert.equal(resumeTriggers(harness).length, 1);
+    harness.global.resumeAnalysisJob();
+    executions++;
+  }
+  return executions;
+}
+
+describe('analysis job', () => {
+  it('runs one checkpointed step per execution and resumes from a trigger until done', () => {
+    const harness = createJobHarness();
+
+    const first = harness.plain(harness.global.startAnalysisJob({
+      piNumber: '13', valueStreams: ['EMA Clinical'], summaryOption: 'with'
+    }));
+
+    assert.equal(first.status, 'running');
+    assert.deepEqual([first.completedSteps, first.totalSteps, first.currentStep], [1, 4, 'Write PI 13 sheet']);
+    assert.equal(harness.spreadsheet.getSheetByName('PI 13'), null);
+    assert.equal(resumeTriggers(harness)[0].spec.after, 60 * 1000);
+
+    // PI sheet, two team summaries, initiative tab, DAN's Report
+    assert.equal(resumeUntilDone(harness), 5);
+
+    const status = harness.plain(harness.global.getAnalysisJobStatus());
+    assert.equal(status.status, 'complete');
+    assert.deepEqual([status.completedSteps, status.totalSteps], [6, 6]);
+    assert.deepEqual(status.summaryResults, { teamSummaries: 2, initiativeAnalysis: 1, dansReport: true });
+    assert.deepEqual(status.failedSteps, []);
+    assert.deepEqual(harness.errors(), []);
+    // Each slice adds its JIRA requests to the shared counter before it ends
+    const counted = JSON.parse(harness.global.PropertiesService.getScriptProperties().getProperty('JIRA_REQUEST_STATS'));
+    assert.equal(Object.values(counted).reduce((sum, day) => sum + day.requests, 0), harness.jira.requests.length);
+
+    const keys = readSheet(harness.spreadsheet.getSheetByName('PI 13')).slice(4).map(row => row[0]);
+    assert.deepEqual(keys, ['ORD-1', 'ORD-2', 'ORD-3', 'VES-1']);
+    ['PI 13 - Ordernauts Summary', 'PI 13 - Vesties Summary', 'PI 13 - EMA Clinical Initiatives', "DAN's Report"]
+      .forEach(name => assert.notEqual(harness.spreadsheet.getSheetByName(name), null, name));
+    assert.equal(harness.spreadsheet.getSheetByName('Analysis Job Staging'), null);
+    assert.equal(resumeTriggers(harness).length, 0);
+  });
+
+  it('rides out a transient JIRA 5xx within the fetch step', () => {
+    const harness = createJobHarness();
+    const sleeps = [];
+    harness.global.Utilities.sleep = ms => sleeps.push(ms);
+    harness.jira.failNext(503, { count: 2, match: /\/search/ });
+
+    harness.global.startAnalysisJob({ piNumber: '13', valueStreams: ['EMA Clinical'], summaryOption: 'without' });
+    resumeUntilDone(harness);
+
+    const status = harness.plain(harness.global.getAnalysisJobStatus());
+    assert.equal(status.status, 'complete');
+    assert.equal(sleeps.length, 2);
+    const keys = readSheet(harness.spreadsheet.getSheetByName('PI 13')).slice(4).map(row => row[0]);
+    assert.deepEqual(keys, ['ORD-1', 'ORD-2', 'ORD-3', 'VES-1']);
+  });
+
+  it('retries a fetch step that keeps failing with 5xx, then fails the job without touching the PI sheet', () => {
+    const harness = createJobHarness();
+    harness.global.Utilities.sleep = () => undefined;
+    harness.global.createPIAnalysisSheet('PI 13', [{ key: 'VES-1', issueType: 'Epic', valueStream: 'EMA Clinical' }], ['EMA Clinical']);
+    // Five requests per attempt (the client retries four times), three attempts
+    harness.jira.failNext(500, { count: 15, match: /\/search/ });
+
+    harness.global.startAnalysisJob({ piNumber: '13', valueStreams: ['EMA Clinical'], summaryOption: 'without' });
+    assert.equal(harness.global.getAnalysisJobStatus().status, 'running');
+    resumeUntilDone(harness);
+
+    const status = harness.plain(harness.global.getAnalysisJobStatus());
+    assert.equal(status.status, 'failed');
+    assert.match(status.error, /^Fetch EMA Clinical from JIRA failed: JIRA search failed/);
+    assert.equal(resumeTriggers(harness).length, 0);
+
+    const keys = readSheet(harness.spreadsheet.getSheetByName('PI 13')).slice(4).map(row => row[0]);
+    assert.deepEqual(keys, ['VES-1']);
+  });
+
+  it('allows one running job at a time until it is cancelled', () => {
+    const harness = createJobHarness();
+    const params = { piNumber: '13', valueStreams: ['EMA Clinical'], summaryOption: 'without' };
+    harness.global.startAnalysisJob(params);
+
+    assert.throws(() => harness.global.startAnalysisJob(params), /PI 13 analysis is already running/);
+
+    assert.equal(harness.global.cancelAnalysisJob().status, 'cancelled');
+    assert.equal(resumeTriggers(harness).length, 0);
+    assert.equal(harness.spreadsheet.getSheetByName('Analysis Job Staging'), null);
+
+    // A cancelled job's trigger firing late does nothing
+    harness.global.resumeAnalysisJob();
+    assert.equal(harness.global.getAnalysisJobStatus().status, 'cancelled');
+    assert.equal(harness.global.startAnalysisJob(params).status, 'running');
+  });
+
+  it('plans no summary for issues without a scrum team', () => {
+    const harness = createJobHarness([{ key: 'ORD-9', fields: {
+      summary: 'Unowned epic', issuetype: { name: 'Epic' }, status: { name: 'To Do' }, project: { key: 'ORD' },
+      customfield_10046: { value: 'EMA Clinical' }, customfield_10113: [{ value: 'PI 13' }],
+      updated: '2025-10-01T08:00:00.000+0000'
+    } }]);
+
+    harness.global.startAnalysisJob({ piNumber: '13', valueStreams: ['EMA Clinical'], summaryOption: 'with' });
+    resumeUntilDone(harness);
+
+    const job = storedJob(harness);
+    assert.equal(job.status, 'complete');
+    assert.deepEqual(job.steps.filter(step => step.type === 'teamSummary').map(step => step.target), ['Ordernauts', 'Vesties']);
+    assert.ok(readSheet(harness.spreadsheet.getSheetByName('PI 13')).some(row => row[0] === 'ORD-9'));
+  });
+
+  it('fails the job and removes its trigger after repeated executions that throw outside a step', () => {
+    const harness = createJobHarness();
+    harness.global.startAnalysisJob({ piNumber: '13', valueStreams: ['EMA Clinical'], summaryOption: 'without' });
+    // A checkpoint the runner can't walk: every execution throws before running a step
+    const corrupt = storedJob(harness);
+    corrupt.steps[1] = null;
+    harness.global.PropertiesService.getScriptProperties().setProperty('ANALYSIS_JOB', JSON.stringify(corrupt));
+
+    harness.global.resumeAnalysisJob();
+    harness.global.resumeAnalysisJob();
+    assert.deepEqual([storedJob(harness).status, storedJob(harness).failedSlices], ['running', 2]);
+    assert.equal(resumeTriggers(harness).length, 1);
+
+    harness.global.resumeAnalysisJob();
+    const job = storedJob(harness);
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /^Stopped after 3 failed executions: /);
+    assert.equal(resumeTriggers(harness).length, 0);
+  });
+});
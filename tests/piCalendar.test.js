@@ -0,0 +1,127 @@
+/**
+ * Tests for the PI Calendar (PICalendar.js) and date-based sprint slotting
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+
+/**
+ * Write a "PI Calendar" sheet for PI 14: five two-week iterations from 2026-01-05,
+ * feature freeze at the end of iteration 4
+ * @param {Object} harness - Test harness
+ */
+function writePI14Calendar(harness) {
+  const sheet = harness.spreadsheet.insertSheet('PI Calendar');
+  sheet.loadValues(1, 1, [
+    ['PI', 'Iteration', 'Start Date', 'End Date', 'Feature Freeze Date', 'Release Date'],
+    [14, 1, '2026-01-05', '2026-01-16', '2026-02-27', '2026-03-20'],
+    [14, 2, '2026-01-19', '2026-01-30', '', ''],
+    [14, 3, '2026-02-02', '2026-02-13', '', ''],
+    [14, 5, '2026-03-02', '2026-03-13', '', ''],
+    [14, 4, '2026-02-16', '2026-02-27', '', ''],
+    ['PI 14', 'x', '2026-03-16', '', '', '']
+  ]);
+  return sheet;
+}
+
+describe('getPICalendarForPI', () => {
+  it('reads iterations in order and derives the feature-freeze iteration', () => {
+    const harness = createHarness();
+    writePI14Calendar(harness);
+
+    const calendar = harness.global.getPICalendarForPI('PI 14');
+
+    assert.deepEqual(harness.plain(calendar.iterations.map(i => i.iteration)), [1, 2, 3, 4, 5]);
+    assert.equal(calendar.iterationCount, 5);
+    assert.equal(calendar.featureFreezeIteration, 4);
+    assert.equal(calendar.releaseDate.toISOString().substring(0, 10), '2026-03-20');
+    assert.equal(harness.global.getPICalendarForPI('15'), null);
+  });
+
+  it('supplies the iteration layout of PIs missing from the PI Iterations sheet', () => {
+    const harness = createHarness();
+    writePI14Calendar(harness);
+
+    const config = harness.global.getPIIterationConfig('14');
+
+    assert.deepEqual([config.iterationCount, config.featureFreezeIteration, config.ipIteration, config.source],
+      [5, 4, 5, 'calendar']);
+    assert.equal(harness.global.getPIIterationConfig('13').source, 'default');
+  });
+});
+
+describe('getSprintIterationFromDates', () => {
+  it('places a sprint by the middle of its dates', () => {
+    const harness = createHarness();
+    writePI14Calendar(harness);
+    const fromDates = harness.global.getSprintIterationFromDates;
+
+    assert.equal(fromDates('2026-01-19', '2026-01-30', '14'), 2);
+    // Starts a day early but mostly overlaps iteration 3
+    assert.equal(fromDates('2026-01-30', '2026-02-12', '14'), 3);
+    assert.equal(fromDates('2026-02-20', '', '14'), 4);
+    assert.equal(fromDates('2026-04-01', '2026-04-10', '14'), null);
+    assert.equal(fromDates('', '', '14'), null);
+  });
+});
+
+describe('date-based slotting', () => {
+  it('slots stories whose sprint names carry no iteration by their sprint dates', () => {
+    const harness = createHarness();
+    writePI14Calendar(harness);
+    const issues = harness.loadPISheet(14, [
+      { key: 'DUCK-1', issueType: 'Story', scrumTeam: 'Rubber Ducks', allocation: 'Product - Feature', storyPoints: 3,
+        sprintName: 'Ducks Sprint 42', sprintStart: '2026-01-19', sprintEnd: '2026-01-30' },
+      { key: 'DUCK-2', issueType: 'Story', scrumTeam: 'Rubber Ducks', allocation: 'Product - Feature', storyPoints: 5,
+        sprintName: 'DUCK 14.1', sprintStart: '2026-03-02', sprintEnd: '2026-03-13' },
+      { key: 'DUCK-3', issueType: 'Story', scrumTeam: 'Rubber Ducks', allocation: 'Tech / Platform', storyPoints: 2,
+        sprintName: 'Ducks Sprint 45', sprintStart: '2026-03-02', sprintEnd: '2026-03-13' },
+      { key: 'DUCK-4', issueType: 'Story', scrumTeam: 'Rubber Ducks', allocation: 'Tech / Platform', storyPoints: 8,
+        sprintName: 'Ducks Sprint 48', sprintStart: '2026-04-13', sprintEnd: '2026-04-24' }
+    ]);
+
+    const slotted = harness.plain(harness.global.calculateSlottedData(issues, '14', 'Rubber Ducks'));
+
+    // The name wins over the dates (DUCK-2); sprints after the PI stay unslotted (DUCK-4)
+    assert.deepEqual(slotted.product, { 1: 5, 2: 3, 3: 0, 4: 0, 5: 0, totalBeforeFF: 8, total: 8 });
+    assert.deepEqual(slotted.tech, { 1: 0, 2: 0, 3: 0, 4: 0, 5: 2, totalBeforeFF: 0, total: 2 });
+    assert.equal(harness.global.getIssueIteration(issues.find(i => i.key === 'DUCK-1'), '14'), 2);
+  });
+});
+
+describe('extractSprintData', () => {
+  it('prefers the active sprint, otherwise the latest one', () => {
+    const harness = createHarness();
+    const sprintField = harness.global.getFieldId('sprint');
+    const extract = sprints => harness.plain(harness.global.extractSprintData({ [sprintField]: sprints }));
+
+    const closed = { name: 'Ducks Sprint 41', state: 'closed', startDate: '2026-01-05T09:00:00.000Z', endDate: '2026-01-16T17:00:00.000Z' };
+    const active = { name: 'Ducks Sprint 42', state: 'active', startDate: '2026-01-19T09:00:00.000Z', endDate: '2026-01-30T17:00:00.000Z' };
+    const future = { name: 'Ducks Sprint 43', state: 'future' };
+
+    assert.deepEqual(extract([closed, active, future]),
+      { sprintName: 'Ducks Sprint 42', sprintStart: '2026-01-19', sprintEnd: '2026-01-30' });
+    assert.deepEqual(extract([future, closed]),
+      { sprintName: 'Ducks Sprint 41', sprintStart: '2026-01-05', sprintEnd: '2026-01-16' });
+    assert.deepEqual(extract(null), { sprintName: '', sprintStart: '', sprintEnd: '' });
+  });
+});
+
+describe('menuSetupPICalendar', () => {
+  it('seeds back-to-back iterations with feature freeze at the end of the last pre-FF iteration', () => {
+    const harness = createHarness();
+    harness.ui.answerPrompt('13, 2025-10-06');
+
+    harness.global.menuSetupPICalendar();
+
+    const calendar = harness.global.getPICalendarForPI('13');
+    assert.equal(calendar.iterationCount, 6);
+    assert.equal(calendar.featureFreezeIteration, 5);
+    assert.equal(harness.global.getIterationForDate('13', new Date(2025, 10, 20)), 4);
+    assert.equal(harness.ui.alerts[0].title, 'PI Calendar Created');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for per-PI iteration layouts (PIIterations.js) and the reports that honour them
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { writeConsolidatedCapacitySheet, findRow } = require('./harness/sheets');
+const PI13_ISSUES = require('./fixtures/pi13-issues.json');
+
+/**
+ * Write the "PI Iterations" config sheet
+ * @param {Object} harness - Test harness
+ * @param {Array<Array>} rows - [PI, Iterations, Last Iteration Before FF, IP Iteration]
+ */
+function writePIIterationsSheet(harness, rows) {
+  const sheet = harness.spreadsheet.insertSheet('PI Iterations');
+  sheet.loadValues(1, 1, [['PI', 'Iterations', 'Last Iteration Before FF', 'IP Iteration'], ...rows]);
+  return sheet;
+}
+
+describe('getPIIterationConfig', () => {
+  it('uses six iterations with feature freeze after iteration 5 by default', () => {
+    const harness = createHarness();
+
+    const config = harness.plain(harness.global.getPIIterationConfig('13'));
+
+    assert.deepEqual(config, {
+      piNumber: 13,
+      iterationCount: 6,
+      featureFreezeIteration: 5,
+      ipIteration: 6,
+      iterations: [1, 2, 3, 4, 5, 6],
+      beforeFFIterations: [1, 2, 3, 4, 5],
+      afterFFIterations: [6],
+      source: 'default'
+    });
+  });
+
+  it('keeps PI 12 feature freeze after iteration 4', () => {
+    const harness = createHarness();
+
+    const config = harness.global.getPIIterationConfig('PI 12');
+
+    assert.equal(config.featureFreezeIteration, 4);
+    assert.equal(config.source, 'known');
+  });
+
+  it('reads the PI Iterations sheet and skips invalid rows', () => {
+    const harness = createHarness();
+    writePIIterationsSheet(harness, [
+      [14, 5, 4, 5],
+      ['PI 15', 4, '', ''],
+      [16, 5, 7, 5]
+    ]);
+
+    const pi14 = harness.plain(harness.global.getPIIterationConfig(14));
+    const pi15 = harness.global.getPIIterationConfig('15');
+    const pi16 = harness.global.getPIIterationConfig('16');
+
+    assert.deepEqual([pi14.iterations, pi14.afterFFIterations, pi14.source], [[1, 2, 3, 4, 5], [5], 'sheet']);
+    assert.deepEqual([pi15.iterationCount, pi15.featureFreezeIteration, pi15.ipIteration], [4, 4, null]);
+    assert.equal(pi16.source, 'default');
+    assert.equal(harness.global.getIterationLabel(pi14, 5), 'Iteration 5 (IP)');
+    assert.equal(harness.global.getIterationLabel(pi15, 4), 'Iteration 4');
+  });
+});
+
+describe('parseSprintIteration', () => {
+  it('only returns iterations that exist in the PI', () => {
+    const harness = createHarness();
+    writePIIterationsSheet(harness, [[14, 5, 4, 5]]);
+    const parseSprintIteration = harness.global.parseSprintIteration;
+
+    assert.equal(parseSprintIteration('ORD 14.5', '14'), 5);
+    assert.equal(parseSprintIteration('ORD 14.6', '14'), null);
+    assert.equal(parseSprintIteration('PI 13 . 6 (Jan 6 - Jan 19)', '13'), 6);
+    assert.equal(parseSprintIteration('Team - 13.2', 'PI 13'), 2);
+    assert.equal(parseSprintIteration('ORD 113.2', '13'), null);
+    assert.equal(parseSprintIteration('ORD 13.2', '14'), null);
+    assert.equal(parseSprintIteration('', '14'), null);
+  });
+});
+
+describe('iteration layout in reports', () => {
+  it('slots a five-iteration PI with feature freeze after iteration 4', () => {
+    const harness = createHarness();
+    writePIIterationsSheet(harness, [[13, 5, 4, 5]]);
+    const issues = harness.loadPISheet(13, PI13_ISSUES);
+
+    const slotted = harness.plain(harness.global.calculateSlottedData(issues, '13', 'Ordernauts'));
+
+    assert.deepEqual(slotted.product, { 1: 5, 2: 8, 3: 0, 4: 0, 5: 0, totalBeforeFF: 13, total: 13 });
+    assert.deepEqual(slotted.tech, { 1: 0, 2: 0, 3: 0, 4: 0, 5: 3, totalBeforeFF: 0, total: 3 });
+  });
+
+  it('draws the slotting chart with one row per iteration of the PI', () => {
+    const harness = createHarness();
+    writePIIterationsSheet(harness, [[13, 5, 4, 5]]);
+    const issues = harness.loadPISheet(13, PI13_ISSUES);
+    writeConsolidatedCapacitySheet(harness.spreadsheet, 'PI13 - Capacity', [{
+      name: 'EMA Clinical',
+      teams: [{ name: 'Ordernauts', allocations: { productFeature: [10, 10, 10, 10, 5] } }]
+    }], { iterationCount: 5 });
+
+    harness.global.createScrumTeamSummary(issues, 'PI 13', 'Ordernauts');
+    const sheet = harness.spreadsheet.getSheetByName('PI 13 - Ordernauts Summary');
+
+    assert.deepEqual(harness.errors(), []);
+    assert.equal(findRow(sheet, 'Iteration 6'), -1);
+    const iteration5 = sheet.getRange(findRow(sheet, 'Iteration 5 (IP)'), 1, 1, 4).getValues()[0];
+    const totalBeforeFF = sheet.getRange(findRow(sheet, 'Total (4 iterations)'), 1, 1, 4).getValues()[0];
+    const total = sheet.getRange(findRow(sheet, 'Total (5 iterations)'), 1, 1, 4).getValues()[0];
+
+    // [label, baseline, product load, slotted product]
+    assert.deepEqual([iteration5[2], iteration5[3]], [5, 0]);
+    assert.deepEqual([totalBeforeFF[3], total[3]], [13, 13]);
+  });
+
+  it("limits DAN's code freeze role capacity to the iterations before feature freeze", () => {
+    const harness = createHarness();
+    writePIIterationsSheet(harness, [[15, 5, 3, 5]]);
+    writeConsolidatedCapacitySheet(harness.spreadsheet, 'PI15 - Capacity', [{
+      name: 'EMA Clinical',
+      teams: [{
+        name: 'Ordernauts',
+        rolesBeforeFF: { BE: [4, 4, 4, 4, 0], QA: [2, 2, 2, 2, 0] },
+        rolesAfterFF: { BE: [0, 0, 0, 0, 2] }
+      }]
+    }], { iterationCount: 5 });
+
+    const roleCapacity = harness.plain(harness.global.getRoleCapacityData(harness.spreadsheet, '15'));
+
+    assert.equal(roleCapacity.featureFreezeIteration, 3);
+    assert.deepEqual(roleCapacity.teamRoles.ORDERNAUTS.BE, { beforeFF: 16, afterFF: 2, entirePI: 18, codeFreeze: 12 });
+    assert.deepEqual([roleCapacity.entirePI.QA, roleCapacity.codeFreeze.QA], [8, 6]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for PI snapshot history and the Changes tab (PISnapshot.js)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { readSheet } = require('./harness/sheets');
+
+function epic(key, valueStream, featurePoints) {
+  return {
+    key: key, issueType: 'Epic', summary: key, status: 'In Progress', valueStream: valueStream,
+    scrumTeam: 'Ordernauts', allocation: 'Product - Feature', featurePoints: featurePoints
+  };
+}
+
+/**
+ * Change rows of the "PI 13 - Changes" tab: [change, key]
+ */
+function changes(harness) {
+  return readSheet(harness.spreadsheet.getSheetByName('PI 13 - Changes')).slice(4).map(row => [row[0], row[1]]);
+}
+
+describe('recordPISnapshot', () => {
+  it('only reports changes in the value streams a partial refresh covered', () => {
+    const harness = createHarness();
+    const { createPIAnalysisSheet } = harness.global;
+    const both = ['EMA Clinical', 'MMPM'];
+
+    createPIAnalysisSheet('PI 13', [epic('ORD-1', 'EMA Clinical', 3), epic('MM-1', 'MMPM', 5)], both);
+    createPIAnalysisSheet('PI 13', [epic('ORD-1', 'EMA Clinical', 8)], ['EMA Clinical']);
+    assert.deepEqual(changes(harness), [['Re-estimated', 'ORD-1']]);
+
+    createPIAnalysisSheet('PI 13', [epic('ORD-1', 'EMA Clinical', 8), epic('MM-1', 'MMPM', 5)], both);
+    assert.deepEqual(changes(harness), [['No epic changes since the previous snapshot', '']]);
+
+    createPIAnalysisSheet('PI 13', [epic('ORD-2', 'EMA Clinical', 1)], ['EMA Clinical']);
+    assert.deepEqual(changes(harness), [['Added', 'ORD-2'], ['Removed', 'ORD-1']]);
+    assert.deepEqual(Object.keys(harness.global.getLatestPISnapshot('PI 13').epics).sort(), ['MM-1', 'ORD-2']);
+  });
+
+  it('decodes only the latest history row, once per PI', () => {
+    const harness = createHarness();
+    for (let i = 1; i <= 3; i++) {
+      harness.global.recordPISnapshot('PI 13', [epic('ORD-1', 'EMA Clinical', i)]);
+    }
+    harness.evaluate('piSnapshotLatestCache_ = {}');
+    const Utilities = harness.global.Utilities;
+    const ungzip = Utilities.ungzip;
+    let decoded = 0;
+    Utilities.ungzip = blob => { decoded++; return ungzip.call(Utilities, blob); };
+
+    assert.equal(harness.global.getLatestPISnapshot('PI 13').epics['ORD-1'].featurePoints, 3);
+    assert.equal(harness.global.getLatestPISnapshot('PI 13').epics['ORD-1'].featurePoints, 3);
+    assert.equal(harness.global.getLatestPISnapshot('PI 12'), null);
+    assert.equal(decoded, 1);
+  });
+});
+
+describe('scope burn-up', () => {
+  it('stacks baseline and added scope up to the committed line, with removed scope above it', () => {
+    const harness = createHarness();
+    const snapshot = (takenAt, epics) => ({ takenAt: takenAt, epics: epics });
+    const history = [
+      snapshot('2026-03-02T09:00:00Z', { 'ORD-1': epic('ORD-1', 'EMA Clinical', 3), 'ORD-2': epic('ORD-2', 'EMA Clinical', 2) }),
+      snapshot('2026-03-03T09:00:00Z', { 'ORD-1': epic('ORD-1', 'EMA Clinical', 3), 'ORD-3': epic('ORD-3', 'EMA Clinical', 1) })
+    ];
+
+    const rows = harness.plain(harness.global.buildScopeBurnupSeries(history, 'EMA Clinical'))
+      .map(row => [row.committed, row.baseline, row.added, row.removed]);
+    assert.deepEqual(rows, [[50, 50, 0, 0], [40, 30, 10, 20]]);
+    rows.forEach(([committed, baseline, added]) => assert.equal(baseline + added, committed));
+
+    harness.global.recordPISnapshot('PI 13', [epic('ORD-1', 'EMA Clinical', 3)]);
+    const sheet = harness.spreadsheet.insertSheet('EMA Clinical Summary');
+    harness.global.createScopeBurnupSection(sheet, 1, 'PI 13', 'EMA Clinical');
+
+    const options = sheet.getCharts()[0].getOptions();
+    assert.equal(options.isStacked, true);
+    assert.deepEqual(Object.values(options.series).map(series => series.type), ['line', 'line', 'area', 'area', 'area']);
+    assert.deepEqual(readSheet(sheet)[2].slice(3, 6), ['Baseline Still Committed', 'Scope Added', 'Scope Removed']);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Tests for the PI predictability (say/do) metric (Predictability.js)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { findRow } = require('./harness/sheets');
+
+function epic(key, scrumTeam, valueStream, featurePoints, status, piCommitment, closedTransitionDate) {
+  return {
+    key: key, issueType: 'Epic', summary: key, status: status, scrumTeam: scrumTeam, valueStream: valueStream,
+    allocation: 'Product - Feature', featurePoints: featurePoints, programIncrement: 'PI 14',
+    piCommitment: piCommitment, closedTransitionDate: closedTransitionDate || ''
+  };
+}
+
+/**
+ * PI 14 epics: Rubber Ducks deliver 2 of 3 committed (one closed after the PI), Vesties 1 of 1
+ */
+const PI14_EPICS = [
+  epic('DUCK-1', 'Rubber Ducks', 'EMA Clinical', 5, 'Done', 'Committed', '2026-02-10'),
+  epic('DUCK-2', 'Rubber Ducks', 'EMA Clinical', 3, 'Closed', 'Committed', '2026-03-13'),
+  epic('DUCK-3', 'Rubber Ducks', 'EMA Clinical', 2, 'Done', 'Committed', '2026-03-20'),
+  epic('DUCK-4', 'Rubber Ducks', 'EMA Clinical', 8, 'Done', 'Stretch', '2026-02-01'),
+  epic('DUCK-5', 'Rubber Ducks', 'EMA Clinical', 1, 'In Progress', 'Stretch'),
+  epic('VES-1', 'Vesties', 'EMA Clinical', 4, 'Resolved', ' committed ', '2026-01-30'),
+  epic('OPS-1', 'Pipeline Pals', 'Platform', 2, 'To Do', 'Committed')
+];
+
+/**
+ * Harness with a PI 14 calendar ending on 2026-03-13
+ */
+function createPI14Harness() {
+  const harness = createHarness();
+  harness.spreadsheet.insertSheet('PI Calendar').loadValues(1, 1, [
+    ['PI', 'Iteration', 'Start Date', 'End Date', 'Feature Freeze Date', 'Release Date'],
+    [14, 1, '2026-01-05', '2026-01-16', '2026-02-27', ''],
+    [14, 2, '2026-01-19', '2026-01-30', '', ''],
+    [14, 3, '2026-02-02', '2026-02-13', '', ''],
+    [14, 4, '2026-02-16', '2026-02-27', '', ''],
+    [14, 5, '2026-03-02', '2026-03-13', '', '']
+  ]);
+  const issues = harness.loadPISheet(14, PI14_EPICS);
+  return { harness, issues };
+}
+
+describe('calculatePredictability', () => {
+  it('counts committed epics closed by the end of the PI', () => {
+    const { harness, issues } = createPI14Harness();
+
+    const metrics = harness.plain(harness.global.calculatePredictability(
+      issues.filter(i => i.scrumTeam === 'Rubber Ducks'), '14'));
+
+    assert.deepEqual(metrics, {
+      committedObjectives: 3,
+      deliveredObjectives: 2,
+      objectivesRatio: 2 / 3,
+      committedFeaturePoints: 10,
+      deliveredFeaturePoints: 8,
+      featurePointsRatio: 0.8,
+      stretchDelivered: 1,
+      missed: ['DUCK-3']
+    });
+  });
+
+  it('counts any done epic when the PI is not on the calendar', () => {
+    const harness = createHarness();
+    const issues = harness.loadPISheet(14, PI14_EPICS);
+
+    const metrics = harness.global.calculatePredictability(issues.filter(i => i.scrumTeam === 'Rubber Ducks'), '14');
+
+    assert.equal(metrics.deliveredObjectives, 3);
+    assert.equal(metrics.featurePointsRatio, 1);
+  });
+
+  it('uses the JIRA resolution date written to a refreshed PI sheet', () => {
+    const { harness } = createPI14Harness();
+    const { processEpicData, flattenSelectFields_, createPIAnalysisSheet, parsePISheetData } = harness.global;
+    const jiraEpic = (key, resolutiondate) => ({
+      key: key,
+      fields: {
+        summary: key,
+        status: { name: 'Done' },
+        customfield_10040: { value: 'Rubber Ducks' },
+        customfield_10046: { value: 'EMA Clinical' },
+        customfield_10063: { value: 'Committed' },
+        customfield_10252: 5,
+        resolutiondate: resolutiondate
+      }
+    });
+
+    createPIAnalysisSheet('PI 14', [
+      jiraEpic('DUCK-1', '2026-03-13T17:00:00.000+0000'),
+      jiraEpic('DUCK-2', '2026-03-16T09:00:00.000+0000')
+    ].map(epic => processEpicData(flattenSelectFields_(epic), 'EMA Clinical')), ['EMA Clinical']);
+    const values = harness.spreadsheet.getSheetByName('PI 14').getDataRange().getValues();
+    const metrics = harness.global.calculatePredictability(parsePISheetData(values, values[3]), '14');
+
+    assert.ok(harness.global.getSyncFieldIds_().includes('resolutiondate'));
+    assert.equal(metrics.deliveredObjectives, 1);
+    assert.deepEqual(harness.plain(metrics.missed), ['DUCK-2']);
+  });
+
+  it('has no ratio without committed epics', () => {
+    const harness = createHarness();
+
+    const metrics = harness.global.calculatePredictability([], '14');
+
+    assert.equal(metrics.objectivesRatio, null);
+    assert.equal(metrics.featurePointsRatio, null);
+  });
+});
+
+describe('calculatePredictabilityByValueStream', () => {
+  it('rolls teams up into their value stream', () => {
+    const { harness, issues } = createPI14Harness();
+
+    const byValueStream = harness.global.calculatePredictabilityByValueStream(issues, '14');
+
+    assert.deepEqual(harness.plain(Object.keys(byValueStream)), ['EMA Clinical', 'Platform']);
+    assert.deepEqual(harness.plain(Object.keys(byValueStream['EMA Clinical'].teams)), ['Rubber Ducks', 'Vesties']);
+    assert.equal(byValueStream['EMA Clinical'].total.objectivesRatio, 0.75);
+    assert.equal(byValueStream['EMA Clinical'].total.featurePointsRatio, 12 / 14);
+    assert.equal(byValueStream.Platform.total.objectivesRatio, 0);
+  });
+});
+
+describe('PI predictability output', () => {
+  it('adds the PI Predictability section to the team summary', () => {
+    const { harness, issues } = createPI14Harness();
+
+    harness.global.createScrumTeamSummary(issues, 'PI 14', 'Rubber Ducks');
+    const sheet = harness.spreadsheet.getSheetByName('PI 14 - Rubber Ducks Summary');
+
+    assert.deepEqual(harness.errors(), []);
+    const titleRow = findRow(sheet, 'PI Predictability');
+    assert.notEqual(titleRow, -1);
+    assert.deepEqual(harness.plain(sheet.getRange(titleRow + 3, 1, 1, 4).getValues()[0]),
+      ['Committed Feature Points', 10, 8, 0.8]);
+    assert.equal(sheet.getRange(titleRow + 3, 4).getBackground(), '#d9ead3');
+    assert.equal(sheet.getRange(titleRow + 2, 4).getBackground(), '#fff3cd');
+    assert.match(sheet.getRange(titleRow + 4, 1).getValue(), /Not delivered: DUCK-3/);
+  });
+
+  it('replaces the dashboard roll-up on each run', () => {
+    const { harness } = createPI14Harness();
+    const dashboard = harness.spreadsheet.insertSheet('PI 14 Dashboard');
+    dashboard.loadValues(1, 1, [['PI 14 Planning Dashboard']]);
+
+    assert.equal(harness.global.addPredictabilityToDashboard('14'), true);
+    assert.equal(harness.global.addPredictabilityToDashboard('14'), true);
+
+    const titleRow = findRow(dashboard, 'PI Predictability by Value Stream');
+    assert.equal(titleRow, 4);
+    assert.equal(dashboard.getLastRow(), titleRow + 6);
+    assert.deepEqual(harness.plain(dashboard.getRange(titleRow + 4, 1, 1, 8).getValues()[0]),
+      ['EMA Clinical', 'Value Stream Total', 4, 3, 0.75, 14, 12, 12 / 14]);
+    assert.equal(dashboard.getRange(titleRow + 6, 5).getBackground(), '#ffcccc');
+  });
+});
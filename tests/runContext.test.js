@@ -0,0 +1,87 @@
+/**
+ * Tests for interactive and headless run contexts (RunContext.js)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { writeClinicalCapacitySheet } = require('./harness/sheets');
+const PI13_ISSUES = require('./fixtures/pi13-issues.json');
+
+/**
+ * Harness with PI 13 data whose UI fails the test if anything touches it
+ * @param {Object} [globals] - Extra globals
+ */
+function createHeadlessHarness(globals) {
+  const harness = createHarness({
+    globals: Object.assign({
+      // Defined outside this snapshot of the project
+      createDansReportRoleBreakdown: (sheet, currentRow) => currentRow
+    }, globals)
+  });
+  harness.loadPISheet(13, PI13_ISSUES);
+  writeClinicalCapacitySheet(harness.spreadsheet, {
+    codeFreeze: [{ team: 'Ordernauts', baseline: 40, productL: 20, productM: 5 }],
+    entirePI: [{ team: 'Ordernauts', baseline: 60, productL: 30, productM: 8 }]
+  });
+  harness.global.SpreadsheetApp.getUi = () => {
+    throw new Error('UI used in a headless run');
+  };
+  return harness;
+}
+
+describe('headless run context', () => {
+  it('generates DAN\'s Report from options without touching the UI', () => {
+    const harness = createHeadlessHarness();
+
+    harness.global.generateDansReport(harness.global.createHeadlessRunContext({ piNumber: 13 }, 'test'));
+
+    assert.deepEqual(harness.errors(), []);
+    assert.notEqual(harness.spreadsheet.getSheetByName("DAN's Report"), null);
+  });
+
+  it('hands its options to the refresh and fails instead of alerting', () => {
+    const calls = [];
+    const harness = createHeadlessHarness({
+      analyzeSelectedValueStreams: (piNumber, valueStreams, context) =>
+        calls.push([piNumber, Array.from(valueStreams), context.mode, context.choose('useCache')])
+    });
+    const { createHeadlessRunContext, generateDansReport } = harness.global;
+
+    generateDansReport(createHeadlessRunContext({ piNumber: '13', refreshPIData: true, useCache: true }));
+    assert.deepEqual(calls, [['13', ['EMA Clinical'], 'headless', true]]);
+
+    assert.throws(() => generateDansReport(createHeadlessRunContext({ piNumber: '14' })),
+      /^Error: No PI Data Found: Sheet "PI 14" not found/);
+    assert.throws(() => generateDansReport(createHeadlessRunContext({}, 'Nightly')),
+      /Nightly run needs the piNumber option/);
+    assert.equal(calls.length, 1);
+  });
+
+  it('generates all team summaries and reports progress to the log', () => {
+    const harness = createHeadlessHarness();
+
+    harness.global.generateAllScrumTeamSummaries('13', harness.global.createHeadlessRunContext());
+
+    assert.notEqual(harness.spreadsheet.getSheetByName('PI 13 - Ordernauts Summary'), null);
+    assert.throws(() => harness.global.generateAllScrumTeamSummaries('14', harness.global.createHeadlessRunContext()),
+      /No data found for PI 14/);
+  });
+});
+
+describe('interactive run context', () => {
+  it('only asks for options the caller did not set', () => {
+    const harness = createHarness();
+    harness.ui.answerAlert(harness.ui.Button.YES);
+    const context = harness.global.createInteractiveRunContext({ refreshPIData: false });
+
+    assert.equal(context.choose('refreshPIData'), false);
+    assert.equal(context.choose('useCache'), true);
+    assert.equal(context.choose('useCache'), true);
+    assert.deepEqual(harness.ui.alerts.map(alert => alert.title), ['Cache Option']);
+    assert.throws(() => context.choose('cacheOption'), /Unknown run option: cacheOption/);
+  });
+});
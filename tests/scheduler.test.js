@@ -0,0 +1,150 @@
+/**
+ * Tests for the Schedule sheet and scheduler (Scheduler.js)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { readSheet } = require('./harness/sheets');
+const JIRA_ISSUES = require('./fixtures/jira/issues.json');
+const JIRA_FIELDS = require('./fixtures/jira/fields.json');
+
+const HEADERS = ['Enabled', 'PI', 'Value Streams', 'Cadence', 'Refresh Policy', 'Destination', 'Last Run', 'Last Status'];
+
+/**
+ * Harness with a Schedule sheet holding the given rows
+ * @param {Array<Array>} rows - Schedule rows
+ */
+function createScheduleHarness(rows) {
+  const harness = createHarness({ jiraIssues: JSON.parse(JSON.stringify(JIRA_ISSUES)), jiraFields: JIRA_FIELDS });
+  harness.spreadsheet.insertSheet('Schedule').loadValues(1, 1, [HEADERS].concat(rows));
+  harness.evaluate('JOB_RUNNER_CONFIG.timeBudgetSeconds = 1000');
+  return harness;
+}
+
+function minutesAgo(minutes) {
+  return new Date(Date.now() - minutes * 60 * 1000);
+}
+
+function schedulerTriggers(harness) {
+  return harness.global.ScriptApp.getProjectTriggers()
+    .filter(trigger => ['runScheduledJobs', 'hourlyUpdate'].includes(trigger.getHandlerFunction()));
+}
+
+describe('Schedule sheet', () => {
+  it('parses cadences, value streams and policies, and reports invalid rows', () => {
+    const harness = createScheduleHarness([
+      [true, 'PI 13', 'ema clinical, MMPM', 'Every 15 minutes', 'incremental', ''],
+      [true, 14, 'All', 'Weekly on Mon at 7:30', 'Cache first', 'PI sheet + summaries'],
+      ['', '', '', '', '', ''],
+      [true, 13, 'RCM', 'Every 15 minutes', 'Incremental', 'PI sheet'],
+      [false, 13, 'AIMM', 'Every 20 minutes', 'Incremental', 'PI sheet']
+    ]);
+
+    const entries = harness.plain(harness.global.getScheduleEntries());
+
+    assert.deepEqual(entries.map(e => e.row), [2, 3, 5, 6]);
+    assert.deepEqual(
+      [entries[0].piNumber, entries[0].valueStreams, entries[0].cadence, entries[0].refreshPolicy, entries[0].destination],
+      ['13', ['EMA Clinical', 'MMPM'], { type: 'interval', minutes: 15 }, 'Incremental', 'PI sheet']);
+    assert.deepEqual(entries[1].cadence, { type: 'weekly', weekday: 1, hour: 7, minute: 30 });
+    assert.equal(entries[1].valueStreams.length, 6);
+    assert.match(entries[2].error, /^Value Streams must be one of/);
+    assert.match(entries[3].error, /Every 20 minutes isn't supported/);
+  });
+
+  it('installs one trigger for every cadence, replacing the old hourlyUpdate trigger', () => {
+    const harness = createScheduleHarness([
+      [true, 13, 'MMPM', 'Every 10 minutes', 'Incremental', 'PI sheet'],
+      [true, 13, 'AIMM', 'Every 15 minutes', 'Incremental', 'PI sheet'],
+      [false, 13, 'AIMM', 'Every 5 minutes', 'Incremental', 'PI sheet']
+    ]);
+    const ScriptApp = harness.global.ScriptApp;
+    ScriptApp.newTrigger('hourlyUpdate').timeBased().everyMinutes(15).create();
+
+    assert.equal(harness.global.syncScheduleTriggers().tickMinutes, 5);
+    assert.deepEqual(schedulerTriggers(harness).map(t => [t.getHandlerFunction(), t.spec.everyMinutes]),
+      [['runScheduledJobs', 5]]);
+
+    harness.spreadsheet.getSheetByName('Schedule').loadValues(2, 1, [
+      [true, 13, 'MMPM', 'Every 4 hours', 'Incremental', 'PI sheet'],
+      [true, 13, 'AIMM', 'Every 6 hours', 'Incremental', 'PI sheet']
+    ]);
+    harness.global.syncScheduleTriggers();
+    assert.deepEqual(schedulerTriggers(harness).map(t => t.spec.everyHours), [2]);
+
+    harness.spreadsheet.getSheetByName('Schedule').loadValues(2, 1, [[false], [false]]);
+    assert.equal(harness.global.syncScheduleTriggers().tickMinutes, null);
+    assert.equal(schedulerTriggers(harness).length, 0);
+  });
+});
+
+describe('runScheduledJobs', () => {
+  it('runs rows whose cadence has elapsed, even when the trigger fires late, and records the run', () => {
+    const now = new Date();
+    const daily = new Date(now.getTime() - 60 * 60 * 1000);
+    const dailyCadence = `Daily at ${daily.getHours()}:${String(daily.getMinutes()).padStart(2, '0')}`;
+    const harness = createScheduleHarness([
+      // Last tick came a minute late
+      [true, 13, 'EMA Clinical', 'Every 15 minutes', 'Incremental', 'PI sheet', minutesAgo(14), 'OK'],
+      [true, 13, 'MMPM', 'Every 30 minutes', 'Incremental', 'PI sheet', minutesAgo(15), 'OK'],
+      [true, 12, 'MMPM', dailyCadence, 'Incremental', 'PI sheet', minutesAgo(30), 'OK'],
+      [false, 12, 'AIMM', 'Every 5 minutes', 'Incremental', 'PI sheet', '', '']
+    ]);
+    harness.global.createPIAnalysisSheet('PI 13', [{ key: 'VES-1', issueType: 'Epic', valueStream: 'EMA Clinical' }], ['EMA Clinical']);
+    harness.global.PropertiesService.getScriptProperties()
+      .setProperty('LAST_SYNC_PI 13', JSON.stringify({ 'EMA Clinical': '2025-10-03T00:00:00.000Z' }));
+
+    // Triggers installed before the Schedule sheet still land in the scheduler
+    harness.global.hourlyUpdate();
+
+    const rows = readSheet(harness.spreadsheet.getSheetByName('Schedule'));
+    assert.equal(rows[1][7], 'OK: 0 updated, 3 added, 0 removed');
+    assert.ok(new Date(rows[1][6]).getTime() >= now.getTime());
+    assert.deepEqual([rows[2][7], rows[3][7], rows[4][7]], ['OK', 'OK', '']);
+    assert.deepEqual(harness.errors(), []);
+    assert.deepEqual(harness.plain(harness.global.runScheduledJobs()), []);
+  });
+
+  it('starts a full refresh job for unsynced sheets, and waits while one is running', () => {
+    const harness = createScheduleHarness([
+      [true, 13, 'EMA Clinical', 'Every 15 minutes', 'Incremental', 'PI sheet + summaries', '', ''],
+      [true, 14, 'EMA Clinical', 'Every 15 minutes', 'Full refresh', 'PI sheet', '', '']
+    ]);
+    harness.evaluate('JOB_RUNNER_CONFIG.timeBudgetSeconds = -1');
+
+    const results = harness.plain(harness.global.runScheduledJobs());
+
+    assert.deepEqual(results.map(r => r.status), [
+      'Full refresh started (1/4 steps)',
+      'Waiting: A PI 13 analysis is already running. Wait for it to finish or cancel it first.'
+    ]);
+    const rows = readSheet(harness.spreadsheet.getSheetByName('Schedule'));
+    assert.notEqual(rows[1][6], '');
+    assert.equal(rows[2][6], '');
+
+    // The waiting row runs on the next tick once the job is done
+    harness.global.cancelAnalysisJob();
+    assert.deepEqual(harness.plain(harness.global.runScheduledJobs()).map(r => r.row), [3]);
+  });
+
+  it('records failures in the sheet and emails them', () => {
+    const harness = createScheduleHarness([
+      [true, 13, 'EMA Clinical', 'Every 15 minutes', 'Incremental', 'PI sheet', '', '']
+    ]);
+    harness.global.createPIAnalysisSheet('PI 13', [{ key: 'VES-1', issueType: 'Epic', valueStream: 'EMA Clinical' }], ['EMA Clinical']);
+    harness.global.PropertiesService.getScriptProperties()
+      .setProperty('LAST_SYNC_PI 13', JSON.stringify({ 'EMA Clinical': '2025-10-03T00:00:00.000Z' }));
+    harness.jira.failNext(400, { match: /\/search/ });
+
+    const results = harness.plain(harness.global.runScheduledJobs());
+
+    assert.match(results[0].status, /^Error: JIRA search failed \(HTTP 400/);
+    assert.match(readSheet(harness.spreadsheet.getSheetByName('Schedule'))[1][7], /^Error: JIRA search failed/);
+    assert.equal(harness.global.MailApp.sent.length, 1);
+    assert.match(harness.global.MailApp.sent[0][2], /for PI 13 \(EMA Clinical, Incremental\) failed/);
+  });
+});
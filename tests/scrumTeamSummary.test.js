@@ -0,0 +1,158 @@
+/**
+ * Regression tests for the scrum team summary sheet (createScrumTeamSummary)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { writeConsolidatedCapacitySheet, readSheet, findRow } = require('./harness/sheets');
+const PI13_ISSUES = require('./fixtures/pi13-issues.json');
+
+const SUMMARY_SHEET = 'PI 13 - Ordernauts Summary';
+
+function createSummaryHarness() {
+  const harness = createHarness();
+  const issues = harness.loadPISheet(13, PI13_ISSUES);
+  writeConsolidatedCapacitySheet(harness.spreadsheet, 'PI13 - Capacity', [{
+    name: 'EMA Clinical',
+    teams: [{
+      name: 'Ordernauts',
+      allocations: {
+        productFeature: [10, 10, 10, 10, 5, 5],
+        techPlatform: [3, 3, 3, 3, 3, 3]
+      }
+    }]
+  }]);
+  return { harness, issues };
+}
+
+/**
+ * Sheet values without the run timestamps, for comparing two runs
+ */
+function stableValues(sheet) {
+  return readSheet(sheet).filter(row => !/^(Last Refreshed|Report completed at):/.test(String(row[0])));
+}
+
+describe('createScrumTeamSummary', () => {
+  it('builds the summary sheet without logging errors', () => {
+    const { harness, issues } = createSummaryHarness();
+
+    const result = harness.plain(harness.global.createScrumTeamSummary(issues, 'PI 13', 'Ordernauts'));
+
+    assert.deepEqual(result, { success: true, team: 'Ordernauts', sheetName: SUMMARY_SHEET });
+    assert.deepEqual(harness.errors(), []);
+
+    const sheet = harness.spreadsheet.getSheetByName(SUMMARY_SHEET);
+    assert.equal(sheet.getRange(1, 1).getValue(), SUMMARY_SHEET);
+    ['Planning Progress', 'Iteration Slotting', 'Planned Capacity Distribution', 'Epics slotted by Iteration',
+      'All Epics for Planning', 'Epic-Child Allocation Mismatches', 'Allocation Fix Queue'].forEach(section => {
+      assert.notEqual(findRow(sheet, section), -1, `missing section "${section}"`);
+    });
+  });
+
+  it('writes slotted load per iteration next to the capacity sheet values', () => {
+    const { harness, issues } = createSummaryHarness();
+    harness.global.createScrumTeamSummary(issues, 'PI 13', 'Ordernauts');
+    const sheet = harness.spreadsheet.getSheetByName(SUMMARY_SHEET);
+
+    const iteration1 = sheet.getRange(findRow(sheet, 'Iteration 1'), 1, 1, 7).getValues()[0];
+    const iteration5 = sheet.getRange(findRow(sheet, 'Iteration 5'), 1, 1, 7).getValues()[0];
+    const total6 = sheet.getRange(findRow(sheet, 'Total (6 iterations)'), 1, 1, 7).getValues()[0];
+
+    // [label, baseline, product load, slotted product, remaining formula, tech load, slotted tech]
+    assert.deepEqual([iteration1[2], iteration1[3], iteration1[5], iteration1[6]], [10, 5, 3, 0]);
+    assert.deepEqual([iteration5[2], iteration5[3], iteration5[5], iteration5[6]], [5, 0, 3, 3]);
+    assert.deepEqual([total6[3], total6[6]], [13, 3]);
+  });
+
+  it('lists each epic with its slotted points and the mismatched children', () => {
+    const { harness, issues } = createSummaryHarness();
+    harness.global.createScrumTeamSummary(issues, 'PI 13', 'Ordernauts');
+    const sheet = harness.spreadsheet.getSheetByName(SUMMARY_SHEET);
+
+    const slottedStart = findRow(sheet, 'Epics slotted by Iteration');
+    const slottedEpics = readSheet(sheet).slice(slottedStart + 1, slottedStart + 3).map(row => row[0]);
+    assert.deepEqual(slottedEpics, ['ORD-1', 'ORD-5']);
+
+    const queueHeader = findRow(sheet, 'Approved');
+    const queued = sheet.getRange(queueHeader + 1, 1, 3, 2).getValues();
+    assert.deepEqual(harness.plain(queued), [[false, 'ORD-3'], [false, 'ORD-6'], [false, 'ORD-7']]);
+  });
+
+  it('rebuilds the same content when run again', () => {
+    const { harness, issues } = createSummaryHarness();
+    harness.global.createScrumTeamSummary(issues, 'PI 13', 'Ordernauts');
+    const sheet = harness.spreadsheet.getSheetByName(SUMMARY_SHEET);
+    const firstRun = stableValues(sheet);
+    const firstCharts = sheet.getCharts().length;
+
+    harness.global.createScrumTeamSummary(issues, 'PI 13', 'Ordernauts');
+
+    assert.deepEqual(harness.plain(stableValues(sheet)), harness.plain(firstRun));
+    assert.equal(sheet.getCharts().length, firstCharts);
+  });
+
+  it('keeps queue approvals and results when the summary is regenerated', () => {
+    const { harness, issues } = createSummaryHarness();
+    harness.global.createScrumTeamSummary(issues, 'PI 13', 'Ordernauts');
+    const sheet = harness.spreadsheet.getSheetByName(SUMMARY_SHEET);
+    const firstRow = findRow(sheet, 'Approved') + 1;
+    const updatedAt = new Date('2025-10-05T10:00:00Z');
+    sheet.getRange(firstRow, 1).setValue(true);
+    sheet.getRange(firstRow + 2, 1, 1, 8).setValues([[true, 'ORD-7', '', '', '', '', 'Failed: HTTP 400', updatedAt]]);
+
+    // e.g. a scheduled "PI sheet + summaries" run
+    harness.global.createScrumTeamSummary(issues, 'PI 13', 'Ordernauts');
+
+    const queueRow = findRow(sheet, 'Approved') + 1;
+    const rows = harness.plain(sheet.getRange(queueRow, 1, 3, 8).getValues());
+    assert.deepEqual(rows.map(row => [row[0], row[1], row[6]]),
+      [[true, 'ORD-3', ''], [false, 'ORD-6', ''], [true, 'ORD-7', 'Failed: HTTP 400']]);
+    assert.equal(new Date(rows[2][7]).getTime(), updatedAt.getTime());
+    assert.deepEqual(harness.global.PropertiesService.getScriptProperties().getKeys()
+      .filter(key => key.startsWith('ALLOCATION_QUEUE_')), []);
+  });
+
+  it('reports failure for a team with no issues', () => {
+    const { harness, issues } = createSummaryHarness();
+
+    const result = harness.global.createScrumTeamSummary(issues, 'PI 13', 'Embryonics');
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /No data found for team Embryonics/);
+    assert.equal(harness.spreadsheet.getSheetByName('PI 13 - Embryonics Summary'), null);
+  });
+});
+
+describe('PI sheet round trip', () => {
+  it('reads back every mapped field JIRA returns for an epic and its children', () => {
+    const harness = createHarness();
+    const { processEpicData, processChildData, flattenSelectFields_, createPIAnalysisSheet, parsePISheetData } = harness.global;
+    const epic = { key: 'ORD-1', fields: { summary: 'Checkout', status: { name: 'In Progress' },
+      fixVersions: [{ name: '2026.4' }], customfield_10061: { value: '13.2' },
+      customfield_10069: { value: '13.1' }, customfield_10070: { value: '13.3' },
+      customfield_10049: { value: 'Grow' }, customfield_10050: { value: 'Payments' },
+      customfield_10068: { value: 'Amber' }, customfield_10067: 'Waiting on vendor',
+      customfield_11192: { value: 'Clinical' }, customfield_10114: { value: 'MMPM' } } };
+    const story = { key: 'ORD-11', fields: { summary: 'Card form', issuetype: { name: 'Story' },
+      status: { name: 'To Do' }, parent: { key: 'ORD-1' }, fixVersions: [{ name: '2026.3' }, { name: '2026.4' }],
+      customfield_10061: { value: '13.3' } } };
+
+    createPIAnalysisSheet('PI 13', [
+      processEpicData(flattenSelectFields_(epic), 'EMA Clinical'),
+      processChildData(flattenSelectFields_(story), 'ORD-1', 'EMA Clinical')
+    ], ['EMA Clinical']);
+    const values = harness.spreadsheet.getSheetByName('PI 13').getDataRange().getValues();
+    const [parsedEpic, parsedStory] = harness.plain(parsePISheetData(values, values[3]));
+
+    const mapped = ['fixVersion', 'piTargetIteration', 'iterationStart', 'iterationEnd', 'portfolioInitiative',
+      'programInitiative', 'rag', 'ragNote', 'org', 'dependsOnValuestream'];
+    const pick = issue => mapped.map(field => issue[field]);
+    assert.deepEqual(pick(parsedEpic),
+      ['2026.4', '13.2', '13.1', '13.3', 'Grow', 'Payments', 'Amber', 'Waiting on vendor', 'Clinical', 'MMPM']);
+    assert.deepEqual(pick(parsedStory), ['2026.3, 2026.4', '13.3', '', '', '', '', '', '', '', '']);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Regression tests for the iteration slotting math (calculateSlottedData)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const PI13_ISSUES = require('./fixtures/pi13-issues.json');
+
+describe('calculateSlottedData', () => {
+  it('slots story and bug points by sprint iteration and allocation category', () => {
+    const harness = createHarness();
+    const issues = harness.loadPISheet(13, PI13_ISSUES);
+
+    const slotted = harness.plain(harness.global.calculateSlottedData(issues, '13', 'Ordernauts'));
+
+    assert.deepEqual(slotted.product, { 1: 5, 2: 8, 3: 0, 4: 0, 5: 0, 6: 0, totalBeforeFF: 13, total: 13 });
+    assert.deepEqual(slotted.tech, { 1: 0, 2: 0, 3: 0, 4: 0, 5: 3, 6: 0, totalBeforeFF: 3, total: 3 });
+    assert.deepEqual(slotted.quality, { 1: 0, 2: 0, 3: 2, 4: 0, 5: 0, 6: 0, totalBeforeFF: 2, total: 2 });
+  });
+
+  it('skips unplanned quality work, KLO and stories without a sprint', () => {
+    const harness = createHarness();
+    const issues = harness.loadPISheet(13, PI13_ISSUES);
+
+    const slotted = harness.global.calculateSlottedData(issues, '13', 'Ordernauts');
+    const allPoints = ['product', 'tech', 'quality']
+      .reduce((sum, category) => sum + slotted[category].total, 0);
+
+    // ORD-7 (unplanned, 4), ORD-8 (no sprint, 5) and ORD-9 (KLO, 2) are not slotted
+    assert.equal(allPoints, 18);
+  });
+
+  it('matches the team case-insensitively and ignores other PIs', () => {
+    const harness = createHarness();
+    const issues = harness.loadPISheet(13, PI13_ISSUES);
+
+    const byUpperCase = harness.plain(harness.global.calculateSlottedData(issues, '13', 'ORDERNAUTS'));
+    const byOtherPI = harness.global.calculateSlottedData(issues, '14', 'Ordernauts');
+
+    assert.equal(byUpperCase.product.total, 13);
+    assert.equal(byOtherPI.product.total + byOtherPI.tech.total + byOtherPI.quality.total, 0);
+  });
+
+  it('counts iterations 1-5 in totalBeforeFF and 1-6 in total', () => {
+    const harness = createHarness();
+    const issues = [
+      { key: 'T-1', issueType: 'Story', scrumTeam: 'Vesties', allocation: 'Product - Feature', storyPoints: 1, sprintName: 'VES 13.4' },
+      { key: 'T-2', issueType: 'Story', scrumTeam: 'Vesties', allocation: 'Product - Feature', storyPoints: 2, sprintName: 'VES 13.5' },
+      { key: 'T-3', issueType: 'Bug', scrumTeam: 'Vesties', allocation: 'Product - Feature', storyPoints: 4, sprintName: 'VES 13 . 6' }
+    ];
+
+    const slotted = harness.global.calculateSlottedData(issues, '13', 'Vesties');
+
+    assert.equal(slotted.product.totalBeforeFF, 3);
+    assert.equal(slotted.product.total, 7);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for sprint history from the Agile API (SprintHistory.js) and its use in slotting
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { findRow, readSheet, writeConsolidatedCapacitySheet } = require('./harness/sheets');
+const PI13_ISSUES = require('./fixtures/pi13-issues.json');
+
+const DONE = { name: 'Done', statusCategory: { key: 'done' } };
+const TO_DO = { name: 'To Do', statusCategory: { key: 'new' } };
+
+function jiraIssue(key, points, status, sprintIds) {
+  return {
+    key: key,
+    fields: {
+      issuetype: { name: 'Story' },
+      status: status,
+      customfield_10037: points,
+      customfield_10020: sprintIds.map(id => ({ id: id, name: `Sprint ${id}` }))
+    }
+  };
+}
+
+/**
+ * Harness with sprint history on and Ordernauts' board: 13.1 and 13.2 closed, 13.3 active.
+ * ORD-3 was carried over from 13.1 into 13.2.
+ */
+function createHistoryHarness() {
+  const harness = createHarness({
+    jiraIssues: [
+      jiraIssue('ORD-2', 5, DONE, [101]),
+      jiraIssue('ORD-3', 8, DONE, [101, 102]),
+      jiraIssue('ORD-4', 3, TO_DO, [103]),
+      jiraIssue('ORD-12', 2, DONE, [103])
+    ]
+  });
+  harness.global.PropertiesService.getScriptProperties().setProperty('SPRINT_HISTORY_ENABLED', 'true');
+
+  harness.jira
+    .addBoard({ id: 8, name: 'Ordernauts Kanban', type: 'kanban' })
+    .addBoard({ id: 7, name: 'Ordernauts' })
+    .addSprint(7, { id: 101, name: 'ORD 13.1', state: 'closed', startDate: '2025-10-06T09:00:00.000Z', endDate: '2025-10-17T17:00:00.000Z' }, ['ORD-2', 'ORD-3'])
+    .addSprint(7, { id: 102, name: 'ORD 13.2', state: 'closed', startDate: '2025-10-20T09:00:00.000Z', endDate: '2025-10-31T17:00:00.000Z' }, ['ORD-3'])
+    .addSprint(7, { id: 103, name: 'ORD 13.3', state: 'active', startDate: '2025-11-03T09:00:00.000Z', endDate: '2025-11-14T17:00:00.000Z' }, ['ORD-4']);
+
+  const issues = harness.loadPISheet(13, PI13_ISSUES);
+  return { harness, issues };
+}
+
+describe('getTeamSprintHistory', () => {
+  it('is off unless switched on', () => {
+    const harness = createHarness();
+
+    assert.equal(harness.global.getTeamSprintHistory('13', 'Ordernauts'), null);
+    assert.equal(harness.jira.requests.length, 0);
+  });
+
+  it('counts carried-over points as spillover and flags sprints without a start snapshot', () => {
+    const { harness } = createHistoryHarness();
+
+    const history = harness.plain(harness.global.getTeamSprintHistory('13', 'Ordernauts'));
+
+    assert.equal(history.boardName, 'Ordernauts');
+    assert.deepEqual(history.issues['ORD-3'], { iterations: [1, 2], finalIteration: 2 });
+    assert.deepEqual(history.iterations[1], { planned: 13, delivered: 5, spillover: 8, added: 0, estimated: true });
+    assert.deepEqual(history.iterations[2], { planned: 8, delivered: 8, spillover: 0, added: 0, estimated: true });
+    assert.deepEqual(history.iterations[3], { planned: 3, delivered: 0, spillover: 0, added: 0, estimated: false });
+  });
+
+  it('compares the start snapshot with the sprint as it closed', () => {
+    const { harness } = createHistoryHarness();
+    harness.global.getTeamSprintHistory('13', 'Ordernauts');
+
+    // ORD-12 is pulled in mid-sprint, then the sprint closes with both done
+    harness.jira.getIssue('ORD-4').fields.status = DONE;
+    harness.jira.updateSprint(103, { state: 'closed', issueKeys: ['ORD-4', 'ORD-12'] });
+    harness.evaluate('sprintHistoryCache_ = {}');
+
+    const history = harness.plain(harness.global.getTeamSprintHistory('13', 'Ordernauts'));
+
+    assert.deepEqual(history.iterations[3], { planned: 3, delivered: 5, spillover: 0, added: 2, estimated: false });
+    const snapshotTypes = readSheet(harness.spreadsheet.getSheetByName('Sprint Snapshots')).slice(1)
+      .filter(row => row[0] === 103).map(row => `${row[3]}:${row[5]}`);
+    assert.deepEqual(snapshotTypes, ['start:ORD-4', 'complete:ORD-4', 'complete:ORD-12']);
+  });
+
+  it('falls back to the PI sheet when JIRA keeps failing with 5xx', () => {
+    const { harness, issues } = createHistoryHarness();
+    const sleeps = [];
+    harness.global.Utilities.sleep = ms => sleeps.push(ms);
+    // One request plus four retries
+    harness.jira.failNext(500, { count: 5, match: /\/rest\/agile\// });
+
+    const slotted = harness.plain(harness.global.calculateSlottedData(issues, '13', 'Ordernauts'));
+
+    assert.equal(harness.errors().length, 1);
+    assert.equal(slotted.tech[5], 3);
+    assert.equal(slotted.spillover.total, 0);
+    assert.equal(sleeps.length, 4);
+  });
+});
+
+describe('slotting with sprint history', () => {
+  it('slots stories into their last sprint and records spillover', () => {
+    const { harness, issues } = createHistoryHarness();
+
+    const slotted = harness.plain(harness.global.calculateSlottedData(issues, '13', 'Ordernauts'));
+
+    assert.deepEqual(slotted.product, { 1: 5, 2: 8, 3: 0, 4: 0, 5: 0, 6: 0, totalBeforeFF: 13, total: 13 });
+    // ORD-4 is on the PI sheet as 13.5 but its sprint on the board is 13.3
+    assert.deepEqual(slotted.tech, { 1: 0, 2: 0, 3: 3, 4: 0, 5: 0, 6: 0, totalBeforeFF: 3, total: 3 });
+    assert.deepEqual(slotted.spillover, { 1: 8, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, totalBeforeFF: 8, total: 8 });
+  });
+
+  it('adds the Planned vs Delivered table and spillover notes to the team summary', () => {
+    const { harness, issues } = createHistoryHarness();
+
+    harness.global.createScrumTeamSummary(issues, 'PI 13', 'Ordernauts');
+    const sheet = harness.spreadsheet.getSheetByName('PI 13 - Ordernauts Summary');
+
+    assert.deepEqual(harness.errors(), []);
+    const titleRow = findRow(sheet, 'Planned vs Delivered (from JIRA sprints)');
+    assert.notEqual(titleRow, -1);
+    assert.deepEqual(harness.plain(sheet.getRange(titleRow + 2, 1, 1, 6).getValues()[0]),
+      ['Iteration 1 *', 13, 0, 5, 8, 0.38]);
+
+    const epicRow = findRow(sheet, 'Epics slotted by Iteration') + 2;
+    assert.equal(sheet.getRange(epicRow, 1).getFormula().includes('ORD-1'), true);
+    assert.match(sheet.getRange(epicRow, 9).getNote(), /Spillover: 8 points/);
+  });
+
+  it('adds a spillover column to the Iteration Slotting table', () => {
+    const { harness, issues } = createHistoryHarness();
+    writeConsolidatedCapacitySheet(harness.spreadsheet, 'PI13 - Capacity', [{
+      name: 'EMA Clinical',
+      teams: [{ name: 'Ordernauts', allocations: { productFeature: [10, 10, 10, 10, 5, 5] } }]
+    }]);
+
+    harness.global.createScrumTeamSummary(issues, 'PI 13', 'Ordernauts');
+    const sheet = harness.spreadsheet.getSheetByName('PI 13 - Ordernauts Summary');
+
+    const headerRow = findRow(sheet, 'Iteration Slotting') + 1;
+    assert.equal(sheet.getRange(headerRow, 13).getValue(), 'Spillover (Carried Over)');
+    const spillover = label => sheet.getRange(findRow(sheet, label), 13).getValue();
+    assert.deepEqual([spillover('Iteration 1'), spillover('Iteration 2'), spillover('Total (6 iterations)')], [8, 0, 8]);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for the historical velocity check (Velocity.js)
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHarness } = require('./harness');
+const { findRow } = require('./harness/sheets');
+const PI13_ISSUES = require('./fixtures/pi13-issues.json');
+
+function doneStory(key, pi, scrumTeam, points) {
+  return {
+    key: key,
+    fields: {
+      issuetype: { name: 'Story' },
+      status: { name: 'Done', statusCategory: { key: 'done' } },
+      customfield_10113: { value: `PI ${pi}` },
+      customfield_10040: { value: scrumTeam },
+      customfield_10037: points
+    }
+  };
+}
+
+/**
+ * Ordernauts' history: PI 12 from a stored snapshot (23 points), PI 11 from JIRA (10 points),
+ * nothing for PI 10
+ */
+function createVelocityHarness() {
+  const harness = createHarness({
+    jiraIssues: [
+      doneStory('ORD-101', 11, 'Ordernauts', 6),
+      doneStory('ORD-102', 11, 'Ordernauts', 4),
+      doneStory('VES-101', 11, 'Vesties', 13),
+      doneStory('ORD-103', 12, 'Ordernauts', 40)
+    ]
+  });
+
+  // Like JIRA: the team's done stories and bugs in the PI, whichever epic they sit under
+  const child = (key, fields) => Object.assign({ key: key, issueType: 'Story', programIncrement: 'PI 12', scrumTeam: 'Ordernauts' }, fields);
+  harness.global.recordPISnapshot('PI 12', [
+    { key: 'ORD-90', issueType: 'Epic', scrumTeam: 'Ordernauts', status: 'Done' },
+    child('ORD-91', { parentKey: 'ORD-90', status: 'Done', storyPoints: 12 }),
+    child('ORD-92', { parentKey: 'ORD-90', status: 'Closed', storyPoints: 8 }),
+    child('ORD-93', { parentKey: 'ORD-90', status: 'To Do', storyPoints: 5 }),
+    child('ORD-94', { issueType: 'Bug', status: 'Done', storyPoints: 3 }),
+    child('VES-95', { parentKey: 'ORD-90', scrumTeam: 'Vesties', status: 'Done', storyPoints: 7 }),
+    child('ORD-96', { parentKey: 'ORD-90', programIncrement: 'PI 11', status: 'Done', storyPoints: 4 })
+  ]);
+
+  return harness;
+}
+
+describe('getTeamHistoricalVelocity', () => {
+  it('prefers stored snapshots and falls back to JIRA', () => {
+    const harness = createVelocityHarness();
+
+    const velocity = harness.plain(harness.global.getTeamHistoricalVelocity('Ordernauts', 'PI 13'));
+
+    assert.deepEqual(velocity, {
+      pis: [{ pi: 12, points: 23, source: 'snapshot' }, { pi: 11, points: 10, source: 'JIRA' }],
+      average: 17
+    });
+  });
+
+  it('has no history for a team without completed work', () => {
+    const harness = createVelocityHarness();
+
+    assert.equal(harness.global.getTeamHistoricalVelocity('Rubber Ducks', '13'), null);
+  });
+
+  it('skips a PI whose JIRA search keeps failing with 5xx', () => {
+    const harness = createVelocityHarness();
+    harness.global.Utilities.sleep = () => undefined;
+    // One request plus four retries
+    harness.jira.failNext(500, { count: 5, match: /\/search\/jql/ });
+
+    const velocity = harness.plain(harness.global.getTeamHistoricalVelocity('Ordernauts', '13'));
+
+    assert.equal(harness.errors().length, 1);
+    assert.deepEqual(velocity.pis.map(entry => entry.pi), [12]);
+  });
+});
+
+describe('checkPlanAgainstVelocity', () => {
+  it('flags plans above the configured threshold', () => {
+    const harness = createHarness();
+    const check = (planned, average) => harness.plain(harness.global.checkPlanAgainstVelocity(planned, { pis: [], average: average }));
+
+    assert.deepEqual(check(18, 15), { percentOfVelocity: 120, percentAbove: 20, thresholdPercent: 20, flagged: false });
+    assert.equal(check(19, 15).flagged, true);
+    assert.equal(harness.global.checkPlanAgainstVelocity(10, null), null);
+
+    harness.ui.answerPrompt('30%');
+    harness.global.menuSetVelocityThreshold();
+    assert.equal(check(19, 15).flagged, false);
+  });
+});
+
+describe('velocity in the team summary', () => {
+  it('shows planned vs. historical velocity under the capacity gauge', () => {
+    const harness = createVelocityHarness();
+    const issues = harness.loadPISheet(13, PI13_ISSUES);
+
+    harness.global.createScrumTeamSummary(issues, 'PI 13', 'Ordernauts');
+    const sheet = harness.spreadsheet.getSheetByName('PI 13 - Ordernauts Summary');
+
+    assert.deepEqual(harness.errors(), []);
+    const row = findRow(sheet, 'Planned vs historical average velocity');
+    assert.equal(row, findRow(sheet, '% of capacity used') + 1);
+    assert.match(sheet.getRange(row, 3).getValue(), /^29 \/ 17 \(171%\) ABOVE VELOCITY$/);
+    assert.match(sheet.getRange(row, 1).getNote(), /71% above .* \(threshold 20%\)/);
+    assert.match(sheet.getRange(row, 3).getNote(), /PI 11: 10 \(JIRA\)/);
+  });
+});